@@ -0,0 +1,186 @@
+// api-gateway/src/auth.js
+const jwt = require("jsonwebtoken");
+const config = require("./config");
+const { matchPolicy } = require("./policies");
+const { sendError } = require("./proxy");
+const { hasPermission } = require("../../services/shared/permissions");
+const { createJwksVerifier, TokenError } = require("../../services/shared/jwks");
+const {
+  SERVICE_TOKEN_HEADER,
+  signServiceToken,
+} = require("../../services/shared/serviceAuth");
+
+// Identity headers are only trusted when set by the gateway itself
+const IDENTITY_HEADERS = [
+  "x-user-id",
+  "x-user-role",
+  "x-user-email",
+  "x-user-email-verified",
+  "x-user-permissions",
+  SERVICE_TOKEN_HEADER,
+];
+
+// token -> { identity, expiresAt }
+const tokenCache = new Map();
+const MAX_CACHE_ENTRIES = 10000;
+
+function extractToken(req) {
+  const header = req.headers.authorization;
+  if (!header?.startsWith("Bearer ")) return null;
+  return header.slice("Bearer ".length).trim() || null;
+}
+
+// For AUTH_MODE=local: user-service's public keys, as the services use them
+const jwksVerifier = createJwksVerifier({
+  jwksUrl: config.auth.jwksUrl,
+  issuer: config.auth.issuer,
+  audience: config.auth.audience,
+  cacheMs: config.auth.jwksCacheTtlMs,
+  timeoutMs: config.auth.verifyTimeoutMs,
+});
+
+// Throws only when the signing keys cannot be fetched
+async function verifyLocally(token) {
+  let claims;
+  try {
+    claims = await jwksVerifier.verify(token);
+  } catch (error) {
+    if (error instanceof TokenError) return null;
+    throw error;
+  }
+
+  return {
+    userId: claims.userId,
+    role: claims.role,
+    permissions: claims.permissions,
+    emailVerified: claims.emailVerified,
+  };
+}
+
+async function verifyRemotely(token) {
+  const cached = tokenCache.get(token);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.identity;
+  }
+  tokenCache.delete(token);
+
+  const response = await fetch(
+    new URL("/api/users/verify-token", config.auth.userServiceUrl),
+    {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ token }),
+      signal: AbortSignal.timeout(config.auth.verifyTimeoutMs),
+    }
+  );
+
+  // 401/404 from user-service mean the token or user is not valid
+  if (response.status === 401 || response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`verify-token returned ${response.status}`);
+  }
+
+  const { user } = await response.json();
+  const identity = {
+    userId: user.userId,
+    role: user.role,
+    permissions: user.permissions,
+    email: user.email,
+    emailVerified: user.emailVerified,
+  };
+
+  // Never cache past the token's own expiry
+  const { exp } = jwt.decode(token) || {};
+  const expiresAt = Math.min(
+    Date.now() + config.auth.cacheTtlMs,
+    exp ? exp * 1000 : Infinity
+  );
+
+  if (tokenCache.size >= MAX_CACHE_ENTRIES) {
+    tokenCache.delete(tokenCache.keys().next().value);
+  }
+  tokenCache.set(token, { identity, expiresAt });
+
+  return identity;
+}
+
+function verifyToken(token) {
+  return config.auth.mode === "local"
+    ? verifyLocally(token)
+    : verifyRemotely(token);
+}
+
+/**
+ * Enforces the route policy table and forwards the caller's identity to
+ * upstreams as x-user-id / x-user-role / x-user-permissions (comma-separated)
+ * / x-user-email / x-user-email-verified, plus an X-Service-Token carrying
+ * the same identity, which is what services check. Public routes are
+ * forwarded without either.
+ */
+async function authenticate(req, res, next) {
+  for (const header of IDENTITY_HEADERS) {
+    delete req.headers[header];
+  }
+
+  const { policy, ownerParam, permission, params } = matchPolicy(
+    req.method,
+    req.path
+  );
+  if (policy === "public") {
+    return next();
+  }
+
+  const token = extractToken(req);
+  if (!token) {
+    return sendError(res, 401, "No token");
+  }
+
+  let identity;
+  try {
+    identity = await verifyToken(token);
+  } catch (error) {
+    console.error("❌ Token verification failed:", error.message);
+    return sendError(res, 502, "Authentication service unavailable");
+  }
+
+  if (!identity) {
+    return sendError(res, 401, "Invalid token");
+  }
+
+  const isAdmin = identity.role === "admin";
+  const permissions = identity.permissions || [];
+  // Who may act on other users' resources under an owner policy
+  const isPrivileged = permission ? hasPermission(permissions, permission) : isAdmin;
+
+  if (policy === "admin" && !isAdmin) {
+    return sendError(res, 403, "Forbidden");
+  }
+
+  if (policy === "permission" && !hasPermission(permissions, permission)) {
+    return sendError(res, 403, "Forbidden");
+  }
+
+  if (policy === "owner" && !isPrivileged && params[ownerParam] !== identity.userId) {
+    return sendError(res, 403, "Forbidden");
+  }
+
+  req.headers["x-user-id"] = identity.userId;
+  req.headers["x-user-role"] = identity.role;
+  req.headers["x-user-permissions"] = permissions.join(",");
+  if (identity.email) {
+    req.headers["x-user-email"] = identity.email;
+  }
+  if (identity.emailVerified !== undefined) {
+    req.headers["x-user-email-verified"] = String(Boolean(identity.emailVerified));
+  }
+  req.headers[SERVICE_TOKEN_HEADER] = signServiceToken(config.serviceSecret, {
+    service: "api-gateway",
+    user: { ...identity, permissions },
+  });
+
+  next();
+}
+
+module.exports = { authenticate };
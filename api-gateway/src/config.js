@@ -0,0 +1,104 @@
+// api-gateway/src/config.js
+const fs = require("fs");
+const { serviceSecretFromEnv } = require("../../services/shared/serviceAuth");
+
+const defaultTimeoutMs = parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 10000;
+
+function timeoutFor(name) {
+  const value = parseInt(process.env[`${name}_TIMEOUT_MS`], 10);
+  return Number.isFinite(value) ? value : defaultTimeoutMs;
+}
+
+// Default route table. Services already expose their full /api/* paths, so
+// no rewriting is needed unless a route overrides it.
+const defaultRoutes = [
+  {
+    name: "order-service",
+    prefix: "/api/orders",
+    target: process.env.ORDER_SERVICE_URL || "http://localhost:3001",
+    timeoutMs: timeoutFor("ORDER_SERVICE"),
+  },
+  {
+    name: "payment-service",
+    prefix: "/api/payments",
+    target: process.env.PAYMENT_SERVICE_URL || "http://localhost:3002",
+    timeoutMs: timeoutFor("PAYMENT_SERVICE"),
+  },
+  {
+    name: "inventory-service",
+    prefix: "/api/inventory",
+    target: process.env.INVENTORY_SERVICE_URL || "http://localhost:3003",
+    timeoutMs: timeoutFor("INVENTORY_SERVICE"),
+  },
+  {
+    name: "user-service",
+    prefix: "/api/users",
+    target: process.env.USER_SERVICE_URL || "http://localhost:3004",
+    timeoutMs: timeoutFor("USER_SERVICE"),
+  },
+];
+
+/**
+ * Loads the route table from ROUTES_FILE (a JSON array of routes) when set,
+ * otherwise falls back to the defaults above.
+ *
+ * Route shape: { name, prefix, target, timeoutMs?, rewrite? } where rewrite
+ * maps a regex source to its replacement, e.g. { "^/api/v2/orders": "/api/orders" }.
+ */
+function loadRoutes() {
+  const routes = process.env.ROUTES_FILE
+    ? JSON.parse(fs.readFileSync(process.env.ROUTES_FILE, "utf8"))
+    : defaultRoutes;
+
+  if (!Array.isArray(routes)) {
+    throw new Error("Route table must be an array");
+  }
+
+  return routes.map((route) => {
+    if (!route.prefix || !route.target) {
+      throw new Error(`Invalid route: ${JSON.stringify(route)}`);
+    }
+
+    return {
+      name: route.name || route.prefix,
+      prefix: route.prefix.replace(/\/+$/, ""),
+      target: new URL(route.target),
+      timeoutMs: route.timeoutMs || defaultTimeoutMs,
+      rewrite: Object.entries(route.rewrite || {}).map(([pattern, replacement]) => [
+        new RegExp(pattern),
+        replacement,
+      ]),
+    };
+  });
+}
+
+const authMode = process.env.AUTH_MODE || "remote";
+
+if (!["local", "remote"].includes(authMode)) {
+  throw new Error(`AUTH_MODE must be "local" or "remote", got "${authMode}"`);
+}
+
+const userServiceUrl = process.env.USER_SERVICE_URL || "http://localhost:3004";
+
+const config = {
+  port: process.env.PORT || 8080,
+  routes: loadRoutes(),
+  // Signs the X-Service-Token that tells services who the caller is
+  serviceSecret: serviceSecretFromEnv(),
+  auth: {
+    // local: verify JWTs with user-service's public keys (JWKS); a revoked
+    //        session's access tokens keep working until they expire
+    // remote: ask user-service (POST /api/users/verify-token) and cache the answer
+    mode: authMode,
+    userServiceUrl,
+    jwksUrl:
+      process.env.JWKS_URL || new URL("/.well-known/jwks.json", userServiceUrl).href,
+    jwksCacheTtlMs: parseInt(process.env.JWKS_CACHE_TTL_MS, 10) || 10 * 60 * 1000,
+    issuer: process.env.JWT_ISSUER || "user-service",
+    audience: process.env.JWT_AUDIENCE || "ecommerce-api",
+    cacheTtlMs: parseInt(process.env.AUTH_CACHE_TTL_MS, 10) || 30000,
+    verifyTimeoutMs: parseInt(process.env.AUTH_VERIFY_TIMEOUT_MS, 10) || 3000,
+  },
+};
+
+module.exports = config;
@@ -0,0 +1,42 @@
+// api-gateway/src/index.js
+const express = require("express");
+const config = require("./config");
+const { createProxy, sendError } = require("./proxy");
+const { authenticate } = require("./auth");
+
+const app = express();
+
+// No body parsing here: request bodies are streamed straight to the upstream.
+app.disable("x-powered-by");
+
+app.get("/health", (req, res) => {
+  res.json({
+    status: "healthy",
+    service: "api-gateway",
+    routes: config.routes.map((route) => ({
+      name: route.name,
+      prefix: route.prefix,
+      target: route.target.origin,
+    })),
+  });
+});
+
+app.use(authenticate);
+
+// Longest prefix first so more specific routes win
+const routes = [...config.routes].sort(
+  (a, b) => b.prefix.length - a.prefix.length
+);
+
+for (const route of routes) {
+  app.use(route.prefix, createProxy(route));
+  console.log(`🔀 ${route.prefix} -> ${route.target.origin} (${route.name})`);
+}
+
+app.use((req, res) => {
+  sendError(res, 404, "Route not found");
+});
+
+app.listen(config.port, () => {
+  console.log(`🚀 API Gateway running on port ${config.port}`);
+});
@@ -0,0 +1,142 @@
+// api-gateway/src/policies.js
+const fs = require("fs");
+
+/**
+ * Per-route access policies, checked in order (first match wins).
+ *
+ *   public        - no token required
+ *   authenticated - any valid token
+ *   permission    - token whose role grants `permission` (see user-service
+ *                   GET /api/users/roles), e.g. "orders:read:any"
+ *   admin         - token with role "admin" (prefer permission)
+ *   owner         - token whose userId equals the :param named by `ownerParam`;
+ *                   others need `permission` if given, else role "admin"
+ *
+ * Resource-level ownership (e.g. an order looked up by orderId) is enforced
+ * by the owning service using the x-user-id / x-user-permissions headers we
+ * forward.
+ */
+const defaultPolicies = [
+  // User service
+  { method: "POST", path: "/api/users/register", policy: "public" },
+  { method: "POST", path: "/api/users/login", policy: "public" },
+  { method: "POST", path: "/api/users/login/2fa", policy: "public" },
+  // Enrollment may use a login challenge token instead of a bearer token
+  { method: "POST", path: "/api/users/2fa/setup", policy: "public" },
+  { method: "POST", path: "/api/users/2fa/enable", policy: "public" },
+  { method: "POST", path: "/api/users/verify-token", policy: "public" },
+  // Refresh and logout work with an expired access token
+  { method: "POST", path: "/api/users/token/refresh", policy: "public" },
+  { method: "POST", path: "/api/users/logout", policy: "public" },
+  { method: "POST", path: "/api/users/verify-email/*", policy: "public" },
+  { method: "POST", path: "/api/users/password-reset/*", policy: "public" },
+  { method: "GET", path: "/api/users", policy: "permission", permission: "users:read:any" },
+  { method: "GET", path: "/api/users/profile", policy: "authenticated" },
+  { method: "GET", path: "/api/users/2fa", policy: "authenticated" },
+  { path: "/api/users/addresses/*", policy: "authenticated" },
+  { path: "/api/users/roles/*", policy: "permission", permission: "roles:manage" },
+  { path: "/api/users/security/*", policy: "permission", permission: "security:manage" },
+  { method: "PUT", path: "/api/users/:userId/role", policy: "permission", permission: "users:write:any" },
+  { method: "POST", path: "/api/users/:userId/deactivate", policy: "permission", permission: "users:write:any" },
+  { method: "POST", path: "/api/users/:userId/reactivate", policy: "permission", permission: "users:write:any" },
+  { method: "DELETE", path: "/api/users/:userId/sessions", policy: "permission", permission: "users:write:any" },
+  { method: "GET", path: "/api/users/:userId", policy: "owner", ownerParam: "userId", permission: "users:read:any" },
+  { method: "GET", path: "/api/users/:userId/addresses/*", policy: "owner", ownerParam: "userId", permission: "users:read:any" },
+  { path: "/api/users/*", policy: "authenticated" },
+
+  // Order service
+  { path: "/api/orders/admin/*", policy: "permission", permission: "orders:admin" },
+  { method: "GET", path: "/api/orders/user/:userId", policy: "owner", ownerParam: "userId", permission: "orders:read:any" },
+  { path: "/api/orders/*", policy: "authenticated" },
+
+  // Payment service
+  // Webhooks are authenticated by the provider's signature, not a token
+  { method: "POST", path: "/api/payments/webhooks/:provider", policy: "public" },
+  { path: "/api/payments/admin/*", policy: "permission", permission: "payments:admin" },
+  { method: "POST", path: "/api/payments/:paymentId/capture", policy: "permission", permission: "payments:write" },
+  { method: "POST", path: "/api/payments/:paymentId/void", policy: "permission", permission: "payments:write" },
+  { method: "POST", path: "/api/payments/:paymentId/refund", policy: "permission", permission: "payments:refund" },
+  { method: "POST", path: "/api/payments/:paymentId/refunds", policy: "permission", permission: "payments:refund" },
+  { path: "/api/payments/*", policy: "authenticated" },
+
+  // Inventory service
+  { method: "GET", path: "/api/inventory", policy: "public" },
+  { path: "/api/inventory/admin/*", policy: "permission", permission: "inventory:admin" },
+  { method: "GET", path: "/api/inventory/:productId", policy: "public" },
+  { path: "/api/inventory/*", policy: "permission", permission: "inventory:write" },
+];
+
+const POLICIES = ["public", "authenticated", "permission", "admin", "owner"];
+
+/**
+ * Compiles "/api/orders/user/:userId" style patterns. A trailing "/*"
+ * matches the prefix itself and any number of further segments.
+ */
+function compilePath(path) {
+  const keys = [];
+  const source = path
+    .replace(/\/\*$/, "(?:/.*)?")
+    .replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return "([^/]+)";
+    });
+
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+function compilePolicy(entry) {
+  if (!POLICIES.includes(entry.policy)) {
+    throw new Error(`Unknown policy "${entry.policy}" for ${entry.path}`);
+  }
+  if (entry.policy === "owner" && !entry.ownerParam) {
+    throw new Error(`Owner policy for ${entry.path} needs ownerParam`);
+  }
+  if (entry.policy === "permission" && !entry.permission) {
+    throw new Error(`Permission policy for ${entry.path} needs permission`);
+  }
+
+  return {
+    ...entry,
+    method: entry.method ? entry.method.toUpperCase() : null,
+    ...compilePath(entry.path),
+  };
+}
+
+function loadPolicies() {
+  const entries = process.env.POLICIES_FILE
+    ? JSON.parse(fs.readFileSync(process.env.POLICIES_FILE, "utf8"))
+    : defaultPolicies;
+
+  return entries.map(compilePolicy);
+}
+
+const policies = loadPolicies();
+const defaultPolicy = process.env.DEFAULT_POLICY || "authenticated";
+
+/**
+ * Returns { policy, ownerParam, permission, params } for the request.
+ */
+function matchPolicy(method, path) {
+  for (const entry of policies) {
+    if (entry.method && entry.method !== method) continue;
+
+    const match = entry.regex.exec(path);
+    if (!match) continue;
+
+    const params = {};
+    entry.keys.forEach((key, index) => {
+      params[key] = decodeURIComponent(match[index + 1]);
+    });
+
+    return {
+      policy: entry.policy,
+      ownerParam: entry.ownerParam,
+      permission: entry.permission,
+      params,
+    };
+  }
+
+  return { policy: defaultPolicy, params: {} };
+}
+
+module.exports = { matchPolicy };
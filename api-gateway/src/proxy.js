@@ -0,0 +1,124 @@
+// api-gateway/src/proxy.js
+const http = require("http");
+const https = require("https");
+
+// Connection-scoped headers that must not be forwarded by a proxy (RFC 7230 §6.1)
+const HOP_BY_HOP_HEADERS = [
+  "connection",
+  "keep-alive",
+  "proxy-authenticate",
+  "proxy-authorization",
+  "te",
+  "trailer",
+  "transfer-encoding",
+  "upgrade",
+];
+
+function stripHopByHop(headers) {
+  const result = { ...headers };
+  const listed = (headers.connection || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const name of [...HOP_BY_HOP_HEADERS, ...listed]) {
+    delete result[name];
+  }
+
+  return result;
+}
+
+function rewritePath(path, rewrite) {
+  return rewrite.reduce(
+    (current, [pattern, replacement]) => current.replace(pattern, replacement),
+    path
+  );
+}
+
+function sendError(res, status, message) {
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+
+  res.status(status).json({ success: false, error: message });
+}
+
+/**
+ * Builds an Express handler that streams the request to route.target and
+ * pipes the upstream status, headers and body back to the client.
+ */
+function createProxy(route) {
+  const { target } = route;
+  const transport = target.protocol === "https:" ? https : http;
+  const basePath = target.pathname.replace(/\/+$/, "");
+
+  return (req, res) => {
+    const path = basePath + rewritePath(req.originalUrl, route.rewrite);
+
+    const headers = {
+      ...stripHopByHop(req.headers),
+      host: target.host,
+      // We are the edge: the client's own X-Forwarded-For is dropped, so
+      // upstreams can take the address we saw as the client's
+      "x-forwarded-for": req.socket.remoteAddress,
+      "x-forwarded-host": req.headers.host,
+      "x-forwarded-proto": req.protocol,
+    };
+
+    const upstreamReq = transport.request({
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      method: req.method,
+      path,
+      headers,
+    });
+
+    // The upstream may go quiet for at most route.timeoutMs: before the
+    // response headers, then between chunks of the body until it ends
+    let timedOut = false;
+    let timer;
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        upstreamReq.destroy(new Error(`Timed out after ${route.timeoutMs}ms`));
+      }, route.timeoutMs);
+    };
+    restartTimer();
+
+    upstreamReq.on("response", (upstreamRes) => {
+      restartTimer();
+      upstreamRes.on("data", restartTimer);
+      upstreamRes.on("end", () => clearTimeout(timer));
+
+      res.writeHead(upstreamRes.statusCode, stripHopByHop(upstreamRes.headers));
+      upstreamRes.pipe(res);
+    });
+
+    upstreamReq.on("error", (error) => {
+      clearTimeout(timer);
+
+      if (timedOut) {
+        console.error(`⏱️ ${route.name} timed out: ${req.method} ${path}`);
+        return sendError(res, 504, `Upstream ${route.name} timed out`);
+      }
+
+      console.error(`❌ ${route.name} error: ${error.message}`);
+      sendError(res, 502, `Upstream ${route.name} unavailable`);
+    });
+
+    // Stop talking to the upstream if the client goes away
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        clearTimeout(timer);
+        upstreamReq.destroy();
+      }
+    });
+
+    req.pipe(upstreamReq);
+  };
+}
+
+module.exports = { createProxy, sendError };
@@ -0,0 +1,148 @@
+// api-gateway/test/auth.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const express = require("express");
+const { verifyServiceToken } = require("../../services/shared/serviceAuth");
+
+const SERVICE_SECRET = "test-service-secret-at-least-32-chars";
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+  });
+}
+
+// Stands in for POST /api/users/verify-token
+const identities = {
+  "token-customer": { userId: "U-1", role: "customer", permissions: [] },
+  "token-support": {
+    userId: "U-2",
+    role: "support",
+    permissions: ["orders:read:any"],
+  },
+  "token-admin": { userId: "U-3", role: "admin", permissions: ["*"] },
+};
+let verifyCalls = 0;
+let userServiceDown = false;
+
+const userService = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    verifyCalls++;
+    if (userServiceDown) {
+      res.writeHead(503).end();
+      return;
+    }
+
+    const user = identities[JSON.parse(body).token];
+    res.writeHead(user ? 200 : 401, { "content-type": "application/json" });
+    res.end(JSON.stringify(user ? { success: true, user } : { success: false }));
+  });
+});
+
+test("authenticate", async (t) => {
+  process.env.AUTH_MODE = "remote";
+  process.env.USER_SERVICE_URL = await listen(userService);
+  process.env.SERVICE_SECRET = SERVICE_SECRET;
+  const { authenticate } = require("../src/auth");
+
+  // The "upstream": reports the identity headers it was given
+  const app = express();
+  app.use(authenticate);
+  app.use((req, res) => {
+    const serviceToken = req.headers["x-service-token"];
+    res.json({
+      userId: req.headers["x-user-id"],
+      role: req.headers["x-user-role"],
+      permissions: req.headers["x-user-permissions"],
+      ...(serviceToken && { token: verifyServiceToken(SERVICE_SECRET, serviceToken) }),
+    });
+  });
+  const gateway = http.createServer(app);
+  const url = await listen(gateway);
+
+  t.after(() => {
+    gateway.close();
+    userService.close();
+  });
+
+  const call = async (method, path, token, headers = {}) => {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: token ? { ...headers, authorization: `Bearer ${token}` } : headers,
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  await t.test("public routes need no token and never carry client identity headers", async () => {
+    const { status, body } = await call("GET", "/api/inventory", null, {
+      "x-user-id": "U-3",
+      "x-user-permissions": "*",
+      "x-service-token": "forged",
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.userId, undefined);
+    assert.equal(body.permissions, undefined);
+    assert.equal(body.token, undefined);
+  });
+
+  await t.test("protected routes need a valid token", async () => {
+    assert.equal((await call("GET", "/api/orders/O-1")).status, 401);
+    assert.equal((await call("GET", "/api/orders/O-1", "token-forged")).status, 401);
+  });
+
+  await t.test("forwards the verified identity, not the client's headers", async () => {
+    const { status, body } = await call("GET", "/api/orders/O-1", "token-support", {
+      "x-user-id": "U-3",
+      "x-user-permissions": "*",
+    });
+
+    assert.equal(status, 200);
+    const { token, ...headers } = body;
+    assert.deepEqual(headers, {
+      userId: "U-2",
+      role: "support",
+      permissions: "orders:read:any",
+    });
+  });
+
+  await t.test("signs a service token carrying the verified identity", async () => {
+    const { body } = await call("GET", "/api/orders/O-1", "token-support", {
+      "x-service-token": "forged",
+    });
+
+    assert.equal(body.token.iss, "api-gateway");
+    assert.equal(body.token.user.userId, "U-2");
+    assert.deepEqual(body.token.user.permissions, ["orders:read:any"]);
+  });
+
+  await t.test("permission rules", async () => {
+    assert.equal((await call("GET", "/api/orders/admin/outbox", "token-support")).status, 403);
+    assert.equal((await call("GET", "/api/orders/admin/outbox", "token-admin")).status, 200);
+  });
+
+  await t.test("owner rules let owners and holders of the rule's permission in", async () => {
+    assert.equal((await call("GET", "/api/orders/user/U-1", "token-customer")).status, 200);
+    assert.equal((await call("GET", "/api/orders/user/U-9", "token-customer")).status, 403);
+    assert.equal((await call("GET", "/api/orders/user/U-9", "token-support")).status, 200);
+  });
+
+  await t.test("caches verified tokens", async () => {
+    const before = verifyCalls;
+    await call("GET", "/api/orders/O-1", "token-customer");
+    await call("GET", "/api/orders/O-2", "token-customer");
+    assert.equal(verifyCalls, before);
+  });
+
+  await t.test("502 when user-service cannot answer", async () => {
+    userServiceDown = true;
+    t.after(() => (userServiceDown = false));
+
+    assert.equal((await call("GET", "/api/orders/O-1", "token-unseen")).status, 502);
+  });
+});
@@ -0,0 +1,92 @@
+// api-gateway/test/authLocal.test.js
+//
+// AUTH_MODE=local: tokens checked against user-service's published keys
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+  });
+}
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const KID = "key-1";
+
+// Stands in for user-service's GET /.well-known/jwks.json
+let jwksDown = false;
+const userService = http.createServer((req, res) => {
+  if (jwksDown) {
+    res.writeHead(503).end();
+    return;
+  }
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(
+    JSON.stringify({
+      keys: [{ ...publicKey.export({ format: "jwk" }), kid: KID, alg: "RS256", use: "sig" }],
+    })
+  );
+});
+
+function sign(claims, { audience = "ecommerce-api", kid = KID } = {}) {
+  return jwt.sign(claims, privateKey, {
+    algorithm: "RS256",
+    keyid: kid,
+    issuer: "user-service",
+    audience,
+    expiresIn: "15m",
+  });
+}
+
+test("authenticate with AUTH_MODE=local", async (t) => {
+  process.env.AUTH_MODE = "local";
+  process.env.USER_SERVICE_URL = await listen(userService);
+  process.env.SERVICE_SECRET = "test-service-secret-at-least-32-chars";
+  const { authenticate } = require("../src/auth");
+
+  const app = express();
+  app.use(authenticate);
+  app.use((req, res) => res.json({ userId: req.headers["x-user-id"] }));
+  const gateway = http.createServer(app);
+  const url = await listen(gateway);
+
+  t.after(() => {
+    gateway.close();
+    userService.close();
+  });
+  t.mock.method(console, "error", () => {});
+
+  const call = async (token) => {
+    const response = await fetch(`${url}/api/orders/O-1`, {
+      headers: { authorization: `Bearer ${token}` },
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  const customer = sign({ userId: "U-1", role: "customer", permissions: [] });
+
+  await t.test("answers 502 while the keys cannot be fetched", async () => {
+    jwksDown = true;
+    assert.equal((await call(customer)).status, 502);
+    jwksDown = false;
+  });
+
+  await t.test("accepts tokens signed with a published key", async () => {
+    const { status, body } = await call(customer);
+    assert.equal(status, 200);
+    assert.equal(body.userId, "U-1");
+  });
+
+  await t.test("refuses tokens for another audience, key or signer", async () => {
+    assert.equal((await call(sign({ userId: "U-1" }, { audience: "other" }))).status, 401);
+    assert.equal((await call(sign({ userId: "U-1" }, { kid: "key-2" }))).status, 401);
+
+    const forged = jwt.sign({ userId: "U-1" }, "secret", { algorithm: "HS256", keyid: KID });
+    assert.equal((await call(forged)).status, 401);
+  });
+});
@@ -0,0 +1,74 @@
+// api-gateway/test/policies.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { matchPolicy } = require("../src/policies");
+
+test("login and registration are public", () => {
+  assert.equal(matchPolicy("POST", "/api/users/register").policy, "public");
+  assert.equal(matchPolicy("POST", "/api/users/login").policy, "public");
+  assert.equal(matchPolicy("POST", "/api/users/login/2fa").policy, "public");
+});
+
+test("rules are method specific", () => {
+  assert.equal(matchPolicy("GET", "/api/inventory").policy, "public");
+
+  const create = matchPolicy("POST", "/api/inventory");
+  assert.equal(create.policy, "permission");
+  assert.equal(create.permission, "inventory:write");
+});
+
+test("the first matching rule wins", () => {
+  // GET /api/users/:userId would otherwise take these as a user id
+  assert.equal(matchPolicy("GET", "/api/users/profile").policy, "authenticated");
+  assert.equal(matchPolicy("GET", "/api/users/2fa").policy, "authenticated");
+
+  const user = matchPolicy("GET", "/api/users/U-1");
+  assert.equal(user.policy, "owner");
+  assert.equal(user.ownerParam, "userId");
+});
+
+test("params are captured and decoded", () => {
+  const { policy, ownerParam, params } = matchPolicy(
+    "GET",
+    "/api/orders/user/user%40example.com"
+  );
+
+  assert.equal(policy, "owner");
+  assert.equal(params[ownerParam], "user@example.com");
+});
+
+test("a trailing /* matches the prefix and anything below it", () => {
+  for (const path of [
+    "/api/orders/admin",
+    "/api/orders/admin/",
+    "/api/orders/admin/dlq/order.created/messages",
+  ]) {
+    const match = matchPolicy("GET", path);
+    assert.equal(match.policy, "permission", path);
+    assert.equal(match.permission, "orders:admin", path);
+  }
+
+  // ...but not a longer segment that merely starts with it
+  assert.equal(matchPolicy("GET", "/api/orders/administrator").policy, "authenticated");
+});
+
+test("a param matches exactly one segment", () => {
+  const capture = matchPolicy("POST", "/api/payments/PAY-1/capture");
+  assert.equal(capture.permission, "payments:write");
+
+  assert.equal(
+    matchPolicy("POST", "/api/payments/PAY-1/extra/capture").policy,
+    "authenticated"
+  );
+});
+
+test("webhooks are public; other payment routes need a token", () => {
+  assert.equal(matchPolicy("POST", "/api/payments/webhooks/fake").policy, "public");
+  assert.equal(matchPolicy("GET", "/api/payments/webhooks/fake").policy, "authenticated");
+});
+
+test("unmatched paths get the default policy", () => {
+  const match = matchPolicy("GET", "/somewhere/else");
+  assert.equal(match.policy, "authenticated");
+  assert.deepEqual(match.params, {});
+});
@@ -0,0 +1,198 @@
+// api-gateway/test/proxy.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const express = require("express");
+const { createProxy } = require("../src/proxy");
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+  });
+}
+
+// Answers every request with what it received
+function createEchoUpstream() {
+  return http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      if (req.url.startsWith("/slow")) return;
+
+      res.writeHead(200, {
+        "content-type": "application/json",
+        "x-upstream": "yes",
+        "proxy-authenticate": "Basic",
+      });
+      res.end(JSON.stringify({ method: req.method, url: req.url, headers: req.headers, body }));
+    });
+  });
+}
+
+async function startGateway(route) {
+  const app = express();
+  app.use(route.prefix, createProxy(route));
+  const server = http.createServer(app);
+  return { server, url: await listen(server) };
+}
+
+function routeTo(target, extra = {}) {
+  return {
+    name: "test-service",
+    prefix: "/api/things",
+    target: new URL(target),
+    timeoutMs: 1000,
+    rewrite: [],
+    ...extra,
+  };
+}
+
+// fetch() will not send hop-by-hop headers, so use http.request
+function rawRequest(url, { method = "GET", headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, (res) => {
+      let data = "";
+      res.on("data", (chunk) => (data += chunk));
+      res.on("end", () =>
+        resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(data) })
+      );
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+test("proxy", async (t) => {
+  const upstream = createEchoUpstream();
+  const upstreamUrl = await listen(upstream);
+  const gateway = await startGateway(routeTo(upstreamUrl));
+
+  t.after(() => {
+    upstream.close();
+    gateway.server.close();
+  });
+
+  await t.test("streams method, path, query and body to the upstream", async () => {
+    const { status, body } = await rawRequest(`${gateway.url}/api/things/42?x=1`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ hello: "world" }),
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.method, "POST");
+    assert.equal(body.url, "/api/things/42?x=1");
+    assert.deepEqual(JSON.parse(body.body), { hello: "world" });
+    assert.equal(body.headers.host, new URL(upstreamUrl).host);
+  });
+
+  await t.test("sets X-Forwarded-For to the socket address, ignoring the client's", async () => {
+    const { body } = await rawRequest(`${gateway.url}/api/things`, {
+      headers: { "x-forwarded-for": "203.0.113.7" },
+    });
+
+    assert.equal(body.headers["x-forwarded-for"], "127.0.0.1");
+    assert.equal(body.headers["x-forwarded-proto"], "http");
+    assert.equal(body.headers["x-forwarded-host"], new URL(gateway.url).host);
+  });
+
+  await t.test("drops hop-by-hop headers in both directions", async () => {
+    const { headers, body } = await rawRequest(`${gateway.url}/api/things`, {
+      headers: {
+        connection: "keep-alive, x-session-hint",
+        "x-session-hint": "abc",
+        "proxy-authorization": "Basic Zm9vOmJhcg==",
+        "x-kept": "1",
+      },
+    });
+
+    assert.equal(body.headers["x-session-hint"], undefined);
+    assert.equal(body.headers["proxy-authorization"], undefined);
+    assert.equal(body.headers["x-kept"], "1");
+
+    assert.equal(headers["x-upstream"], "yes");
+    assert.equal(headers["proxy-authenticate"], undefined);
+  });
+});
+
+test("rewrites paths and prefixes the target's base path", async (t) => {
+  const upstream = createEchoUpstream();
+  const upstreamUrl = await listen(upstream);
+  const gateway = await startGateway(
+    routeTo(`${upstreamUrl}/base/`, {
+      prefix: "/api/v2/things",
+      rewrite: [[/^\/api\/v2\/things/, "/api/things"]],
+    })
+  );
+
+  t.after(() => {
+    upstream.close();
+    gateway.server.close();
+  });
+
+  const { body } = await rawRequest(`${gateway.url}/api/v2/things/7`);
+  assert.equal(body.url, "/base/api/things/7");
+});
+
+test("answers 504 when the upstream is too slow", async (t) => {
+  const upstream = createEchoUpstream();
+  const upstreamUrl = await listen(upstream);
+  const gateway = await startGateway(
+    routeTo(upstreamUrl, { prefix: "/slow", timeoutMs: 100 })
+  );
+
+  t.after(() => {
+    upstream.closeAllConnections();
+    upstream.close();
+    gateway.server.close();
+  });
+
+  const { status, body } = await rawRequest(`${gateway.url}/slow`);
+  assert.equal(status, 504);
+  assert.deepEqual(body, { success: false, error: "Upstream test-service timed out" });
+});
+
+test("cuts off a response whose body stalls", async (t) => {
+  // Sends the headers and part of the body, then nothing
+  const upstream = http.createServer((req, res) => {
+    res.writeHead(200, { "content-type": "application/json" });
+    res.write('{"partial":');
+  });
+  const upstreamUrl = await listen(upstream);
+  const gateway = await startGateway(routeTo(upstreamUrl, { timeoutMs: 100 }));
+
+  t.after(() => {
+    upstream.closeAllConnections();
+    upstream.close();
+    gateway.server.close();
+  });
+
+  t.mock.method(console, "error", () => {});
+  const complete = await new Promise((resolve, reject) => {
+    http
+      .get(`${gateway.url}/api/things`, (res) => {
+        assert.equal(res.statusCode, 200);
+        res.on("error", () => {});
+        res.on("close", () => resolve(res.complete));
+        res.resume();
+      })
+      .on("error", reject);
+  });
+  assert.equal(complete, false);
+});
+
+test("answers 502 when the upstream is unreachable", async (t) => {
+  // Grab a free port, then close it so nothing is listening there
+  const closed = http.createServer();
+  const closedUrl = await listen(closed);
+  await new Promise((resolve) => closed.close(resolve));
+
+  const gateway = await startGateway(routeTo(closedUrl));
+  t.after(() => gateway.server.close());
+
+  const { status, body } = await rawRequest(`${gateway.url}/api/things`);
+  assert.equal(status, 502);
+  assert.deepEqual(body, { success: false, error: "Upstream test-service unavailable" });
+});
@@ -0,0 +1,20 @@
+// services/inventory-service/src/config.js
+const { serviceSecretFromEnv } = require("../../shared/serviceAuth");
+
+const config = {
+  port: process.env.PORT || 3003,
+  mongoUrl: process.env.MONGO_URL || "mongodb://localhost:27017/inventory",
+  rabbitmqUrl: process.env.RABBITMQ_URL || "amqp://localhost:5672",
+  // Currency of products created without one, and of legacy decimal prices
+  defaultCurrency: process.env.DEFAULT_CURRENCY || "USD",
+  // Checks the X-Service-Token on calls made to us
+  serviceSecret: serviceSecretFromEnv(),
+  // Verify bearer tokens against user-service's published keys (optional)
+  jwks: {
+    url: process.env.JWKS_URL,
+    issuer: process.env.JWT_ISSUER || "user-service",
+    audience: process.env.JWT_AUDIENCE || "ecommerce-api",
+  },
+};
+
+module.exports = config;
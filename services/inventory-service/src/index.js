@@ -2,71 +2,67 @@
 const express = require("express");
 const mongoose = require("mongoose");
 const amqp = require("amqplib");
+const { createOutboxRelay } = require("../../shared/outbox");
+const {
+  assertExchange,
+  publish: publishEvent,
+  subscribe,
+  subscriptionQueueName,
+} = require("../../shared/messaging");
+const { registerDeadLetterRoutes } = require("../../shared/deadLetters");
+const { createJwksVerifier } = require("../../shared/jwks");
+const { authenticateCaller } = require("../../shared/serviceAuth");
+const { hasPermission, parsePermissionsHeader } = require("../../shared/permissions");
+const { isCurrency, isMinorAmount, toMinor } = require("../../shared/money");
+const config = require("./config");
+const Inventory = require("./models/inventory");
+const Reservation = require("./models/reservation");
+const { outbox } = require("./outbox");
+const {
+  InsufficientStockError,
+  reserveStock,
+  normalizeItems,
+  confirmReservation,
+  releaseReservation,
+} = require("./stock");
 
 const app = express();
 app.use(express.json());
 
-// Configuration
-const config = {
-  port: process.env.PORT || 3003,
-  mongoUrl: process.env.MONGO_URL || "mongodb://localhost:27017/inventory",
-  rabbitmqUrl: process.env.RABBITMQ_URL || "amqp://localhost:5672",
-};
-
-// MongoDB Schema
-const inventorySchema = new mongoose.Schema({
-  productId: { type: String, required: true, unique: true },
-  productName: { type: String, required: true },
-  quantity: { type: Number, required: true, default: 0 },
-  reserved: { type: Number, default: 0 },
-  available: { type: Number, default: 0 },
-  price: { type: Number, required: true },
-  updatedAt: { type: Date, default: Date.now },
-});
-
-// Virtual field for available quantity
-inventorySchema.pre("save", function (next) {
-  this.available = this.quantity - this.reserved;
-  next();
-});
-
-const Inventory = mongoose.model("Inventory", inventorySchema);
-
-// Reservation tracking
-const reservationSchema = new mongoose.Schema({
-  orderId: { type: String, required: true },
-  productId: { type: String, required: true },
-  quantity: { type: Number, required: true },
-  status: {
-    type: String,
-    enum: ["reserved", "confirmed", "released"],
-    default: "reserved",
-  },
-  createdAt: { type: Date, default: Date.now },
-  expiresAt: { type: Date },
-});
-
-const Reservation = mongoose.model("Reservation", reservationSchema);
+// Every call comes from the gateway or another service (X-Service-Token)
+// or, when JWKS_URL is set, carries a user's bearer token. Only the
+// catalogue can be read anonymously.
+app.use(
+  authenticateCaller({
+    secret: config.serviceSecret,
+    verifier:
+      config.jwks.url &&
+      createJwksVerifier({
+        jwksUrl: config.jwks.url,
+        issuer: config.jwks.issuer,
+        audience: config.jwks.audience,
+      }),
+    isPublic: (req) =>
+      req.method === "GET" &&
+      (req.path === "/health" || /^\/api\/inventory(\/[^/]+)?$/.test(req.path)),
+  })
+);
 
 // RabbitMQ Connection
+const SERVICE_NAME = "inventory-service";
+
 let channel;
 
 async function connectRabbitMQ() {
   try {
     const connection = await amqp.connect(config.rabbitmqUrl);
-    channel = await connection.createChannel();
+    // Confirm channel so the outbox relay knows when the broker has a message
+    channel = await connection.createConfirmChannel();
 
-    await channel.assertQueue("payment.processed", { durable: true });
-    await channel.assertQueue("inventory.updated", { durable: true });
+    await assertExchange(channel);
 
-    // Listen for successful payments
-    channel.consume("payment.processed", async (msg) => {
-      if (msg) {
-        const payload = JSON.parse(msg.content.toString());
-        await handlePaymentProcessed(payload);
-        channel.ack(msg);
-      }
-    });
+    // Listen for successful payments on our own queue (retried, then dead-lettered, on failure)
+    await subscribe(channel, SERVICE_NAME, "payment.processed", handlePaymentProcessed);
 
     console.log("✅ Connected to RabbitMQ");
   } catch (error) {
@@ -75,6 +71,12 @@ async function connectRabbitMQ() {
   }
 }
 
+function publish(routingKey, event, messageId) {
+  return publishEvent(channel, routingKey, event, messageId);
+}
+
+const relay = createOutboxRelay({ store: outbox, publish });
+
 // Event Handlers
 async function handlePaymentProcessed(payload) {
   const { orderId, status } = payload;
@@ -83,140 +85,89 @@ async function handlePaymentProcessed(payload) {
     `📦 Processing inventory for order ${orderId}, payment status: ${status}`
   );
 
-  if (status === "success") {
+  // The payment is authorized (held) until the order saga has confirmed the
+  // stock and captures it; "success" is the pre-authorization status
+  if (status === "authorized" || status === "success") {
     // Confirm reservation and deduct inventory
-    const reservations = await Reservation.find({
-      orderId,
-      status: "reserved",
-    });
-
-    for (const reservation of reservations) {
-      const inventory = await Inventory.findOne({
-        productId: reservation.productId,
-      });
-
-      if (inventory) {
-        inventory.quantity -= reservation.quantity;
-        inventory.reserved -= reservation.quantity;
-        await inventory.save();
-
-        reservation.status = "confirmed";
-        await reservation.save();
-
-        console.log(
-          `✅ Inventory updated: ${reservation.productId} - ${reservation.quantity} units`
-        );
-      }
+    const result = await confirmReservation(orderId);
+    if (result !== "confirmed") {
+      console.log(`⚠️ Could not confirm inventory for order ${orderId}: ${result}`);
     }
-
-    // Publish inventory.updated event
-    const event = {
-      orderId,
-      status: "reserved",
-      timestamp: new Date().toISOString(),
-    };
-
-    channel.sendToQueue(
-      "inventory.updated",
-      Buffer.from(JSON.stringify(event)),
-      {
-        persistent: true,
-      }
-    );
-  } else {
+  } else if (status === "failed") {
     // Release reserved inventory
     await releaseReservation(orderId);
   }
 }
 
-async function releaseReservation(orderId) {
-  const reservations = await Reservation.find({ orderId, status: "reserved" });
-
-  for (const reservation of reservations) {
-    const inventory = await Inventory.findOne({
-      productId: reservation.productId,
-    });
-
-    if (inventory) {
-      inventory.reserved -= reservation.quantity;
-      await inventory.save();
-
-      reservation.status = "released";
-      await reservation.save();
+// Caller identity
+// authenticateCaller sets x-user-id / x-user-permissions from a verified
+// token only. Requests without them are other services acting on their own
+// behalf (req.internal).
+function requirePermission(permission) {
+  return (req, res, next) => {
+    const permissions = parsePermissionsHeader(req.headers["x-user-permissions"]);
+    const allowed = req.headers["x-user-id"]
+      ? hasPermission(permissions, permission)
+      : req.internal;
+    if (!allowed) {
+      return res.status(403).json({ success: false, error: "Forbidden" });
     }
-  }
+    next();
+  };
+}
 
-  console.log(`🔓 Released inventory for order ${orderId}`);
+// Order ids are matched in queries, so anything but a string (e.g. an
+// operator object) is turned away
+function isOrderId(value) {
+  return typeof value === "string" && value.length > 0;
 }
 
 // REST API Endpoints
-app.post("/api/inventory/reserve", async (req, res) => {
+app.post("/api/inventory/reserve", requirePermission("inventory:write"), async (req, res) => {
   try {
-    const { orderId, items } = req.body;
-
-    const reservations = [];
-    const insufficientItems = [];
+    const { orderId } = req.body;
+    const items = normalizeItems(req.body.items);
 
-    // Check availability for all items
-    for (const item of items) {
-      const inventory = await Inventory.findOne({ productId: item.productId });
-
-      if (!inventory || inventory.available < item.quantity) {
-        insufficientItems.push({
-          productId: item.productId,
-          requested: item.quantity,
-          available: inventory ? inventory.available : 0,
-        });
-      }
+    if (!isOrderId(orderId) || !items) {
+      return res.status(400).json({
+        success: false,
+        error: "orderId and items with positive integer quantities are required",
+      });
     }
 
-    if (insufficientItems.length > 0) {
+    let result;
+    try {
+      result = await reserveStock(orderId, items);
+    } catch (error) {
+      if (!(error instanceof InsufficientStockError)) throw error;
+
       // Publish insufficient inventory event
       const event = {
         orderId,
         status: "insufficient",
-        items: insufficientItems,
+        items: error.items,
         timestamp: new Date().toISOString(),
       };
 
-      channel.sendToQueue(
-        "inventory.updated",
-        Buffer.from(JSON.stringify(event)),
-        {
-          persistent: true,
-        }
-      );
+      await outbox.add("inventory.updated", event);
 
       return res.status(400).json({
         success: false,
         error: "Insufficient inventory",
-        items: insufficientItems,
+        items: error.items,
       });
     }
 
-    // Reserve inventory
-    for (const item of items) {
-      const inventory = await Inventory.findOne({ productId: item.productId });
-      inventory.reserved += item.quantity;
-      await inventory.save();
-
-      const reservation = new Reservation({
-        orderId,
-        productId: item.productId,
-        quantity: item.quantity,
-        expiresAt: new Date(Date.now() + 15 * 60 * 1000), // 15 minutes
-      });
-
-      await reservation.save();
-      reservations.push(reservation);
+    if (!result.alreadyReserved) {
+      console.log(`🔒 Inventory reserved for order ${orderId}`);
     }
 
-    console.log(`🔒 Inventory reserved for order ${orderId}`);
-
     res.json({
       success: true,
-      message: "Inventory reserved",
-      reservations: reservations.map((r) => ({
+      message: result.alreadyReserved
+        ? "Inventory already reserved"
+        : "Inventory reserved",
+      reservations: result.reservations.map((r) => ({
         productId: r.productId,
         quantity: r.quantity,
         expiresAt: r.expiresAt,
@@ -228,6 +179,78 @@ app.post("/api/inventory/reserve", async (req, res) => {
   }
 });
 
+app.post("/api/inventory/confirm", requirePermission("inventory:write"), async (req, res) => {
+  try {
+    const { orderId } = req.body;
+    if (!isOrderId(orderId)) {
+      return res
+        .status(400)
+        .json({ success: false, error: "orderId is required" });
+    }
+
+    const result = await confirmReservation(orderId);
+
+    if (result === "not_found") {
+      return res
+        .status(404)
+        .json({ success: false, error: "No reservation for order" });
+    }
+
+    if (result === "released") {
+      return res
+        .status(409)
+        .json({ success: false, error: "Reservation expired or released" });
+    }
+
+    res.json({ success: true, message: "Inventory confirmed" });
+  } catch (error) {
+    console.error("Error confirming inventory:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post("/api/inventory/release", requirePermission("inventory:write"), async (req, res) => {
+  try {
+    const { orderId, restock } = req.body;
+    if (!isOrderId(orderId)) {
+      return res
+        .status(400)
+        .json({ success: false, error: "orderId is required" });
+    }
+
+    await releaseReservation(orderId, { restock: restock === true });
+
+    res.json({ success: true, message: "Inventory released" });
+  } catch (error) {
+    console.error("Error releasing inventory:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Outbox events still pending after `olderThanSeconds` (default 60)
+app.get("/api/inventory/admin/outbox", requirePermission("inventory:admin"), async (req, res) => {
+  try {
+    const olderThanSeconds = parseInt(req.query.olderThanSeconds, 10) || 60;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const events = await outbox.listStuck(
+      new Date(Date.now() - olderThanSeconds * 1000),
+      limit
+    );
+
+    res.json({ success: true, events });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Inspect, replay or purge dead-lettered payment.processed messages
+registerDeadLetterRoutes(app, "/api/inventory/admin/dlq", {
+  getChannel: () => channel,
+  queues: { "payment.processed": subscriptionQueueName(SERVICE_NAME, "payment.processed") },
+  guard: requirePermission("inventory:admin"),
+});
+
 app.get("/api/inventory/:productId", async (req, res) => {
   try {
     const inventory = await Inventory.findOne({
@@ -248,22 +271,46 @@ app.get("/api/inventory/:productId", async (req, res) => {
 
 app.get("/api/inventory", async (req, res) => {
   try {
-    const inventory = await Inventory.find();
+    // Optional ?productIds=a,b,c filter, used by order-service for pricing
+    const filter = req.query.productIds
+      ? { productId: { $in: String(req.query.productIds).split(",") } }
+      : {};
+
+    const inventory = await Inventory.find(filter);
     res.json({ success: true, inventory });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post("/api/inventory", async (req, res) => {
+app.post("/api/inventory", requirePermission("inventory:write"), async (req, res) => {
   try {
-    const { productId, productName, quantity, price } = req.body;
+    const {
+      productId,
+      productName,
+      quantity,
+      price,
+      currency = config.defaultCurrency,
+    } = req.body;
+
+    if (!isCurrency(currency)) {
+      return res
+        .status(400)
+        .json({ success: false, error: `Unsupported currency "${currency}"` });
+    }
+    if (!isMinorAmount(price)) {
+      return res.status(400).json({
+        success: false,
+        error: "price must be an integer amount of minor units (e.g. cents)",
+      });
+    }
 
     const inventory = new Inventory({
       productId,
       productName,
       quantity,
       price,
+      currency,
     });
 
     await inventory.save();
@@ -300,13 +347,38 @@ setInterval(async () => {
   }
 }, 5 * 60 * 1000);
 
+// Products saved before currencies existed hold a decimal price in the
+// default currency; convert them to minor units once
+async function backfillMinorUnitPrices() {
+  const legacy = await Inventory.find({ currency: { $exists: false } }).lean();
+
+  for (const product of legacy) {
+    await Inventory.updateOne(
+      { _id: product._id, currency: { $exists: false } },
+      {
+        $set: {
+          price: toMinor(product.price, config.defaultCurrency),
+          currency: config.defaultCurrency,
+        },
+      }
+    );
+  }
+
+  if (legacy.length > 0) {
+    console.log(`💱 Converted ${legacy.length} product prices to minor units`);
+  }
+}
+
 // Start server
 async function start() {
   try {
     await mongoose.connect(config.mongoUrl);
     console.log("✅ Connected to MongoDB");
 
+    await backfillMinorUnitPrices();
+
     await connectRabbitMQ();
+    relay.start();
 
     app.listen(config.port, () => {
       console.log(`🚀 Inventory Service running on port ${config.port}`);
@@ -0,0 +1,33 @@
+// services/inventory-service/src/models/inventory.js
+const mongoose = require("mongoose");
+const config = require("../config");
+const { isMinorAmount } = require("../../../shared/money");
+
+// Stock levels per product
+const inventorySchema = new mongoose.Schema({
+  productId: { type: String, required: true, unique: true },
+  productName: { type: String, required: true },
+  quantity: { type: Number, required: true, default: 0 },
+  reserved: { type: Number, default: 0 },
+  available: { type: Number, default: 0 },
+  // Unit price in minor units of `currency` (e.g. cents)
+  price: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: isMinorAmount,
+      message: "price must be an integer amount of minor units",
+    },
+  },
+  currency: { type: String, required: true, default: config.defaultCurrency },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Derived field: available = quantity - reserved. Documents saved whole get
+// it recomputed here; stock changes go through adjustStock/reserveStock,
+// which $inc it together with quantity/reserved in the same update.
+inventorySchema.pre("save", function () {
+  this.available = this.quantity - this.reserved;
+});
+
+module.exports = mongoose.model("Inventory", inventorySchema);
@@ -0,0 +1,21 @@
+// services/inventory-service/src/models/reservation.js
+const mongoose = require("mongoose");
+
+// Stock held for an order until it is confirmed, released or expires
+const reservationSchema = new mongoose.Schema({
+  orderId: { type: String, required: true },
+  productId: { type: String, required: true },
+  quantity: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: ["reserved", "confirmed", "released"],
+    default: "reserved",
+  },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date },
+});
+
+// At most one reservation per product per order, even under concurrent retries
+reservationSchema.index({ orderId: 1, productId: 1 }, { unique: true });
+
+module.exports = mongoose.model("Reservation", reservationSchema);
@@ -0,0 +1,8 @@
+// services/inventory-service/src/outbox.js
+const mongoose = require("mongoose");
+const { createMongoOutboxStore } = require("../../shared/outbox");
+
+// Events are written here in the same transaction as the stock change
+const outbox = createMongoOutboxStore(mongoose);
+
+module.exports = { outbox };
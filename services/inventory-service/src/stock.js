@@ -0,0 +1,225 @@
+// services/inventory-service/src/stock.js
+const mongoose = require("mongoose");
+const Inventory = require("./models/inventory");
+const Reservation = require("./models/reservation");
+const { outbox } = require("./outbox");
+
+// How long reserved stock is held for an order awaiting payment
+const RESERVATION_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Applies stock deltas in one atomic update, moving `available` by the same
+ * amount so it never drifts from quantity - reserved.
+ */
+function adjustStock(productId, { quantity = 0, reserved = 0 }, session) {
+  return Inventory.updateOne(
+    { productId },
+    {
+      $inc: { quantity, reserved, available: quantity - reserved },
+      $set: { updatedAt: new Date() },
+    },
+    { session }
+  );
+}
+
+class InsufficientStockError extends Error {
+  constructor(items) {
+    super("Insufficient inventory");
+    this.name = "InsufficientStockError";
+    this.items = items;
+  }
+}
+
+/**
+ * Reserves every item for the order or none of them. Each item is a
+ * conditional $inc that only applies while enough stock is free; any miss
+ * aborts the transaction, rolling back the items already reserved.
+ * Concurrent reservations of the same product hit a write conflict and are
+ * retried by the driver against the fresh stock level.
+ */
+async function reserveStock(orderId, items) {
+  return mongoose.connection.transaction(async (session) => {
+    // Reserving is idempotent per order so the order saga can safely retry
+    const existing = await Reservation.find({
+      orderId,
+      status: { $in: ["reserved", "confirmed"] },
+    }).session(session);
+
+    if (existing.length > 0) {
+      return { reservations: existing, alreadyReserved: true };
+    }
+
+    const insufficientItems = [];
+
+    for (const item of items) {
+      const result = await Inventory.updateOne(
+        {
+          productId: item.productId,
+          $expr: {
+            $gte: [{ $subtract: ["$quantity", "$reserved"] }, item.quantity],
+          },
+        },
+        {
+          $inc: { reserved: item.quantity, available: -item.quantity },
+          $set: { updatedAt: new Date() },
+        },
+        { session }
+      );
+
+      if (result.modifiedCount === 0) {
+        const inventory = await Inventory.findOne({
+          productId: item.productId,
+        }).session(session);
+
+        insufficientItems.push({
+          productId: item.productId,
+          requested: item.quantity,
+          available: inventory ? inventory.quantity - inventory.reserved : 0,
+        });
+      }
+    }
+
+    if (insufficientItems.length > 0) {
+      throw new InsufficientStockError(insufficientItems);
+    }
+
+    const expiresAt = new Date(Date.now() + RESERVATION_TTL_MS);
+    const reservations = await Reservation.insertMany(
+      items.map((item) => ({
+        orderId,
+        productId: item.productId,
+        quantity: item.quantity,
+        expiresAt,
+      })),
+      { session }
+    );
+
+    return { reservations, alreadyReserved: false };
+  });
+}
+
+// Merges repeated products; returns null if any item is invalid
+function normalizeItems(items) {
+  if (!Array.isArray(items) || items.length === 0) return null;
+
+  const quantities = new Map();
+  for (const item of items) {
+    if (!item?.productId || !Number.isInteger(item.quantity) || item.quantity <= 0) {
+      return null;
+    }
+    quantities.set(
+      item.productId,
+      (quantities.get(item.productId) || 0) + item.quantity
+    );
+  }
+
+  return [...quantities].map(([productId, quantity]) => ({
+    productId,
+    quantity,
+  }));
+}
+
+// Atomically moves a reservation out of its current status so that concurrent
+// confirm/release calls (saga, payment events, expiry job) apply it only once.
+function claimReservation(reservation, status, session) {
+  return Reservation.findOneAndUpdate(
+    { _id: reservation._id, status: reservation.status },
+    { status },
+    { returnDocument: "after", session }
+  );
+}
+
+/**
+ * Deducts reserved stock for an order and queues inventory.updated, all in
+ * one transaction. Idempotent: returns "confirmed" when every reservation is
+ * confirmed, "released" if any was released or expired first, and
+ * "not_found" when the order has no reservations.
+ */
+async function confirmReservation(orderId) {
+  return mongoose.connection.transaction(async (session) => {
+    const reservations = await Reservation.find({ orderId }).session(session);
+    if (reservations.length === 0) return "not_found";
+    if (reservations.some((r) => r.status === "released")) return "released";
+
+    let confirmed = 0;
+    for (const reservation of reservations) {
+      const claimed = await claimReservation(reservation, "confirmed", session);
+      if (!claimed) continue;
+
+      await adjustStock(
+        reservation.productId,
+        { quantity: -reservation.quantity, reserved: -reservation.quantity },
+        session
+      );
+
+      console.log(
+        `✅ Inventory updated: ${reservation.productId} - ${reservation.quantity} units`
+      );
+      confirmed++;
+    }
+
+    // Only the call that did the work announces it
+    if (confirmed > 0) {
+      await outbox.add(
+        "inventory.updated",
+        { orderId, status: "reserved", timestamp: new Date().toISOString() },
+        session
+      );
+    }
+
+    return "confirmed";
+  });
+}
+
+/**
+ * Releases an order's held stock. With `restock`, reservations that were
+ * already confirmed (stock deducted) are put back too, as for a cancelled
+ * order; the expiry job never restocks.
+ */
+async function releaseReservation(orderId, { restock = false } = {}) {
+  await mongoose.connection.transaction(async (session) => {
+    const reservations = await Reservation.find({
+      orderId,
+      status: { $in: restock ? ["reserved", "confirmed"] : ["reserved"] },
+    }).session(session);
+
+    let restocked = 0;
+    for (const reservation of reservations) {
+      const claimed = await claimReservation(reservation, "released", session);
+      if (!claimed) continue;
+
+      if (reservation.status === "confirmed") {
+        await adjustStock(
+          reservation.productId,
+          { quantity: reservation.quantity },
+          session
+        );
+        restocked++;
+      } else {
+        await adjustStock(
+          reservation.productId,
+          { reserved: -reservation.quantity },
+          session
+        );
+      }
+    }
+
+    if (restocked > 0) {
+      await outbox.add(
+        "inventory.updated",
+        { orderId, status: "restocked", timestamp: new Date().toISOString() },
+        session
+      );
+    }
+  });
+
+  console.log(`🔓 Released inventory for order ${orderId}`);
+}
+
+module.exports = {
+  InsufficientStockError,
+  reserveStock,
+  normalizeItems,
+  confirmReservation,
+  releaseReservation,
+};
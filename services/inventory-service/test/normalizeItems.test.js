@@ -0,0 +1,26 @@
+// services/inventory-service/test/normalizeItems.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.SERVICE_SECRET = "test-service-secret-at-least-32-chars";
+
+const { normalizeItems } = require("../src/stock");
+
+test("normalizeItems merges repeated products and rejects bad quantities", () => {
+  assert.deepEqual(
+    normalizeItems([
+      { productId: "A", quantity: 1 },
+      { productId: "B", quantity: 2 },
+      { productId: "A", quantity: 3 },
+    ]),
+    [
+      { productId: "A", quantity: 4 },
+      { productId: "B", quantity: 2 },
+    ]
+  );
+
+  assert.equal(normalizeItems([]), null);
+  assert.equal(normalizeItems([{ productId: "A", quantity: 0 }]), null);
+  assert.equal(normalizeItems([{ productId: "A", quantity: 1.5 }]), null);
+  assert.equal(normalizeItems([{ quantity: 1 }]), null);
+});
@@ -0,0 +1,144 @@
+// services/inventory-service/test/stock.test.js
+//
+// Runs the stock operations against a throwaway single-node replica set
+// (transactions need one), started by mongodb-memory-server.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+
+process.env.SERVICE_SECRET = "test-service-secret-at-least-32-chars";
+
+const mongoose = require("mongoose");
+const Inventory = require("../src/models/inventory");
+const Reservation = require("../src/models/reservation");
+const {
+  InsufficientStockError,
+  reserveStock,
+  confirmReservation,
+  releaseReservation,
+} = require("../src/stock");
+
+let replSet;
+
+test.before(async () => {
+  replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: "wiredTiger" },
+  });
+  await mongoose.connect(replSet.getUri());
+
+  // Collections and unique indexes must exist before the first transaction
+  for (const model of Object.values(mongoose.models)) {
+    await model.init();
+  }
+});
+
+test.after(async () => {
+  await mongoose.disconnect();
+  await replSet?.stop();
+});
+
+test.beforeEach(async (t) => {
+  t.mock.method(console, "log", () => {});
+  for (const model of Object.values(mongoose.models)) {
+    await model.deleteMany({});
+  }
+});
+
+async function addProduct(productId, quantity) {
+  await new Inventory({ productId, productName: productId, quantity, price: 1000 }).save();
+}
+
+async function stockOf(productId) {
+  const { quantity, reserved, available } = await Inventory.findOne({ productId }).lean();
+  assert.equal(available, quantity - reserved, `${productId} available drifted`);
+  return { quantity, reserved, available };
+}
+
+test("parallel reservations of the last unit: exactly one wins", async () => {
+  await addProduct("LAST-1", 1);
+
+  const results = await Promise.allSettled(
+    Array.from({ length: 20 }, (_, i) =>
+      reserveStock(`ORD-${i}`, [{ productId: "LAST-1", quantity: 1 }])
+    )
+  );
+
+  const won = results.filter((result) => result.status === "fulfilled");
+  const lost = results.filter((result) => result.status === "rejected");
+  assert.equal(won.length, 1);
+  for (const { reason } of lost) {
+    assert.ok(reason instanceof InsufficientStockError, reason.message);
+  }
+
+  assert.deepEqual(await stockOf("LAST-1"), { quantity: 1, reserved: 1, available: 0 });
+  assert.equal(await Reservation.countDocuments(), 1);
+});
+
+test("a reservation takes every item or none", async () => {
+  await addProduct("A", 5);
+  await addProduct("B", 1);
+
+  await assert.rejects(
+    reserveStock("ORD-1", [
+      { productId: "A", quantity: 2 },
+      { productId: "B", quantity: 2 },
+    ]),
+    (error) => {
+      assert.deepEqual(error.items, [{ productId: "B", requested: 2, available: 1 }]);
+      return true;
+    }
+  );
+
+  assert.equal((await stockOf("A")).reserved, 0);
+  assert.equal(await Reservation.countDocuments(), 0);
+});
+
+test("reserving again for the same order is a no-op", async () => {
+  await addProduct("A", 5);
+
+  await reserveStock("ORD-1", [{ productId: "A", quantity: 2 }]);
+  const again = await reserveStock("ORD-1", [{ productId: "A", quantity: 2 }]);
+
+  assert.equal(again.alreadyReserved, true);
+  assert.equal((await stockOf("A")).reserved, 2);
+});
+
+test("confirming deducts the stock once", async () => {
+  await addProduct("A", 5);
+  await reserveStock("ORD-1", [{ productId: "A", quantity: 2 }]);
+
+  assert.equal(await confirmReservation("ORD-1"), "confirmed");
+  assert.equal(await confirmReservation("ORD-1"), "confirmed");
+
+  assert.deepEqual(await stockOf("A"), { quantity: 3, reserved: 0, available: 3 });
+  assert.equal(await confirmReservation("ORD-UNKNOWN"), "not_found");
+});
+
+test("releasing frees held stock; confirmed stock only comes back with restock", async () => {
+  await addProduct("A", 5);
+  await reserveStock("ORD-1", [{ productId: "A", quantity: 2 }]);
+  await reserveStock("ORD-2", [{ productId: "A", quantity: 1 }]);
+
+  await releaseReservation("ORD-1");
+  assert.deepEqual(await stockOf("A"), { quantity: 5, reserved: 1, available: 4 });
+  assert.equal(await confirmReservation("ORD-1"), "released");
+
+  await confirmReservation("ORD-2");
+  await releaseReservation("ORD-2");
+  assert.deepEqual(await stockOf("A"), { quantity: 4, reserved: 0, available: 4 });
+
+  await releaseReservation("ORD-2", { restock: true });
+  assert.deepEqual(await stockOf("A"), { quantity: 5, reserved: 0, available: 5 });
+});
+
+test("a confirm racing a release applies only one of them", async () => {
+  await addProduct("A", 5);
+  await reserveStock("ORD-1", [{ productId: "A", quantity: 2 }]);
+
+  await Promise.all([confirmReservation("ORD-1"), releaseReservation("ORD-1")]);
+
+  const stock = await stockOf("A");
+  const [reservation] = await Reservation.find({ orderId: "ORD-1" }).lean();
+  assert.equal(stock.reserved, 0);
+  assert.equal(stock.quantity, reservation.status === "confirmed" ? 3 : 5);
+});
@@ -0,0 +1,91 @@
+// services/order-service/src/addresses.js
+const config = require("./config");
+const { users } = require("./clients");
+
+class AddressError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "AddressError";
+    this.status = status;
+  }
+}
+
+const SNAPSHOT_FIELDS = [
+  "addressId",
+  "recipientName",
+  "line1",
+  "line2",
+  "city",
+  "region",
+  "postalCode",
+  "country",
+  "phone",
+];
+
+function toSnapshot(address) {
+  return Object.fromEntries(
+    SNAPSHOT_FIELDS.filter((field) => address[field] != null).map((field) => [
+      field,
+      address[field],
+    ])
+  );
+}
+
+/**
+ * Copies the chosen shipping and billing addresses from the user's address
+ * book, falling back to the book's defaults; billing falls back to the
+ * shipping address. Returns { shippingAddress, billingAddress }, either of
+ * which may be undefined when the book has nothing to offer.
+ *
+ * Without chosen ids the defaults are only looked up when a shipping
+ * address is required, so such orders do not depend on user-service.
+ *
+ * Callers must already be allowed to order for `userId`: the book is read
+ * with a service token scoped to that user, not with the caller's token.
+ */
+async function snapshotAddresses(userId, { shippingAddressId, billingAddressId }) {
+  for (const id of [shippingAddressId, billingAddressId]) {
+    if (id !== undefined && (typeof id !== "string" || !id)) {
+      throw new AddressError("Address ids must be non-empty strings", 400);
+    }
+  }
+
+  if (!shippingAddressId && !billingAddressId && !config.requireShippingAddress) {
+    return {};
+  }
+
+  let response;
+  try {
+    response = await users.listAddresses(userId);
+  } catch (error) {
+    throw new AddressError(`User service unavailable: ${error.message}`, 503);
+  }
+
+  if (response.status !== 200) {
+    throw new AddressError(
+      `User service returned ${response.status} for addresses`,
+      502
+    );
+  }
+
+  const addresses = response.data.addresses || [];
+  const pick = (id, defaultFlag, kind) => {
+    if (!id) return addresses.find((address) => address[defaultFlag]);
+
+    const address = addresses.find((entry) => entry.addressId === id);
+    if (!address) {
+      throw new AddressError(`Unknown ${kind} address ${id}`, 400);
+    }
+    return address;
+  };
+
+  const shipping = pick(shippingAddressId, "isDefaultShipping", "shipping");
+  const billing = pick(billingAddressId, "isDefaultBilling", "billing") || shipping;
+
+  return {
+    shippingAddress: shipping && toSnapshot(shipping),
+    billingAddress: billing && toSnapshot(billing),
+  };
+}
+
+module.exports = { snapshotAddresses, AddressError };
@@ -0,0 +1,92 @@
+// services/order-service/src/clients.js
+const config = require("./config");
+const { serviceAuthHeaders } = require("../../shared/serviceAuth");
+
+/**
+ * Calls another service's REST API as order-service, on its own behalf or,
+ * given `user` ({ userId }), on that user's. Resolves with { status, data }
+ * for any HTTP response and rejects only on network errors and timeouts, so
+ * callers can tell "the service said no" apart from "the service is
+ * unreachable".
+ */
+async function request(baseUrl, method, path, body, user) {
+  const response = await fetch(new URL(path, baseUrl), {
+    method,
+    headers: {
+      ...serviceAuthHeaders(config.serviceSecret, "order-service", user),
+      ...(body && { "content-type": "application/json" }),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(config.serviceTimeoutMs),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  return { status: response.status, data };
+}
+
+const inventory = {
+  findProducts: (productIds) =>
+    request(
+      config.inventoryServiceUrl,
+      "GET",
+      `/api/inventory?productIds=${productIds.map(encodeURIComponent).join(",")}`
+    ),
+  reserve: (orderId, items) =>
+    request(config.inventoryServiceUrl, "POST", "/api/inventory/reserve", {
+      orderId,
+      items,
+    }),
+  confirm: (orderId) =>
+    request(config.inventoryServiceUrl, "POST", "/api/inventory/confirm", {
+      orderId,
+    }),
+  // Also restocks confirmed reservations, so a cancelled order gives back
+  // stock it already took
+  release: (orderId) =>
+    request(config.inventoryServiceUrl, "POST", "/api/inventory/release", {
+      orderId,
+      restock: true,
+    }),
+};
+
+const payments = {
+  findByOrder: (orderId) =>
+    request(
+      config.paymentServiceUrl,
+      "GET",
+      `/api/payments/order/${encodeURIComponent(orderId)}`
+    ),
+  capture: (paymentId) =>
+    request(
+      config.paymentServiceUrl,
+      "POST",
+      `/api/payments/${encodeURIComponent(paymentId)}/capture`
+    ),
+  void: (paymentId) =>
+    request(
+      config.paymentServiceUrl,
+      "POST",
+      `/api/payments/${encodeURIComponent(paymentId)}/void`
+    ),
+  refund: (paymentId) =>
+    request(
+      config.paymentServiceUrl,
+      "POST",
+      `/api/payments/${encodeURIComponent(paymentId)}/refund`
+    ),
+};
+
+// user-service only lets a service read the book of the user it acts for,
+// so the token is scoped to the order's user rather than the caller
+const users = {
+  listAddresses: (userId) =>
+    request(
+      config.userServiceUrl,
+      "GET",
+      `/api/users/${encodeURIComponent(userId)}/addresses`,
+      undefined,
+      { userId }
+    ),
+};
+
+module.exports = { inventory, payments, users };
@@ -0,0 +1,41 @@
+// services/order-service/src/config.js
+const { serviceSecretFromEnv } = require("../../shared/serviceAuth");
+
+const config = {
+  port: process.env.PORT || 3001,
+  mongoUrl: process.env.MONGO_URL || "mongodb://localhost:27017/orders",
+  rabbitmqUrl: process.env.RABBITMQ_URL || "amqp://localhost:5672",
+  inventoryServiceUrl:
+    process.env.INVENTORY_SERVICE_URL || "http://localhost:3003",
+  paymentServiceUrl: process.env.PAYMENT_SERVICE_URL || "http://localhost:3002",
+  userServiceUrl: process.env.USER_SERVICE_URL || "http://localhost:3004",
+  serviceTimeoutMs: parseInt(process.env.SERVICE_TIMEOUT_MS, 10) || 5000,
+  // Refuse orders from customers who have not verified their email address
+  requireVerifiedEmail: process.env.REQUIRE_VERIFIED_EMAIL === "true",
+  // Refuse orders that end up without a shipping address
+  requireShippingAddress: process.env.REQUIRE_SHIPPING_ADDRESS === "true",
+  // Signs our calls to other services and checks the ones made to us
+  serviceSecret: serviceSecretFromEnv(),
+  // Verify bearer tokens against user-service's published keys (optional)
+  jwks: {
+    url: process.env.JWKS_URL,
+    issuer: process.env.JWT_ISSUER || "user-service",
+    audience: process.env.JWT_AUDIENCE || "ecommerce-api",
+  },
+  // How long a request holds its Idempotency-Key before a retry may take
+  // it over (well past the slowest order creation)
+  idempotencyLeaseMs: parseInt(process.env.IDEMPOTENCY_LEASE_MS, 10) || 60000,
+  // Currency assumed for orders saved with decimal amounts and no currency
+  defaultCurrency: process.env.DEFAULT_CURRENCY || "USD",
+  saga: {
+    pollIntervalMs: parseInt(process.env.SAGA_POLL_INTERVAL_MS, 10) || 5000,
+    retryBaseMs: parseInt(process.env.SAGA_RETRY_BASE_MS, 10) || 2000,
+    retryMaxMs: parseInt(process.env.SAGA_RETRY_MAX_MS, 10) || 60000,
+    // Reserving stock gives up (and compensates) after this many attempts.
+    // Confirmation retries until the reservation expires; compensating
+    // steps retry until they succeed.
+    maxStepAttempts: parseInt(process.env.SAGA_MAX_STEP_ATTEMPTS, 10) || 5,
+  },
+};
+
+module.exports = config;
@@ -0,0 +1,128 @@
+// services/order-service/src/idempotency.js
+const crypto = require("crypto");
+const config = require("./config");
+const IdempotencyKey = require("./models/idempotencyKey");
+
+// JSON with sorted keys, so {a,b} and {b,a} hash the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashRequest(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.originalUrl} ${canonicalJson(req.body ?? null)}`)
+    .digest("hex");
+}
+
+/**
+ * Express middleware honouring the Idempotency-Key header.
+ *
+ * The first request with a key runs normally and its response is stored.
+ * Repeats with the same body replay that response; a repeat with a
+ * different body gets 422, and one arriving while the first is still
+ * running gets 409. A request holds the key for config.idempotencyLeaseMs;
+ * once that runs out without a response (the process died) the next repeat
+ * runs in its place. Requests without the header are not affected.
+ */
+async function idempotent(req, res, next) {
+  const key = req.headers["idempotency-key"];
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Idempotency-Key is too long" });
+  }
+
+  const scope = req.headers["x-user-id"] || "internal";
+  const requestHash = hashRequest(req);
+  const lockedUntil = new Date(Date.now() + config.idempotencyLeaseMs);
+
+  try {
+    await IdempotencyKey.create({ key, scope, requestHash, lockedUntil });
+  } catch (error) {
+    if (error.code !== 11000) return next(error);
+
+    const existing = await IdempotencyKey.findOne({ key, scope });
+
+    if (!existing) {
+      return res.status(409).json({
+        success: false,
+        error: "Idempotency-Key is being released, retry the request",
+      });
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        error: "Idempotency-Key was already used with a different request",
+      });
+    }
+
+    if (existing.status === "in_progress") {
+      // Keys from before leases have no lockedUntil and count as expired
+      const takenOver = await IdempotencyKey.findOneAndUpdate(
+        {
+          key,
+          scope,
+          status: "in_progress",
+          lockedUntil: { $not: { $gt: new Date() } },
+        },
+        { lockedUntil },
+        { returnDocument: "after" }
+      );
+
+      if (!takenOver) {
+        return res.status(409).json({
+          success: false,
+          error: "A request with this Idempotency-Key is still in progress",
+        });
+      }
+
+      console.warn(`♻️ Idempotency-Key ${key} lease expired, running the request again`);
+    } else {
+      res.set("Idempotent-Replayed", "true");
+      return res
+        .status(existing.response.statusCode)
+        .json(existing.response.body);
+    }
+  }
+
+  // Capture the response so it can be replayed. The lease is part of the
+  // filter: a request that lost its key to a retry records nothing.
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const held = { key, scope, status: "in_progress", lockedUntil };
+    const record =
+      res.statusCode >= 500
+        ? // Server errors are not final; let the client retry with the same key
+          IdempotencyKey.deleteOne(held)
+        : IdempotencyKey.updateOne(
+            held,
+            {
+              status: "completed",
+              response: { statusCode: res.statusCode, body },
+            }
+          );
+
+    record.catch((error) =>
+      console.error(`Error storing idempotency key ${key}:`, error)
+    );
+
+    return json(body);
+  };
+
+  next();
+}
+
+module.exports = { idempotent };
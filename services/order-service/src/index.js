@@ -1,149 +1,217 @@
 // services/order-service/src/index.js
+const crypto = require("crypto");
 const express = require("express");
 const mongoose = require("mongoose");
-const amqp = require("amqplib");
+const config = require("./config");
+const Order = require("./models/order");
+const OrderSaga = require("./models/orderSaga");
+const { priceOrder, PricingError } = require("./pricing");
+const { snapshotAddresses, AddressError } = require("./addresses");
+const { idempotent } = require("./idempotency");
+const { outbox, relay } = require("./outbox");
+const { backfillMinorUnits } = require("./legacyAmounts");
+const { connectRabbitMQ, getChannel, queueFor } = require("./messaging");
+const { registerDeadLetterRoutes } = require("../../shared/deadLetters");
+const { createJwksVerifier } = require("../../shared/jwks");
+const { authenticateCaller } = require("../../shared/serviceAuth");
+const { hasPermission, parsePermissionsHeader } = require("../../shared/permissions");
+const { setOrderStatus } = require("./orderStatus");
+const {
+  startSaga,
+  cancelOrder,
+  OrderNotCancellableError,
+  handlePaymentOutcome,
+  startSagaWorker,
+} = require("./saga");
 
 const app = express();
 app.use(express.json());
 
-// Configuration
-const config = {
-  port: process.env.PORT || 3001,
-  mongoUrl: process.env.MONGO_URL || "mongodb://localhost:27017/orders",
-  rabbitmqUrl: process.env.RABBITMQ_URL || "amqp://localhost:5672",
-};
+// Every call comes from the gateway or another service (X-Service-Token)
+// or, when JWKS_URL is set, carries a user's bearer token
+app.use(
+  authenticateCaller({
+    secret: config.serviceSecret,
+    verifier:
+      config.jwks.url &&
+      createJwksVerifier({
+        jwksUrl: config.jwks.url,
+        issuer: config.jwks.issuer,
+        audience: config.jwks.audience,
+      }),
+    isPublic: (req) => req.method === "GET" && req.path === "/health",
+  })
+);
 
-// MongoDB Schema
-const orderSchema = new mongoose.Schema({
-  orderId: { type: String, required: true, unique: true },
-  userId: { type: String, required: true },
-  items: [
-    {
-      productId: String,
-      quantity: Number,
-      price: Number,
-    },
-  ],
-  totalAmount: { type: Number, required: true },
-  status: {
-    type: String,
-    enum: ["pending", "payment_processing", "confirmed", "failed", "cancelled"],
-    default: "pending",
-  },
-  paymentId: String,
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now },
-});
+// Event Handlers
+async function handleInventoryUpdated(payload) {
+  const { orderId, status } = payload;
 
-const Order = mongoose.model("Order", orderSchema);
+  // The saga drives order status from the inventory API responses; these
+  // events are informational only.
+  if (status === "reserved") {
+    console.log(`✅ Inventory reserved for order ${orderId}`);
+  } else if (status === "insufficient") {
+    console.log(`❌ Insufficient inventory for order ${orderId}`);
+  } else if (status === "restocked") {
+    console.log(`↩️ Inventory restocked for order ${orderId}`);
+  }
+}
 
-// RabbitMQ Connection
-let channel;
+// Payment-service gave up retrying; fail the order
+function handlePaymentFailedPermanently(payload) {
+  const { orderId, paymentId, attempts, failureReason } = payload;
 
-async function connectRabbitMQ() {
-  try {
-    const connection = await amqp.connect(config.rabbitmqUrl);
-    channel = await connection.createChannel();
-
-    await channel.assertQueue("order.created", { durable: true });
-    await channel.assertQueue("payment.processed", { durable: true });
-    await channel.assertQueue("inventory.updated", { durable: true });
-
-    // Listen for payment updates
-    channel.consume("payment.processed", async (msg) => {
-      if (msg) {
-        const payload = JSON.parse(msg.content.toString());
-        await handlePaymentProcessed(payload);
-        channel.ack(msg);
-      }
-    });
+  return handlePaymentOutcome({
+    orderId,
+    status: "failed",
+    paymentId,
+    reason: `Payment failed after ${attempts} attempt(s)${failureReason ? `: ${failureReason}` : ""}`,
+  });
+}
 
-    // Listen for inventory updates
-    channel.consume("inventory.updated", async (msg) => {
-      if (msg) {
-        const payload = JSON.parse(msg.content.toString());
-        await handleInventoryUpdated(payload);
-        channel.ack(msg);
-      }
-    });
+// Records a refund on the order once per refundId. A confirmed order that
+// is refunded in full becomes "refunded"; other statuses are left alone.
+async function handlePaymentRefunded(payload) {
+  const { orderId, paymentId, refundId, amount, currency, fullyRefunded } = payload;
 
-    console.log("✅ Connected to RabbitMQ");
-  } catch (error) {
-    console.error("❌ RabbitMQ connection error:", error);
-    setTimeout(connectRabbitMQ, 5000);
-  }
-}
+  const order = await Order.findOneAndUpdate(
+    { orderId, "refunds.refundId": { $ne: refundId } },
+    {
+      $push: { refunds: { refundId, paymentId, amount, at: payload.timestamp } },
+      $inc: { refundedAmount: amount },
+      $set: { updatedAt: new Date() },
+    },
+    { returnDocument: "after" }
+  );
 
-// Event Handlers
-async function handlePaymentProcessed(payload) {
-  const { orderId, status, paymentId } = payload;
+  if (!order) {
+    console.log(`ℹ️ Refund ${refundId} for order ${orderId} already recorded or order missing`);
+    return;
+  }
 
-  const order = await Order.findOne({ orderId });
-  if (!order) return;
+  console.log(`↩️ Order ${orderId} refunded ${amount} ${currency || order.currency} minor units (${refundId})`);
 
-  if (status === "success") {
-    order.status = "confirmed";
-    order.paymentId = paymentId;
-  } else {
-    order.status = "failed";
+  if (fullyRefunded && order.status === "confirmed") {
+    await setOrderStatus(orderId, "refunded");
   }
+}
 
-  order.updatedAt = new Date();
-  await order.save();
+// Event -> handler for everything this service subscribes to
+const consumers = {
+  "payment.processed": handlePaymentOutcome,
+  "inventory.updated": handleInventoryUpdated,
+  "payment.refunded": handlePaymentRefunded,
+  "payment.failed_permanently": handlePaymentFailedPermanently,
+};
 
-  console.log(`📦 Order ${orderId} status updated: ${order.status}`);
+// Caller identity
+// authenticateCaller sets x-user-id / x-user-role / x-user-permissions /
+// x-user-email-verified from a verified token only. Requests without them
+// are other services acting on their own behalf (req.internal).
+function getCaller(req) {
+  const userId = req.headers["x-user-id"];
+  if (!userId) return null;
+  return {
+    userId,
+    role: req.headers["x-user-role"],
+    permissions: parsePermissionsHeader(req.headers["x-user-permissions"]),
+    emailVerified: req.headers["x-user-email-verified"] === "true",
+  };
 }
 
-async function handleInventoryUpdated(payload) {
-  const { orderId, status } = payload;
+function callerCan(req, permission) {
+  const caller = getCaller(req);
+  return caller ? hasPermission(caller.permissions, permission) : req.internal;
+}
 
-  const order = await Order.findOne({ orderId });
-  if (!order) return;
+// Owners always; other callers need `permission`
+function canAccess(req, ownerId, permission = "orders:read:any") {
+  return getCaller(req)?.userId === ownerId || callerCan(req, permission);
+}
 
-  if (status === "reserved") {
-    console.log(`✅ Inventory reserved for order ${orderId}`);
-  } else if (status === "insufficient") {
-    order.status = "cancelled";
-    order.updatedAt = new Date();
-    await order.save();
-    console.log(`❌ Order ${orderId} cancelled - insufficient inventory`);
-  }
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!callerCan(req, permission)) {
+      return res.status(403).json({ success: false, error: "Forbidden" });
+    }
+    next();
+  };
 }
 
 // REST API Endpoints
-app.post("/api/orders", async (req, res) => {
+app.post("/api/orders", idempotent, async (req, res) => {
   try {
-    const { userId, items } = req.body;
+    const { items, paymentMethod, currency, shippingAddressId, billingAddressId } =
+      req.body;
+
+    if (
+      paymentMethod !== undefined &&
+      (typeof paymentMethod !== "string" || !paymentMethod || paymentMethod.length > 50)
+    ) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Invalid paymentMethod" });
+    }
 
-    // Calculate total
-    const totalAmount = items.reduce(
-      (sum, item) => sum + item.price * item.quantity,
-      0
-    );
+    // Customers always order for themselves; staff with orders:write:any
+    // may order on behalf of a user
+    const caller = getCaller(req);
+    const onBehalf = caller && callerCan(req, "orders:write:any");
+
+    if (
+      config.requireVerifiedEmail &&
+      caller &&
+      !onBehalf &&
+      !caller.emailVerified
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "Verify your email address before placing orders",
+      });
+    }
+
+    const userId =
+      caller && !onBehalf
+        ? caller.userId
+        : req.body.userId || caller?.userId;
+
+    if (!userId) {
+      return res.status(400).json({ success: false, error: "Missing userId" });
+    }
+
+    // Price from the inventory catalog, never from the request body
+    const pricing = await priceOrder(items, currency);
+
+    // Snapshot the addresses from the user's address book
+    const { shippingAddress, billingAddress } = await snapshotAddresses(userId, {
+      shippingAddressId,
+      billingAddressId,
+    });
+
+    if (config.requireShippingAddress && !shippingAddress) {
+      return res.status(400).json({
+        success: false,
+        error: "A shipping address is required; add one to your address book",
+      });
+    }
 
     // Create order
     const order = new Order({
-      orderId: `ORD-${Date.now()}`,
+      orderId: `ORD-${crypto.randomUUID()}`,
       userId,
-      items,
-      totalAmount,
+      items: pricing.lines,
+      currency: pricing.currency,
+      subtotal: pricing.subtotal,
+      totalAmount: pricing.totalAmount,
+      shippingAddress,
+      billingAddress,
+      paymentMethod,
       status: "pending",
     });
 
-    await order.save();
-
-    // Publish order.created event
-    const event = {
-      orderId: order.orderId,
-      userId: order.userId,
-      items: order.items,
-      totalAmount: order.totalAmount,
-      timestamp: new Date().toISOString(),
-    };
-
-    channel.sendToQueue("order.created", Buffer.from(JSON.stringify(event)), {
-      persistent: true,
-    });
+    // Save the order, then reserve stock, take payment and confirm the reservation
+    await startSaga(order);
 
     console.log(`📝 Order created: ${order.orderId}`);
 
@@ -152,15 +220,100 @@ app.post("/api/orders", async (req, res) => {
       order: {
         orderId: order.orderId,
         status: order.status,
+        currency: order.currency,
         totalAmount: order.totalAmount,
+        shippingAddress: order.shippingAddress,
+        billingAddress: order.billingAddress,
+        breakdown: {
+          lines: pricing.lines,
+          subtotal: pricing.subtotal,
+          total: pricing.totalAmount,
+        },
       },
     });
   } catch (error) {
+    if (error instanceof PricingError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...(error.items && { items: error.items }),
+      });
+    }
+    if (error instanceof AddressError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+
     console.error("Error creating order:", error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Outbox events still pending after `olderThanSeconds` (default 60)
+app.get("/api/orders/admin/outbox", requirePermission("orders:admin"), async (req, res) => {
+  try {
+    const olderThanSeconds = parseInt(req.query.olderThanSeconds, 10) || 60;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const events = await outbox.listStuck(
+      new Date(Date.now() - olderThanSeconds * 1000),
+      limit
+    );
+
+    res.json({ success: true, events });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Orders by status and creation time, or by id (comma-separated `orderIds`),
+// for payment reconciliation. Paged with `page` and `limit`.
+app.get("/api/orders/admin/orders", requirePermission("orders:admin"), async (req, res) => {
+  try {
+    const { status, from, to, orderIds } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (orderIds) filter.orderId = { $in: orderIds.split(",").slice(0, 100) };
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lt = new Date(to);
+      if (Object.values(filter.createdAt).some((date) => isNaN(date))) {
+        return res
+          .status(400)
+          .json({ success: false, error: "Invalid from/to date" });
+      }
+    }
+
+    const orders = await Order.find(filter)
+      .select("orderId userId status currency totalAmount refundedAmount paymentId createdAt updatedAt")
+      .sort({ createdAt: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .lean();
+
+    res.json({
+      success: true,
+      orders: orders.slice(0, limit),
+      page,
+      hasMore: orders.length > limit,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Inspect, replay or purge dead-lettered messages for our queues
+registerDeadLetterRoutes(app, "/api/orders/admin/dlq", {
+  getChannel,
+  queues: Object.fromEntries(
+    Object.keys(consumers).map((event) => [event, queueFor(event)])
+  ),
+  guard: requirePermission("orders:admin"),
+});
+
 app.get("/api/orders/:orderId", async (req, res) => {
   try {
     const order = await Order.findOne({ orderId: req.params.orderId });
@@ -169,14 +322,70 @@ app.get("/api/orders/:orderId", async (req, res) => {
       return res.status(404).json({ success: false, error: "Order not found" });
     }
 
+    if (!canAccess(req, order.userId)) {
+      return res.status(403).json({ success: false, error: "Forbidden" });
+    }
+
     res.json({ success: true, order });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+app.get("/api/orders/:orderId/saga", async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+
+    if (!order) {
+      return res.status(404).json({ success: false, error: "Order not found" });
+    }
+
+    if (!canAccess(req, order.userId)) {
+      return res.status(403).json({ success: false, error: "Forbidden" });
+    }
+
+    const saga = await OrderSaga.findOne({ orderId: order.orderId });
+    res.json({ success: true, saga });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cancel an order (owner or staff with orders:write:any). Stock is released
+// and the payment voided or refunded asynchronously by the saga.
+app.post("/api/orders/:orderId/cancel", async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+
+    if (!order) {
+      return res.status(404).json({ success: false, error: "Order not found" });
+    }
+
+    if (!canAccess(req, order.userId, "orders:write:any")) {
+      return res.status(403).json({ success: false, error: "Forbidden" });
+    }
+
+    const caller = getCaller(req);
+    const reason =
+      req.body?.reason || `Cancelled by ${caller ? caller.userId : "system"}`;
+    await cancelOrder(order.orderId, reason);
+
+    const updated = await Order.findOne({ orderId: order.orderId });
+    res.json({ success: true, order: updated });
+  } catch (error) {
+    if (error instanceof OrderNotCancellableError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.get("/api/orders/user/:userId", async (req, res) => {
   try {
+    if (!canAccess(req, req.params.userId)) {
+      return res.status(403).json({ success: false, error: "Forbidden" });
+    }
+
     const orders = await Order.find({ userId: req.params.userId }).sort({
       createdAt: -1,
     });
@@ -196,7 +405,11 @@ async function start() {
     await mongoose.connect(config.mongoUrl);
     console.log("✅ Connected to MongoDB");
 
-    await connectRabbitMQ();
+    await backfillMinorUnits();
+    await connectRabbitMQ(consumers);
+
+    await startSagaWorker();
+    relay.start();
 
     app.listen(config.port, () => {
       console.log(`🚀 Order Service running on port ${config.port}`);
@@ -207,4 +420,9 @@ async function start() {
   }
 }
 
-start();
+// Started directly; tests load the app without its connections
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app };
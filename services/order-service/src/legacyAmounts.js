@@ -0,0 +1,47 @@
+// services/order-service/src/legacyAmounts.js
+const config = require("./config");
+const Order = require("./models/order");
+const { toMinor } = require("../../shared/money");
+
+/**
+ * Orders saved before currencies existed hold decimal amounts. Converts
+ * them to minor units of the default currency, once per order. The oldest
+ * of them priced their lines with `price` (per unit) alone; that becomes
+ * unitPrice, and lineTotal is worked out from it.
+ */
+async function backfillMinorUnits() {
+  const currency = config.defaultCurrency;
+  const minor = (amount) => (amount == null ? amount : toMinor(amount, currency));
+
+  const legacy = await Order.find({ currency: { $exists: false } }).lean();
+
+  for (const order of legacy) {
+    await Order.updateOne(
+      { _id: order._id, currency: { $exists: false } },
+      {
+        $set: {
+          currency,
+          items: order.items.map(({ price, ...item }) => {
+            const unitPrice = minor(item.unitPrice ?? price);
+            const lineTotal =
+              item.lineTotal == null ? unitPrice * item.quantity : minor(item.lineTotal);
+            return { ...item, unitPrice, lineTotal };
+          }),
+          subtotal: minor(order.subtotal),
+          totalAmount: minor(order.totalAmount),
+          refundedAmount: minor(order.refundedAmount || 0),
+          refunds: (order.refunds || []).map((refund) => ({
+            ...refund,
+            amount: minor(refund.amount),
+          })),
+        },
+      }
+    );
+  }
+
+  if (legacy.length > 0) {
+    console.log(`💱 Converted ${legacy.length} orders to minor-unit amounts`);
+  }
+}
+
+module.exports = { backfillMinorUnits };
@@ -0,0 +1,52 @@
+// services/order-service/src/messaging.js
+const amqp = require("amqplib");
+const config = require("./config");
+const shared = require("../../shared/messaging");
+
+const SERVICE_NAME = "order-service";
+
+let channel;
+
+/**
+ * Connects to RabbitMQ and subscribes to each event in `handlers`
+ * (routing key -> async handler) on this service's own queue, with retries
+ * and a dead-letter queue (see shared/messaging.js and shared/consumer.js).
+ * Reconnects every 5s until it succeeds.
+ */
+async function connectRabbitMQ(handlers) {
+  try {
+    const connection = await amqp.connect(config.rabbitmqUrl);
+    // Confirm channel so publishers know when the broker has the message
+    channel = await connection.createConfirmChannel();
+
+    await shared.assertExchange(channel);
+
+    for (const [routingKey, handler] of Object.entries(handlers)) {
+      await shared.subscribe(channel, SERVICE_NAME, routingKey, handler);
+    }
+
+    console.log("✅ Connected to RabbitMQ");
+  } catch (error) {
+    console.error("❌ RabbitMQ connection error:", error);
+    setTimeout(() => connectRabbitMQ(handlers), 5000);
+  }
+}
+
+/**
+ * Publishes to the events exchange and resolves once it is confirmed.
+ * Domain events should go through the outbox instead (see outbox.js).
+ */
+function publish(routingKey, event, messageId) {
+  return shared.publish(channel, routingKey, event, messageId);
+}
+
+function getChannel() {
+  return channel;
+}
+
+// Our queue for each event we subscribe to
+function queueFor(routingKey) {
+  return shared.subscriptionQueueName(SERVICE_NAME, routingKey);
+}
+
+module.exports = { connectRabbitMQ, publish, getChannel, queueFor };
@@ -0,0 +1,27 @@
+// services/order-service/src/models/idempotencyKey.js
+const mongoose = require("mongoose");
+
+// Stored responses for requests sent with an Idempotency-Key header
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  // Keys are scoped per caller so two users can't collide
+  scope: { type: String, required: true },
+  requestHash: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ["in_progress", "completed"],
+    default: "in_progress",
+  },
+  // An in_progress key whose lease has run out belongs to a request that
+  // died mid-way; the next retry takes it over
+  lockedUntil: Date,
+  response: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 },
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,69 @@
+// services/order-service/src/models/order.js
+const mongoose = require("mongoose");
+
+// Copied from the user's address book when the order is placed, so later
+// edits to the book do not rewrite order history
+const addressSnapshotSchema = new mongoose.Schema(
+  {
+    addressId: String,
+    recipientName: String,
+    line1: String,
+    line2: String,
+    city: String,
+    region: String,
+    postalCode: String,
+    country: String,
+    phone: String,
+  },
+  { _id: false }
+);
+
+const orderSchema = new mongoose.Schema({
+  orderId: { type: String, required: true, unique: true },
+  userId: { type: String, required: true },
+  // Prices and names are snapshotted from the catalog at order time. All
+  // amounts are integer minor units of `currency` (e.g. cents).
+  items: [
+    {
+      productId: String,
+      productName: String,
+      quantity: Number,
+      unitPrice: Number,
+      lineTotal: Number,
+    },
+  ],
+  currency: { type: String, required: true },
+  subtotal: { type: Number },
+  totalAmount: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: [
+      "pending",
+      "payment_processing",
+      "confirmed",
+      "failed",
+      "cancelled",
+      "refunded",
+    ],
+    default: "pending",
+  },
+  shippingAddress: addressSnapshotSchema,
+  billingAddress: addressSnapshotSchema,
+  // Provider payment method token chosen by the customer
+  paymentMethod: String,
+  paymentId: String,
+  // Applied from payment.refunded events
+  refundedAmount: { type: Number, default: 0 },
+  refunds: [
+    {
+      refundId: String,
+      paymentId: String,
+      amount: Number,
+      at: Date,
+    },
+  ],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("Order", orderSchema);
@@ -0,0 +1,49 @@
+// services/order-service/src/models/orderSaga.js
+const mongoose = require("mongoose");
+
+const SAGA_STATES = [
+  "reserving_inventory",
+  "awaiting_payment",
+  "confirming_inventory",
+  "capturing_payment",
+  "voiding_payment",
+  "refunding_payment",
+  "releasing_inventory",
+  "completed",
+  "failed",
+  "cancelled",
+];
+
+// One saga document per order; `state` is the step to run next
+const orderSagaSchema = new mongoose.Schema({
+  orderId: { type: String, required: true, unique: true },
+  state: {
+    type: String,
+    enum: SAGA_STATES,
+    default: "reserving_inventory",
+  },
+  paymentId: String,
+  failureReason: String,
+  // Set when the customer or an admin cancels; compensation then ends in
+  // "cancelled" instead of "failed"
+  cancelRequested: { type: Boolean, default: false },
+  attempts: { type: Number, default: 0 },
+  nextRetryAt: { type: Date, default: Date.now },
+  lastError: String,
+  history: [
+    {
+      _id: false,
+      from: String,
+      to: String,
+      reason: String,
+      at: { type: Date, default: Date.now },
+    },
+  ],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+orderSagaSchema.index({ state: 1, nextRetryAt: 1 });
+
+module.exports = mongoose.model("OrderSaga", orderSagaSchema);
+module.exports.SAGA_STATES = SAGA_STATES;
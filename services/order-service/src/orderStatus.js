@@ -0,0 +1,50 @@
+// services/order-service/src/orderStatus.js
+const Order = require("./models/order");
+
+/**
+ * Allowed order status transitions. Anything not listed is rejected, so a
+ * late or duplicate event can never move an order backwards (for example a
+ * payment.processed arriving after the customer cancelled).
+ */
+const TRANSITIONS = {
+  pending: ["payment_processing", "cancelled", "failed"],
+  payment_processing: ["confirmed", "cancelled", "failed"],
+  confirmed: ["cancelled", "refunded"],
+  failed: [],
+  cancelled: [],
+  refunded: [],
+};
+
+function canTransition(from, to) {
+  return from === to || (TRANSITIONS[from] || []).includes(to);
+}
+
+// Statuses from which `to` may be reached
+function sourcesOf(to) {
+  return Object.keys(TRANSITIONS).filter((from) => canTransition(from, to));
+}
+
+/**
+ * Atomically moves an order to `to` if the table allows it from the
+ * order's current status. `set` holds extra fields to write alongside.
+ * Returns the updated order, or null (and logs) if the move was illegal.
+ */
+async function setOrderStatus(orderId, to, { session, set = {} } = {}) {
+  const order = await Order.findOneAndUpdate(
+    { orderId, status: { $in: sourcesOf(to) } },
+    { ...set, status: to, updatedAt: new Date() },
+    { returnDocument: "after", session }
+  );
+
+  if (!order) {
+    const current = await Order.findOne({ orderId }).session(session || null);
+    console.warn(
+      `🚫 Rejected order ${orderId} transition ${current ? current.status : "(missing)"} -> ${to}`
+    );
+    return null;
+  }
+
+  return order;
+}
+
+module.exports = { TRANSITIONS, canTransition, setOrderStatus };
@@ -0,0 +1,13 @@
+// services/order-service/src/outbox.js
+const mongoose = require("mongoose");
+const {
+  createMongoOutboxStore,
+  createOutboxRelay,
+} = require("../../shared/outbox");
+const { publish } = require("./messaging");
+
+const outbox = createMongoOutboxStore(mongoose);
+
+const relay = createOutboxRelay({ store: outbox, publish });
+
+module.exports = { outbox, relay };
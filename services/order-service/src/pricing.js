@@ -0,0 +1,132 @@
+// services/order-service/src/pricing.js
+const { inventory } = require("./clients");
+const { isCurrency, isMinorAmount } = require("../../shared/money");
+
+class PricingError extends Error {
+  constructor(message, status, items) {
+    super(message);
+    this.name = "PricingError";
+    this.status = status;
+    this.items = items;
+  }
+}
+
+/**
+ * Validates requested items and merges repeated products into one line.
+ */
+function normalizeItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new PricingError("Order must contain at least one item", 400);
+  }
+
+  const quantities = new Map();
+
+  for (const item of items) {
+    const { productId, quantity } = item || {};
+
+    if (typeof productId !== "string" || !productId) {
+      throw new PricingError("Each item needs a productId", 400);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new PricingError(
+        `Quantity for ${productId} must be a positive integer`,
+        400
+      );
+    }
+
+    quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+  }
+
+  return [...quantities].map(([productId, quantity]) => ({
+    productId,
+    quantity,
+  }));
+}
+
+/**
+ * Prices an order from the inventory catalog in integer minor units.
+ * Client-supplied prices are ignored; unit price and product name are
+ * snapshotted onto each line. All products must share one currency, and
+ * `expectedCurrency`, when given, must be it.
+ */
+async function priceOrder(items, expectedCurrency) {
+  const requested = normalizeItems(items);
+
+  if (expectedCurrency !== undefined && !isCurrency(expectedCurrency)) {
+    throw new PricingError(`Unsupported currency "${expectedCurrency}"`, 400);
+  }
+
+  let response;
+  try {
+    response = await inventory.findProducts(
+      requested.map((item) => item.productId)
+    );
+  } catch {
+    response = { status: 503 };
+  }
+
+  const { status, data } = response;
+  if (status !== 200) {
+    throw new PricingError("Inventory catalog unavailable", 502);
+  }
+
+  const catalog = new Map(data.inventory.map((p) => [p.productId, p]));
+
+  const unknown = requested.filter((item) => !catalog.has(item.productId));
+  if (unknown.length > 0) {
+    throw new PricingError(
+      "Unknown products",
+      400,
+      unknown.map((item) => ({ productId: item.productId }))
+    );
+  }
+
+  const currencies = [
+    ...new Set(requested.map((item) => catalog.get(item.productId).currency)),
+  ];
+  if (currencies.length > 1) {
+    throw new PricingError(
+      `Order mixes currencies (${currencies.join(", ")})`,
+      400,
+      requested.map(({ productId }) => ({
+        productId,
+        currency: catalog.get(productId).currency,
+      }))
+    );
+  }
+
+  const [currency] = currencies;
+  if (!isCurrency(currency)) {
+    throw new PricingError(`Catalog has unsupported currency "${currency}"`, 502);
+  }
+  if (expectedCurrency !== undefined && expectedCurrency !== currency) {
+    throw new PricingError(
+      `Products are priced in ${currency}, not ${expectedCurrency}`,
+      400
+    );
+  }
+
+  const lines = requested.map(({ productId, quantity }) => {
+    const product = catalog.get(productId);
+    if (!isMinorAmount(product.price)) {
+      throw new PricingError(`Catalog price for ${productId} is invalid`, 502);
+    }
+
+    return {
+      productId,
+      productName: product.productName,
+      quantity,
+      unitPrice: product.price,
+      lineTotal: product.price * quantity,
+    };
+  });
+
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  if (!Number.isSafeInteger(subtotal)) {
+    throw new PricingError("Order total is too large", 400);
+  }
+
+  return { lines, currency, subtotal, totalAmount: subtotal };
+}
+
+module.exports = { priceOrder, PricingError };
@@ -0,0 +1,562 @@
+// services/order-service/src/saga.js
+const mongoose = require("mongoose");
+const config = require("./config");
+const Order = require("./models/order");
+const OrderSaga = require("./models/orderSaga");
+const { inventory, payments } = require("./clients");
+const { outbox } = require("./outbox");
+const { setOrderStatus } = require("./orderStatus");
+
+/**
+ * Order saga, orchestrated by order-service:
+ *
+ *   reserving_inventory -> awaiting_payment -> confirming_inventory
+ *     -> capturing_payment -> completed
+ *
+ * Payment is authorized (a hold) when order.created goes out and only
+ * captured once the stock is confirmed.
+ *
+ * Compensations:
+ *   stock unavailable          -> failed
+ *   cancelled while reserving  -> releasing_inventory -> cancelled (a
+ *                                 reservation landing afterwards is
+ *                                 released by the reserving step itself)
+ *   authorization failed       -> releasing_inventory -> failed
+ *   reservation lost/expired   -> voiding_payment -> releasing_inventory -> failed
+ *   capture failed             -> voiding_payment -> releasing_inventory -> failed
+ *   cancelled before capture   -> (voiding_payment ->) releasing_inventory -> cancelled
+ *   cancelled after capture    -> refunding_payment -> releasing_inventory -> cancelled
+ *
+ * voiding_payment hands over to refunding_payment if the payment turns out
+ * to be captured already.
+ *
+ * Saga state lives in Mongo and every transition is a compare-and-set on
+ * `state`, so steps may be re-run after a crash or by a concurrent worker.
+ * The inventory and payment endpoints they call are idempotent per order.
+ * Events a step emits are written to the outbox in the transition's
+ * transaction, so they go out if and only if the transition happened.
+ */
+
+// States with work to do; awaiting_payment is driven by payment.processed
+const RUNNABLE_STATES = [
+  "reserving_inventory",
+  "confirming_inventory",
+  "capturing_payment",
+  "voiding_payment",
+  "refunding_payment",
+  "releasing_inventory",
+];
+
+// Payment statuses meaning the money has been taken ("success" predates
+// two-phase payments)
+const CAPTURED_STATUSES = ["captured", "success", "partially_refunded", "refunded"];
+
+// The cancelled saga has already moved on (its transition from
+// reserving_inventory will not apply), so release here. Should this fail the
+// reservation still expires on its own.
+async function releaseLateReservation(orderId) {
+  try {
+    const { status } = await inventory.release(orderId);
+    if (status !== 200 && status !== 404) {
+      throw new Error(`Inventory release returned ${status}`);
+    }
+    console.log(`↩️ Released stock reserved after order ${orderId} was cancelled`);
+  } catch (error) {
+    console.error(
+      `Could not release late reservation for order ${orderId}, leaving it to expire:`,
+      error.message
+    );
+  }
+}
+
+// Each step returns the next state (plus optional order status, reason and
+// events to publish) or throws when the downstream service could not be reached.
+const steps = {
+  async reserving_inventory(saga) {
+    const order = await Order.findOne({ orderId: saga.orderId });
+    const items = order.items.map(({ productId, quantity }) => ({
+      productId,
+      quantity,
+    }));
+
+    const { status, data } = await inventory.reserve(saga.orderId, items);
+
+    if (status === 200) {
+      // A cancel may have come in, and its release run, while the reserve
+      // was in flight; give the stock back rather than leave it held
+      const current = await Order.findOne({ orderId: saga.orderId });
+      if (current.status === "cancelled") {
+        await releaseLateReservation(saga.orderId);
+        return { state: "releasing_inventory" };
+      }
+
+      return {
+        state: "awaiting_payment",
+        orderStatus: "payment_processing",
+        events: [
+          {
+            type: "order.created",
+            payload: {
+              orderId: order.orderId,
+              userId: order.userId,
+              items: order.items,
+              totalAmount: order.totalAmount,
+              currency: order.currency,
+              paymentMethod: order.paymentMethod,
+              timestamp: new Date().toISOString(),
+            },
+          },
+        ],
+      };
+    }
+
+    if (status === 400) {
+      return {
+        state: "failed",
+        orderStatus: "failed",
+        reason: data.error || "Insufficient inventory",
+      };
+    }
+
+    throw new Error(`Inventory reserve returned ${status}`);
+  },
+
+  async confirming_inventory(saga) {
+    const { status, data } = await inventory.confirm(saga.orderId);
+
+    if (status === 200) {
+      return { state: "capturing_payment" };
+    }
+
+    // Reservation expired or was released while we waited for payment
+    if (status === 404 || status === 409) {
+      return {
+        state: "voiding_payment",
+        reason: data.error || "Inventory reservation no longer held",
+      };
+    }
+
+    throw new Error(`Inventory confirm returned ${status}`);
+  },
+
+  async capturing_payment(saga) {
+    const { status, data } = await payments.capture(saga.paymentId);
+
+    if (status === 200) {
+      return { state: "completed", orderStatus: "confirmed" };
+    }
+
+    // Declined or the authorization expired; the stock goes back
+    if (status === 409) {
+      return {
+        state: "voiding_payment",
+        reason: data.error || "Payment capture failed",
+      };
+    }
+
+    throw new Error(`Payment capture returned ${status}`);
+  },
+
+  async voiding_payment(saga) {
+    const { status, data } = await payments.void(saga.paymentId);
+
+    if (status === 200 || status === 404) {
+      return { state: "releasing_inventory" };
+    }
+
+    if (status === 409 && CAPTURED_STATUSES.includes(data.payment?.status)) {
+      return { state: "refunding_payment" };
+    }
+
+    throw new Error(`Payment void returned ${status}`);
+  },
+
+  async refunding_payment(saga) {
+    const { status } = await payments.refund(saga.paymentId);
+
+    if (status === 200) {
+      return { state: "releasing_inventory" };
+    }
+
+    throw new Error(`Payment refund returned ${status}`);
+  },
+
+  async releasing_inventory(saga) {
+    const { status } = await inventory.release(saga.orderId);
+
+    if (status === 200 || status === 404) {
+      return saga.cancelRequested
+        ? { state: "cancelled", orderStatus: "cancelled" }
+        : { state: "failed", orderStatus: "failed" };
+    }
+
+    throw new Error(`Inventory release returned ${status}`);
+  },
+};
+
+/**
+ * Compare-and-set of the saga state inside `session`, together with the
+ * order status change and outbox events that go with it. Order status
+ * changes go through the status table; an illegal one is logged and
+ * skipped without blocking the saga.
+ */
+async function applyTransition(
+  session,
+  saga,
+  to,
+  { orderStatus, reason, paymentId, cancelRequested, events = [] } = {}
+) {
+  const now = new Date();
+  const set = { state: to, attempts: 0, nextRetryAt: now, updatedAt: now };
+  if (paymentId) set.paymentId = paymentId;
+  if (reason) set.failureReason = reason;
+  if (cancelRequested) set.cancelRequested = true;
+
+  const moved = await OrderSaga.findOneAndUpdate(
+    { orderId: saga.orderId, state: saga.state },
+    {
+      $set: set,
+      $push: { history: { from: saga.state, to, reason, at: now } },
+    },
+    { returnDocument: "after", session }
+  );
+
+  if (!moved) return null;
+
+  if (paymentId) {
+    await Order.updateOne(
+      { orderId: saga.orderId },
+      { paymentId, updatedAt: now },
+      { session }
+    );
+  }
+
+  if (orderStatus) {
+    await setOrderStatus(saga.orderId, orderStatus, { session });
+  }
+
+  for (const event of events) {
+    await outbox.add(event.type, event.payload, session);
+  }
+
+  return moved;
+}
+
+/**
+ * Moves the saga from its current state to `to`. Returns the updated saga,
+ * or null if another worker already moved it on.
+ */
+async function transition(saga, to, options = {}) {
+  const updated = await mongoose.connection.transaction((session) =>
+    applyTransition(session, saga, to, options)
+  );
+
+  if (!updated) return null;
+
+  console.log(
+    `🔁 Saga ${saga.orderId}: ${saga.state} -> ${to}${options.reason ? ` (${options.reason})` : ""}`
+  );
+
+  return updated;
+}
+
+async function scheduleRetry(saga, error) {
+  const attempts = saga.attempts + 1;
+
+  if (
+    saga.state === "reserving_inventory" &&
+    attempts >= config.saga.maxStepAttempts
+  ) {
+    // Give up on the forward step; release whatever may have been reserved
+    return transition(saga, "releasing_inventory", {
+      reason: `Inventory service unavailable: ${error.message}`,
+    });
+  }
+
+  const delay = Math.min(
+    config.saga.retryBaseMs * 2 ** (attempts - 1),
+    config.saga.retryMaxMs
+  );
+
+  await OrderSaga.updateOne(
+    { orderId: saga.orderId, state: saga.state },
+    {
+      attempts,
+      lastError: error.message,
+      nextRetryAt: new Date(Date.now() + delay),
+      updatedAt: new Date(),
+    }
+  );
+
+  console.error(
+    `⚠️ Saga ${saga.orderId} step ${saga.state} failed (attempt ${attempts}), retrying in ${delay}ms:`,
+    error.message
+  );
+}
+
+// Orders currently being driven by this process
+const running = new Set();
+
+/**
+ * Runs the saga forward until it completes, fails, waits for an event or
+ * hits an error (in which case a retry is scheduled).
+ */
+async function runSaga(orderId) {
+  if (running.has(orderId)) return;
+  running.add(orderId);
+
+  try {
+    let saga = await OrderSaga.findOne({ orderId });
+
+    while (saga && steps[saga.state]) {
+      let outcome;
+      try {
+        outcome = await steps[saga.state](saga);
+      } catch (error) {
+        await scheduleRetry(saga, error);
+        return;
+      }
+
+      saga = await transition(saga, outcome.state, outcome);
+    }
+  } catch (error) {
+    console.error(`Error running saga for order ${orderId}:`, error);
+  } finally {
+    running.delete(orderId);
+  }
+}
+
+/**
+ * Saves a new order together with its saga and starts running it.
+ */
+async function startSaga(order) {
+  await mongoose.connection.transaction(async (session) => {
+    await order.save({ session });
+    await OrderSaga.create([{ orderId: order.orderId }], { session });
+  });
+
+  runSaga(order.orderId);
+}
+
+// Where a cancellation enters compensation from each state
+const CANCEL_TARGETS = {
+  reserving_inventory: "releasing_inventory",
+  awaiting_payment: "releasing_inventory",
+  confirming_inventory: "voiding_payment",
+  capturing_payment: "voiding_payment",
+  completed: "refunding_payment",
+};
+
+class OrderNotCancellableError extends Error {
+  constructor(status) {
+    super(`Cannot cancel an order that is ${status}`);
+    this.name = "OrderNotCancellableError";
+    this.status = status;
+  }
+}
+
+/**
+ * Cancels an order: marks it cancelled and sends its saga into
+ * compensation, which releases the stock and voids or refunds the payment.
+ * Orders placed before sagas existed get a saga that starts compensating.
+ * Throws OrderNotCancellableError if the status table does not allow it.
+ */
+async function cancelOrder(orderId, reason) {
+  await mongoose.connection.transaction(async (session) => {
+    const order = await setOrderStatus(orderId, "cancelled", { session });
+    if (!order) {
+      const current = await Order.findOne({ orderId }).session(session);
+      throw new OrderNotCancellableError(current ? current.status : "missing");
+    }
+
+    const saga = await OrderSaga.findOne({ orderId }).session(session);
+
+    if (!saga) {
+      // Void or refund the payment it may have, then release its stock
+      const state = order.paymentId ? "voiding_payment" : "releasing_inventory";
+      await OrderSaga.create(
+        [
+          {
+            orderId,
+            state,
+            paymentId: order.paymentId,
+            failureReason: reason,
+            cancelRequested: true,
+            history: [{ to: state, reason }],
+          },
+        ],
+        { session }
+      );
+      return;
+    }
+
+    const target = CANCEL_TARGETS[saga.state];
+    if (target) {
+      await applyTransition(session, saga, target, {
+        reason,
+        cancelRequested: true,
+      });
+    } else {
+      // Already compensating; make sure it ends as cancelled
+      await OrderSaga.updateOne(
+        { orderId },
+        { cancelRequested: true, updatedAt: new Date() },
+        { session }
+      );
+    }
+  });
+
+  console.log(`🛑 Order ${orderId} cancelled: ${reason}`);
+  runSaga(orderId);
+}
+
+// Sagas that will never use a newly arriving payment
+const ABANDONED_STATES = ["releasing_inventory", "failed", "cancelled"];
+
+// Payment statuses that let the saga go on to confirm the stock; captured
+// covers one-step charges made before two-phase payments
+const USABLE_STATUSES = ["authorized", "captured", "success"];
+
+// Releases a payment the saga no longer wants: voided while only
+// authorized, refunded if it was captured
+async function releasePayment(paymentId) {
+  const voided = await payments.void(paymentId);
+  if (voided.status === 200) return "voided";
+
+  if (
+    voided.status === 409 &&
+    CAPTURED_STATUSES.includes(voided.data.payment?.status)
+  ) {
+    const refunded = await payments.refund(paymentId);
+    if (refunded.status === 200) return "refunded";
+    throw new Error(`Refund of payment ${paymentId} returned ${refunded.status}`);
+  }
+
+  throw new Error(`Void of payment ${paymentId} returned ${voided.status}`);
+}
+
+/**
+ * Applies a payment authorization outcome to a saga waiting for it. A hold
+ * that arrives after the order was cancelled or failed is released.
+ */
+async function handlePaymentOutcome({
+  orderId,
+  status,
+  paymentId,
+  reason = "Payment failed",
+}) {
+  const saga = await OrderSaga.findOne({ orderId });
+
+  if (!saga || saga.state !== "awaiting_payment") {
+    if (
+      saga &&
+      USABLE_STATUSES.includes(status) &&
+      paymentId !== saga.paymentId &&
+      ABANDONED_STATES.includes(saga.state)
+    ) {
+      const released = await releasePayment(paymentId);
+      console.log(`↩️ Released late payment ${paymentId} for order ${orderId} (${released}, saga ${saga.state})`);
+      return;
+    }
+
+    console.log(
+      `ℹ️ Ignoring payment ${paymentId} for order ${orderId} (saga ${saga ? saga.state : "missing"})`
+    );
+    return;
+  }
+
+  if (!USABLE_STATUSES.includes(status) && status !== "failed") {
+    console.log(`ℹ️ Payment ${paymentId} for order ${orderId} is ${status}, still waiting`);
+    return;
+  }
+
+  const moved = USABLE_STATUSES.includes(status)
+    ? await transition(saga, "confirming_inventory", { paymentId })
+    : await transition(saga, "releasing_inventory", { paymentId, reason });
+
+  if (moved) {
+    await runSaga(orderId);
+  }
+}
+
+/**
+ * Catches up on a payment outcome we may have missed while we were down.
+ */
+async function reconcileAwaitingPayment(saga) {
+  try {
+    const { status, data } = await payments.findByOrder(saga.orderId);
+    if (status !== 200) return;
+
+    // A "pending" payment is still being authorized, one needing customer
+    // action is waiting on them and a failed one may have a retry scheduled;
+    // their events will follow
+    const [latest] = data.payments || [];
+    if (!latest) return;
+
+    const failedForGood =
+      latest.status === "failed" &&
+      !["retry_scheduled", "retried"].includes(latest.attempt_status);
+
+    if (USABLE_STATUSES.includes(latest.status) || failedForGood) {
+      await handlePaymentOutcome({
+        orderId: saga.orderId,
+        status: latest.status,
+        paymentId: latest.payment_id,
+        reason: latest.failure_reason
+          ? `Payment failed: ${latest.failure_reason}`
+          : undefined,
+      });
+    }
+  } catch (error) {
+    console.error(
+      `Could not check payment status for order ${saga.orderId}:`,
+      error.message
+    );
+  }
+}
+
+async function runDueSagas() {
+  const due = await OrderSaga.find({
+    state: { $in: RUNNABLE_STATES },
+    nextRetryAt: { $lte: new Date() },
+  }).limit(100);
+
+  for (const saga of due) {
+    await runSaga(saga.orderId);
+  }
+}
+
+/**
+ * Resumes in-flight sagas after a restart and keeps retrying failed steps.
+ */
+async function startSagaWorker() {
+  const waiting = await OrderSaga.find({ state: "awaiting_payment" });
+  for (const saga of waiting) {
+    await reconcileAwaitingPayment(saga);
+  }
+
+  await runDueSagas();
+
+  const inFlight = await OrderSaga.countDocuments({
+    state: { $nin: ["completed", "failed", "cancelled"] },
+  });
+  if (inFlight > 0) {
+    console.log(`🔁 Resumed ${inFlight} in-flight order sagas`);
+  }
+
+  setInterval(async () => {
+    try {
+      await runDueSagas();
+    } catch (error) {
+      console.error("Error running due sagas:", error);
+    }
+  }, config.saga.pollIntervalMs);
+}
+
+module.exports = {
+  startSaga,
+  cancelOrder,
+  OrderNotCancellableError,
+  handlePaymentOutcome,
+  startSagaWorker,
+};
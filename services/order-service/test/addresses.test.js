@@ -0,0 +1,99 @@
+// services/order-service/test/addresses.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.SERVICE_SECRET = "test-service-secret-at-least-32-chars";
+
+const config = require("../src/config");
+const { verifyServiceToken, SERVICE_TOKEN_HEADER } = require("../../shared/serviceAuth");
+const { snapshotAddresses, AddressError } = require("../src/addresses");
+
+const book = [
+  {
+    addressId: "ADDR-1",
+    recipientName: "Test User",
+    line1: "1 Main Street",
+    city: "Springfield",
+    country: "US",
+    isDefaultShipping: true,
+    isDefaultBilling: true,
+  },
+  {
+    addressId: "ADDR-2",
+    recipientName: "Test User",
+    line1: "2 Side Street",
+    city: "Springfield",
+    country: "US",
+  },
+];
+
+// Answers user-service calls with `book` and records what was sent
+function stubUserService(t, { status = 200 } = {}) {
+  const requests = [];
+  t.mock.method(global, "fetch", async (url, init) => {
+    requests.push({ url: String(url), headers: init.headers });
+    return new Response(JSON.stringify({ success: status === 200, addresses: book }), {
+      status,
+    });
+  });
+  return requests;
+}
+
+// Makes every order need a shipping address for one test
+function requireShippingAddress(t) {
+  config.requireShippingAddress = true;
+  t.after(() => (config.requireShippingAddress = false));
+}
+
+test("the book is read with a service token scoped to the order's user", async (t) => {
+  const requests = stubUserService(t);
+
+  await snapshotAddresses("USER-1", { shippingAddressId: "ADDR-1" });
+
+  assert.equal(requests.length, 1);
+  assert.match(requests[0].url, /\/api\/users\/USER-1\/addresses$/);
+  assert.equal(requests[0].headers.authorization, undefined);
+
+  const claims = verifyServiceToken(
+    process.env.SERVICE_SECRET,
+    requests[0].headers[SERVICE_TOKEN_HEADER]
+  );
+  assert.equal(claims.iss, "order-service");
+  assert.equal(claims.user.userId, "USER-1");
+  assert.deepEqual(claims.user.permissions, []);
+});
+
+test("the book is not read when nothing is chosen or required", async (t) => {
+  const requests = stubUserService(t);
+
+  assert.deepEqual(await snapshotAddresses("USER-1", {}), {});
+  assert.equal(requests.length, 0);
+});
+
+test("defaults are used unless addresses are chosen", async (t) => {
+  stubUserService(t);
+  requireShippingAddress(t);
+
+  const defaults = await snapshotAddresses("USER-1", {});
+  assert.equal(defaults.shippingAddress.addressId, "ADDR-1");
+  assert.equal(defaults.billingAddress.addressId, "ADDR-1");
+  assert.equal(defaults.shippingAddress.isDefaultShipping, undefined);
+
+  const chosen = await snapshotAddresses("USER-1", { billingAddressId: "ADDR-2" });
+  assert.equal(chosen.shippingAddress.addressId, "ADDR-1");
+  assert.equal(chosen.billingAddress.addressId, "ADDR-2");
+
+  await assert.rejects(
+    snapshotAddresses("USER-1", { shippingAddressId: "ADDR-9" }),
+    (error) => error instanceof AddressError && error.status === 400
+  );
+});
+
+test("a refusal from user-service is a bad gateway, not the caller's fault", async (t) => {
+  stubUserService(t, { status: 403 });
+
+  await assert.rejects(
+    snapshotAddresses("USER-1", { shippingAddressId: "ADDR-1" }),
+    (error) => error instanceof AddressError && error.status === 502
+  );
+});
@@ -0,0 +1,94 @@
+// services/order-service/test/createOrder.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const path = require("path");
+
+process.env.SERVICE_SECRET = "test-service-secret-at-least-32-chars";
+
+const config = require("../src/config");
+const { serviceAuthHeaders } = require("../../shared/serviceAuth");
+
+// Stand-ins for the catalog, user-service and the saga, swapped in before
+// index.js loads them
+const started = [];
+let usersDown = false;
+
+function fake(relativePath, exports) {
+  const filename = require.resolve(path.join(__dirname, "../src", relativePath));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+fake("clients", {
+  inventory: {
+    findProducts: async (productIds) => ({
+      status: 200,
+      data: {
+        inventory: productIds.map((productId) => ({
+          productId,
+          productName: `Product ${productId}`,
+          price: 1250,
+          currency: "USD",
+        })),
+      },
+    }),
+  },
+  payments: {},
+  users: {
+    async listAddresses() {
+      if (usersDown) throw new Error("connect ECONNREFUSED");
+      return { status: 200, data: { addresses: [] } };
+    },
+  },
+});
+fake("saga", {
+  startSaga: async (order) => started.push(order.orderId),
+  cancelOrder: async () => {},
+  OrderNotCancellableError: class extends Error {},
+  handlePaymentOutcome: async () => {},
+  startSagaWorker: async () => {},
+});
+
+const { app } = require("../src/index");
+
+test("creating orders", async (t) => {
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/api/orders`;
+  t.after(() => server.close());
+
+  for (const level of ["log", "warn", "error"]) {
+    t.mock.method(console, level, () => {});
+  }
+
+  const createOrder = (body) =>
+    fetch(url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        ...serviceAuthHeaders(config.serviceSecret, "api-gateway", { userId: "U-1" }),
+      },
+      body: JSON.stringify({ items: [{ productId: "P-1", quantity: 2 }], ...body }),
+    });
+
+  await t.test("goes ahead without user-service when no address is needed", async () => {
+    usersDown = true;
+    t.after(() => (usersDown = false));
+
+    const response = await createOrder();
+    assert.equal(response.status, 201);
+
+    const { order } = await response.json();
+    assert.equal(order.totalAmount, 2500);
+    assert.equal(order.shippingAddress, undefined);
+    assert.deepEqual(started, [order.orderId]);
+  });
+
+  await t.test("needs user-service when an address is chosen", async () => {
+    usersDown = true;
+    t.after(() => (usersDown = false));
+
+    const response = await createOrder({ shippingAddressId: "ADDR-1" });
+    assert.equal(response.status, 503);
+  });
+});
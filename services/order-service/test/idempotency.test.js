@@ -0,0 +1,221 @@
+// services/order-service/test/idempotency.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const path = require("path");
+const express = require("express");
+
+process.env.SERVICE_SECRET = "test-service-secret-at-least-32-chars";
+
+// In-memory IdempotencyKey collection with the unique (scope, key) index
+const keys = [];
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, expected]) => {
+    if (expected?.$not?.$gt) return !(doc[field] > expected.$not.$gt);
+    if (expected instanceof Date) return doc[field]?.getTime() === expected.getTime();
+    return doc[field] === expected;
+  });
+}
+
+const IdempotencyKey = {
+  async create(doc) {
+    if (keys.some((existing) => existing.key === doc.key && existing.scope === doc.scope)) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    keys.push({ status: "in_progress", ...doc });
+  },
+  async findOne(filter) {
+    return keys.find((doc) => matches(doc, filter)) || null;
+  },
+  async findOneAndUpdate(filter, update) {
+    const doc = keys.find((existing) => matches(existing, filter));
+    if (doc) Object.assign(doc, update);
+    return doc || null;
+  },
+  async updateOne(filter, update) {
+    const doc = keys.find((existing) => matches(existing, filter));
+    if (doc) Object.assign(doc, update);
+  },
+  async deleteOne(filter) {
+    const index = keys.findIndex((doc) => matches(doc, filter));
+    if (index !== -1) keys.splice(index, 1);
+  },
+};
+
+const modelPath = require.resolve(path.join(__dirname, "../src/models/idempotencyKey"));
+require.cache[modelPath] = {
+  id: modelPath,
+  filename: modelPath,
+  loaded: true,
+  exports: IdempotencyKey,
+};
+
+const { idempotent } = require("../src/idempotency");
+
+// Creates an "order" per request; the handler can be held open or fail
+let handled = 0;
+let hold = null;
+let failNext = false;
+
+const app = express();
+app.use(express.json());
+app.post("/api/orders", idempotent, async (req, res) => {
+  handled++;
+  if (hold) await hold;
+  if (failNext) {
+    failNext = false;
+    return res.status(500).json({ success: false, error: "Database unavailable" });
+  }
+  res.status(201).json({ success: true, orderId: `ORD-${handled}`, items: req.body.items });
+});
+
+// Lets the stored response land before the next request
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test("idempotent", async (t) => {
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/api/orders`;
+  t.after(() => server.close());
+
+  t.beforeEach(() => {
+    keys.length = 0;
+    handled = 0;
+  });
+
+  const post = async (key, body, headers = {}) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        ...(key && { "idempotency-key": key }),
+        ...headers,
+      },
+      body: JSON.stringify(body),
+    });
+    await flush();
+    return {
+      status: response.status,
+      replayed: response.headers.get("idempotent-replayed"),
+      body: await response.json(),
+    };
+  };
+
+  await t.test("replays the first response for a repeat", async () => {
+    const first = await post("key-1", { items: [1, 2] });
+    const repeat = await post("key-1", { items: [1, 2] });
+
+    assert.equal(first.status, 201);
+    assert.equal(repeat.status, 201);
+    assert.equal(repeat.replayed, "true");
+    assert.deepEqual(repeat.body, first.body);
+    assert.equal(handled, 1);
+  });
+
+  await t.test("body key order does not matter", async () => {
+    await post("key-1", { a: 1, b: 2 });
+    const repeat = await post("key-1", { b: 2, a: 1 });
+
+    assert.equal(repeat.replayed, "true");
+    assert.equal(handled, 1);
+  });
+
+  await t.test("a different body with the same key is a 422", async () => {
+    await post("key-1", { items: [1] });
+    const conflict = await post("key-1", { items: [2] });
+
+    assert.equal(conflict.status, 422);
+    assert.equal(handled, 1);
+  });
+
+  await t.test("keys are scoped per caller", async () => {
+    await post("key-1", { items: [1] }, { "x-user-id": "U-1" });
+    const other = await post("key-1", { items: [1] }, { "x-user-id": "U-2" });
+
+    assert.equal(other.status, 201);
+    assert.equal(other.replayed, null);
+    assert.equal(handled, 2);
+  });
+
+  await t.test("a repeat while the first is running is a 409", async (t) => {
+    let release;
+    hold = new Promise((resolve) => (release = resolve));
+    t.after(() => (hold = null));
+
+    const first = post("key-1", { items: [1] });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const repeat = await post("key-1", { items: [1] });
+    release();
+
+    assert.equal(repeat.status, 409);
+    assert.equal((await first).status, 201);
+    assert.equal(handled, 1);
+  });
+
+  await t.test("a server error frees the key for a retry", async () => {
+    failNext = true;
+    const failed = await post("key-1", { items: [1] });
+    const retried = await post("key-1", { items: [1] });
+
+    assert.equal(failed.status, 500);
+    assert.equal(retried.status, 201);
+    assert.equal(retried.replayed, null);
+    assert.equal(handled, 2);
+  });
+
+  // Leaves key-1 as a request that died before answering would
+  async function crashMidRequest(body) {
+    await post("key-1", body);
+    Object.assign(keys[0], {
+      status: "in_progress",
+      response: undefined,
+      lockedUntil: new Date(Date.now() + 60000),
+    });
+  }
+
+  await t.test("a key left in progress by a crash is taken over once its lease runs out", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    await crashMidRequest({ items: [1] });
+    assert.equal((await post("key-1", { items: [1] })).status, 409);
+
+    keys[0].lockedUntil = new Date(Date.now() - 1);
+    const retried = await post("key-1", { items: [1] });
+    assert.equal(retried.status, 201);
+
+    const replay = await post("key-1", { items: [1] });
+    assert.equal(replay.replayed, "true");
+    assert.deepEqual(replay.body, retried.body);
+  });
+
+  await t.test("keys from before leases count as expired", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    await crashMidRequest({ items: [1] });
+    delete keys[0].lockedUntil;
+
+    const retried = await post("key-1", { items: [1] });
+    assert.equal(retried.status, 201);
+    assert.equal(retried.replayed, null);
+  });
+
+  await t.test("a request that lost its key to a retry does not overwrite it", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    let release;
+    hold = new Promise((resolve) => (release = resolve));
+    t.after(() => (hold = null));
+
+    const stalled = post("key-1", { items: [1] });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    // The lease runs out and a retry completes first
+    keys[0].lockedUntil = new Date(Date.now() - 1);
+    hold = null;
+    const retried = await post("key-1", { items: [1] });
+    release();
+    await stalled;
+    await flush();
+
+    const replay = await post("key-1", { items: [1] });
+    assert.deepEqual(replay.body, retried.body);
+  });
+});
@@ -0,0 +1,96 @@
+// services/order-service/test/legacyAmounts.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+process.env.SERVICE_SECRET = "test-service-secret-at-least-32-chars";
+process.env.DEFAULT_CURRENCY = "USD";
+
+// In-memory orders collection, swapped in before legacyAmounts.js loads it
+const orders = [];
+
+const Order = {
+  find: (filter) => ({
+    lean: async () =>
+      orders
+        .filter((doc) => !filter.currency || !("currency" in doc))
+        .map((doc) => structuredClone(doc)),
+  }),
+  async updateOne(filter, { $set }) {
+    const doc = orders.find((order) => order._id === filter._id && !("currency" in order));
+    if (doc) Object.assign(doc, $set);
+  },
+};
+
+const filename = require.resolve(path.join(__dirname, "../src/models/order"));
+require.cache[filename] = { id: filename, filename, loaded: true, exports: Order };
+
+const { backfillMinorUnits } = require("../src/legacyAmounts");
+
+test.beforeEach((t) => {
+  orders.length = 0;
+  t.mock.method(console, "log", () => {});
+});
+
+test("orders from before currencies keep their line prices", async () => {
+  // As the original order schema saved them
+  orders.push({
+    _id: 1,
+    orderId: "ORD-1",
+    userId: "U-1",
+    items: [
+      { productId: "P-1", quantity: 2, price: 19.99 },
+      { productId: "P-2", quantity: 1, price: 5.1 },
+    ],
+    totalAmount: 45.08,
+    status: "confirmed",
+  });
+
+  await backfillMinorUnits();
+
+  const [order] = orders;
+  assert.equal(order.currency, "USD");
+  assert.equal(order.totalAmount, 4508);
+  assert.deepEqual(order.items, [
+    { productId: "P-1", quantity: 2, unitPrice: 1999, lineTotal: 3998 },
+    { productId: "P-2", quantity: 1, unitPrice: 510, lineTotal: 510 },
+  ]);
+});
+
+test("decimal unit prices and line totals are converted", async () => {
+  orders.push({
+    _id: 2,
+    orderId: "ORD-2",
+    userId: "U-1",
+    items: [{ productId: "P-1", quantity: 3, unitPrice: 0.1, lineTotal: 0.3 }],
+    subtotal: 0.3,
+    totalAmount: 0.3,
+    refundedAmount: 0.1,
+    refunds: [{ refundId: "REF-1", amount: 0.1 }],
+  });
+
+  await backfillMinorUnits();
+
+  const [order] = orders;
+  assert.deepEqual(order.items, [
+    { productId: "P-1", quantity: 3, unitPrice: 10, lineTotal: 30 },
+  ]);
+  assert.equal(order.subtotal, 30);
+  assert.equal(order.refundedAmount, 10);
+  assert.equal(order.refunds[0].amount, 10);
+});
+
+test("orders already in minor units are left alone", async () => {
+  const current = {
+    _id: 3,
+    orderId: "ORD-3",
+    currency: "USD",
+    items: [{ productId: "P-1", quantity: 1, unitPrice: 1999, lineTotal: 1999 }],
+    totalAmount: 1999,
+  };
+  orders.push(structuredClone(current));
+
+  await backfillMinorUnits();
+
+  assert.deepEqual(orders, [current]);
+});
@@ -0,0 +1,346 @@
+// services/order-service/test/saga.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+process.env.SERVICE_SECRET = "test-service-secret-at-least-32-chars";
+
+const mongoose = require("mongoose");
+
+// In-memory stand-ins for the saga's collections, the outbox and the
+// inventory/payment clients, swapped in before saga.js loads them
+
+const orders = new Map();
+const sagas = new Map();
+const published = [];
+const calls = [];
+
+// Resolves like a Mongoose query, including .session()
+function query(value) {
+  const promise = Promise.resolve(value && structuredClone(value));
+  promise.session = () => promise;
+  return promise;
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, expected]) =>
+    expected?.$in ? expected.$in.includes(doc[key]) : doc[key] === expected
+  );
+}
+
+const Order = {
+  findOne: (filter) => query([...orders.values()].find((doc) => matches(doc, filter))),
+  findOneAndUpdate(filter, update) {
+    const doc = [...orders.values()].find((order) => matches(order, filter));
+    if (doc) Object.assign(doc, update);
+    return query(doc);
+  },
+  async updateOne(filter, update) {
+    const doc = [...orders.values()].find((order) => matches(order, filter));
+    if (doc) Object.assign(doc, update);
+  },
+};
+
+const OrderSaga = {
+  findOne: (filter) => query([...sagas.values()].find((doc) => matches(doc, filter))),
+  findOneAndUpdate(filter, { $set, $push }) {
+    const doc = [...sagas.values()].find((saga) => matches(saga, filter));
+    if (doc) {
+      Object.assign(doc, $set);
+      doc.history.push($push.history);
+    }
+    return query(doc);
+  },
+  async updateOne(filter, update) {
+    const doc = [...sagas.values()].find((saga) => matches(saga, filter));
+    if (doc) Object.assign(doc, update);
+  },
+  async create([doc]) {
+    sagas.set(doc.orderId, {
+      state: "reserving_inventory",
+      cancelRequested: false,
+      attempts: 0,
+      history: [],
+      ...doc,
+    });
+  },
+};
+
+// Each client call answers from `responses` (a value or a function of the
+// call's arguments) and is recorded in `calls`
+const responses = {};
+
+function client(service, methods) {
+  return Object.fromEntries(
+    methods.map((method) => [
+      method,
+      async (...args) => {
+        calls.push(`${service}.${method}`);
+        const response = responses[`${service}.${method}`];
+        return typeof response === "function" ? response(...args) : response;
+      },
+    ])
+  );
+}
+
+function fake(relativePath, exports) {
+  const filename = require.resolve(path.join(__dirname, "../src", relativePath));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+fake("models/order", Order);
+fake("models/orderSaga", OrderSaga);
+fake("outbox", {
+  outbox: {
+    add: async (type, payload) => published.push({ type, payload }),
+  },
+});
+fake("clients", {
+  inventory: client("inventory", ["reserve", "confirm", "release"]),
+  payments: client("payments", ["capture", "void", "refund", "findByOrder"]),
+});
+
+mongoose.connection.transaction = async (fn) => fn(null);
+
+const { startSaga, cancelOrder, handlePaymentOutcome } = require("../src/saga");
+
+const ok = { status: 200, data: {} };
+
+function reset() {
+  orders.clear();
+  sagas.clear();
+  published.length = 0;
+  calls.length = 0;
+  Object.assign(responses, {
+    "inventory.reserve": ok,
+    "inventory.confirm": ok,
+    "inventory.release": ok,
+    "payments.capture": ok,
+    "payments.void": ok,
+    "payments.refund": ok,
+  });
+}
+
+// The saga runs in the background; wait for it to stop moving
+async function settle() {
+  for (let i = 0; i < 50; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+async function placeOrder(orderId = "ORD-1") {
+  await startSaga({
+    orderId,
+    save: async () =>
+      orders.set(orderId, {
+        orderId,
+        userId: "U-1",
+        status: "pending",
+        items: [{ productId: "P-1", quantity: 2 }],
+        totalAmount: 2000,
+        currency: "USD",
+        paymentMethod: "card",
+      }),
+  });
+  await settle();
+}
+
+const sagaOf = (orderId = "ORD-1") => sagas.get(orderId);
+const orderOf = (orderId = "ORD-1") => orders.get(orderId);
+
+test.beforeEach((t) => {
+  reset();
+  // Keep the saga's progress logging out of the test report
+  for (const level of ["log", "warn", "error"]) {
+    t.mock.method(console, level, () => {});
+  }
+});
+
+test("a reserved order waits for payment and announces itself", async () => {
+  await placeOrder();
+
+  assert.equal(sagaOf().state, "awaiting_payment");
+  assert.equal(orderOf().status, "payment_processing");
+  assert.deepEqual(
+    published.map((event) => event.type),
+    ["order.created"]
+  );
+  assert.equal(published[0].payload.totalAmount, 2000);
+});
+
+test("insufficient stock fails the order", async () => {
+  responses["inventory.reserve"] = { status: 400, data: { error: "Insufficient stock for P-1" } };
+
+  await placeOrder();
+
+  assert.equal(sagaOf().state, "failed");
+  assert.equal(sagaOf().failureReason, "Insufficient stock for P-1");
+  assert.equal(orderOf().status, "failed");
+  assert.deepEqual(published, []);
+});
+
+test("an authorized payment confirms the stock and captures", async () => {
+  await placeOrder();
+  await handlePaymentOutcome({ orderId: "ORD-1", status: "authorized", paymentId: "PAY-1" });
+  await settle();
+
+  assert.equal(sagaOf().state, "completed");
+  assert.equal(sagaOf().paymentId, "PAY-1");
+  assert.equal(orderOf().status, "confirmed");
+  assert.equal(orderOf().paymentId, "PAY-1");
+  assert.deepEqual(calls, ["inventory.reserve", "inventory.confirm", "payments.capture"]);
+});
+
+test("a failed payment releases the stock", async () => {
+  await placeOrder();
+  await handlePaymentOutcome({
+    orderId: "ORD-1",
+    status: "failed",
+    paymentId: "PAY-1",
+    reason: "Card declined",
+  });
+  await settle();
+
+  assert.equal(sagaOf().state, "failed");
+  assert.equal(sagaOf().failureReason, "Card declined");
+  assert.equal(orderOf().status, "failed");
+  assert.deepEqual(calls, ["inventory.reserve", "inventory.release"]);
+});
+
+test("a declined capture voids the hold and releases the stock", async () => {
+  responses["payments.capture"] = { status: 409, data: { error: "Authorization expired" } };
+
+  await placeOrder();
+  await handlePaymentOutcome({ orderId: "ORD-1", status: "authorized", paymentId: "PAY-1" });
+  await settle();
+
+  assert.equal(sagaOf().state, "failed");
+  assert.deepEqual(
+    sagaOf().history.map(({ to }) => to),
+    [
+      "awaiting_payment",
+      "confirming_inventory",
+      "capturing_payment",
+      "voiding_payment",
+      "releasing_inventory",
+      "failed",
+    ]
+  );
+  assert.deepEqual(calls.slice(-2), ["payments.void", "inventory.release"]);
+});
+
+test("a lost reservation refunds a payment that turns out to be captured", async () => {
+  responses["inventory.confirm"] = { status: 409, data: { error: "Reservation expired" } };
+  responses["payments.void"] = { status: 409, data: { payment: { status: "captured" } } };
+
+  await placeOrder();
+  await handlePaymentOutcome({ orderId: "ORD-1", status: "authorized", paymentId: "PAY-1" });
+  await settle();
+
+  assert.equal(sagaOf().state, "failed");
+  assert.equal(sagaOf().failureReason, "Reservation expired");
+  assert.deepEqual(calls.slice(-3), ["payments.void", "payments.refund", "inventory.release"]);
+});
+
+test("cancelling while awaiting payment releases the stock", async () => {
+  await placeOrder();
+  await cancelOrder("ORD-1", "Customer changed their mind");
+  await settle();
+
+  assert.equal(sagaOf().state, "cancelled");
+  assert.equal(sagaOf().cancelRequested, true);
+  assert.equal(orderOf().status, "cancelled");
+  assert.deepEqual(calls, ["inventory.reserve", "inventory.release"]);
+});
+
+test("cancelling a completed order refunds it", async () => {
+  await placeOrder();
+  await handlePaymentOutcome({ orderId: "ORD-1", status: "authorized", paymentId: "PAY-1" });
+  await settle();
+  await cancelOrder("ORD-1", "Returned");
+  await settle();
+
+  assert.equal(sagaOf().state, "cancelled");
+  assert.equal(orderOf().status, "cancelled");
+  assert.deepEqual(calls.slice(-2), ["payments.refund", "inventory.release"]);
+});
+
+test("stock reserved after the order was cancelled is released", async () => {
+  let landReserve;
+  responses["inventory.reserve"] = () =>
+    new Promise((resolve) => {
+      landReserve = () => resolve(ok);
+    });
+
+  await placeOrder();
+  assert.equal(sagaOf().state, "reserving_inventory");
+
+  // The cancel's own release runs before the reservation exists
+  await cancelOrder("ORD-1", "Customer changed their mind");
+  await settle();
+  landReserve();
+  await settle();
+
+  assert.equal(orderOf().status, "cancelled");
+  assert.notEqual(sagaOf().state, "awaiting_payment");
+  assert.equal(calls.at(-1), "inventory.release");
+  assert.deepEqual(published, []);
+});
+
+// An order placed before sagas existed, with no saga document
+function legacyOrder(fields) {
+  orders.set("ORD-1", {
+    orderId: "ORD-1",
+    userId: "U-1",
+    items: [{ productId: "P-1", quantity: 2 }],
+    ...fields,
+  });
+}
+
+test("cancelling a paid order from before sagas refunds it and releases the stock", async () => {
+  legacyOrder({ status: "confirmed", paymentId: "PAY-1" });
+  responses["payments.void"] = { status: 409, data: { payment: { status: "success" } } };
+
+  await cancelOrder("ORD-1", "Returned");
+  await settle();
+
+  assert.equal(sagaOf().state, "cancelled");
+  assert.equal(sagaOf().failureReason, "Returned");
+  assert.equal(orderOf().status, "cancelled");
+  assert.deepEqual(calls, ["payments.void", "payments.refund", "inventory.release"]);
+});
+
+test("cancelling an unpaid order from before sagas releases the stock", async () => {
+  legacyOrder({ status: "pending" });
+
+  await cancelOrder("ORD-1", "Customer changed their mind");
+  await settle();
+
+  assert.equal(sagaOf().state, "cancelled");
+  assert.equal(orderOf().status, "cancelled");
+  assert.deepEqual(calls, ["inventory.release"]);
+});
+
+test("an unreachable service schedules a retry", async () => {
+  responses["inventory.reserve"] = () => {
+    throw new Error("connect ECONNREFUSED");
+  };
+
+  await placeOrder();
+
+  assert.equal(sagaOf().state, "reserving_inventory");
+  assert.equal(sagaOf().attempts, 1);
+  assert.equal(sagaOf().lastError, "connect ECONNREFUSED");
+  assert.ok(sagaOf().nextRetryAt > new Date());
+});
+
+test("a payment arriving after the order was cancelled is voided", async () => {
+  await placeOrder();
+  await cancelOrder("ORD-1", "Customer changed their mind");
+  await settle();
+
+  await handlePaymentOutcome({ orderId: "ORD-1", status: "authorized", paymentId: "PAY-LATE" });
+
+  assert.equal(sagaOf().state, "cancelled");
+  assert.equal(calls.at(-1), "payments.void");
+});
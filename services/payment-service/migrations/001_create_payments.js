@@ -0,0 +1,26 @@
+// services/payment-service/migrations/001_create_payments.js
+// The original payments table. IF NOT EXISTS lets databases created before
+// migrations adopt the history.
+
+function up(db) {
+  return db.query(`
+    CREATE TABLE IF NOT EXISTS payments (
+      id SERIAL PRIMARY KEY,
+      payment_id VARCHAR(100) UNIQUE NOT NULL,
+      order_id VARCHAR(100) NOT NULL,
+      user_id VARCHAR(100) NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      status VARCHAR(50) DEFAULT 'pending',
+      payment_method VARCHAR(50),
+      transaction_id VARCHAR(200),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+function down(db) {
+  return db.query("DROP TABLE IF EXISTS payments");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// services/payment-service/migrations/002_payment_attempts_per_order.js
+// One payment per order and attempt makes redelivered messages harmless.
+// Rows from before attempts existed are numbered in creation order.
+
+async function up(db) {
+  await db.query("ALTER TABLE payments ADD COLUMN IF NOT EXISTS attempt INTEGER");
+  await db.query(`
+    UPDATE payments p SET attempt = numbered.rn
+    FROM (
+      SELECT id, ROW_NUMBER() OVER (PARTITION BY order_id ORDER BY created_at, id) AS rn
+      FROM payments
+    ) numbered
+    WHERE p.id = numbered.id AND p.attempt IS NULL
+  `);
+  await db.query(`
+    ALTER TABLE payments
+      ALTER COLUMN attempt SET DEFAULT 1,
+      ALTER COLUMN attempt SET NOT NULL
+  `);
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS payments_order_attempt_idx
+      ON payments (order_id, attempt)
+  `);
+}
+
+async function down(db) {
+  await db.query("DROP INDEX IF EXISTS payments_order_attempt_idx");
+  await db.query("ALTER TABLE payments DROP COLUMN IF EXISTS attempt");
+}
+
+module.exports = { up, down };
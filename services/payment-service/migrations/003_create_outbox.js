@@ -0,0 +1,29 @@
+// services/payment-service/migrations/003_create_outbox.js
+// Transactional outbox read by the shared relay (services/shared/outbox.js)
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS outbox (
+      id BIGSERIAL PRIMARY KEY,
+      event_id UUID UNIQUE NOT NULL,
+      type VARCHAR(100) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      sent_at TIMESTAMP
+    )
+  `);
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS outbox_pending_idx
+      ON outbox (next_attempt_at) WHERE status = 'pending'
+  `);
+}
+
+function down(db) {
+  return db.query("DROP TABLE IF EXISTS outbox");
+}
+
+module.exports = { up, down };
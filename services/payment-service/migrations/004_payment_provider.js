@@ -0,0 +1,20 @@
+// services/payment-service/migrations/004_payment_provider.js
+// Which provider holds the transaction, and why it was declined
+
+function up(db) {
+  return db.query(`
+    ALTER TABLE payments
+      ADD COLUMN IF NOT EXISTS provider VARCHAR(50),
+      ADD COLUMN IF NOT EXISTS failure_reason VARCHAR(200)
+  `);
+}
+
+function down(db) {
+  return db.query(`
+    ALTER TABLE payments
+      DROP COLUMN IF EXISTS provider,
+      DROP COLUMN IF EXISTS failure_reason
+  `);
+}
+
+module.exports = { up, down };
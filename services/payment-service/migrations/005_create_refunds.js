@@ -0,0 +1,31 @@
+// services/payment-service/migrations/005_create_refunds.js
+// Full and partial refunds against a payment; pending ones count towards
+// the refunded total so concurrent requests cannot over-refund
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS refunds (
+      id SERIAL PRIMARY KEY,
+      refund_id VARCHAR(100) UNIQUE NOT NULL,
+      payment_id VARCHAR(100) NOT NULL REFERENCES payments (payment_id),
+      amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+      status VARCHAR(50) DEFAULT 'pending',
+      reason VARCHAR(500),
+      transaction_id VARCHAR(200),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query(
+    "ALTER TABLE refunds ADD COLUMN IF NOT EXISTS failure_reason VARCHAR(200)"
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS refunds_payment_idx ON refunds (payment_id)"
+  );
+}
+
+function down(db) {
+  return db.query("DROP TABLE IF EXISTS refunds");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// services/payment-service/migrations/006_two_phase_payments.js
+// Two-phase payments: holds expire, captures are timestamped, and one-step
+// charges from before are simply captured payments
+
+async function up(db) {
+  await db.query(`
+    ALTER TABLE payments
+      ADD COLUMN IF NOT EXISTS authorization_expires_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS captured_at TIMESTAMP
+  `);
+  await db.query(`
+    UPDATE payments SET status = 'captured', captured_at = updated_at
+    WHERE status = 'success'
+  `);
+}
+
+async function down(db) {
+  await db.query("UPDATE payments SET status = 'success' WHERE status = 'captured'");
+  await db.query(`
+    ALTER TABLE payments
+      DROP COLUMN IF EXISTS authorization_expires_at,
+      DROP COLUMN IF EXISTS captured_at
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// services/payment-service/migrations/007_create_payment_attempts.js
+// Outcome of each authorization attempt and, for failures, when the next
+// one is due
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS payment_attempts (
+      id SERIAL PRIMARY KEY,
+      order_id VARCHAR(100) NOT NULL,
+      attempt INTEGER NOT NULL,
+      payment_id VARCHAR(100) NOT NULL REFERENCES payments (payment_id),
+      status VARCHAR(50) NOT NULL,
+      failure_reason VARCHAR(200),
+      next_retry_at TIMESTAMP,
+      retry_payment_method VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (order_id, attempt)
+    )
+  `);
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS payment_attempts_due_idx
+      ON payment_attempts (next_retry_at) WHERE status = 'retry_scheduled'
+  `);
+}
+
+function down(db) {
+  return db.query("DROP TABLE IF EXISTS payment_attempts");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// services/payment-service/migrations/008_create_webhook_events.js
+// Provider webhook event ids already handled (replay protection)
+
+function up(db) {
+  return db.query(`
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      provider VARCHAR(50) NOT NULL,
+      event_id VARCHAR(200) NOT NULL,
+      type VARCHAR(100) NOT NULL,
+      payment_id VARCHAR(100),
+      outcome VARCHAR(50),
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (provider, event_id)
+    )
+  `);
+}
+
+function down(db) {
+  return db.query("DROP TABLE IF EXISTS webhook_events");
+}
+
+module.exports = { up, down };
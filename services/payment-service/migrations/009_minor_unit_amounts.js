@@ -0,0 +1,38 @@
+// services/payment-service/migrations/009_minor_unit_amounts.js
+// Amounts become integer minor units with an ISO 4217 currency. Existing
+// rows were decimal amounts in the default currency.
+const { currencyExponent } = require("../../shared/money");
+
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || "USD";
+
+async function up(db) {
+  const scale = 10 ** currencyExponent(DEFAULT_CURRENCY);
+
+  await db.query(`
+    ALTER TABLE payments
+      ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT '${DEFAULT_CURRENCY}',
+      ALTER COLUMN amount TYPE BIGINT USING ROUND(amount * ${scale})
+  `);
+  await db.query(`
+    ALTER TABLE refunds
+      ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT '${DEFAULT_CURRENCY}',
+      ALTER COLUMN amount TYPE BIGINT USING ROUND(amount * ${scale})
+  `);
+  // New rows always say which currency they are in
+  await db.query("ALTER TABLE payments ALTER COLUMN currency DROP DEFAULT");
+  await db.query("ALTER TABLE refunds ALTER COLUMN currency DROP DEFAULT");
+}
+
+async function down(db) {
+  const scale = 10 ** currencyExponent(DEFAULT_CURRENCY);
+
+  for (const table of ["payments", "refunds"]) {
+    await db.query(`
+      ALTER TABLE ${table}
+        ALTER COLUMN amount TYPE DECIMAL(10, 2) USING amount::numeric / ${scale},
+        DROP COLUMN IF EXISTS currency
+    `);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,124 @@
+// services/payment-service/migrations/010_create_ledger.js
+// Double-entry ledger (journal entries and their postings) and the
+// reconciliation runs that check it against orders. Captured payments and
+// successful refunds from before the ledger are journaled here.
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      entry_id VARCHAR(150) PRIMARY KEY,
+      kind VARCHAR(20) NOT NULL,
+      payment_id VARCHAR(100) NOT NULL REFERENCES payments (payment_id),
+      order_id VARCHAR(100) NOT NULL,
+      currency CHAR(3) NOT NULL,
+      description VARCHAR(500),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ledger_postings (
+      id SERIAL PRIMARY KEY,
+      entry_id VARCHAR(150) NOT NULL REFERENCES ledger_entries (entry_id),
+      account VARCHAR(50) NOT NULL,
+      debit BIGINT NOT NULL DEFAULT 0 CHECK (debit >= 0),
+      credit BIGINT NOT NULL DEFAULT 0 CHECK (credit >= 0),
+      currency CHAR(3) NOT NULL,
+      CHECK ((debit = 0) <> (credit = 0))
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS ledger_entries_order_idx ON ledger_entries (order_id)"
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS ledger_entries_created_idx ON ledger_entries (created_at)"
+  );
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS ledger_postings_entry_idx ON ledger_postings (entry_id)"
+  );
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS reconciliation_runs (
+      run_id VARCHAR(100) PRIMARY KEY,
+      period_start TIMESTAMP NOT NULL,
+      period_end TIMESTAMP NOT NULL,
+      scheduled BOOLEAN NOT NULL DEFAULT FALSE,
+      status VARCHAR(20) NOT NULL DEFAULT 'running',
+      summary JSONB,
+      error VARCHAR(500),
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP
+    )
+  `);
+  // One live scheduled run per day; a failed one can be retried
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS reconciliation_runs_scheduled_idx
+      ON reconciliation_runs (period_start)
+      WHERE scheduled AND status <> 'failed'
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS reconciliation_items (
+      id SERIAL PRIMARY KEY,
+      run_id VARCHAR(100) NOT NULL REFERENCES reconciliation_runs (run_id) ON DELETE CASCADE,
+      kind VARCHAR(50) NOT NULL,
+      order_id VARCHAR(100),
+      payment_id VARCHAR(100),
+      currency CHAR(3),
+      expected BIGINT,
+      actual BIGINT,
+      details VARCHAR(500)
+    )
+  `);
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS reconciliation_items_run_idx ON reconciliation_items (run_id)"
+  );
+
+  // Journal what already happened: charges Dr provider_clearing / Cr sales,
+  // refunds Dr refunds / Cr provider_clearing
+  await db.query(`
+    INSERT INTO ledger_entries (entry_id, kind, payment_id, order_id, currency, description, created_at)
+    SELECT 'charge:' || payment_id, 'charge', payment_id, order_id, currency,
+           'Backfilled capture', COALESCE(captured_at, updated_at)
+    FROM payments
+    WHERE status IN ('captured', 'partially_refunded', 'refunded', 'charged_back')
+    ON CONFLICT (entry_id) DO NOTHING
+  `);
+  await db.query(`
+    INSERT INTO ledger_entries (entry_id, kind, payment_id, order_id, currency, description, created_at)
+    SELECT 'refund:' || r.refund_id, 'refund', r.payment_id, p.order_id, r.currency,
+           'Backfilled refund', r.updated_at
+    FROM refunds r JOIN payments p ON p.payment_id = r.payment_id
+    WHERE r.status = 'success'
+    ON CONFLICT (entry_id) DO NOTHING
+  `);
+  await db.query(`
+    INSERT INTO ledger_postings (entry_id, account, debit, credit, currency)
+    SELECT e.entry_id, a.account, a.debit, a.credit, e.currency
+    FROM ledger_entries e
+    JOIN payments p ON e.kind = 'charge' AND p.payment_id = e.payment_id
+    CROSS JOIN LATERAL (VALUES
+      ('provider_clearing', p.amount, 0::bigint),
+      ('sales', 0::bigint, p.amount)
+    ) AS a (account, debit, credit)
+    WHERE NOT EXISTS (SELECT 1 FROM ledger_postings lp WHERE lp.entry_id = e.entry_id)
+  `);
+  await db.query(`
+    INSERT INTO ledger_postings (entry_id, account, debit, credit, currency)
+    SELECT e.entry_id, a.account, a.debit, a.credit, e.currency
+    FROM ledger_entries e
+    JOIN refunds r ON e.kind = 'refund' AND e.entry_id = 'refund:' || r.refund_id
+    CROSS JOIN LATERAL (VALUES
+      ('refunds', r.amount, 0::bigint),
+      ('provider_clearing', 0::bigint, r.amount)
+    ) AS a (account, debit, credit)
+    WHERE NOT EXISTS (SELECT 1 FROM ledger_postings lp WHERE lp.entry_id = e.entry_id)
+  `);
+}
+
+async function down(db) {
+  await db.query("DROP TABLE IF EXISTS reconciliation_items");
+  await db.query("DROP TABLE IF EXISTS reconciliation_runs");
+  await db.query("DROP TABLE IF EXISTS ledger_postings");
+  await db.query("DROP TABLE IF EXISTS ledger_entries");
+}
+
+module.exports = { up, down };
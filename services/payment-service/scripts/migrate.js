@@ -0,0 +1,33 @@
+// services/payment-service/scripts/migrate.js
+//
+// Applies or reverts payments database migrations (see ../migrations).
+// payment-service also applies pending migrations when it starts.
+//
+// Usage: node scripts/migrate.js <up [version] | down [steps] | status>
+//   env: PG_HOST, PG_PORT, PG_DATABASE, PG_USER, PG_PASSWORD as for the service
+
+const { Pool } = require("pg");
+const { runMigrationCli } = require("../../shared/migrations");
+const { createPaymentMigrator } = require("../src/migrations");
+
+async function main() {
+  const pool = new Pool({
+    host: process.env.PG_HOST || "localhost",
+    port: process.env.PG_PORT || 5432,
+    database: process.env.PG_DATABASE || "payments",
+    user: process.env.PG_USER || "postgres",
+    password: process.env.PG_PASSWORD || "postgres",
+  });
+
+  try {
+    const migrator = await createPaymentMigrator(pool);
+    process.exitCode = await runMigrationCli(migrator, process.argv.slice(2));
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});
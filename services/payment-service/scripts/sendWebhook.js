@@ -0,0 +1,67 @@
+// services/payment-service/scripts/sendWebhook.js
+//
+// Signs a test webhook the way a provider would and posts it to a running
+// payment-service (or, with PRINT_ONLY=1, prints the equivalent curl
+// command). Re-using EVENT_ID shows replay protection at work.
+//
+// Usage: node scripts/sendWebhook.js <type> <transactionId> [reason]
+//   type: authorization.succeeded | authorization.failed |
+//         capture.succeeded | chargeback.created
+//   env:  WEBHOOK_SECRET=<the service's FAKE_WEBHOOK_SECRET> (required)
+//         PAYMENT_URL=http://localhost:3002 WEBHOOK_PROVIDER=fake
+//         EVENT_ID=evt_... PRINT_ONLY=1
+
+const crypto = require("crypto");
+const { SIGNATURE_HEADER, signPayload } = require("../src/webhooks");
+const { WEBHOOK_EVENT_TYPES } = require("../src/providers");
+
+const baseUrl = process.env.PAYMENT_URL || "http://localhost:3002";
+const provider = process.env.WEBHOOK_PROVIDER || "fake";
+const secret = process.env.WEBHOOK_SECRET;
+
+async function main() {
+  const [type, transactionId, reason] = process.argv.slice(2);
+
+  if (!secret) {
+    console.error("WEBHOOK_SECRET must be set to the payment-service's webhook secret");
+    process.exit(1);
+  }
+
+  if (!WEBHOOK_EVENT_TYPES.includes(type) || !transactionId) {
+    console.error(
+      "Usage: sendWebhook.js <type> <transactionId> [reason]\n" +
+        `  types: ${WEBHOOK_EVENT_TYPES.join(", ")}`
+    );
+    process.exit(1);
+  }
+
+  const body = JSON.stringify({
+    id: process.env.EVENT_ID || `evt_${crypto.randomUUID()}`,
+    type,
+    data: { transactionId, reason },
+  });
+  const signature = signPayload(secret, body);
+  const url = new URL(`/api/payments/webhooks/${provider}`, baseUrl);
+
+  if (process.env.PRINT_ONLY) {
+    console.log(
+      `curl -X POST '${url}' -H 'content-type: application/json' ` +
+        `-H '${SIGNATURE_HEADER}: ${signature}' -d '${body}'`
+    );
+    return;
+  }
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json", [SIGNATURE_HEADER]: signature },
+    body,
+  });
+
+  console.log(`${response.status} ${JSON.stringify(await response.json())}`);
+  process.exit(response.ok ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});
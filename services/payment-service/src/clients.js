@@ -0,0 +1,68 @@
+// services/payment-service/src/clients.js
+const { serviceAuthHeaders } = require("../../shared/serviceAuth");
+
+/**
+ * Calls another service's REST API as payment-service. Resolves with
+ * { status, data } for any HTTP response and rejects only on network errors
+ * and timeouts.
+ */
+async function request(baseUrl, path, { timeoutMs, serviceSecret }) {
+  const response = await fetch(new URL(path, baseUrl), {
+    headers: serviceAuthHeaders(serviceSecret, "payment-service"),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  return { status: response.status, data };
+}
+
+/**
+ * Order-service admin listing, called on our own behalf (no user).
+ * Throws unless the order service answers 200.
+ */
+function createOrderClient({ baseUrl, timeoutMs, serviceSecret }) {
+  async function list(params) {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined)
+    );
+    const { status, data } = await request(
+      baseUrl,
+      `/api/orders/admin/orders?${query}`,
+      { timeoutMs, serviceSecret }
+    );
+    if (status !== 200) {
+      throw new Error(`Order service returned ${status}: ${data.error || "no details"}`);
+    }
+    return data;
+  }
+
+  return {
+    // Every order with `status` created in [from, to)
+    async listByStatus(status, { from, to }) {
+      const orders = [];
+      for (let page = 1; ; page++) {
+        const data = await list({
+          status,
+          from: from.toISOString(),
+          to: to.toISOString(),
+          page,
+          limit: 500,
+        });
+        orders.push(...data.orders);
+        if (!data.hasMore) return orders;
+      }
+    },
+
+    // The orders among `orderIds` that exist, in any status
+    async findByIds(orderIds) {
+      const orders = [];
+      for (let i = 0; i < orderIds.length; i += 100) {
+        const data = await list({ orderIds: orderIds.slice(i, i + 100).join(",") });
+        orders.push(...data.orders);
+      }
+      return orders;
+    },
+  };
+}
+
+module.exports = { createOrderClient };
@@ -0,0 +1,14 @@
+// services/payment-service/src/errors.js
+
+// A request the payment's current state does not allow; `status` is the
+// HTTP status to answer with
+class PaymentError extends Error {
+  constructor(message, status, payment) {
+    super(message);
+    this.name = "PaymentError";
+    this.status = status;
+    this.payment = payment;
+  }
+}
+
+module.exports = { PaymentError };
@@ -1,10 +1,45 @@
 // services/payment-service/src/index.js
+const crypto = require("crypto");
 const express = require("express");
-const { Pool } = require("pg");
+const { Pool, types } = require("pg");
 const amqp = require("amqplib");
+const {
+  createPgOutboxStore,
+  createOutboxRelay,
+} = require("../../shared/outbox");
+const {
+  assertExchange,
+  publish: publishEvent,
+  subscribe,
+  subscriptionQueueName,
+} = require("../../shared/messaging");
+const { registerDeadLetterRoutes } = require("../../shared/deadLetters");
+const { createJwksVerifier } = require("../../shared/jwks");
+const { authenticateCaller, serviceSecretFromEnv } = require("../../shared/serviceAuth");
+const { hasPermission, parsePermissionsHeader } = require("../../shared/permissions");
+const { getProvider, ProviderTimeoutError } = require("./providers");
+const {
+  SIGNATURE_HEADER,
+  verifySignature,
+  webhookSecretsFromEnv,
+} = require("./webhooks");
+const { createPaymentMigrator } = require("./migrations");
+const { isCurrency, isMinorAmount, toMinor, fromMinor } = require("../../shared/money");
+const { recordCharge, trialBalance, listEntries } = require("./ledger");
+const { createReconciliation, reportToCsv } = require("./reconciliation");
+const { createOrderClient } = require("./clients");
+const { PaymentError } = require("./errors");
+const { createRefunds } = require("./refunds");
 
 const app = express();
-app.use(express.json());
+// Keep the raw body; webhook signatures are computed over it
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString("utf8");
+    },
+  })
+);
 
 // Configuration
 const config = {
@@ -17,53 +52,111 @@ const config = {
     password: process.env.PG_PASSWORD || "postgres",
   },
   rabbitmqUrl: process.env.RABBITMQ_URL || "amqp://localhost:5672",
+  // Currency of orders published before amounts carried one
+  defaultCurrency: process.env.DEFAULT_CURRENCY || "USD",
+  // Reconciliation reads orders from the order service
+  orderServiceUrl: process.env.ORDER_SERVICE_URL || "http://localhost:3001",
+  serviceTimeoutMs: parseInt(process.env.SERVICE_TIMEOUT_MS, 10) || 5000,
+  // Signs our calls to other services and checks the ones made to us
+  serviceSecret: serviceSecretFromEnv(),
+  // Verify bearer tokens against user-service's published keys (optional)
+  jwks: {
+    url: process.env.JWKS_URL,
+    issuer: process.env.JWT_ISSUER || "user-service",
+    audience: process.env.JWT_AUDIENCE || "ecommerce-api",
+  },
+  // How often to check whether yesterday's reconciliation has run
+  reconciliationCheckMs:
+    parseInt(process.env.RECONCILIATION_CHECK_MS, 10) || 60 * 60 * 1000,
+  // Payment provider adapter for new payments (see ./providers)
+  provider: {
+    name: process.env.PAYMENT_PROVIDER || "fake",
+    timeoutMs: parseInt(process.env.PAYMENT_PROVIDER_TIMEOUT_MS, 10) || 10000,
+    latencyMs: parseInt(process.env.FAKE_PROVIDER_LATENCY_MS, 10) || 0,
+    // Fake processing fee per capture: basis points of the amount plus a
+    // fixed number of minor units
+    feeBasisPoints: parseInt(process.env.FAKE_PROVIDER_FEE_BPS, 10) || 0,
+    feeFixed: parseInt(process.env.FAKE_PROVIDER_FEE_FIXED, 10) || 0,
+  },
+  // Uncaptured holds are voided once this old (default 7 days)
+  authorizationTtlMs:
+    parseInt(process.env.AUTHORIZATION_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000,
+  // Failed authorizations are retried with exponential backoff. Keep the
+  // total well inside the 15 minute inventory reservation.
+  retry: {
+    maxAttempts: parseInt(process.env.PAYMENT_MAX_ATTEMPTS, 10) || 4,
+    baseDelayMs: parseInt(process.env.PAYMENT_RETRY_BASE_MS, 10) || 30000,
+    maxDelayMs: parseInt(process.env.PAYMENT_RETRY_MAX_MS, 10) || 5 * 60 * 1000,
+    pollIntervalMs: parseInt(process.env.PAYMENT_RETRY_POLL_MS, 10) || 5000,
+    // Failure reasons that retrying the same payment method cannot fix
+    nonRetryableReasons: (
+      process.env.PAYMENT_NON_RETRYABLE_REASONS || "card_declined"
+    ).split(","),
+  },
+  // Shared secrets for POST /api/payments/webhooks/:provider; a provider
+  // without one (FAKE_WEBHOOK_SECRET for the fake) gets its webhooks refused
+  webhooks: {
+    toleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300,
+    secrets: webhookSecretsFromEnv(),
+  },
 };
 
+// Every call comes from the gateway or another service (X-Service-Token)
+// or, when JWKS_URL is set, carries a user's bearer token. Webhooks are
+// authenticated by the provider's signature instead.
+app.use(
+  authenticateCaller({
+    secret: config.serviceSecret,
+    verifier:
+      config.jwks.url &&
+      createJwksVerifier({
+        jwksUrl: config.jwks.url,
+        issuer: config.jwks.issuer,
+        audience: config.jwks.audience,
+      }),
+    isPublic: (req) =>
+      (req.method === "GET" && req.path === "/health") ||
+      (req.method === "POST" && /^\/api\/payments\/webhooks\/[^/]+$/.test(req.path)),
+  })
+);
+
 // PostgreSQL Setup
+// Amounts are BIGINT minor units; read them as numbers, not strings
+types.setTypeParser(types.builtins.INT8, (value) => parseInt(value, 10));
+
 const pool = new Pool(config.pgConfig);
+const outbox = createPgOutboxStore(pool);
+const reconciliation = createReconciliation({
+  pool,
+  orders: createOrderClient({
+    baseUrl: config.orderServiceUrl,
+    timeoutMs: config.serviceTimeoutMs,
+    serviceSecret: config.serviceSecret,
+  }),
+});
 
+// Schema changes live in ../migrations; pending ones are applied at startup
 async function initDatabase() {
-  const client = await pool.connect();
-  try {
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS payments (
-        id SERIAL PRIMARY KEY,
-        payment_id VARCHAR(100) UNIQUE NOT NULL,
-        order_id VARCHAR(100) NOT NULL,
-        user_id VARCHAR(100) NOT NULL,
-        amount DECIMAL(10, 2) NOT NULL,
-        status VARCHAR(50) DEFAULT 'pending',
-        payment_method VARCHAR(50),
-        transaction_id VARCHAR(200),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log("✅ Database tables initialized");
-  } finally {
-    client.release();
-  }
+  const migrator = await createPaymentMigrator(pool);
+  const applied = await migrator.up();
+  console.log(`✅ Database migrated (${applied.length} new migration(s))`);
 }
 
 // RabbitMQ Connection
+const SERVICE_NAME = "payment-service";
+
 let channel;
 
 async function connectRabbitMQ() {
   try {
     const connection = await amqp.connect(config.rabbitmqUrl);
-    channel = await connection.createChannel();
+    // Confirm channel so the outbox relay knows when the broker has a message
+    channel = await connection.createConfirmChannel();
 
-    await channel.assertQueue("order.created", { durable: true });
-    await channel.assertQueue("payment.processed", { durable: true });
+    await assertExchange(channel);
 
-    // Listen for new orders
-    channel.consume("order.created", async (msg) => {
-      if (msg) {
-        const payload = JSON.parse(msg.content.toString());
-        await processOrderPayment(payload);
-        channel.ack(msg);
-      }
-    });
+    // Listen for new orders on our own queue (retried, then dead-lettered, on failure)
+    await subscribe(channel, SERVICE_NAME, "order.created", processOrderPayment);
 
     console.log("✅ Connected to RabbitMQ");
   } catch (error) {
@@ -72,69 +165,806 @@ async function connectRabbitMQ() {
   }
 }
 
+function publish(routingKey, event, messageId) {
+  return publishEvent(channel, routingKey, event, messageId);
+}
+
+// Publishes outbox events written alongside payment state changes
+const relay = createOutboxRelay({ store: outbox, publish });
+
 // Payment Processing Logic
+//
+// Payment statuses:
+//   pending -> authorized | requires_action | failed
+//   authorized | requires_action -> captured | voided | failed (capture declined)
+//   captured -> partially_refunded -> refunded
+//
+// The hold is placed when order.created arrives and captured by the order
+// saga once the stock is confirmed.
+//
+// Amounts are integer minor units of the payment's currency (see
+// shared/money).
+
+const CAPTURED_STATUSES = ["captured", "partially_refunded", "refunded"];
+const VOIDABLE_STATUSES = ["authorized", "requires_action"];
+
+// Queues payment.processed in the outbox using `client`, which should hold
+// the transaction that recorded the outcome
+function publishPaymentProcessed(client, payment) {
+  const event = {
+    orderId: payment.order_id,
+    paymentId: payment.payment_id,
+    attempt: payment.attempt,
+    status: payment.status,
+    amount: payment.amount,
+    currency: payment.currency,
+    transactionId: payment.transaction_id,
+    failureReason: payment.failure_reason,
+    timestamp: new Date().toISOString(),
+  };
+
+  return outbox.add("payment.processed", event, client);
+}
+
+// Attempt statuses:
+//   succeeded / requires_action  the authorization went through or awaits the customer
+//   retry_scheduled              failed; attempt + 1 runs at next_retry_at
+//   retried                      failed; attempt + 1 has been made
+//   failed_permanently           failed with no retries left
+// Only a permanent failure is announced; the order keeps waiting meanwhile.
+
+function retryDelay(attempt) {
+  return Math.min(
+    config.retry.baseDelayMs * 2 ** (attempt - 1),
+    config.retry.maxDelayMs
+  );
+}
+
+/**
+ * Records the outcome of a finished attempt, scheduling the next one when
+ * the failure is retryable. An attempt waiting on customer action is
+ * updated once it resolves. Returns the attempt row (the existing one if it
+ * was already recorded).
+ */
+async function recordAttempt(client, payment) {
+  let status = payment.status === "failed" ? "failed_permanently" : "succeeded";
+  let nextRetryAt = null;
+
+  if (payment.status === "requires_action") {
+    status = "requires_action";
+  } else if (
+    payment.status === "failed" &&
+    payment.attempt < config.retry.maxAttempts &&
+    !config.retry.nonRetryableReasons.includes(payment.failure_reason)
+  ) {
+    status = "retry_scheduled";
+    nextRetryAt = new Date(Date.now() + retryDelay(payment.attempt));
+  }
+
+  const result = await client.query(
+    `INSERT INTO payment_attempts
+       (order_id, attempt, payment_id, status, failure_reason, next_retry_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (order_id, attempt) DO UPDATE
+       SET status = EXCLUDED.status, failure_reason = EXCLUDED.failure_reason,
+           next_retry_at = EXCLUDED.next_retry_at, updated_at = NOW()
+       WHERE payment_attempts.status = 'requires_action'
+     RETURNING *`,
+    [payment.order_id, payment.attempt, payment.payment_id, status, payment.failure_reason, nextRetryAt]
+  );
+  if (result.rows.length > 0) return result.rows[0];
+
+  const existing = await client.query(
+    "SELECT * FROM payment_attempts WHERE order_id = $1 AND attempt = $2",
+    [payment.order_id, payment.attempt]
+  );
+  return existing.rows[0];
+}
+
+// Queues the event for a finished attempt: payment.processed for an
+// authorization, payment.failed_permanently once retries are exhausted
+async function publishAttemptOutcome(client, payment, attempt) {
+  if (attempt.status === "failed_permanently") {
+    await outbox.add(
+      "payment.failed_permanently",
+      {
+        orderId: payment.order_id,
+        paymentId: payment.payment_id,
+        attempts: payment.attempt,
+        failureReason: payment.failure_reason,
+        timestamp: new Date().toISOString(),
+      },
+      client
+    );
+  } else if (attempt.status === "succeeded") {
+    await publishPaymentProcessed(client, payment);
+  }
+}
+
+// The provider that holds a payment's transaction; rows from before
+// providers were recorded belong to the configured one
+function providerFor(payment) {
+  return getProvider(payment?.provider || config.provider.name, config.provider);
+}
+
+/**
+ * Places a hold for `amount`. Returns the payment status to record
+ * ("authorized", "failed" or "requires_action") with the provider's
+ * transaction id and decline reason.
+ */
+async function authorizeWithProvider(provider, { paymentId, amount, currency, paymentMethod }) {
+  try {
+    const auth = await provider.authorize({
+      amount,
+      currency,
+      paymentMethod,
+      reference: paymentId,
+    });
+
+    if (auth.status === "requires_action" || auth.status === "authorized") {
+      return { status: auth.status, transactionId: auth.transactionId, reason: auth.reason };
+    }
+
+    return { status: "failed", transactionId: auth.transactionId, reason: auth.reason || auth.status };
+  } catch (error) {
+    if (error instanceof ProviderTimeoutError) {
+      console.error(`⏱️ ${error.message} for payment ${paymentId}`);
+      return { status: "failed", reason: "provider_timeout" };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Authorizes an order at most once per (orderId, attempt). A redelivered
+ * order.created message finds the existing row: a finished payment has its
+ * outcome re-published, one still pending or awaiting customer action is
+ * left alone (a pending one abandoned by a crash is failed by
+ * recoverStalePayments). Failures are recorded as attempts for the retry
+ * scheduler.
+ * Orders published without a currency carry a decimal total in the default
+ * currency.
+ */
 async function processOrderPayment(orderData) {
-  const { orderId, userId, totalAmount } = orderData;
+  const { orderId, userId, paymentMethod, attempt = 1 } = orderData;
+  const currency = orderData.currency || config.defaultCurrency;
+  const totalAmount = orderData.currency
+    ? orderData.totalAmount
+    : toMinor(orderData.totalAmount, currency);
 
-  console.log(`💳 Processing payment for order ${orderId}`);
+  if (!isCurrency(currency) || !isMinorAmount(totalAmount)) {
+    throw new Error(`Invalid amount ${orderData.totalAmount} ${currency} for order ${orderId}`);
+  }
+
+  console.log(`💳 Processing payment for order ${orderId} (attempt ${attempt})`);
 
   const client = await pool.connect();
   try {
-    const paymentId = `PAY-${Date.now()}`;
+    const paymentId = `PAY-${crypto.randomUUID()}`;
+    const provider = providerFor(null);
 
-    // Simulate payment processing (replace with real payment gateway)
-    const paymentSuccess = await simulatePaymentGateway(totalAmount);
+    // Claim the (order, attempt) slot before talking to the provider
+    const claimed = await client.query(
+      `INSERT INTO payments
+         (payment_id, order_id, user_id, amount, currency, status, attempt, payment_method, provider)
+       VALUES ($1, $2, $3, $4, $5, 'pending', $6, $7, $8)
+       ON CONFLICT (order_id, attempt) DO NOTHING
+       RETURNING *`,
+      [paymentId, orderId, userId, totalAmount, currency, attempt, paymentMethod || null, provider.name]
+    );
 
-    const status = paymentSuccess ? "success" : "failed";
-    const transactionId = paymentSuccess ? `TXN-${Date.now()}` : null;
+    if (claimed.rows.length === 0) {
+      const existing = await client.query(
+        "SELECT * FROM payments WHERE order_id = $1 AND attempt = $2",
+        [orderId, attempt]
+      );
+      const payment = existing.rows[0];
 
-    // Store payment record
-    await client.query(
-      `INSERT INTO payments (payment_id, order_id, user_id, amount, status, transaction_id)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [paymentId, orderId, userId, totalAmount, status, transactionId]
-    );
+      if (["pending", "requires_action"].includes(payment.status)) {
+        console.log(`⏳ Payment for order ${orderId} attempt ${attempt} already in progress`);
+      } else {
+        console.log(`♻️ Duplicate payment request for order ${orderId}, re-publishing ${payment.status}`);
+        const recorded = await client.query(
+          "SELECT * FROM payment_attempts WHERE order_id = $1 AND attempt = $2",
+          [orderId, attempt]
+        );
+        // Payments from before attempts were recorded re-publish as they did
+        await publishAttemptOutcome(
+          client,
+          payment,
+          recorded.rows[0] || { status: "succeeded" }
+        );
+      }
+      return;
+    }
 
-    // Publish payment.processed event
-    const event = {
-      orderId,
+    const { status, transactionId, reason } = await authorizeWithProvider(provider, {
       paymentId,
-      status,
       amount: totalAmount,
-      transactionId,
-      timestamp: new Date().toISOString(),
-    };
+      currency,
+      paymentMethod,
+    });
+    const expiresAt =
+      status === "failed" ? null : new Date(Date.now() + config.authorizationTtlMs);
 
-    channel.sendToQueue(
-      "payment.processed",
-      Buffer.from(JSON.stringify(event)),
-      {
-        persistent: true,
+    // Store payment outcome, the attempt and its event atomically
+    await client.query("BEGIN");
+    try {
+      const result = await client.query(
+        `UPDATE payments
+         SET status = $1, transaction_id = $2, failure_reason = $3,
+             authorization_expires_at = $4, updated_at = CURRENT_TIMESTAMP
+         WHERE payment_id = $5 AND status = 'pending'
+         RETURNING *`,
+        [status, transactionId || null, reason || null, expiresAt, paymentId]
+      );
+
+      if (result.rows.length === 0) {
+        // We took so long that recoverStalePayments gave up on us and the
+        // next attempt is under way; this hold is not wanted
+        await client.query("ROLLBACK");
+        console.warn(`⚠️ Payment ${paymentId} was recovered as stale before its outcome (${status}) arrived`);
+        if (transactionId && status !== "failed") {
+          await provider.void({ transactionId }).catch((error) =>
+            console.error(`Could not void unwanted hold ${transactionId}, leaving it to expire:`, error.message)
+          );
+        }
+        return;
       }
-    );
+
+      const recorded = await recordAttempt(client, result.rows[0]);
+      await publishAttemptOutcome(client, result.rows[0], recorded);
+      await client.query("COMMIT");
+
+      if (recorded.status === "retry_scheduled") {
+        console.log(
+          `🔁 Payment for order ${orderId} attempt ${attempt} will be retried at ${recorded.next_retry_at.toISOString()}`
+        );
+      }
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    }
 
     console.log(
-      `${status === "success" ? "✅" : "❌"} Payment ${paymentId} ${status}`
+      `${status === "failed" ? "❌" : "✅"} Payment ${paymentId} ${status}${reason ? ` (${reason})` : ""}`
     );
   } catch (error) {
     console.error("Error processing payment:", error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// A payment still pending this long after it was claimed belongs to a
+// process that died while talking to the provider (every provider call
+// gives up after config.provider.timeoutMs)
+const PENDING_LEASE_MS = config.provider.timeoutMs + 60 * 1000;
+
+/**
+ * Fails payments left pending by a crash, as a timed-out authorization
+ * would be: the attempt is recorded, so it is retried or announced as a
+ * permanent failure and the order saga is not left waiting. A hold the
+ * provider may have placed is left to expire there.
+ */
+async function recoverStalePayments(limit = 20) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    try {
+      const stale = await client.query(
+        `UPDATE payments
+         SET status = 'failed', failure_reason = 'interrupted', updated_at = CURRENT_TIMESTAMP
+         WHERE payment_id IN (
+           SELECT payment_id FROM payments
+           WHERE status = 'pending'
+             AND updated_at < NOW() - ($1 * INTERVAL '1 millisecond')
+           ORDER BY updated_at
+           LIMIT $2
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [PENDING_LEASE_MS, limit]
+      );
+
+      for (const payment of stale.rows) {
+        const recorded = await recordAttempt(client, payment);
+        await publishAttemptOutcome(client, payment, recorded);
+        console.warn(
+          `⚠️ Payment ${payment.payment_id} for order ${payment.order_id} was left pending, recorded as ${recorded.status}`
+        );
+      }
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    }
   } finally {
     client.release();
   }
 }
 
-// Simulate Payment Gateway (replace with Stripe, PayPal, etc.)
-async function simulatePaymentGateway(amount) {
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      // 90% success rate for simulation
-      const success = Math.random() > 0.1;
-      resolve(success);
-    }, 1000);
+const { refundPayment, settlePendingRefunds } = createRefunds({
+  pool,
+  outbox,
+  providerFor,
+  // Past this no refund call can still be waiting on the provider
+  settleAfterMs: config.provider.timeoutMs + 60 * 1000,
+});
+
+// Payment retry scheduler
+
+// A claimed retry is pushed back by this much, so it runs again if this
+// process dies before attempt + 1 is recorded
+const RETRY_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Runs the retries that are due. Each is claimed with SKIP LOCKED so
+ * several instances can share the work; processOrderPayment is idempotent
+ * per attempt, so a retry re-run after a crash is harmless.
+ */
+async function runDueRetries(limit = 20) {
+  const claimed = await pool.query(
+    `UPDATE payment_attempts
+     SET next_retry_at = NOW() + ($1 * INTERVAL '1 millisecond'), updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM payment_attempts
+       WHERE status = 'retry_scheduled' AND next_retry_at <= NOW()
+       ORDER BY next_retry_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [RETRY_LEASE_MS, limit]
+  );
+
+  for (const attempt of claimed.rows) {
+    try {
+      const result = await pool.query(
+        "SELECT * FROM payments WHERE payment_id = $1",
+        [attempt.payment_id]
+      );
+      const payment = result.rows[0];
+
+      await processOrderPayment({
+        orderId: attempt.order_id,
+        userId: payment.user_id,
+        totalAmount: payment.amount,
+        currency: payment.currency,
+        paymentMethod: attempt.retry_payment_method || payment.payment_method,
+        attempt: attempt.attempt + 1,
+      });
+
+      await pool.query(
+        `UPDATE payment_attempts SET status = 'retried', next_retry_at = NULL,
+           updated_at = NOW()
+         WHERE id = $1`,
+        [attempt.id]
+      );
+    } catch (error) {
+      console.error(
+        `Payment retry for order ${attempt.order_id} (attempt ${attempt.attempt + 1}) failed:`,
+        error.message
+      );
+    }
+  }
+}
+
+/**
+ * Runs `fn(client, payment)` in a transaction holding the payment's row
+ * lock, so captures, voids and the expiry sweep never act on the same hold
+ * at once. Throws PaymentError (404) for an unknown payment.
+ */
+async function withLockedPayment(paymentId, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    try {
+      const result = await client.query(
+        "SELECT * FROM payments WHERE payment_id = $1 FOR UPDATE",
+        [paymentId]
+      );
+      if (result.rows.length === 0) {
+        throw new PaymentError("Payment not found", 404);
+      }
+
+      const value = await fn(client, result.rows[0]);
+      await client.query("COMMIT");
+      return value;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function setPaymentStatus(client, paymentId, status, failureReason) {
+  const result = await client.query(
+    `UPDATE payments
+     SET status = $1, failure_reason = COALESCE($2, failure_reason),
+         captured_at = CASE WHEN $1 = 'captured' THEN CURRENT_TIMESTAMP ELSE captured_at END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE payment_id = $3
+     RETURNING *`,
+    [status, failureReason || null, paymentId]
+  );
+  return result.rows[0];
+}
+
+function paymentEvent(payment, extra) {
+  return {
+    orderId: payment.order_id,
+    paymentId: payment.payment_id,
+    status: payment.status,
+    amount: payment.amount,
+    currency: payment.currency,
+    ...extra,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// Releases a locked hold at the provider and records it as voided
+async function voidLocked(client, payment, reason) {
+  const outcome = await providerFor(payment).void({
+    transactionId: payment.transaction_id,
+  });
+  if (outcome.status !== "voided") {
+    throw new PaymentError(
+      `Provider could not void payment: ${outcome.reason || outcome.status}`,
+      502,
+      payment
+    );
+  }
+
+  const voided = await setPaymentStatus(client, payment.payment_id, "voided", reason);
+  await outbox.add("payment.voided", paymentEvent(voided, { reason }), client);
+
+  console.log(`🔓 Payment ${payment.payment_id} voided (${reason})`);
+  return voided;
+}
+
+/**
+ * Captures an authorized payment. Idempotent: an already captured payment
+ * is returned as is. Returns { payment, captured, reason }; a declined
+ * capture or an expired hold leaves the payment failed or voided.
+ */
+function capturePayment(paymentId) {
+  return withLockedPayment(paymentId, async (client, payment) => {
+    if (CAPTURED_STATUSES.includes(payment.status)) {
+      return { payment, captured: true };
+    }
+    if (payment.status !== "authorized") {
+      throw new PaymentError(
+        `Payment is ${payment.status} and cannot be captured`,
+        409,
+        payment
+      );
+    }
+
+    if (
+      payment.authorization_expires_at &&
+      payment.authorization_expires_at < new Date()
+    ) {
+      const voided = await voidLocked(client, payment, "authorization_expired");
+      return { payment: voided, captured: false, reason: "authorization_expired" };
+    }
+
+    const outcome = await providerFor(payment).capture({
+      transactionId: payment.transaction_id,
+      amount: payment.amount,
+      currency: payment.currency,
+    });
+
+    if (outcome.status !== "captured") {
+      const reason = outcome.reason || "capture_failed";
+      const failed = await setPaymentStatus(client, paymentId, "failed", reason);
+      console.log(`❌ Capture of payment ${paymentId} failed (${reason})`);
+      return { payment: failed, captured: false, reason };
+    }
+
+    const captured = await setPaymentStatus(client, paymentId, "captured");
+    await recordCharge(client, captured, { fee: outcome.fee });
+    await outbox.add("payment.captured", paymentEvent(captured), client);
+
+    console.log(`✅ Payment ${paymentId} captured`);
+    return { payment: captured, captured: true };
+  });
+}
+
+/**
+ * Voids a payment's hold. Idempotent for payments that hold nothing
+ * (voided or failed); captured or still-pending ones are a 409.
+ */
+function voidPayment(paymentId, reason) {
+  return withLockedPayment(paymentId, async (client, payment) => {
+    if (["voided", "failed"].includes(payment.status)) {
+      return payment;
+    }
+    if (!VOIDABLE_STATUSES.includes(payment.status)) {
+      throw new PaymentError(
+        `Payment is ${payment.status} and cannot be voided`,
+        409,
+        payment
+      );
+    }
+
+    return voidLocked(client, payment, reason);
+  });
+}
+
+// Webhooks
+
+/**
+ * Applies a provider webhook event to the locked payment it refers to.
+ * Returns what happened ("applied" or "ignored" when the payment is not in
+ * a state the event applies to).
+ */
+async function applyWebhookEvent(client, payment, event) {
+  switch (event.type) {
+    case "authorization.succeeded":
+    case "authorization.failed": {
+      if (!["pending", "requires_action"].includes(payment.status)) return "ignored";
+
+      const succeeded = event.type === "authorization.succeeded";
+      const updated = await setPaymentStatus(
+        client,
+        payment.payment_id,
+        succeeded ? "authorized" : "failed",
+        succeeded ? null : event.reason || "authorization_failed"
+      );
+      if (succeeded) {
+        await client.query(
+          `UPDATE payments SET authorization_expires_at = $1 WHERE payment_id = $2`,
+          [new Date(Date.now() + config.authorizationTtlMs), payment.payment_id]
+        );
+      }
+
+      const attempt = await recordAttempt(client, updated);
+      await publishAttemptOutcome(client, updated, attempt);
+      return "applied";
+    }
+
+    case "capture.succeeded": {
+      if (payment.status !== "authorized") return "ignored";
+
+      const captured = await setPaymentStatus(client, payment.payment_id, "captured");
+      await recordCharge(client, captured, { fee: event.fee });
+      await outbox.add("payment.captured", paymentEvent(captured), client);
+      return "applied";
+    }
+
+    case "chargeback.created": {
+      if (!CAPTURED_STATUSES.includes(payment.status)) return "ignored";
+
+      const disputed = await setPaymentStatus(
+        client,
+        payment.payment_id,
+        "charged_back",
+        event.reason || "chargeback"
+      );
+      await publishPaymentProcessed(client, disputed);
+      return "applied";
+    }
+
+    default:
+      return "ignored";
+  }
+}
+
+/**
+ * Records a webhook event id and applies it, in one transaction under the
+ * payment's row lock. A repeated event id is reported as "duplicate" and
+ * changes nothing.
+ */
+async function handleWebhookEvent(providerName, event) {
+  const found = await pool.query(
+    "SELECT payment_id FROM payments WHERE provider = $1 AND transaction_id = $2",
+    [providerName, event.transactionId]
+  );
+  const paymentId = found.rows[0]?.payment_id;
+
+  const record = (client, outcome) =>
+    client.query(
+      `INSERT INTO webhook_events (provider, event_id, type, payment_id, outcome)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (provider, event_id) DO NOTHING
+       RETURNING event_id`,
+      [providerName, event.id, event.type, paymentId || null, outcome]
+    );
+
+  if (!paymentId) {
+    const inserted = await record(pool, "unknown_payment");
+    return inserted.rows.length > 0 ? "unknown_payment" : "duplicate";
+  }
+
+  return withLockedPayment(paymentId, async (client, payment) => {
+    const inserted = await record(client, "received");
+    if (inserted.rows.length === 0) return "duplicate";
+
+    const outcome = await applyWebhookEvent(client, payment, event);
+    await client.query(
+      "UPDATE webhook_events SET outcome = $1 WHERE provider = $2 AND event_id = $3",
+      [outcome, providerName, event.id]
+    );
+    return outcome;
   });
 }
 
+// Voids holds the order saga never captured before they expired
+async function voidExpiredAuthorizations() {
+  const result = await pool.query(
+    `SELECT payment_id FROM payments
+     WHERE status IN ('authorized', 'requires_action')
+       AND authorization_expires_at < NOW()
+     ORDER BY authorization_expires_at
+     LIMIT 100`
+  );
+
+  for (const { payment_id: paymentId } of result.rows) {
+    try {
+      await voidPayment(paymentId, "authorization_expired");
+    } catch (error) {
+      console.error(`Could not void expired payment ${paymentId}:`, error.message);
+    }
+  }
+}
+
+// Caller identity
+// authenticateCaller sets x-user-id / x-user-role / x-user-permissions from
+// a verified token only. Requests without them are other services acting
+// on their own behalf (req.internal).
+function getCaller(req) {
+  const userId = req.headers["x-user-id"];
+  if (!userId) return null;
+  return {
+    userId,
+    role: req.headers["x-user-role"],
+    permissions: parsePermissionsHeader(req.headers["x-user-permissions"]),
+  };
+}
+
+function callerCan(req, permission) {
+  const caller = getCaller(req);
+  return caller ? hasPermission(caller.permissions, permission) : req.internal;
+}
+
+// Owners always; other callers need payments:read:any
+function canAccess(req, ownerId) {
+  return getCaller(req)?.userId === ownerId || callerCan(req, "payments:read:any");
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!callerCan(req, permission)) {
+      return res.status(403).json({ success: false, error: "Forbidden" });
+    }
+    next();
+  };
+}
+
+const requirePaymentsAdmin = requirePermission("payments:admin");
+
 // REST API Endpoints
+
+// Outbox events still pending after `olderThanSeconds` (default 60)
+app.get("/api/payments/admin/outbox", requirePaymentsAdmin, async (req, res) => {
+  try {
+    const olderThanSeconds = parseInt(req.query.olderThanSeconds, 10) || 60;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const events = await outbox.listStuck(
+      new Date(Date.now() - olderThanSeconds * 1000),
+      limit
+    );
+
+    res.json({ success: true, events });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Inspect, replay or purge dead-lettered order.created messages
+registerDeadLetterRoutes(app, "/api/payments/admin/dlq", {
+  getChannel: () => channel,
+  queues: { "order.created": subscriptionQueueName(SERVICE_NAME, "order.created") },
+  guard: requirePaymentsAdmin,
+});
+
+// Ledger and reconciliation
+
+// Journal entries with their postings, filtered by orderId or paymentId
+app.get("/api/payments/admin/ledger", requirePaymentsAdmin, async (req, res) => {
+  try {
+    const entries = await listEntries(pool, {
+      orderId: req.query.orderId,
+      paymentId: req.query.paymentId,
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500),
+    });
+
+    res.json({ success: true, entries });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Debit/credit totals per account and currency, optionally for [from, to)
+app.get("/api/payments/admin/ledger/balances", requirePaymentsAdmin, async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    if ([from, to].some((date) => date && isNaN(date))) {
+      return res.status(400).json({ success: false, error: "Invalid from/to date" });
+    }
+
+    const balances = await trialBalance(pool, { from, to });
+    res.json({ success: true, balances });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reconcile [from, to) now; defaults to the previous UTC day
+app.post("/api/payments/admin/reconciliation", requirePaymentsAdmin, async (req, res) => {
+  try {
+    const today = new Date(new Date().toISOString().slice(0, 10));
+    const to = req.body?.to ? new Date(req.body.to) : today;
+    const from = req.body?.from
+      ? new Date(req.body.from)
+      : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res
+        .status(400)
+        .json({ success: false, error: "from and to must be dates with from < to" });
+    }
+
+    const run = await reconciliation.run({ from, to });
+    res.status(201).json({ success: true, run });
+  } catch (error) {
+    console.error("Reconciliation failed:", error);
+    res.status(502).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/api/payments/admin/reconciliation", requirePaymentsAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 30, 200);
+    const runs = await reconciliation.listRuns(limit);
+    res.json({ success: true, runs });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// A run's mismatches as JSON (minor units) or, with ?format=csv, as a CSV
+// download with decimal amounts
+app.get("/api/payments/admin/reconciliation/:runId", requirePaymentsAdmin, async (req, res) => {
+  try {
+    const report = await reconciliation.getReport(req.params.runId);
+
+    if (!report) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Reconciliation run not found" });
+    }
+
+    if (req.query.format === "csv") {
+      return res
+        .type("text/csv")
+        .attachment(`reconciliation-${report.run.run_id}.csv`)
+        .send(reportToCsv(report));
+    }
+
+    res.json({ success: true, ...report });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.get("/api/payments/:paymentId", async (req, res) => {
   try {
     const result = await pool.query(
@@ -148,51 +978,319 @@ app.get("/api/payments/:paymentId", async (req, res) => {
         .json({ success: false, error: "Payment not found" });
     }
 
+    if (!canAccess(req, result.rows[0].user_id)) {
+      return res.status(403).json({ success: false, error: "Forbidden" });
+    }
+
     res.json({ success: true, payment: result.rows[0] });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Each payment carries its attempt's retry status ("retry_scheduled" means
+// the order should keep waiting)
 app.get("/api/payments/order/:orderId", async (req, res) => {
   try {
     const result = await pool.query(
-      "SELECT * FROM payments WHERE order_id = $1",
+      `SELECT p.*, a.status AS attempt_status, a.next_retry_at
+       FROM payments p
+       LEFT JOIN payment_attempts a ON a.payment_id = p.payment_id
+       WHERE p.order_id = $1
+       ORDER BY p.created_at DESC`,
+      [req.params.orderId]
+    );
+
+    res.json({
+      success: true,
+      payments: result.rows.filter((row) => canAccess(req, row.user_id)),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Asynchronous outcomes from payment providers (3DS results, late
+// settlements, chargebacks). Always 2xx once the signature checks out, so
+// the provider stops redelivering. A provider with no secret configured
+// gets a 404.
+app.post("/api/payments/webhooks/:provider", async (req, res) => {
+  try {
+    const providerName = req.params.provider;
+    const secret = config.webhooks.secrets[providerName];
+
+    if (!secret) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Unknown webhook provider" });
+    }
+
+    const rejected = verifySignature(
+      secret,
+      req.headers[SIGNATURE_HEADER],
+      req.rawBody || "",
+      config.webhooks.toleranceSeconds
+    );
+    if (rejected) {
+      console.warn(`🚫 Rejected ${providerName} webhook: ${rejected}`);
+      return res.status(401).json({ success: false, error: rejected });
+    }
+
+    const event = getProvider(providerName, config.provider).parseWebhook(req.body);
+    if (!event) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Unrecognised webhook event" });
+    }
+
+    const outcome = await handleWebhookEvent(providerName, event);
+    console.log(`📨 ${providerName} webhook ${event.id} (${event.type}): ${outcome}`);
+
+    res.json({ success: true, outcome });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res
+        .status(error.status)
+        .json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Used by the order saga once the stock is confirmed. A declined capture
+// or expired hold is a 409 carrying the payment.
+app.post("/api/payments/:paymentId/capture", requirePermission("payments:write"), async (req, res) => {
+  try {
+    const { payment, captured, reason } = await capturePayment(req.params.paymentId);
+
+    if (!captured) {
+      return res
+        .status(409)
+        .json({ success: false, error: `Payment capture failed: ${reason}`, payment });
+    }
+
+    res.json({ success: true, payment });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res
+        .status(error.status)
+        .json({ success: false, error: error.message, payment: error.payment });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Releases the hold of a payment that was not captured (order cancelled or
+// its stock lost). A captured payment is a 409; refund it instead.
+app.post("/api/payments/:paymentId/void", requirePermission("payments:write"), async (req, res) => {
+  try {
+    const payment = await voidPayment(
+      req.params.paymentId,
+      req.body?.reason || "order_cancelled"
+    );
+
+    res.json({ success: true, payment });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res
+        .status(error.status)
+        .json({ success: false, error: error.message, payment: error.payment });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/api/payments/:paymentId/refunds", async (req, res) => {
+  try {
+    const payment = await pool.query(
+      "SELECT user_id FROM payments WHERE payment_id = $1",
+      [req.params.paymentId]
+    );
+
+    if (payment.rows.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Payment not found" });
+    }
+
+    if (!canAccess(req, payment.rows[0].user_id)) {
+      return res.status(403).json({ success: false, error: "Forbidden" });
+    }
+
+    const result = await pool.query(
+      "SELECT * FROM refunds WHERE payment_id = $1 ORDER BY created_at",
+      [req.params.paymentId]
+    );
+
+    res.json({ success: true, refunds: result.rows });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Full (no amount) or partial refund, `amount` in minor units of the
+// payment's currency. A provider decline is reported as 502 with the failed
+// refund so the caller can try again.
+app.post("/api/payments/:paymentId/refunds", requirePermission("payments:refund"), async (req, res) => {
+  try {
+    const { amount, currency, reason } = req.body || {};
+
+    if (amount !== undefined && !(isMinorAmount(amount) && amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "amount must be a positive integer in minor units",
+      });
+    }
+    if (currency !== undefined && !isCurrency(currency)) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Unsupported currency" });
+    }
+
+    const { refund, payment } = await refundPayment(req.params.paymentId, {
+      amount,
+      currency,
+      reason,
+    });
+
+    if (refund.status === "pending") {
+      return res.status(202).json({ success: true, refund, payment });
+    }
+    if (refund.status !== "success") {
+      return res
+        .status(502)
+        .json({ success: false, error: "Refund declined by provider", refund });
+    }
+
+    res.status(201).json({ success: true, refund, payment });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res
+        .status(error.status)
+        .json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Used by the order saga to compensate a charge: refunds whatever is left.
+// Refunding an already refunded payment is a no-op.
+app.post("/api/payments/:paymentId/refund", requirePermission("payments:refund"), async (req, res) => {
+  try {
+    const existing = await pool.query(
+      "SELECT * FROM payments WHERE payment_id = $1",
+      [req.params.paymentId]
+    );
+
+    if (existing.rows[0]?.status === "refunded") {
+      return res.json({ success: true, payment: existing.rows[0] });
+    }
+
+    const { refund, payment } = await refundPayment(req.params.paymentId, {
+      reason: req.body?.reason || "Order compensation",
+    });
+
+    // Not done until the provider's outcome is known; the saga retries and
+    // gets a 409 while the refund is pending, then this no-op once it lands
+    if (refund.status === "pending") {
+      return res.status(202).json({ success: true, refund, payment });
+    }
+    if (refund.status !== "success") {
+      return res
+        .status(502)
+        .json({ success: false, error: "Refund declined by provider", refund });
+    }
+
+    res.json({ success: true, payment });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res
+        .status([404, 502].includes(error.status) ? error.status : 409)
+        .json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/api/payments/order/:orderId/attempts", async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT a.*, p.user_id FROM payment_attempts a
+       JOIN payments p ON p.payment_id = a.payment_id
+       WHERE a.order_id = $1
+       ORDER BY a.attempt`,
       [req.params.orderId]
     );
 
-    res.json({ success: true, payments: result.rows });
+    if (result.rows.length > 0 && !canAccess(req, result.rows[0].user_id)) {
+      return res.status(403).json({ success: false, error: "Forbidden" });
+    }
+
+    res.json({
+      success: true,
+      attempts: result.rows.map(({ user_id, ...attempt }) => attempt),
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Brings a scheduled retry forward, optionally with a new payment method.
+// Retries still count towards the max-attempt policy.
 app.post("/api/payments/retry/:orderId", async (req, res) => {
   try {
     const { orderId } = req.params;
+    const { paymentMethod } = req.body || {};
+
+    if (
+      paymentMethod !== undefined &&
+      (typeof paymentMethod !== "string" || !paymentMethod || paymentMethod.length > 50)
+    ) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Invalid paymentMethod" });
+    }
 
-    // Get order details (in real scenario, fetch from order service)
     const result = await pool.query(
-      "SELECT * FROM payments WHERE order_id = $1 AND status = $2",
-      [orderId, "failed"]
+      `SELECT a.*, p.user_id FROM payment_attempts a
+       JOIN payments p ON p.payment_id = a.payment_id
+       WHERE a.order_id = $1
+       ORDER BY a.attempt DESC LIMIT 1`,
+      [orderId]
     );
+    const latest = result.rows[0];
 
-    if (result.rows.length === 0) {
+    if (!latest || latest.status !== "retry_scheduled") {
       return res
-        .status(404)
-        .json({ success: false, error: "No failed payment found" });
+        .status(409)
+        .json({ success: false, error: "No payment retry pending for this order" });
     }
 
-    // Trigger retry (publish to queue)
-    const orderEvent = {
-      orderId,
-      userId: result.rows[0].user_id,
-      totalAmount: parseFloat(result.rows[0].amount),
-    };
+    if (!canAccess(req, latest.user_id)) {
+      return res.status(403).json({ success: false, error: "Forbidden" });
+    }
+
+    const updated = await pool.query(
+      `UPDATE payment_attempts
+       SET next_retry_at = NOW(),
+           retry_payment_method = COALESCE($2, retry_payment_method),
+           updated_at = NOW()
+       WHERE id = $1 AND status = 'retry_scheduled'
+       RETURNING *`,
+      [latest.id, paymentMethod || null]
+    );
 
-    await processOrderPayment(orderEvent);
+    setImmediate(() =>
+      runDueRetries().catch((error) =>
+        console.error("Error running payment retries:", error)
+      )
+    );
 
-    res.json({ success: true, message: "Payment retry initiated" });
+    res.status(202).json({
+      success: true,
+      message: "Payment retry initiated",
+      attempt: updated.rows[0],
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -202,11 +1300,51 @@ app.get("/health", (req, res) => {
   res.json({ status: "healthy", service: "payment-service" });
 });
 
+// Recover abandoned payments and run due payment retries
+setInterval(async () => {
+  try {
+    await recoverStalePayments();
+    await runDueRetries();
+  } catch (error) {
+    console.error("Error running payment retries:", error);
+  }
+}, config.retry.pollIntervalMs);
+
+// Void expired authorizations and settle timed-out refunds (run every minute)
+setInterval(async () => {
+  try {
+    await voidExpiredAuthorizations();
+  } catch (error) {
+    console.error("Error voiding expired authorizations:", error);
+  }
+  try {
+    await settlePendingRefunds();
+  } catch (error) {
+    console.error("Error settling pending refunds:", error);
+  }
+}, 60 * 1000);
+
+// Reconcile yesterday once it is over (one instance does it)
+setInterval(async () => {
+  try {
+    await reconciliation.runDaily();
+  } catch (error) {
+    console.error("Error running daily reconciliation:", error.message);
+  }
+}, config.reconciliationCheckMs);
+
 // Start server
 async function start() {
   try {
     await initDatabase();
     await connectRabbitMQ();
+    relay.start();
+
+    if (!config.webhooks.secrets[config.provider.name]) {
+      console.warn(
+        `⚠️ No webhook secret set for ${config.provider.name}; its webhooks will be refused`
+      );
+    }
 
     app.listen(config.port, () => {
       console.log(`🚀 Payment Service running on port ${config.port}`);
@@ -0,0 +1,202 @@
+// services/payment-service/src/ledger.js
+
+/**
+ * Double-entry ledger. Every money movement is a journal entry whose
+ * postings debit and credit accounts by equal amounts (integer minor units
+ * of one currency). Entries are keyed "<kind>:<reference>", so recording the
+ * same charge or refund twice is a no-op.
+ *
+ * Accounts:
+ *   provider_clearing  money held for us by the payment provider (asset)
+ *   sales              captured order payments (revenue)
+ *   refunds            money returned to customers (contra-revenue)
+ *   provider_fees      provider processing fees (expense)
+ *
+ *   charge  Dr provider_clearing  Cr sales
+ *   refund  Dr refunds            Cr provider_clearing
+ *   fee     Dr provider_fees      Cr provider_clearing
+ */
+const ACCOUNTS = ["provider_clearing", "sales", "refunds", "provider_fees"];
+
+const ENTRY_KINDS = {
+  charge: { debit: "provider_clearing", credit: "sales" },
+  refund: { debit: "refunds", credit: "provider_clearing" },
+  fee: { debit: "provider_fees", credit: "provider_clearing" },
+};
+
+class LedgerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LedgerError";
+  }
+}
+
+/**
+ * Writes a journal entry with `client` (inside the caller's transaction).
+ * `postings` is [{ account, debit, credit }]; debits must equal credits.
+ * Returns false if the entry was already recorded.
+ */
+async function recordEntry(client, entry, postings) {
+  const { entryId, kind, paymentId, orderId, currency, description } = entry;
+
+  let debits = 0;
+  let credits = 0;
+  for (const { account, debit = 0, credit = 0 } of postings) {
+    if (!ACCOUNTS.includes(account)) {
+      throw new LedgerError(`Unknown ledger account "${account}"`);
+    }
+    if (!Number.isSafeInteger(debit) || !Number.isSafeInteger(credit) || debit < 0 || credit < 0) {
+      throw new LedgerError(`Invalid posting amount on ${account}`);
+    }
+    debits += debit;
+    credits += credit;
+  }
+  if (debits !== credits || debits === 0) {
+    throw new LedgerError(`Unbalanced journal entry ${entryId}: ${debits} != ${credits}`);
+  }
+
+  const inserted = await client.query(
+    `INSERT INTO ledger_entries (entry_id, kind, payment_id, order_id, currency, description)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (entry_id) DO NOTHING
+     RETURNING entry_id`,
+    [entryId, kind, paymentId, orderId, currency, description || null]
+  );
+  if (inserted.rows.length === 0) return false;
+
+  for (const { account, debit = 0, credit = 0 } of postings) {
+    await client.query(
+      `INSERT INTO ledger_postings (entry_id, account, debit, credit, currency)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [entryId, account, debit, credit, currency]
+    );
+  }
+  return true;
+}
+
+// A two-posting entry of one of the ENTRY_KINDS
+function recordTransfer(client, kind, reference, payment, amount, description) {
+  const { debit, credit } = ENTRY_KINDS[kind];
+  return recordEntry(
+    client,
+    {
+      entryId: `${kind}:${reference}`,
+      kind,
+      paymentId: payment.payment_id,
+      orderId: payment.order_id,
+      currency: payment.currency,
+      description,
+    },
+    [
+      { account: debit, debit: amount },
+      { account: credit, credit: amount },
+    ]
+  );
+}
+
+/**
+ * Journals a captured payment and, when the provider reported one, its
+ * processing fee.
+ */
+async function recordCharge(client, payment, { fee } = {}) {
+  await recordTransfer(client, "charge", payment.payment_id, payment, payment.amount, "Payment captured");
+  if (fee > 0) {
+    await recordTransfer(client, "fee", payment.payment_id, payment, fee, "Provider processing fee");
+  }
+}
+
+// Journals a successful refund of `payment`
+function recordRefund(client, payment, refund) {
+  return recordTransfer(
+    client,
+    "refund",
+    refund.refund_id,
+    payment,
+    refund.amount,
+    refund.reason || "Payment refunded"
+  );
+}
+
+/**
+ * Charged, refunded and fee totals per order (all time), as a Map of
+ * orderId -> { currency, charged, refunded, fees, paymentIds }.
+ */
+async function orderBalances(db, orderIds) {
+  const result = await db.query(
+    `SELECT e.order_id, e.currency, e.kind,
+            SUM(p.debit)::bigint AS amount,
+            ARRAY_AGG(DISTINCT e.payment_id) AS payment_ids
+     FROM ledger_entries e
+     JOIN ledger_postings p ON p.entry_id = e.entry_id AND p.debit > 0
+     WHERE e.order_id = ANY($1)
+     GROUP BY e.order_id, e.currency, e.kind`,
+    [orderIds]
+  );
+
+  const balances = new Map();
+  for (const row of result.rows) {
+    const balance = balances.get(row.order_id) || {
+      currency: row.currency,
+      currencies: new Set(),
+      charged: 0,
+      refunded: 0,
+      fees: 0,
+      paymentIds: new Set(),
+    };
+    balance.currencies.add(row.currency);
+    const field = { charge: "charged", refund: "refunded", fee: "fees" }[row.kind];
+    if (field) balance[field] += row.amount;
+    row.payment_ids.forEach((id) => balance.paymentIds.add(id));
+    balances.set(row.order_id, balance);
+  }
+  return balances;
+}
+
+/**
+ * Debit and credit totals per account and currency, over entries created
+ * in [from, to) when given. Balanced books have equal totals per currency.
+ */
+async function trialBalance(db, { from, to } = {}) {
+  const result = await db.query(
+    `SELECT p.account, p.currency,
+            SUM(p.debit)::bigint AS debit, SUM(p.credit)::bigint AS credit
+     FROM ledger_postings p
+     JOIN ledger_entries e ON e.entry_id = p.entry_id
+     WHERE ($1::timestamp IS NULL OR e.created_at >= $1)
+       AND ($2::timestamp IS NULL OR e.created_at < $2)
+     GROUP BY p.account, p.currency
+     ORDER BY p.currency, p.account`,
+    [from || null, to || null]
+  );
+  return result.rows;
+}
+
+// Journal entries with their postings, newest first
+async function listEntries(db, { orderId, paymentId, limit = 100 } = {}) {
+  const result = await db.query(
+    `SELECT e.*,
+            JSON_AGG(JSON_BUILD_OBJECT(
+              'account', p.account, 'debit', p.debit, 'credit', p.credit
+            ) ORDER BY p.id) AS postings
+     FROM ledger_entries e
+     JOIN ledger_postings p ON p.entry_id = e.entry_id
+     WHERE ($1::varchar IS NULL OR e.order_id = $1)
+       AND ($2::varchar IS NULL OR e.payment_id = $2)
+     GROUP BY e.entry_id
+     ORDER BY e.created_at DESC
+     LIMIT $3`,
+    [orderId || null, paymentId || null, limit]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  ACCOUNTS,
+  LedgerError,
+  recordEntry,
+  recordCharge,
+  recordRefund,
+  orderBalances,
+  trialBalance,
+  listEntries,
+};
@@ -0,0 +1,19 @@
+// services/payment-service/src/migrations.js
+const path = require("path");
+const {
+  loadMigrations,
+  createMigrator,
+  createPgMigrationDriver,
+} = require("../../shared/migrations");
+
+// Numbered up/down migrations for the payments database
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+async function createPaymentMigrator(pool) {
+  return createMigrator({
+    driver: createPgMigrationDriver(pool, { lockName: "payment-service" }),
+    migrations: await loadMigrations(MIGRATIONS_DIR),
+  });
+}
+
+module.exports = { createPaymentMigrator };
@@ -0,0 +1,147 @@
+// services/payment-service/src/providers/fake.js
+const crypto = require("crypto");
+
+/**
+ * Deterministic local provider. The payment method token decides the
+ * outcome, so tests can drive every flow; any other token (or none)
+ * succeeds.
+ */
+const MAGIC_TOKENS = {
+  tok_decline: { status: "declined", reason: "card_declined" },
+  tok_insufficient_funds: { status: "declined", reason: "insufficient_funds" },
+  tok_timeout: { status: "timeout" },
+  tok_3ds: { status: "requires_action", reason: "authentication_required" },
+};
+
+function createFakeProvider({ latencyMs = 0, feeBasisPoints = 0, feeFixed = 0 } = {}) {
+  // transactionId -> { status, amount, currency, paymentMethod, refunded }
+  const transactions = new Map();
+
+  function respond(result) {
+    return new Promise((resolve) => setTimeout(() => resolve(result), latencyMs));
+  }
+
+  function find(transactionId) {
+    return transactions.get(transactionId);
+  }
+
+  return {
+    async authorize({ amount, currency, paymentMethod }) {
+      const outcome = MAGIC_TOKENS[paymentMethod];
+
+      // Never answers; the adapter timeout turns this into an error
+      if (outcome?.status === "timeout") return new Promise(() => {});
+
+      const transactionId = `FAKE-${crypto.randomUUID()}`;
+      const status = outcome ? outcome.status : "authorized";
+      transactions.set(transactionId, {
+        status,
+        amount,
+        currency,
+        paymentMethod,
+        refunded: 0,
+      });
+
+      return respond({ status, transactionId, reason: outcome?.reason });
+    },
+
+    // Transactions are kept in memory, so ones from before a restart (or
+    // older payments) are unknown here and assumed to be in whatever state
+    // the call needs
+
+    async capture({ transactionId, amount, currency }) {
+      const transaction = find(transactionId);
+      if (transaction) {
+        if (transaction.status !== "authorized") {
+          return respond({ status: "failed", reason: "not_authorized" });
+        }
+        if (currency !== transaction.currency) {
+          return respond({ status: "failed", reason: "currency_mismatch" });
+        }
+        if (amount > transaction.amount) {
+          return respond({ status: "failed", reason: "amount_too_large" });
+        }
+
+        transaction.status = "captured";
+        transaction.amount = amount;
+      }
+      const fee = Math.round((amount * feeBasisPoints) / 10000) + feeFixed;
+      return respond({ status: "captured", fee });
+    },
+
+    async void({ transactionId }) {
+      const transaction = find(transactionId);
+      if (transaction) {
+        if (!["authorized", "requires_action"].includes(transaction.status)) {
+          return respond({ status: "failed", reason: "not_authorized" });
+        }
+
+        transaction.status = "voided";
+      }
+      return respond({ status: "voided" });
+    },
+
+    async refund({ transactionId, amount, currency }) {
+      const transaction = find(transactionId);
+      if (transaction) {
+        if (!["captured", "refunded"].includes(transaction.status)) {
+          return respond({ status: "failed", reason: "not_captured" });
+        }
+        if (currency !== transaction.currency) {
+          return respond({ status: "failed", reason: "currency_mismatch" });
+        }
+        if (transaction.refunded + amount > transaction.amount) {
+          return respond({ status: "failed", reason: "amount_too_large" });
+        }
+
+        transaction.refunded += amount;
+        if (transaction.refunded >= transaction.amount) {
+          transaction.status = "refunded";
+        }
+      }
+      return respond({
+        status: "refunded",
+        refundId: `FAKE-RF-${crypto.randomUUID()}`,
+      });
+    },
+
+    async status({ transactionId }) {
+      const transaction = find(transactionId);
+      return respond(
+        transaction
+          ? {
+              status: transaction.status,
+              amount: transaction.amount,
+              currency: transaction.currency,
+              refunded: transaction.refunded,
+            }
+          : { status: "not_found" }
+      );
+    },
+
+    // Fake webhooks already use our event names:
+    //   { id, type, data: { transactionId, reason, fee } }
+    // Receiving one stands in for the change having happened on our side.
+    parseWebhook(body) {
+      const { id, type, data } = body || {};
+      if (!id || !type || !data?.transactionId) return null;
+
+      const transaction = find(data.transactionId);
+      if (transaction) {
+        if (type === "authorization.succeeded") transaction.status = "authorized";
+        if (type === "authorization.failed") transaction.status = "declined";
+        if (type === "capture.succeeded") transaction.status = "captured";
+      }
+
+      return {
+        id,
+        type,
+        transactionId: data.transactionId,
+        reason: data.reason,
+        fee: data.fee,
+      };
+    },
+  };
+}
+
+module.exports = { createFakeProvider, MAGIC_TOKENS };
@@ -0,0 +1,85 @@
+// services/payment-service/src/providers/index.js
+const { createFakeProvider } = require("./fake");
+
+/**
+ * Payment provider adapters. Every provider implements the same async
+ * interface, with amounts as integer minor units of an ISO 4217 currency:
+ *
+ *   authorize({ amount, currency, paymentMethod, reference })
+ *     -> { status: "authorized" | "declined" | "requires_action", transactionId, reason }
+ *   capture({ transactionId, amount, currency })  -> { status: "captured" | "failed", reason, fee }
+ *   void({ transactionId })                       -> { status: "voided" | "failed", reason }
+ *   refund({ transactionId, amount, currency })   -> { status: "refunded" | "failed", refundId, reason }
+ *   status({ transactionId })                     -> { status, amount, currency, refunded }
+ *
+ * `refunded` is the total refunded on the transaction so far, which is how
+ * a refund whose call timed out is settled.
+ *
+ * `fee` is the provider's processing fee for a capture, in the same minor
+ * units, when the provider reports one.
+ *
+ * Declines are results, not errors. A call that does not answer within the
+ * timeout rejects with ProviderTimeoutError; its outcome is unknown.
+ *
+ * parseWebhook(body) maps a (signature-checked) webhook body onto
+ *   { id, type, transactionId, reason, fee }
+ * with type one of WEBHOOK_EVENT_TYPES, or returns null if it is not one
+ * we handle.
+ */
+const WEBHOOK_EVENT_TYPES = [
+  "authorization.succeeded", // e.g. 3DS completed
+  "authorization.failed",
+  "capture.succeeded", // late settlement
+  "chargeback.created",
+];
+const factories = {
+  fake: createFakeProvider,
+};
+
+const OPERATIONS = ["authorize", "capture", "void", "refund", "status"];
+
+class ProviderTimeoutError extends Error {
+  constructor(provider, operation, timeoutMs) {
+    super(`${provider}.${operation} timed out after ${timeoutMs}ms`);
+    this.name = "ProviderTimeoutError";
+  }
+}
+
+function withTimeout(promise, timeoutMs, onTimeout) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(onTimeout()), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const instances = new Map();
+
+/**
+ * Returns the provider registered as `name`, created once and wrapped so
+ * every operation is bounded by `timeoutMs`.
+ */
+function getProvider(name, { timeoutMs = 10000, ...options } = {}) {
+  if (instances.has(name)) return instances.get(name);
+
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+
+  const adapter = factory(options);
+  const provider = { name, parseWebhook: (body) => adapter.parseWebhook(body) };
+  for (const operation of OPERATIONS) {
+    provider[operation] = (args) =>
+      withTimeout(
+        adapter[operation](args),
+        timeoutMs,
+        () => new ProviderTimeoutError(name, operation, timeoutMs)
+      );
+  }
+
+  instances.set(name, provider);
+  return provider;
+}
+
+module.exports = { getProvider, ProviderTimeoutError, WEBHOOK_EVENT_TYPES };
@@ -0,0 +1,321 @@
+// services/payment-service/src/reconciliation.js
+const crypto = require("crypto");
+const { orderBalances, trialBalance } = require("./ledger");
+const { isCurrency, fromMinor } = require("../../shared/money");
+
+/**
+ * Cross-checks the ledger against order-service for a period. The orders
+ * checked are those confirmed in the period plus any order charged in it;
+ * each is compared on its whole ledger history, so a capture that lands
+ * just after midnight still matches its order. Mismatch kinds:
+ *
+ *   missing_payment        confirmed order with no captured charge
+ *   payment_without_order  charge for an order order-service does not know
+ *   currency_mismatch      charged in a different currency than ordered
+ *   amount_mismatch        net charged (charges - refunds) differs from the
+ *                          order's total less refunds (0 once it is
+ *                          cancelled, failed or refunded)
+ *   ledger_unbalanced      debits and credits differ for a currency
+ *
+ * Orders still in flight (pending, payment_processing) are skipped.
+ */
+const IN_FLIGHT_STATUSES = ["pending", "payment_processing"];
+
+// A run left "running" this long is taken to have died with its process
+const ABANDONED_AFTER_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function expectedNet(order) {
+  return order.status === "confirmed"
+    ? order.totalAmount - (order.refundedAmount || 0)
+    : 0;
+}
+
+function createReconciliation({ pool, orders }) {
+  async function reconcile(from, to) {
+    const confirmed = await orders.listByStatus("confirmed", { from, to });
+    const byId = new Map(confirmed.map((order) => [order.orderId, order]));
+
+    const charged = await pool.query(
+      `SELECT DISTINCT order_id FROM ledger_entries
+       WHERE kind = 'charge' AND created_at >= $1 AND created_at < $2`,
+      [from, to]
+    );
+    const unknown = charged.rows
+      .map((row) => row.order_id)
+      .filter((orderId) => !byId.has(orderId));
+    for (const order of await orders.findByIds(unknown)) {
+      byId.set(order.orderId, order);
+    }
+
+    const orderIds = [...new Set([...byId.keys(), ...unknown])];
+    const balances = await orderBalances(pool, orderIds);
+    const items = [];
+
+    for (const orderId of orderIds) {
+      const order = byId.get(orderId);
+      const balance = balances.get(orderId);
+      const net = balance ? balance.charged - balance.refunded : 0;
+      const paymentId = balance ? [...balance.paymentIds].join(" ") : null;
+
+      if (!order) {
+        items.push({
+          kind: "payment_without_order",
+          orderId,
+          paymentId,
+          currency: balance.currency,
+          expected: 0,
+          actual: net,
+          details: "Order not found in order-service",
+        });
+        continue;
+      }
+      if (IN_FLIGHT_STATUSES.includes(order.status)) continue;
+
+      if (!balance || balance.charged === 0) {
+        if (order.status === "confirmed") {
+          items.push({
+            kind: "missing_payment",
+            orderId,
+            paymentId: order.paymentId || null,
+            currency: order.currency,
+            expected: expectedNet(order),
+            actual: 0,
+            details: "Confirmed order has no captured payment",
+          });
+        }
+        continue;
+      }
+
+      if (balance.currencies.size > 1 || balance.currency !== order.currency) {
+        items.push({
+          kind: "currency_mismatch",
+          orderId,
+          paymentId,
+          currency: order.currency,
+          expected: expectedNet(order),
+          actual: net,
+          details: `Order in ${order.currency}, charged in ${[...balance.currencies].join(", ")}`,
+        });
+        continue;
+      }
+
+      if (net !== expectedNet(order)) {
+        items.push({
+          kind: "amount_mismatch",
+          orderId,
+          paymentId,
+          currency: order.currency,
+          expected: expectedNet(order),
+          actual: net,
+          details: `Order is ${order.status}`,
+        });
+      }
+    }
+
+    // Period totals per currency, from the trial balance
+    const totals = {};
+    const currencyTotals = (currency) =>
+      (totals[currency] ||= {
+        confirmedOrders: 0,
+        charged: 0,
+        refunded: 0,
+        fees: 0,
+        debits: 0,
+        credits: 0,
+      });
+
+    for (const row of await trialBalance(pool, { from, to })) {
+      const total = currencyTotals(row.currency);
+      total.debits += row.debit;
+      total.credits += row.credit;
+      if (row.account === "sales") total.charged += row.credit - row.debit;
+      if (row.account === "refunds") total.refunded += row.debit - row.credit;
+      if (row.account === "provider_fees") total.fees += row.debit - row.credit;
+    }
+    for (const order of confirmed) {
+      currencyTotals(order.currency).confirmedOrders += order.totalAmount;
+    }
+
+    for (const [currency, total] of Object.entries(totals)) {
+      if (total.debits !== total.credits) {
+        items.push({
+          kind: "ledger_unbalanced",
+          orderId: null,
+          paymentId: null,
+          currency,
+          expected: total.debits,
+          actual: total.credits,
+          details: "Debits and credits differ",
+        });
+      }
+    }
+
+    const mismatches = {};
+    for (const item of items) {
+      mismatches[item.kind] = (mismatches[item.kind] || 0) + 1;
+    }
+
+    return {
+      items,
+      summary: {
+        ordersChecked: orderIds.length,
+        confirmedOrders: confirmed.length,
+        mismatchCount: items.length,
+        mismatches,
+        totals,
+      },
+    };
+  }
+
+  // Reconciles an already inserted run and records the outcome
+  async function complete(runId, from, to) {
+    try {
+      const { items, summary } = await reconcile(from, to);
+
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        for (const item of items) {
+          await client.query(
+            `INSERT INTO reconciliation_items
+               (run_id, kind, order_id, payment_id, currency, expected, actual, details)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [runId, item.kind, item.orderId, item.paymentId, item.currency, item.expected, item.actual, item.details]
+          );
+        }
+        const result = await client.query(
+          `UPDATE reconciliation_runs
+           SET status = 'completed', summary = $1, completed_at = CURRENT_TIMESTAMP
+           WHERE run_id = $2
+           RETURNING *`,
+          [summary, runId]
+        );
+        await client.query("COMMIT");
+
+        console.log(
+          `📒 Reconciliation ${runId} found ${items.length} mismatch(es) in ${summary.ordersChecked} order(s)`
+        );
+        return result.rows[0];
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      await pool.query(
+        `UPDATE reconciliation_runs
+         SET status = 'failed', error = $1, completed_at = CURRENT_TIMESTAMP
+         WHERE run_id = $2`,
+        [error.message.slice(0, 500), runId]
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Reconciles [from, to) now and returns the completed run. Throws (and
+   * records the run as failed) if order-service cannot be reached.
+   */
+  async function run({ from, to }) {
+    const runId = `REC-${crypto.randomUUID()}`;
+    await pool.query(
+      `INSERT INTO reconciliation_runs (run_id, period_start, period_end)
+       VALUES ($1, $2, $3)`,
+      [runId, from, to]
+    );
+    return complete(runId, from, to);
+  }
+
+  /**
+   * Reconciles the previous UTC day unless another instance already has
+   * (or is doing so). Returns the run, or null if there was nothing to do.
+   */
+  async function runDaily(now = new Date()) {
+    const to = new Date(Math.floor(now.getTime() / DAY_MS) * DAY_MS);
+    const from = new Date(to.getTime() - DAY_MS);
+
+    await pool.query(
+      `UPDATE reconciliation_runs
+       SET status = 'failed', error = 'abandoned', completed_at = CURRENT_TIMESTAMP
+       WHERE status = 'running' AND started_at < $1`,
+      [new Date(now.getTime() - ABANDONED_AFTER_MS)]
+    );
+
+    const runId = `REC-${crypto.randomUUID()}`;
+    const claimed = await pool.query(
+      `INSERT INTO reconciliation_runs (run_id, period_start, period_end, scheduled)
+       VALUES ($1, $2, $3, TRUE)
+       ON CONFLICT (period_start) WHERE scheduled AND status <> 'failed' DO NOTHING
+       RETURNING run_id`,
+      [runId, from, to]
+    );
+    if (claimed.rows.length === 0) return null;
+
+    return complete(runId, from, to);
+  }
+
+  async function listRuns(limit = 30) {
+    const result = await pool.query(
+      "SELECT * FROM reconciliation_runs ORDER BY started_at DESC LIMIT $1",
+      [limit]
+    );
+    return result.rows;
+  }
+
+  // { run, items } or null for an unknown run
+  async function getReport(runId) {
+    const runs = await pool.query(
+      "SELECT * FROM reconciliation_runs WHERE run_id = $1",
+      [runId]
+    );
+    if (runs.rows.length === 0) return null;
+
+    const items = await pool.query(
+      `SELECT kind, order_id, payment_id, currency, expected, actual, details
+       FROM reconciliation_items WHERE run_id = $1 ORDER BY id`,
+      [runId]
+    );
+    return { run: runs.rows[0], items: items.rows };
+  }
+
+  return { run, runDaily, listRuns, getReport };
+}
+
+function csvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Amounts as decimals of the item's currency, for spreadsheets
+function formatAmount(minor, currency) {
+  if (minor == null) return "";
+  return isCurrency(currency) ? fromMinor(minor, currency) : String(minor);
+}
+
+// One line per mismatch of a report from getReport
+function reportToCsv({ items }) {
+  const header = ["kind", "order_id", "payment_id", "currency", "expected", "actual", "difference", "details"];
+  const lines = items.map((item) =>
+    [
+      item.kind,
+      item.order_id,
+      item.payment_id,
+      item.currency,
+      formatAmount(item.expected, item.currency),
+      formatAmount(item.actual, item.currency),
+      formatAmount(
+        item.expected == null || item.actual == null ? null : item.actual - item.expected,
+        item.currency
+      ),
+      item.details,
+    ]
+      .map(csvField)
+      .join(",")
+  );
+  return [header.join(","), ...lines].join("\r\n") + "\r\n";
+}
+
+module.exports = { createReconciliation, reportToCsv };
@@ -0,0 +1,272 @@
+// services/payment-service/src/refunds.js
+const crypto = require("crypto");
+const { ProviderTimeoutError } = require("./providers");
+const { PaymentError } = require("./errors");
+const { recordRefund } = require("./ledger");
+const { fromMinor } = require("../../shared/money");
+
+const REFUNDABLE_STATUSES = ["captured", "partially_refunded"];
+
+/**
+ * Refunds against `pool`, queuing payment.refunded in `outbox`.
+ * `providerFor(payment)` is the provider holding a payment's transaction.
+ *
+ * A refund is recorded as pending (holding its share of the refundable
+ * balance) before the provider is called, then marked success or failed
+ * from the answer. When the provider times out the outcome is unknown, so
+ * the refund stays pending and keeps holding the balance; once no call for
+ * the payment can still be in flight (`settleAfterMs`) settlePendingRefunds
+ * asks the provider how much it has refunded and settles it from that.
+ */
+function createRefunds({ pool, outbox, providerFor, settleAfterMs }) {
+  /**
+   * Records a refund's outcome inside the caller's transaction. A
+   * successful one also moves the payment to (partially_)refunded,
+   * journals it and queues payment.refunded. Returns { refund, payment },
+   * payment being the updated row after a success and null otherwise.
+   */
+  async function finishRefund(client, refundId, { status, transactionId, reason }) {
+    const refundResult = await client.query(
+      `UPDATE refunds
+       SET status = $1, transaction_id = COALESCE($2, transaction_id),
+           failure_reason = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE refund_id = $4 AND status = 'pending'
+       RETURNING *`,
+      [status, transactionId || null, reason || null, refundId]
+    );
+    const refund = refundResult.rows[0];
+    if (!refund || status !== "success") {
+      return { refund, payment: null };
+    }
+
+    const paymentResult = await client.query(
+      `UPDATE payments p
+       SET status = CASE WHEN r.total >= p.amount THEN 'refunded' ELSE 'partially_refunded' END,
+           updated_at = CURRENT_TIMESTAMP
+       FROM (
+         SELECT COALESCE(SUM(amount), 0)::bigint AS total FROM refunds
+         WHERE payment_id = $1 AND status = 'success'
+       ) r
+       WHERE p.payment_id = $1
+       RETURNING p.*, r.total AS refunded_amount`,
+      [refund.payment_id]
+    );
+    const payment = paymentResult.rows[0];
+    await recordRefund(client, payment, refund);
+
+    await outbox.add(
+      "payment.refunded",
+      {
+        orderId: payment.order_id,
+        paymentId: payment.payment_id,
+        refundId,
+        amount: refund.amount,
+        currency: refund.currency,
+        refundedAmount: payment.refunded_amount,
+        fullyRefunded: payment.status === "refunded",
+        reason: refund.reason,
+        timestamp: new Date().toISOString(),
+      },
+      client
+    );
+
+    return { refund, payment };
+  }
+
+  async function inTransaction(client, fn) {
+    await client.query("BEGIN");
+    try {
+      const result = await fn();
+      await client.query("COMMIT");
+      return result;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    }
+  }
+
+  /**
+   * Refunds `amount` (minor units) of a payment, or whatever is left when
+   * `amount` is omitted. A `currency` other than the payment's is a 400.
+   * Returns { refund, payment }; refund.status is "pending" when the
+   * provider did not answer in time. Throws PaymentError, with status 502
+   * when the provider refused the call.
+   */
+  async function refundPayment(paymentId, { amount, currency, reason } = {}) {
+    const client = await pool.connect();
+    try {
+      const refundId = `REF-${crypto.randomUUID()}`;
+
+      // Reserve the amount against the payment, serialised on its row
+      const { payment, refundAmount } = await inTransaction(client, async () => {
+        const result = await client.query(
+          "SELECT * FROM payments WHERE payment_id = $1 FOR UPDATE",
+          [paymentId]
+        );
+        const payment = result.rows[0];
+
+        if (!payment) {
+          throw new PaymentError("Payment not found", 404);
+        }
+        if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+          throw new PaymentError(
+            `Payment is ${payment.status} and cannot be refunded`,
+            409
+          );
+        }
+        if (currency !== undefined && currency !== payment.currency) {
+          throw new PaymentError(
+            `Payment is in ${payment.currency}, not ${currency}`,
+            400
+          );
+        }
+
+        const refunded = await client.query(
+          `SELECT COALESCE(SUM(amount), 0)::bigint AS total FROM refunds
+           WHERE payment_id = $1 AND status IN ('pending', 'success')`,
+          [paymentId]
+        );
+        const remaining = payment.amount - refunded.rows[0].total;
+        const refundAmount = amount === undefined ? remaining : amount;
+
+        if (!(refundAmount > 0)) {
+          throw new PaymentError("Refund amount must be positive", 400);
+        }
+        if (refundAmount > remaining) {
+          throw new PaymentError(
+            `Refund exceeds refundable amount of ${fromMinor(remaining, payment.currency)} ${payment.currency}`,
+            422
+          );
+        }
+
+        await client.query(
+          `INSERT INTO refunds (refund_id, payment_id, amount, currency, status, reason)
+           VALUES ($1, $2, $3, $4, 'pending', $5)`,
+          [refundId, paymentId, refundAmount, payment.currency, reason || null]
+        );
+
+        return { payment, refundAmount };
+      });
+
+      let outcome;
+      try {
+        outcome = await providerFor(payment).refund({
+          transactionId: payment.transaction_id,
+          amount: refundAmount,
+          currency: payment.currency,
+        });
+      } catch (error) {
+        if (error instanceof ProviderTimeoutError) {
+          console.error(`⏱️ ${error.message} for refund ${refundId}, left pending`);
+          const pending = await client.query(
+            "SELECT * FROM refunds WHERE refund_id = $1",
+            [refundId]
+          );
+          return { refund: pending.rows[0], payment };
+        }
+
+        // The provider turned the call away; nothing was refunded
+        await finishRefund(client, refundId, { status: "failed", reason: error.message });
+        throw new PaymentError(`Provider refused the refund: ${error.message}`, 502, payment);
+      }
+
+      const status = outcome.status === "refunded" ? "success" : "failed";
+
+      const finished = await inTransaction(client, () =>
+        finishRefund(client, refundId, {
+          status,
+          transactionId: outcome.refundId,
+          reason: outcome.reason,
+        })
+      );
+
+      console.log(
+        `${status === "success" ? "↩️" : "❌"} Refund ${refundId} of ${fromMinor(refundAmount, payment.currency)} ${payment.currency} for payment ${paymentId} ${status}`
+      );
+
+      return { refund: finished.refund, payment: finished.payment || payment };
+    } finally {
+      client.release();
+    }
+  }
+
+  // Settles one payment's pending refunds against the provider's refunded
+  // total, oldest first. Skipped while any of them may still be in flight.
+  async function settlePayment(client, paymentId) {
+    const paymentResult = await client.query(
+      "SELECT * FROM payments WHERE payment_id = $1 FOR UPDATE",
+      [paymentId]
+    );
+    const payment = paymentResult.rows[0];
+
+    const refunds = await client.query(
+      `SELECT *, created_at >= NOW() - ($2 * INTERVAL '1 millisecond') AS recent
+       FROM refunds
+       WHERE payment_id = $1 AND status IN ('pending', 'success')
+       ORDER BY created_at, refund_id`,
+      [paymentId, settleAfterMs]
+    );
+    const pending = refunds.rows.filter((refund) => refund.status === "pending");
+    if (pending.length === 0 || pending.some((refund) => refund.recent)) return;
+
+    const state = await providerFor(payment).status({
+      transactionId: payment.transaction_id,
+    });
+    if (!Number.isInteger(state.refunded)) {
+      console.warn(
+        `⚠️ Provider cannot tell what was refunded on payment ${paymentId} (${state.status}); ${pending.length} refund(s) stay pending`
+      );
+      return;
+    }
+
+    let unaccounted =
+      state.refunded -
+      refunds.rows
+        .filter((refund) => refund.status === "success")
+        .reduce((total, refund) => total + refund.amount, 0);
+
+    for (const refund of pending) {
+      const landed = unaccounted >= refund.amount;
+      if (landed) unaccounted -= refund.amount;
+
+      await finishRefund(client, refund.refund_id, {
+        status: landed ? "success" : "failed",
+        reason: landed ? null : "provider_timeout",
+      });
+      console.log(
+        `${landed ? "↩️" : "❌"} Timed-out refund ${refund.refund_id} for payment ${paymentId} settled as ${landed ? "success" : "failed"}`
+      );
+    }
+  }
+
+  /**
+   * Settles refunds left pending by a provider timeout (or a crash). Run
+   * periodically; each payment is settled in its own transaction.
+   */
+  async function settlePendingRefunds(limit = 20) {
+    const due = await pool.query(
+      `SELECT payment_id FROM refunds
+       WHERE status = 'pending'
+       GROUP BY payment_id
+       HAVING MAX(created_at) < NOW() - ($1 * INTERVAL '1 millisecond')
+       ORDER BY MIN(created_at)
+       LIMIT $2`,
+      [settleAfterMs, limit]
+    );
+
+    for (const { payment_id: paymentId } of due.rows) {
+      const client = await pool.connect();
+      try {
+        await inTransaction(client, () => settlePayment(client, paymentId));
+      } catch (error) {
+        console.error(`Could not settle pending refunds for payment ${paymentId}:`, error.message);
+      } finally {
+        client.release();
+      }
+    }
+  }
+
+  return { refundPayment, settlePendingRefunds };
+}
+
+module.exports = { createRefunds };
@@ -0,0 +1,84 @@
+// services/payment-service/src/webhooks.js
+const crypto = require("crypto");
+
+/**
+ * Webhook signatures. Providers send
+ *
+ *   x-webhook-signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * signed with the secret shared for that provider. The timestamp is part of
+ * the signed content, so an old request cannot be replayed with a new one.
+ */
+const SIGNATURE_HEADER = "x-webhook-signature";
+
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+}
+
+// Header value for `rawBody` signed now (or at `timestamp`)
+function signPayload(secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, rawBody)}`;
+}
+
+function parseHeader(header) {
+  const parts = {};
+  for (const part of String(header || "").split(",")) {
+    const [key, value] = part.split("=");
+    if (key && value) parts[key.trim()] = value.trim();
+  }
+  return parts;
+}
+
+/**
+ * Checks a signature header against `rawBody`. Returns null when valid,
+ * otherwise the reason it was rejected.
+ */
+function verifySignature(secret, header, rawBody, toleranceSeconds) {
+  const { t, v1 } = parseHeader(header);
+  const timestamp = parseInt(t, 10);
+
+  if (!timestamp || !v1) return "Malformed signature header";
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return "Signature timestamp outside tolerance";
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, rawBody), "hex");
+  const received = Buffer.from(v1, "hex");
+  if (
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    return "Signature mismatch";
+  }
+
+  return null;
+}
+
+// Environment variable holding each provider's webhook secret
+const SECRET_ENV = {
+  fake: "FAKE_WEBHOOK_SECRET",
+};
+
+/**
+ * Provider -> webhook secret, for the providers whose secret is set. There
+ * is no default: anyone who knows the secret can forge events, so webhooks
+ * from a provider without one are not accepted at all.
+ */
+function webhookSecretsFromEnv(env = process.env) {
+  return Object.fromEntries(
+    Object.entries(SECRET_ENV)
+      .filter(([, name]) => env[name])
+      .map(([provider, name]) => [provider, env[name]])
+  );
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  signPayload,
+  verifySignature,
+  webhookSecretsFromEnv,
+};
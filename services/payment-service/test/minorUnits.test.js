@@ -0,0 +1,40 @@
+// services/payment-service/test/minorUnits.test.js
+//
+// Migration 009 turns the stored decimal amounts into minor units of
+// DEFAULT_CURRENCY (USD here), and back.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PGlite } = require("@electric-sql/pglite");
+
+const { createPaymentMigrator } = require("../src/migrations");
+
+test("decimal amounts become minor units and back", async (t) => {
+  t.mock.method(console, "log", () => {});
+
+  const db = new PGlite({ parsers: { 20: (value) => parseInt(value, 10) } });
+  const client = { query: (text, params) => db.query(text, params), release() {} };
+  const migrator = await createPaymentMigrator({
+    query: client.query,
+    connect: async () => client,
+  });
+
+  await migrator.up({ to: 8 });
+  await db.exec(`
+    INSERT INTO payments (payment_id, order_id, user_id, amount, status)
+    VALUES ('PAY-1', 'ORD-1', 'U-1', 19.99, 'captured');
+    INSERT INTO refunds (refund_id, payment_id, amount, status)
+    VALUES ('REF-1', 'PAY-1', 5.01, 'success');
+  `);
+
+  await migrator.up({ to: 9 });
+  const payment = (await db.query("SELECT amount, currency FROM payments")).rows[0];
+  const refund = (await db.query("SELECT amount, currency FROM refunds")).rows[0];
+  assert.deepEqual({ ...payment }, { amount: 1999, currency: "USD" });
+  assert.deepEqual({ ...refund }, { amount: 501, currency: "USD" });
+
+  await migrator.down();
+  const reverted = (await db.query("SELECT amount::text FROM payments")).rows[0];
+  assert.equal(reverted.amount, "19.99");
+
+  await db.close();
+});
@@ -0,0 +1,81 @@
+// services/payment-service/test/money.test.js
+//
+// The shared money helpers, tested here as payment-service does most of
+// the converting.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MoneyError,
+  isCurrency,
+  currencyExponent,
+  isMinorAmount,
+  toMinor,
+  fromMinor,
+} = require("../../shared/money");
+
+test("minor units follow each currency's exponent", () => {
+  assert.equal(toMinor("19.99", "USD"), 1999);
+  assert.equal(toMinor("1500", "JPY"), 1500);
+  assert.equal(toMinor("1.999", "KWD"), 1999);
+  assert.equal(toMinor(12, "EUR"), 1200);
+  assert.equal(currencyExponent("BHD"), 3);
+});
+
+test("amounts round half away from zero without floating-point drift", () => {
+  assert.equal(toMinor(19.995, "USD"), 2000);
+  assert.equal(toMinor(0.1 + 0.2, "USD"), 30);
+  assert.equal(toMinor(1.005, "USD"), 101);
+  assert.equal(toMinor("19.994999", "USD"), 1999);
+  assert.equal(toMinor("1500.5", "JPY"), 1501);
+  assert.equal(toMinor("1500.4", "JPY"), 1500);
+  assert.equal(toMinor("-2.345", "USD"), -235);
+  assert.equal(toMinor("-0.004", "USD"), 0);
+});
+
+test("string amounts may omit or trail the decimals", () => {
+  assert.equal(toMinor(" 7 ", "USD"), 700);
+  assert.equal(toMinor("7.", "USD"), 700);
+  assert.equal(toMinor("7.5", "KWD"), 7500);
+});
+
+test("anything that is not a plain decimal is refused", () => {
+  for (const amount of ["", "abc", "1e3", "1,50", "+1", ".5", NaN, Infinity, null, {}]) {
+    assert.throws(() => toMinor(amount, "USD"), MoneyError, String(amount));
+  }
+  assert.throws(() => toMinor("1".repeat(20), "USD"), /too large/);
+});
+
+test("unsupported currencies are refused", () => {
+  assert.equal(isCurrency("USD"), true);
+  assert.equal(isCurrency("usd"), false);
+  assert.equal(isCurrency("toString"), false);
+  assert.throws(() => toMinor("1", "XXX"), /Unsupported currency "XXX"/);
+  assert.throws(() => fromMinor(1, "XXX"), MoneyError);
+});
+
+test("minor units format back to decimals", () => {
+  assert.equal(fromMinor(1999, "USD"), "19.99");
+  assert.equal(fromMinor(5, "USD"), "0.05");
+  assert.equal(fromMinor(-5, "USD"), "-0.05");
+  assert.equal(fromMinor(1999, "JPY"), "1999");
+  assert.equal(fromMinor(1999, "KWD"), "1.999");
+  assert.equal(fromMinor(0, "BHD"), "0.000");
+  assert.throws(() => fromMinor(19.99, "USD"), MoneyError);
+});
+
+test("formatting and parsing round-trip", () => {
+  for (const currency of ["USD", "JPY", "KWD"]) {
+    for (const minor of [0, 1, 99, 100, 123456789]) {
+      assert.equal(toMinor(fromMinor(minor, currency), currency), minor);
+    }
+  }
+});
+
+test("valid minor amounts are non-negative safe integers", () => {
+  assert.equal(isMinorAmount(0), true);
+  assert.equal(isMinorAmount(1999), true);
+  assert.equal(isMinorAmount(-1), false);
+  assert.equal(isMinorAmount(19.99), false);
+  assert.equal(isMinorAmount("1999"), false);
+  assert.equal(isMinorAmount(Number.MAX_SAFE_INTEGER + 1), false);
+});
@@ -0,0 +1,195 @@
+// services/payment-service/test/refunds.test.js
+//
+// Runs refunds against the real payment migrations in an in-process
+// Postgres (PGlite), with a scripted provider.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PGlite } = require("@electric-sql/pglite");
+
+const { createPaymentMigrator } = require("../src/migrations");
+const { createPgOutboxStore } = require("../../shared/outbox");
+const { ProviderTimeoutError } = require("../src/providers");
+const { PaymentError } = require("../src/errors");
+const { createRefunds } = require("../src/refunds");
+
+// BIGINT amounts come back as numbers, as the service's pg setup does
+const db = new PGlite({ parsers: { 20: (value) => parseInt(value, 10) } });
+const client = { query: (text, params) => db.query(text, params), release() {} };
+const pool = { query: client.query, connect: async () => client };
+
+// What the provider does with the next refund, and what status() reports
+let refundWith;
+let refundedTotal;
+const provider = {
+  async refund({ amount }) {
+    return refundWith(amount);
+  },
+  async status() {
+    return { status: "captured", refunded: refundedTotal };
+  },
+};
+
+const { refundPayment, settlePendingRefunds } = createRefunds({
+  pool,
+  outbox: createPgOutboxStore(pool),
+  providerFor: () => provider,
+  settleAfterMs: 60 * 1000,
+});
+
+const refunded = (amount) => ({ status: "refunded", refundId: `RF-${amount}` });
+
+test.before(async (t) => {
+  t.mock.method(console, "log", () => {});
+  const migrator = await createPaymentMigrator(pool);
+  await migrator.up();
+});
+
+test.beforeEach(async (t) => {
+  for (const level of ["log", "warn", "error"]) {
+    t.mock.method(console, level, () => {});
+  }
+  await db.exec(
+    "TRUNCATE payments, refunds, outbox, ledger_entries, ledger_postings CASCADE"
+  );
+  await db.query(
+    `INSERT INTO payments (payment_id, order_id, user_id, amount, currency, status, transaction_id, provider)
+     VALUES ('PAY-1', 'ORD-1', 'U-1', 10000, 'USD', 'captured', 'TX-1', 'fake')`
+  );
+  refundWith = refunded;
+  refundedTotal = undefined;
+});
+
+async function paymentStatus() {
+  const result = await db.query("SELECT status FROM payments WHERE payment_id = 'PAY-1'");
+  return result.rows[0].status;
+}
+
+async function refundStatuses() {
+  const result = await db.query(
+    "SELECT status, amount FROM refunds ORDER BY created_at, refund_id"
+  );
+  return result.rows.map(({ status, amount }) => `${status}:${amount}`);
+}
+
+async function outboxTypes() {
+  const result = await db.query("SELECT type FROM outbox ORDER BY id");
+  return result.rows.map(({ type }) => type);
+}
+
+// Makes every pending refund old enough to be settled
+async function age() {
+  await db.query("UPDATE refunds SET created_at = created_at - INTERVAL '1 hour'");
+}
+
+test("a full refund refunds the payment and announces it", async () => {
+  const { refund, payment } = await refundPayment("PAY-1", { reason: "Returned" });
+
+  assert.equal(refund.status, "success");
+  assert.equal(refund.amount, 10000);
+  assert.equal(payment.status, "refunded");
+  assert.deepEqual(await outboxTypes(), ["payment.refunded"]);
+});
+
+test("partial refunds add up to the payment and no further", async () => {
+  await refundPayment("PAY-1", { amount: 4000 });
+  assert.equal(await paymentStatus(), "partially_refunded");
+
+  await assert.rejects(refundPayment("PAY-1", { amount: 6001 }), (error) => {
+    assert.ok(error instanceof PaymentError);
+    assert.equal(error.status, 422);
+    return true;
+  });
+
+  const { payment } = await refundPayment("PAY-1");
+  assert.equal(payment.status, "refunded");
+  assert.deepEqual(await refundStatuses(), ["success:4000", "success:6000"]);
+});
+
+test("a declined refund is failed and frees its amount", async () => {
+  refundWith = () => ({ status: "failed", reason: "insufficient_funds" });
+
+  const { refund } = await refundPayment("PAY-1");
+  assert.equal(refund.status, "failed");
+  assert.equal(refund.failure_reason, "insufficient_funds");
+  assert.equal(await paymentStatus(), "captured");
+
+  refundWith = refunded;
+  assert.equal((await refundPayment("PAY-1")).refund.status, "success");
+});
+
+test("a refund the provider turned away is failed and reported as a 502", async () => {
+  refundWith = () => {
+    throw new Error("Provider returned 400");
+  };
+
+  await assert.rejects(refundPayment("PAY-1"), (error) => {
+    assert.ok(error instanceof PaymentError);
+    assert.equal(error.status, 502);
+    assert.match(error.message, /Provider returned 400/);
+    return true;
+  });
+  assert.deepEqual(await refundStatuses(), ["failed:10000"]);
+  assert.equal(await paymentStatus(), "captured");
+
+  refundWith = refunded;
+  assert.equal((await refundPayment("PAY-1")).refund.status, "success");
+});
+
+test("a timed-out refund stays pending and keeps holding its amount", async () => {
+  refundWith = () => {
+    throw new ProviderTimeoutError("fake", "refund", 5000);
+  };
+
+  const { refund } = await refundPayment("PAY-1");
+  assert.equal(refund.status, "pending");
+
+  // A retry must not refund the same money twice
+  refundWith = refunded;
+  await assert.rejects(refundPayment("PAY-1"), (error) => error.status === 400);
+  assert.deepEqual(await refundStatuses(), ["pending:10000"]);
+  assert.deepEqual(await outboxTypes(), []);
+});
+
+test("a timed-out refund that landed settles as a success", async () => {
+  refundWith = () => {
+    throw new ProviderTimeoutError("fake", "refund", 5000);
+  };
+  await refundPayment("PAY-1", { amount: 3000 });
+
+  // Too recent: the call could still be in flight
+  refundedTotal = 3000;
+  await settlePendingRefunds();
+  assert.deepEqual(await refundStatuses(), ["pending:3000"]);
+
+  await age();
+  await settlePendingRefunds();
+  assert.deepEqual(await refundStatuses(), ["success:3000"]);
+  assert.equal(await paymentStatus(), "partially_refunded");
+  assert.deepEqual(await outboxTypes(), ["payment.refunded"]);
+});
+
+test("only as many timed-out refunds settle as the provider refunded", async () => {
+  await refundPayment("PAY-1", { amount: 2000 });
+  refundWith = () => {
+    throw new ProviderTimeoutError("fake", "refund", 5000);
+  };
+  await refundPayment("PAY-1", { amount: 3000 });
+  await refundPayment("PAY-1", { amount: 1000 });
+  await age();
+
+  refundedTotal = 5000;
+  await settlePendingRefunds();
+
+  assert.deepEqual(await refundStatuses(), ["success:2000", "success:3000", "failed:1000"]);
+});
+
+test("refunds stay pending when the provider cannot say what it refunded", async () => {
+  refundWith = () => {
+    throw new ProviderTimeoutError("fake", "refund", 5000);
+  };
+  await refundPayment("PAY-1");
+  await age();
+
+  await settlePendingRefunds();
+  assert.deepEqual(await refundStatuses(), ["pending:10000"]);
+});
@@ -0,0 +1,48 @@
+// services/payment-service/test/webhooks.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  signPayload,
+  verifySignature,
+  webhookSecretsFromEnv,
+} = require("../src/webhooks");
+
+const secret = "whsec_test";
+const body = JSON.stringify({ id: "evt_1", type: "capture.succeeded" });
+const now = () => Math.floor(Date.now() / 1000);
+
+test("a payload signed with the shared secret verifies", () => {
+  assert.equal(verifySignature(secret, signPayload(secret, body), body, 300), null);
+});
+
+test("a tampered body or another secret is a mismatch", () => {
+  const header = signPayload(secret, body);
+
+  assert.equal(verifySignature(secret, header, `${body} `, 300), "Signature mismatch");
+  assert.equal(verifySignature("whsec_other", header, body, 300), "Signature mismatch");
+});
+
+test("a signature outside the tolerance is refused", () => {
+  const header = signPayload(secret, body, now() - 301);
+
+  assert.equal(
+    verifySignature(secret, header, body, 300),
+    "Signature timestamp outside tolerance"
+  );
+});
+
+test("a missing or garbled header is malformed", () => {
+  for (const header of [undefined, "", "v1=abc", `t=${now()}`]) {
+    assert.equal(verifySignature(secret, header, body, 300), "Malformed signature header");
+  }
+  assert.equal(
+    verifySignature(secret, `t=${now()},v1=zz`, body, 300),
+    "Signature mismatch"
+  );
+});
+
+test("webhook secrets come only from the environment", () => {
+  assert.deepEqual(webhookSecretsFromEnv({ FAKE_WEBHOOK_SECRET: secret }), { fake: secret });
+  assert.deepEqual(webhookSecretsFromEnv({}), {});
+  assert.deepEqual(webhookSecretsFromEnv({ FAKE_WEBHOOK_SECRET: "" }), {});
+});
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// services/shared/bin/dlq.js
+//
+// Usage: RABBITMQ_URL=amqp://... node ../shared/bin/dlq.js <inspect|replay|purge> <service> <event> [limit]
+//
+//   e.g. dlq.js replay inventory-service payment.processed
+//
+// Run from a service directory so amqplib resolves from its node_modules.
+
+const {
+  inspectDeadLetters,
+  replayDeadLetters,
+  purgeDeadLetters,
+} = require("../deadLetters");
+const { subscriptionQueueName } = require("../messaging");
+
+const amqp = require(require.resolve("amqplib", { paths: [process.cwd()] }));
+
+// Service -> events it subscribes to
+const SUBSCRIPTIONS = {
+  "order-service": [
+    "payment.processed",
+    "inventory.updated",
+    "payment.refunded",
+    "payment.failed_permanently",
+  ],
+  "payment-service": ["order.created"],
+  "inventory-service": ["payment.processed"],
+};
+
+async function main() {
+  const [command, service, event, limitArg] = process.argv.slice(2);
+  const limit = parseInt(limitArg, 10) || 50;
+
+  if (
+    !["inspect", "replay", "purge"].includes(command) ||
+    !SUBSCRIPTIONS[service]?.includes(event)
+  ) {
+    console.error(
+      "Usage: dlq.js <inspect|replay|purge> <service> <event> [limit]\n" +
+        Object.entries(SUBSCRIPTIONS)
+          .map(([name, events]) => `  ${name}: ${events.join(", ")}`)
+          .join("\n")
+    );
+    process.exit(1);
+  }
+
+  const queue = subscriptionQueueName(service, event);
+
+  const connection = await amqp.connect(
+    process.env.RABBITMQ_URL || "amqp://localhost:5672"
+  );
+  const channel = await connection.createConfirmChannel();
+
+  try {
+    if (command === "inspect") {
+      const messages = await inspectDeadLetters(channel, queue, limit);
+      console.log(JSON.stringify(messages, null, 2));
+    } else if (command === "replay") {
+      const replayed = await replayDeadLetters(channel, queue, limit);
+      console.log(`♻️ Replayed ${replayed} message(s) onto ${queue}`);
+    } else {
+      const purged = await purgeDeadLetters(channel, queue);
+      console.log(`🧹 Purged ${purged} message(s) from ${queue}.dlq`);
+    }
+  } finally {
+    await channel.close();
+    await connection.close();
+  }
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+// services/shared/consumer.js
+//
+// Shared RabbitMQ consumer wrapper. Each consumed queue gets:
+//
+//   <queue>.retry.<n>  delay queues; messages wait there for their TTL and
+//                      are dead-lettered back onto <queue>
+//   <queue>.dlq        where messages park after the last attempt, or at
+//                      once when they are not valid JSON
+//
+// Delays grow exponentially: retryBaseMs, 2 * retryBaseMs, 4 * retryBaseMs...
+
+const DEFAULTS = {
+  prefetch: parseInt(process.env.CONSUMER_PREFETCH, 10) || 10,
+  maxAttempts: parseInt(process.env.CONSUMER_MAX_ATTEMPTS, 10) || 5,
+  retryBaseMs: parseInt(process.env.CONSUMER_RETRY_BASE_MS, 10) || 1000,
+};
+
+const ATTEMPT_HEADER = "x-attempt";
+
+function retryQueueName(queue, attempt) {
+  return `${queue}.retry.${attempt}`;
+}
+
+function deadLetterQueueName(queue) {
+  return `${queue}.dlq`;
+}
+
+async function assertQueues(channel, queue, { maxAttempts, retryBaseMs }) {
+  await channel.assertQueue(queue, { durable: true });
+  await channel.assertQueue(deadLetterQueueName(queue), { durable: true });
+
+  for (let attempt = 1; attempt < maxAttempts; attempt++) {
+    await channel.assertQueue(retryQueueName(queue, attempt), {
+      durable: true,
+      arguments: {
+        "x-message-ttl": retryBaseMs * 2 ** (attempt - 1),
+        "x-dead-letter-exchange": "",
+        "x-dead-letter-routing-key": queue,
+      },
+    });
+  }
+}
+
+// Forward a copy of the message and wait for the broker when we can, so the
+// original is only acked once the copy is safe
+async function forward(channel, queue, msg, headers) {
+  channel.sendToQueue(queue, msg.content, {
+    ...msg.properties,
+    persistent: true,
+    headers: { ...msg.properties.headers, ...headers },
+  });
+
+  if (channel.waitForConfirms) {
+    await channel.waitForConfirms();
+  }
+}
+
+/**
+ * Consumes `queue`, calling `handler(payload, msg)` for each message.
+ * A handler that throws is retried through the delay queues; after
+ * `maxAttempts` the message goes to the dead-letter queue.
+ */
+async function consume(channel, queue, handler, options = {}) {
+  const { prefetch, maxAttempts, retryBaseMs } = { ...DEFAULTS, ...options };
+
+  await assertQueues(channel, queue, { maxAttempts, retryBaseMs });
+  await channel.prefetch(prefetch);
+
+  await channel.consume(queue, async (msg) => {
+    // null means the broker cancelled the consumer
+    if (!msg) return;
+
+    const attempt = (msg.properties.headers?.[ATTEMPT_HEADER] || 0) + 1;
+
+    try {
+      let payload;
+      try {
+        payload = JSON.parse(msg.content.toString());
+      } catch (error) {
+        // Retrying will not fix a malformed message
+        console.error(`☠️ Malformed message on ${queue}, dead-lettering`);
+        await forward(channel, deadLetterQueueName(queue), msg, {
+          [ATTEMPT_HEADER]: attempt,
+          "x-error": `Invalid JSON: ${error.message}`,
+          "x-failed-at": new Date().toISOString(),
+        });
+        channel.ack(msg);
+        return;
+      }
+
+      try {
+        await handler(payload, msg);
+        channel.ack(msg);
+      } catch (error) {
+        if (attempt >= maxAttempts) {
+          console.error(
+            `☠️ ${queue} message failed ${attempt} times, dead-lettering:`,
+            error.message
+          );
+          await forward(channel, deadLetterQueueName(queue), msg, {
+            [ATTEMPT_HEADER]: attempt,
+            "x-error": error.message,
+            "x-failed-at": new Date().toISOString(),
+          });
+        } else {
+          console.error(
+            `⚠️ ${queue} message failed (attempt ${attempt}/${maxAttempts}), retrying:`,
+            error.message
+          );
+          await forward(channel, retryQueueName(queue, attempt), msg, {
+            [ATTEMPT_HEADER]: attempt,
+            "x-error": error.message,
+          });
+        }
+        channel.ack(msg);
+      }
+    } catch (error) {
+      // Could not even park the message; let the broker redeliver it
+      console.error(`❌ Error handling message on ${queue}:`, error);
+      channel.nack(msg, false, true);
+    }
+  });
+}
+
+module.exports = {
+  consume,
+  deadLetterQueueName,
+  ATTEMPT_HEADER,
+};
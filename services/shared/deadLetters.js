@@ -0,0 +1,158 @@
+// services/shared/deadLetters.js
+const { deadLetterQueueName, ATTEMPT_HEADER } = require("./consumer");
+
+function describe(msg) {
+  const headers = msg.properties.headers || {};
+  let payload;
+  try {
+    payload = JSON.parse(msg.content.toString());
+  } catch {
+    payload = msg.content.toString();
+  }
+
+  return {
+    messageId: msg.properties.messageId,
+    attempts: headers[ATTEMPT_HEADER],
+    error: headers["x-error"],
+    failedAt: headers["x-failed-at"],
+    payload,
+  };
+}
+
+/**
+ * Returns up to `limit` dead-lettered messages without removing them.
+ */
+async function inspectDeadLetters(channel, queue, limit = 50) {
+  const dlq = deadLetterQueueName(queue);
+  const fetched = [];
+
+  try {
+    for (let i = 0; i < limit; i++) {
+      const msg = await channel.get(dlq, { noAck: false });
+      if (!msg) break;
+      fetched.push(msg);
+    }
+
+    return fetched.map(describe);
+  } finally {
+    // Put everything back once we have read it, so nothing is read twice
+    for (const msg of fetched) {
+      channel.nack(msg, false, true);
+    }
+  }
+}
+
+/**
+ * Moves up to `limit` dead-lettered messages back onto `queue` with a
+ * fresh attempt count. Returns how many were replayed.
+ */
+async function replayDeadLetters(channel, queue, limit = 50) {
+  const dlq = deadLetterQueueName(queue);
+  let replayed = 0;
+
+  for (let i = 0; i < limit; i++) {
+    const msg = await channel.get(dlq, { noAck: false });
+    if (!msg) break;
+
+    const headers = { ...msg.properties.headers };
+    delete headers[ATTEMPT_HEADER];
+    delete headers["x-error"];
+    delete headers["x-failed-at"];
+
+    channel.sendToQueue(queue, msg.content, {
+      ...msg.properties,
+      persistent: true,
+      headers,
+    });
+    if (channel.waitForConfirms) {
+      await channel.waitForConfirms();
+    }
+
+    channel.ack(msg);
+    replayed++;
+  }
+
+  return replayed;
+}
+
+/**
+ * Drops every dead-lettered message for `queue`. Returns how many.
+ */
+async function purgeDeadLetters(channel, queue) {
+  const { messageCount } = await channel.purgeQueue(deadLetterQueueName(queue));
+  return messageCount;
+}
+
+/**
+ * Registers the dead-letter admin endpoints on an Express app:
+ *
+ *   GET    <prefix>/:event          inspect (?limit=)
+ *   POST   <prefix>/:event/replay   replay (?limit=)
+ *   DELETE <prefix>/:event          purge
+ *
+ * `queues` maps each event this service consumes (e.g. "payment.processed")
+ * to its queue name; other events get a 404.
+ */
+function registerDeadLetterRoutes(app, prefix, { getChannel, queues, guard }) {
+  function withQueue(action) {
+    return async (req, res) => {
+      const { event } = req.params;
+      const queue = queues[event];
+      if (!queue) {
+        return res
+          .status(404)
+          .json({ success: false, error: `Unknown event ${event}` });
+      }
+
+      const channel = getChannel();
+      if (!channel) {
+        return res
+          .status(503)
+          .json({ success: false, error: "RabbitMQ channel not available" });
+      }
+
+      try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        res.json({
+          success: true,
+          event,
+          queue,
+          ...(await action(channel, queue, limit)),
+        });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    };
+  }
+
+  app.get(
+    `${prefix}/:event`,
+    guard,
+    withQueue(async (channel, queue, limit) => ({
+      messages: await inspectDeadLetters(channel, queue, limit),
+    }))
+  );
+
+  app.post(
+    `${prefix}/:event/replay`,
+    guard,
+    withQueue(async (channel, queue, limit) => ({
+      replayed: await replayDeadLetters(channel, queue, limit),
+    }))
+  );
+
+  app.delete(
+    `${prefix}/:event`,
+    guard,
+    withQueue(async (channel, queue) => ({
+      purged: await purgeDeadLetters(channel, queue),
+    }))
+  );
+}
+
+module.exports = {
+  inspectDeadLetters,
+  replayDeadLetters,
+  purgeDeadLetters,
+  registerDeadLetterRoutes,
+};
@@ -0,0 +1,150 @@
+// services/shared/jwks.js
+//
+// Verifies user-service access tokens locally against its published keys
+// (GET /.well-known/jwks.json), so services need no signing secret and no
+// call to user-service per request. Uses only node:crypto: RS256 and ES256.
+//
+// Local verification cannot see revoked sessions; a revoked token keeps
+// working here until it expires (ACCESS_TOKEN_TTL, 15 minutes by default).
+
+const crypto = require("crypto");
+
+// JWS alg -> node:crypto verify parameters
+const ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+};
+
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TokenError";
+  }
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+/**
+ * Returns { verify(token), refresh() }. verify resolves to the token's
+ * claims or rejects with TokenError; other errors mean the keys could not
+ * be fetched.
+ *
+ * Keys are cached for `cacheMs` and refetched early when a token names an
+ * unknown kid (a rotation), at most once per `minRefreshMs`.
+ */
+function createJwksVerifier({
+  jwksUrl,
+  issuer,
+  audience,
+  cacheMs = 10 * 60 * 1000,
+  minRefreshMs = 5000,
+  timeoutMs = 5000,
+  clockToleranceSec = 30,
+}) {
+  // kid -> { alg, key }
+  let keys = new Map();
+  let fetchedAt = 0;
+  let pending = null;
+
+  async function fetchKeys() {
+    const response = await fetch(jwksUrl, {
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`JWKS request returned ${response.status}`);
+    }
+
+    const jwks = (await response.json()).keys || [];
+    keys = new Map(
+      jwks
+        .filter((jwk) => jwk.kid && ALGORITHMS[jwk.alg])
+        .map((jwk) => [
+          jwk.kid,
+          { alg: jwk.alg, key: crypto.createPublicKey({ key: jwk, format: "jwk" }) },
+        ])
+    );
+    fetchedAt = Date.now();
+  }
+
+  function refresh() {
+    pending ??= fetchKeys().finally(() => {
+      pending = null;
+    });
+    return pending;
+  }
+
+  async function getKey(kid) {
+    const age = Date.now() - fetchedAt;
+    if (age > cacheMs || (!keys.has(kid) && age > minRefreshMs)) {
+      try {
+        await refresh();
+      } catch (error) {
+        // Keep using cached keys while user-service is unreachable
+        if (!keys.has(kid)) throw error;
+        console.error("⚠️ JWKS refresh failed:", error.message);
+      }
+    }
+    return keys.get(kid);
+  }
+
+  async function verify(token) {
+    const parts = typeof token === "string" ? token.split(".") : [];
+    if (parts.length !== 3) {
+      throw new TokenError("Malformed token");
+    }
+
+    let header;
+    let claims;
+    try {
+      header = decodeSegment(parts[0]);
+      claims = decodeSegment(parts[1]);
+    } catch {
+      throw new TokenError("Malformed token");
+    }
+
+    const entry = typeof header.kid === "string" && (await getKey(header.kid));
+    if (!entry) {
+      throw new TokenError("Unknown signing key");
+    }
+    // The key decides the algorithm, never the token
+    if (header.alg !== entry.alg) {
+      throw new TokenError("Unexpected algorithm");
+    }
+
+    const { hash, dsaEncoding } = ALGORITHMS[entry.alg];
+    const valid = crypto.verify(
+      hash,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      dsaEncoding ? { key: entry.key, dsaEncoding } : entry.key,
+      Buffer.from(parts[2], "base64url")
+    );
+    if (!valid) {
+      throw new TokenError("Invalid signature");
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== "number" || claims.exp + clockToleranceSec <= now) {
+      throw new TokenError("Token expired");
+    }
+    if (typeof claims.nbf === "number" && claims.nbf - clockToleranceSec > now) {
+      throw new TokenError("Token not yet valid");
+    }
+    if (issuer && claims.iss !== issuer) {
+      throw new TokenError("Unexpected issuer");
+    }
+    if (audience && ![].concat(claims.aud).includes(audience)) {
+      throw new TokenError("Unexpected audience");
+    }
+
+    return claims;
+  }
+
+  return { verify, refresh };
+}
+
+module.exports = {
+  createJwksVerifier,
+  TokenError,
+};
@@ -0,0 +1,61 @@
+// services/shared/messaging.js
+//
+// Publish/subscribe over a single durable topic exchange. Events are
+// published with their type as routing key (e.g. "payment.processed") and
+// every subscribing service binds its own queue, named
+// "<service>.<routingKey>", so each service sees every event instead of
+// competing with other services for messages on a shared queue.
+
+const { consume } = require("./consumer");
+
+const EXCHANGE = process.env.EVENTS_EXCHANGE || "ecommerce.events";
+
+function subscriptionQueueName(service, routingKey) {
+  return `${service}.${routingKey}`;
+}
+
+async function assertExchange(channel) {
+  await channel.assertExchange(EXCHANGE, "topic", { durable: true });
+}
+
+/**
+ * Publishes an event and, on a confirm channel, resolves once the broker
+ * has accepted it.
+ */
+async function publish(channel, routingKey, event, messageId) {
+  if (!channel) {
+    throw new Error("RabbitMQ channel not available");
+  }
+
+  channel.publish(EXCHANGE, routingKey, Buffer.from(JSON.stringify(event)), {
+    persistent: true,
+    contentType: "application/json",
+    messageId,
+  });
+
+  if (channel.waitForConfirms) {
+    await channel.waitForConfirms();
+  }
+}
+
+/**
+ * Binds `<service>.<routingKey>` to the exchange and consumes it with the
+ * shared retry/dead-letter wrapper. Returns the queue name.
+ */
+async function subscribe(channel, service, routingKey, handler, options) {
+  const queue = subscriptionQueueName(service, routingKey);
+
+  await assertExchange(channel);
+  await consume(channel, queue, handler, options);
+  await channel.bindQueue(queue, EXCHANGE, routingKey);
+
+  return queue;
+}
+
+module.exports = {
+  EXCHANGE,
+  assertExchange,
+  publish,
+  subscribe,
+  subscriptionQueueName,
+};
@@ -0,0 +1,300 @@
+// services/shared/migrations.js
+//
+// Versioned schema migrations. A migration is a file named
+// "<number>_<name>.js" exporting async up(db) and down(db), where `db` is the
+// driver's native handle (a pg client, a better-sqlite3 database). Applied
+// versions are recorded in a schema_migrations table, each migration runs in
+// its own transaction together with that bookkeeping, and a lock keeps two
+// replicas from migrating at once.
+//
+// Database drivers are injected by the caller; this module has no
+// dependencies of its own.
+
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const MIGRATION_FILE = /^(\d+)_(\w+)\.(c|m)?js$/;
+
+/**
+ * Loads the migrations in `dir`, sorted by version. Works for CommonJS and
+ * ES module files alike.
+ */
+async function loadMigrations(dir) {
+  const migrations = [];
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+
+    const loaded = await import(pathToFileURL(path.join(dir, file)).href);
+    const { up, down } = loaded.up ? loaded : loaded.default;
+    if (typeof up !== "function" || typeof down !== "function") {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+
+    migrations.push({ version: parseInt(match[1], 10), name: match[2], up, down });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+/**
+ * Postgres driver. Holds a session-level advisory lock (keyed by
+ * `lockName`) on one connection for the whole run.
+ */
+function createPgMigrationDriver(pool, { lockName = "schema_migrations" } = {}) {
+  return {
+    async withLock(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query("SELECT pg_advisory_lock(hashtext($1))", [lockName]);
+        try {
+          return await fn({
+            db: client,
+
+            async ensureTable() {
+              await client.query(`
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                  version INTEGER PRIMARY KEY,
+                  name VARCHAR(200) NOT NULL,
+                  applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+              `);
+            },
+
+            async listApplied() {
+              const result = await client.query(
+                "SELECT version, name, applied_at FROM schema_migrations ORDER BY version"
+              );
+              return result.rows;
+            },
+
+            async transaction(work) {
+              await client.query("BEGIN");
+              try {
+                await work();
+                await client.query("COMMIT");
+              } catch (error) {
+                await client.query("ROLLBACK");
+                throw error;
+              }
+            },
+
+            markApplied(migration) {
+              return client.query(
+                "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+                [migration.version, migration.name]
+              );
+            },
+
+            markReverted(migration) {
+              return client.query(
+                "DELETE FROM schema_migrations WHERE version = $1",
+                [migration.version]
+              );
+            },
+          });
+        } finally {
+          await client.query("SELECT pg_advisory_unlock(hashtext($1))", [lockName]);
+        }
+      } finally {
+        client.release();
+      }
+    },
+  };
+}
+
+/**
+ * SQLite (better-sqlite3) driver. The whole run happens inside one
+ * BEGIN IMMEDIATE transaction, which holds SQLite's write lock so another
+ * process waits (up to busy_timeout) and then sees the migrations as
+ * applied. Each migration is a savepoint inside it.
+ */
+function createSqliteMigrationDriver(db, { busyTimeoutMs = 10000 } = {}) {
+  return {
+    async withLock(fn) {
+      db.pragma(`busy_timeout = ${busyTimeoutMs}`);
+      db.exec("BEGIN IMMEDIATE");
+      try {
+        const result = await fn({
+          db,
+
+          async ensureTable() {
+            db.exec(`
+              CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+              )
+            `);
+          },
+
+          async listApplied() {
+            return db
+              .prepare("SELECT version, name, applied_at FROM schema_migrations ORDER BY version")
+              .all();
+          },
+
+          async transaction(work) {
+            db.exec("SAVEPOINT migration");
+            try {
+              await work();
+              db.exec("RELEASE migration");
+            } catch (error) {
+              db.exec("ROLLBACK TO migration");
+              db.exec("RELEASE migration");
+              throw error;
+            }
+          },
+
+          async markApplied(migration) {
+            db.prepare("INSERT INTO schema_migrations (version, name) VALUES (?, ?)")
+              .run(migration.version, migration.name);
+          },
+
+          async markReverted(migration) {
+            db.prepare("DELETE FROM schema_migrations WHERE version = ?")
+              .run(migration.version);
+          },
+        });
+        db.exec("COMMIT");
+        return result;
+      } catch (error) {
+        if (db.inTransaction) db.exec("ROLLBACK");
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * Runs `migrations` (see loadMigrations) through `driver`.
+ *
+ *   up({ to })       applies pending migrations, up to version `to` if given
+ *   down({ steps })  reverts the latest `steps` applied migrations (default 1)
+ *   status()         every known or applied version with its applied_at
+ *
+ * up and down return the migrations they ran.
+ */
+function createMigrator({ driver, migrations, log = console.log }) {
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+
+  async function run(session, migration, direction) {
+    await session.transaction(async () => {
+      await migration[direction](session.db);
+      if (direction === "up") {
+        await session.markApplied(migration);
+      } else {
+        await session.markReverted(migration);
+      }
+    });
+    log(`${direction === "up" ? "⬆️" : "⬇️"} ${String(migration.version).padStart(3, "0")}_${migration.name}`);
+  }
+
+  return {
+    up({ to = Infinity } = {}) {
+      return driver.withLock(async (session) => {
+        await session.ensureTable();
+        const applied = new Set((await session.listApplied()).map((r) => r.version));
+
+        const pending = migrations.filter(
+          (m) => !applied.has(m.version) && m.version <= to
+        );
+        for (const migration of pending) {
+          await run(session, migration, "up");
+        }
+        return pending;
+      });
+    },
+
+    down({ steps = 1 } = {}) {
+      return driver.withLock(async (session) => {
+        await session.ensureTable();
+        const applied = await session.listApplied();
+
+        const reverting = applied.slice(-steps).reverse().map((row) => {
+          const migration = byVersion.get(row.version);
+          if (!migration) {
+            throw new Error(`No migration file for applied version ${row.version}`);
+          }
+          return migration;
+        });
+        for (const migration of reverting) {
+          await run(session, migration, "down");
+        }
+        return reverting;
+      });
+    },
+
+    status() {
+      return driver.withLock(async (session) => {
+        await session.ensureTable();
+        const applied = new Map(
+          (await session.listApplied()).map((r) => [r.version, r])
+        );
+        const versions = [...new Set([...byVersion.keys(), ...applied.keys()])].sort(
+          (a, b) => a - b
+        );
+
+        return versions.map((version) => ({
+          version,
+          name: byVersion.get(version)?.name || applied.get(version).name,
+          appliedAt: applied.get(version)?.applied_at || null,
+          missingFile: !byVersion.has(version),
+        }));
+      });
+    },
+  };
+}
+
+/**
+ * Shared body of the `migrate up|down|status` CLIs. Returns the exit code.
+ *
+ *   migrate up [version]   apply pending migrations (up to version)
+ *   migrate down [steps]   revert the latest migration(s)
+ *   migrate status         list migrations and when they were applied
+ */
+async function runMigrationCli(migrator, argv) {
+  const [command, arg] = argv;
+  const number = arg === undefined ? undefined : parseInt(arg, 10);
+
+  if (!["up", "down", "status"].includes(command) || Number.isNaN(number)) {
+    console.error("Usage: migrate <up [version] | down [steps] | status>");
+    return 1;
+  }
+
+  if (command === "status") {
+    for (const row of await migrator.status()) {
+      const state = row.appliedAt
+        ? `applied ${new Date(row.appliedAt).toISOString()}`
+        : "pending";
+      console.log(
+        `${String(row.version).padStart(3, "0")}_${row.name}  ${state}${row.missingFile ? "  (file missing)" : ""}`
+      );
+    }
+    return 0;
+  }
+
+  const ran =
+    command === "up"
+      ? await migrator.up({ to: number })
+      : await migrator.down({ steps: number });
+  console.log(ran.length ? `✅ ${command}: ${ran.length} migration(s)` : "✅ Nothing to do");
+  return 0;
+}
+
+module.exports = {
+  loadMigrations,
+  createPgMigrationDriver,
+  createSqliteMigrationDriver,
+  createMigrator,
+  runMigrationCli,
+};
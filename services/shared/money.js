@@ -0,0 +1,114 @@
+// services/shared/money.js
+//
+// Money is an integer amount of a currency's minor unit (cents for USD, yen
+// for JPY, fils for KWD) plus an ISO 4217 code. Decimal amounts only appear
+// at the edges (legacy data, display) and are converted with toMinor and
+// fromMinor, never with floating-point arithmetic.
+
+// Minor-unit exponent per supported ISO 4217 currency
+const CURRENCY_EXPONENTS = {
+  AUD: 2,
+  BHD: 3,
+  CAD: 2,
+  CHF: 2,
+  CLP: 0,
+  CNY: 2,
+  DKK: 2,
+  EUR: 2,
+  GBP: 2,
+  INR: 2,
+  ISK: 0,
+  JOD: 3,
+  JPY: 0,
+  KRW: 0,
+  KWD: 3,
+  NOK: 2,
+  OMR: 3,
+  SEK: 2,
+  TND: 3,
+  USD: 2,
+  VND: 0,
+};
+
+class MoneyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MoneyError";
+  }
+}
+
+function isCurrency(code) {
+  return Object.prototype.hasOwnProperty.call(CURRENCY_EXPONENTS, code);
+}
+
+function currencyExponent(currency) {
+  if (!isCurrency(currency)) {
+    throw new MoneyError(`Unsupported currency "${currency}"`);
+  }
+  return CURRENCY_EXPONENTS[currency];
+}
+
+// A valid minor-unit amount: a safe integer, not negative
+function isMinorAmount(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+/**
+ * Converts a decimal amount (number or string, e.g. 19.99 or "19.99") to
+ * minor units, rounding half away from zero at the currency's exponent:
+ * toMinor(19.995, "USD") === 2000, toMinor("1500.4", "JPY") === 1500.
+ */
+function toMinor(amount, currency) {
+  const exponent = currencyExponent(currency);
+
+  let text;
+  if (typeof amount === "number" && Number.isFinite(amount)) {
+    // Enough digits to round correctly, without binary noise
+    text = amount.toFixed(exponent + 6);
+  } else if (typeof amount === "string") {
+    text = amount.trim();
+  }
+
+  const match = /^(-)?(\d+)(?:\.(\d*))?$/.exec(text || "");
+  if (!match) {
+    throw new MoneyError(`Invalid amount "${amount}"`);
+  }
+
+  const [, sign, whole, fraction = ""] = match;
+  const digits = fraction.padEnd(exponent + 1, "0");
+  let minor =
+    parseInt(whole, 10) * 10 ** exponent +
+    (exponent > 0 ? parseInt(digits.slice(0, exponent), 10) : 0);
+  if (parseInt(digits[exponent], 10) >= 5) minor += 1;
+
+  if (!Number.isSafeInteger(minor)) {
+    throw new MoneyError(`Amount ${amount} ${currency} is too large`);
+  }
+  return sign && minor !== 0 ? -minor : minor;
+}
+
+/**
+ * Formats minor units as a decimal string: fromMinor(1999, "USD") === "19.99",
+ * fromMinor(1999, "JPY") === "1999", fromMinor(1999, "KWD") === "1.999".
+ */
+function fromMinor(minor, currency) {
+  const exponent = currencyExponent(currency);
+  if (!Number.isSafeInteger(minor)) {
+    throw new MoneyError(`Invalid minor-unit amount ${minor}`);
+  }
+
+  const digits = String(Math.abs(minor)).padStart(exponent + 1, "0");
+  const whole = digits.slice(0, digits.length - exponent);
+  const fraction = digits.slice(digits.length - exponent);
+  return `${minor < 0 ? "-" : ""}${whole}${exponent > 0 ? `.${fraction}` : ""}`;
+}
+
+module.exports = {
+  CURRENCY_EXPONENTS,
+  MoneyError,
+  isCurrency,
+  currencyExponent,
+  isMinorAmount,
+  toMinor,
+  fromMinor,
+};
@@ -0,0 +1,226 @@
+// services/shared/outbox.js
+//
+// Transactional outbox: services write events to an outbox table/collection
+// in the same transaction as their state change, and a relay publishes them
+// afterwards. An event is only marked sent once the broker has confirmed it,
+// so delivery is at-least-once and consumers must be idempotent.
+//
+// Database drivers are injected by the caller; this module has no
+// dependencies of its own.
+
+const crypto = require("crypto");
+
+// How long a relay owns an event it picked up before another may retry it
+const CLAIM_LEASE_MS = 30000;
+
+function newEvent(type, payload) {
+  return {
+    eventId: crypto.randomUUID(),
+    type,
+    payload,
+  };
+}
+
+/**
+ * Mongo-backed store. Pass the service's mongoose instance.
+ */
+function createMongoOutboxStore(mongoose) {
+  const outboxSchema = new mongoose.Schema(
+    {
+      eventId: { type: String, required: true, unique: true },
+      type: { type: String, required: true },
+      payload: { type: mongoose.Schema.Types.Mixed, required: true },
+      status: { type: String, enum: ["pending", "sent"], default: "pending" },
+      attempts: { type: Number, default: 0 },
+      nextAttemptAt: { type: Date, default: Date.now },
+      lastError: String,
+      createdAt: { type: Date, default: Date.now },
+      sentAt: Date,
+    },
+    { collection: "outbox" }
+  );
+
+  outboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+  const OutboxEvent = mongoose.model("OutboxEvent", outboxSchema);
+
+  return {
+    // Call inside the transaction that changes state
+    async add(type, payload, session) {
+      await OutboxEvent.create([newEvent(type, payload)], { session });
+    },
+
+    async claimNext() {
+      const now = new Date();
+      const event = await OutboxEvent.findOneAndUpdate(
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) },
+        { sort: { createdAt: 1 }, returnDocument: "after" }
+      ).lean();
+
+      return event && { ...event, id: event._id };
+    },
+
+    async markSent(id) {
+      await OutboxEvent.updateOne(
+        { _id: id },
+        { status: "sent", sentAt: new Date(), lastError: null }
+      );
+    },
+
+    async markFailed(id, error, nextAttemptAt) {
+      await OutboxEvent.updateOne(
+        { _id: id },
+        { $inc: { attempts: 1 }, lastError: error.message, nextAttemptAt }
+      );
+    },
+
+    async listStuck(olderThan, limit) {
+      return OutboxEvent.find({
+        status: "pending",
+        createdAt: { $lt: olderThan },
+      })
+        .sort({ createdAt: 1 })
+        .limit(limit)
+        .lean();
+    },
+  };
+}
+
+/**
+ * Postgres-backed store. Pass the service's pg Pool; `add` takes the client
+ * holding the open transaction. The outbox table is created by the service's
+ * migrations (see payment-service/migrations/003_create_outbox.js).
+ */
+function createPgOutboxStore(pool) {
+  return {
+    async add(type, payload, client) {
+      const event = newEvent(type, payload);
+      await client.query(
+        "INSERT INTO outbox (event_id, type, payload) VALUES ($1, $2, $3)",
+        [event.eventId, event.type, event.payload]
+      );
+    },
+
+    async claimNext() {
+      const result = await pool.query(
+        `UPDATE outbox
+         SET next_attempt_at = CURRENT_TIMESTAMP + ($1 || ' milliseconds')::interval
+         WHERE id = (
+           SELECT id FROM outbox
+           WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+           ORDER BY id
+           FOR UPDATE SKIP LOCKED
+           LIMIT 1
+         )
+         RETURNING id, event_id AS "eventId", type, payload, attempts`,
+        [CLAIM_LEASE_MS]
+      );
+
+      return result.rows[0] || null;
+    },
+
+    async markSent(id) {
+      await pool.query(
+        `UPDATE outbox
+         SET status = 'sent', sent_at = CURRENT_TIMESTAMP, last_error = NULL
+         WHERE id = $1`,
+        [id]
+      );
+    },
+
+    async markFailed(id, error, nextAttemptAt) {
+      await pool.query(
+        `UPDATE outbox
+         SET attempts = attempts + 1, last_error = $2, next_attempt_at = $3
+         WHERE id = $1`,
+        [id, error.message, nextAttemptAt]
+      );
+    },
+
+    async listStuck(olderThan, limit) {
+      const result = await pool.query(
+        `SELECT * FROM outbox
+         WHERE status = 'pending' AND created_at < $1
+         ORDER BY id
+         LIMIT $2`,
+        [olderThan, limit]
+      );
+
+      return result.rows;
+    },
+  };
+}
+
+/**
+ * Polls the store and hands pending events to `publish(type, payload, eventId)`,
+ * which must resolve only once the broker has accepted the message.
+ */
+function createOutboxRelay({
+  store,
+  publish,
+  intervalMs = 1000,
+  batchSize = 50,
+  retryBaseMs = 1000,
+  retryMaxMs = 60000,
+}) {
+  let timer;
+  let running = false;
+
+  async function runOnce() {
+    if (running) return 0;
+    running = true;
+
+    let published = 0;
+    try {
+      for (let i = 0; i < batchSize; i++) {
+        const event = await store.claimNext();
+        if (!event) break;
+
+        try {
+          await publish(event.type, event.payload, event.eventId);
+          await store.markSent(event.id);
+          published++;
+        } catch (error) {
+          const attempts = (event.attempts || 0) + 1;
+          const delay = Math.min(retryBaseMs * 2 ** (attempts - 1), retryMaxMs);
+
+          console.error(
+            `⚠️ Outbox publish of ${event.type} ${event.eventId} failed, retrying in ${delay}ms:`,
+            error.message
+          );
+          await store.markFailed(event.id, error, new Date(Date.now() + delay));
+
+          // The broker is probably down; try again on the next tick
+          break;
+        }
+      }
+    } finally {
+      running = false;
+    }
+
+    return published;
+  }
+
+  return {
+    runOnce,
+
+    start() {
+      timer = setInterval(() => {
+        runOnce().catch((error) =>
+          console.error("Error running outbox relay:", error)
+        );
+      }, intervalMs);
+    },
+
+    stop() {
+      clearInterval(timer);
+    },
+  };
+}
+
+module.exports = {
+  createMongoOutboxStore,
+  createPgOutboxStore,
+  createOutboxRelay,
+};
@@ -0,0 +1,27 @@
+// services/shared/permissions.js
+//
+// Permissions are "<resource>:<action>[:<scope>]" strings such as
+// "orders:read:any" or "inventory:write". user-service maps roles to
+// permissions; the gateway forwards the caller's set as the
+// x-user-permissions header (comma-separated).
+//
+// A granted "*" allows everything and "orders:*" everything on orders.
+// Access to a caller's own resources needs no permission.
+
+function hasPermission(granted, permission) {
+  return (granted || []).some(
+    (entry) =>
+      entry === "*" ||
+      entry === permission ||
+      (entry.endsWith(":*") && permission.startsWith(entry.slice(0, -1)))
+  );
+}
+
+function parsePermissionsHeader(value) {
+  return value ? String(value).split(",").filter(Boolean) : [];
+}
+
+module.exports = {
+  hasPermission,
+  parsePermissionsHeader,
+};
@@ -0,0 +1,191 @@
+// services/shared/serviceAuth.js
+//
+// Calls that reach a service from the gateway or another service carry an
+// X-Service-Token: a short-lived HS256 token signed with SERVICE_SECRET,
+// which only the gateway and the services know. It names the calling
+// service and, for a call made on a user's behalf, that user's identity.
+//
+// Services set the x-user-* identity headers from that token or from the
+// user's own bearer token (see ./jwks) and nothing else, and turn away
+// callers with neither. A token without a user is a service acting on its
+// own behalf and may do anything.
+
+const crypto = require("crypto");
+const { TokenError } = require("./jwks");
+
+const SERVICE_TOKEN_HEADER = "x-service-token";
+
+const IDENTITY_HEADERS = [
+  "x-user-id",
+  "x-user-role",
+  "x-user-permissions",
+  "x-user-email",
+  "x-user-email-verified",
+];
+
+const TOKEN_HEADER = Buffer.from(JSON.stringify({ alg: "HS256", typ: "JWT" })).toString(
+  "base64url"
+);
+
+/**
+ * SERVICE_SECRET from the environment. Refuses to start without one long
+ * enough to resist guessing.
+ */
+function serviceSecretFromEnv() {
+  const secret = process.env.SERVICE_SECRET;
+  if (!secret || secret.length < 32) {
+    throw new Error("SERVICE_SECRET must be set to at least 32 characters");
+  }
+  return secret;
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac("sha256", secret).update(data).digest();
+}
+
+/**
+ * A token for `service` calling on its own behalf or, given `user`
+ * ({ userId, role?, permissions?, email?, emailVerified? }), on that
+ * user's behalf with at most the permissions listed.
+ */
+function signServiceToken(secret, { service, user, ttlSeconds = 60 }) {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { iss: service, iat: now, exp: now + ttlSeconds };
+  if (user) {
+    claims.user = {
+      userId: user.userId,
+      role: user.role,
+      permissions: user.permissions || [],
+      email: user.email,
+      emailVerified: user.emailVerified,
+    };
+  }
+
+  const data = `${TOKEN_HEADER}.${Buffer.from(JSON.stringify(claims)).toString("base64url")}`;
+  return `${data}.${hmac(secret, data).toString("base64url")}`;
+}
+
+// Headers for a request made with a fresh service token
+function serviceAuthHeaders(secret, service, user) {
+  return { [SERVICE_TOKEN_HEADER]: signServiceToken(secret, { service, user }) };
+}
+
+/**
+ * Returns the token's claims or throws TokenError.
+ */
+function verifyServiceToken(secret, token, { clockToleranceSec = 30 } = {}) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3 || parts[0] !== TOKEN_HEADER) {
+    throw new TokenError("Malformed service token");
+  }
+
+  const expected = hmac(secret, `${parts[0]}.${parts[1]}`);
+  const signature = Buffer.from(parts[2], "base64url");
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(signature, expected)
+  ) {
+    throw new TokenError("Invalid service token signature");
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+  } catch {
+    throw new TokenError("Malformed service token");
+  }
+
+  if (
+    typeof claims.exp !== "number" ||
+    claims.exp + clockToleranceSec <= Math.floor(Date.now() / 1000)
+  ) {
+    throw new TokenError("Service token expired");
+  }
+  if (claims.user !== undefined && typeof claims.user?.userId !== "string") {
+    throw new TokenError("Malformed service token");
+  }
+
+  return claims;
+}
+
+// Replaces whatever identity headers the request came with
+function setIdentity(req, user) {
+  for (const header of IDENTITY_HEADERS) {
+    delete req.headers[header];
+  }
+  if (!user) return;
+
+  req.headers["x-user-id"] = user.userId;
+  if (user.role) req.headers["x-user-role"] = user.role;
+  req.headers["x-user-permissions"] = (user.permissions || []).join(",");
+  if (user.email) req.headers["x-user-email"] = user.email;
+  if (user.emailVerified !== undefined) {
+    req.headers["x-user-email-verified"] = String(Boolean(user.emailVerified));
+  }
+}
+
+/**
+ * Express middleware admitting only authenticated callers:
+ *
+ *   X-Service-Token        the calling service, and the user it acts for
+ *   Authorization: Bearer  a user's access token, checked with `verifier`
+ *                          (a JWKS verifier; bearer tokens are refused
+ *                          without one)
+ *
+ * and setting x-user-* from the credential. A service acting on its own
+ * behalf is flagged with req.internal. Requests for which `isPublic(req)`
+ * holds need no service token and are let in without any identity.
+ */
+function authenticateCaller({ secret, verifier, isPublic = () => false }) {
+  return async (req, res, next) => {
+    setIdentity(req, null);
+    req.internal = false;
+
+    const serviceToken = req.headers[SERVICE_TOKEN_HEADER];
+    const authorization = req.headers.authorization;
+
+    let user;
+    try {
+      if (serviceToken) {
+        const claims = verifyServiceToken(secret, serviceToken);
+        user = claims.user;
+        req.internal = !user;
+        req.callerService = claims.iss;
+      } else if (isPublic(req)) {
+        return next();
+      } else if (verifier && authorization?.startsWith("Bearer ")) {
+        const claims = await verifier.verify(authorization.slice("Bearer ".length).trim());
+        user = {
+          userId: claims.userId,
+          role: claims.role,
+          permissions: claims.permissions,
+          emailVerified: claims.emailVerified,
+        };
+      } else {
+        return res
+          .status(401)
+          .json({ success: false, error: "Authentication required" });
+      }
+    } catch (error) {
+      if (error instanceof TokenError) {
+        return res.status(401).json({ success: false, error: "Invalid token" });
+      }
+      console.error("❌ Token verification failed:", error.message);
+      return res
+        .status(503)
+        .json({ success: false, error: "Cannot verify token" });
+    }
+
+    setIdentity(req, user);
+    next();
+  };
+}
+
+module.exports = {
+  SERVICE_TOKEN_HEADER,
+  serviceSecretFromEnv,
+  signServiceToken,
+  serviceAuthHeaders,
+  verifyServiceToken,
+  authenticateCaller,
+};
@@ -0,0 +1,25 @@
+// services/user-service/scripts/migrate.js
+//
+// Applies or reverts users database migrations (see src/db/migrations).
+// user-service also applies pending migrations when it starts.
+//
+// Usage: npm run migrate -- <up [version] | down [steps] | status>
+//   env: SQLITE_PATH as for the service
+
+import Database from 'better-sqlite3';
+import { runMigrationCli } from '../../shared/migrations.js';
+import { env } from '../src/config/env.js';
+import { createUserMigrator } from '../src/db/sqlite.js';
+
+let db;
+
+try {
+  db = new Database(env.sqlitePath);
+  const migrator = await createUserMigrator(db);
+  process.exitCode = await runMigrationCli(migrator, process.argv.slice(2));
+} catch (error) {
+  console.error('❌', error.message);
+  process.exitCode = 1;
+} finally {
+  db?.close();
+}
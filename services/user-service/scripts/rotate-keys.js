@@ -0,0 +1,18 @@
+// services/user-service/scripts/rotate-keys.js
+//
+// Generates a new JWT signing key and retires the current one. Tokens
+// signed with the old key stay valid until they expire; running services
+// pick up the new key within five minutes.
+//
+// Usage: npm run rotate-keys -- [RS256|ES256]
+//   env: JWT_KEYS_DIR as for the service
+
+import { rotateKeys } from '../src/utils/keys.js';
+
+try {
+  const key = rotateKeys(process.argv[2]);
+  console.log(`🔑 New signing key ${key.kid} (${key.alg})`);
+} catch (error) {
+  console.error('❌', error.message);
+  process.exitCode = 1;
+}
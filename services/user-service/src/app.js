@@ -0,0 +1,24 @@
+import express from 'express';
+import userRoutes from './routes/userRoutes.js';
+import { env } from './config/env.js';
+import { publicJwks } from './utils/keys.js';
+
+/**
+ * The HTTP app. Connecting the database and loading the signing keys is
+ * up to the caller (src/index.js, or a test).
+ */
+export function createApp() {
+  const app = express();
+  app.set('trust proxy', env.trustProxy);
+  app.use(express.json());
+
+  // Public keys for verifying our JWTs without calling us on every request
+  app.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(publicJwks());
+  });
+
+  app.use('/api/users', userRoutes);
+
+  return app;
+}
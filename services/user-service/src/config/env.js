@@ -1,8 +1,68 @@
 // services/user-service/src/config/env.js
 import process from 'process';
+import { serviceSecretFromEnv } from '../../../shared/serviceAuth.js';
+
+// TRUST_PROXY is a hop count ("1") or a list of proxy addresses/subnets
+function trustProxy(value = '1') {
+  return /^\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+}
 
 export const env = {
   port: process.env.PORT || 3004,
-  jwtSecret: process.env.JWT_SECRET || 'change-me',
+  jwt: {
+    // RS256 or ES256; changing it rotates to a key of the new type
+    algorithm: process.env.JWT_ALGORITHM || 'RS256',
+    keysDir: process.env.JWT_KEYS_DIR || './keys',
+    issuer: process.env.JWT_ISSUER || 'user-service',
+    audience: process.env.JWT_AUDIENCE || 'ecommerce-api',
+    // Rotate the signing key automatically after this many days (0: never)
+    rotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS, 10) || 0,
+    // How long a retired key keeps verifying; must exceed the token TTLs
+    retiredKeyTtlHours: parseInt(process.env.JWT_RETIRED_KEY_TTL_HOURS, 10) || 24,
+  },
+  // Encrypts stored TOTP seeds; required (see utils/encryption.js). Seeds
+  // stored while it fell back to JWT_SECRET need ENCRYPTION_KEY=$JWT_SECRET.
+  encryptionKey: process.env.ENCRYPTION_KEY,
+  // Checks the X-Service-Token of services reading an address book on a
+  // user's behalf (see middleware/authMiddleware.js)
+  serviceSecret: serviceSecretFromEnv(),
   sqlitePath: process.env.SQLITE_PATH || './users.db',
+  // Access JWTs are short-lived; clients renew them with a refresh token
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+  // Links in emails point at the storefront
+  appBaseUrl: process.env.APP_BASE_URL || 'http://localhost:8080',
+  emailVerificationTtlHours:
+    parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24,
+  passwordResetTtlMinutes:
+    parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+  // Proxies whose X-Forwarded-For is believed (Express "trust proxy"). Only
+  // the gateway sits in front of us and it overwrites the header, so by
+  // default just its hop is trusted and req.ip is the client it saw.
+  // Trusting more would let clients pick their own IP for login lockouts.
+  trustProxy: trustProxy(process.env.TRUST_PROXY),
+  loginProtection: {
+    maxAccountFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES, 10) || 5,
+    maxIpFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+    // Failures older than this are forgotten
+    windowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15,
+    // Delay before answering the next attempt: base * 2^(failures - 1)
+    delayBaseMs: parseInt(process.env.LOGIN_DELAY_BASE_MS, 10) || 250,
+    maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS, 10) || 5000,
+  },
+  twoFactor: {
+    issuer: process.env.TOTP_ISSUER || 'E-commerce',
+    // Lifetime of the token that stands between password and TOTP code
+    challengeTtl: process.env.TWO_FACTOR_CHALLENGE_TTL || '5m',
+    // Codes one login challenge takes before the password must be re-entered
+    maxChallengeAttempts: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS, 10) || 5,
+    recoveryCodeCount: 10,
+  },
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'no-reply@shop.local',
+    // Used by the file transport
+    dir: process.env.MAIL_DIR || './mail',
+  },
 };
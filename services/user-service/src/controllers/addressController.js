@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import {
+  deleteAddress as removeAddress,
+  findAddress,
+  listAddresses,
+  saveAddress,
+} from '../models/addressModels.js';
+import { MAX_ADDRESSES, validateAddress } from '../utils/addresses.js';
+import { hasPermission, permissionsFor } from '../utils/permissions.js';
+
+/**
+ * Address book. Users manage their own addresses under /addresses; their
+ * own book or, with users:read:any, anyone's can be read under
+ * /:userId/addresses. order-service reads it there to snapshot the
+ * addresses onto an order, with a service token scoped to the order's user.
+ */
+
+function invalidAddress(res, errors) {
+  return res
+    .status(400)
+    .json({ success: false, error: 'Invalid address', fields: errors });
+}
+
+// Whose address book a read is for, or null after answering 403
+async function readableUserId(req, res) {
+  const userId = req.params.userId || req.user.userId;
+  if (
+    userId !== req.user.userId &&
+    !hasPermission(await permissionsFor(req.user.role), 'users:read:any')
+  ) {
+    res.status(403).json({ success: false, error: 'Forbidden' });
+    return null;
+  }
+  return userId;
+}
+
+/**
+ * GET /api/users/addresses
+ * GET /api/users/:userId/addresses
+ */
+export async function getAddresses(req, res) {
+  try {
+    const userId = await readableUserId(req, res);
+    if (!userId) return;
+
+    res.json({ success: true, addresses: await listAddresses(userId) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * GET /api/users/addresses/:addressId
+ * GET /api/users/:userId/addresses/:addressId
+ */
+export async function getAddress(req, res) {
+  try {
+    const userId = await readableUserId(req, res);
+    if (!userId) return;
+
+    const address = await findAddress(userId, req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ success: false, error: 'Address not found' });
+    }
+
+    res.json({ success: true, address });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /api/users/addresses
+ * The first address becomes the default for shipping and billing.
+ */
+export async function createAddress(req, res) {
+  try {
+    const { address, errors } = validateAddress(req.body || {});
+    if (errors) return invalidAddress(res, errors);
+
+    const existing = await listAddresses(req.user.userId);
+    if (existing.length >= MAX_ADDRESSES) {
+      return res.status(409).json({
+        success: false,
+        error: `An address book holds at most ${MAX_ADDRESSES} addresses`,
+      });
+    }
+
+    const saved = await saveAddress({
+      addressId: `ADDR-${crypto.randomUUID()}`,
+      userId: req.user.userId,
+      ...address,
+      isDefaultShipping: address.isDefaultShipping || existing.length === 0,
+      isDefaultBilling: address.isDefaultBilling || existing.length === 0,
+    });
+
+    res.status(201).json({ success: true, address: saved });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * PUT /api/users/addresses/:addressId
+ * Updates the fields given; the rest are kept.
+ */
+export async function updateAddress(req, res) {
+  try {
+    const current = await findAddress(req.user.userId, req.params.addressId);
+    if (!current) {
+      return res.status(404).json({ success: false, error: 'Address not found' });
+    }
+
+    const { address, errors } = validateAddress(req.body || {}, current);
+    if (errors) return invalidAddress(res, errors);
+
+    const saved = await saveAddress({ ...current, ...address });
+    res.json({ success: true, address: saved });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * DELETE /api/users/addresses/:addressId
+ * A deleted default passes to the most recently added remaining address.
+ * Orders keep their own copy, so are unaffected.
+ */
+export async function deleteAddress(req, res) {
+  try {
+    const current = await findAddress(req.user.userId, req.params.addressId);
+    if (!current) {
+      return res.status(404).json({ success: false, error: 'Address not found' });
+    }
+
+    await removeAddress(req.user.userId, current.addressId);
+
+    const successor = (await listAddresses(req.user.userId)).at(-1);
+    if (successor && (current.isDefaultShipping || current.isDefaultBilling)) {
+      await saveAddress({
+        ...successor,
+        isDefaultShipping: successor.isDefaultShipping || current.isDefaultShipping,
+        isDefaultBilling: successor.isDefaultBilling || current.isDefaultBilling,
+      });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
@@ -0,0 +1,294 @@
+import { findUserById, save, toPublicUser } from '../models/userModels.js';
+import { revokeUserSessions } from '../models/sessionModels.js';
+import {
+  countUsersWithRole,
+  deleteRole,
+  findRole,
+  listRoles,
+  saveRole,
+} from '../models/roleModels.js';
+import { recordSecurityEvent } from '../models/securityModels.js';
+import {
+  PERMISSIONS,
+  coversAll,
+  isKnownPermission,
+  permissionsFor,
+} from '../utils/permissions.js';
+
+/**
+ * Staff user and role management. Routes are guarded by requirePermission,
+ * which leaves the caller's permissions in req.permissions. Nobody can act
+ * on their own account or role here, or on a user or role holding
+ * permissions they do not have themselves.
+ */
+
+// Roles that registration and the original admin account depend on
+const BUILT_IN_ROLES = ['admin', 'customer'];
+const ROLE_NAME = /^[a-z][a-z0-9_-]{1,31}$/;
+
+/**
+ * Loads the target user (active or not) for an admin action, or answers
+ * with the reason it is not allowed and returns null
+ */
+async function loadManagedUser(req, res) {
+  if (req.params.userId === req.user.userId) {
+    res
+      .status(409)
+      .json({ success: false, error: 'You cannot change your own account here' });
+    return null;
+  }
+
+  const user = await findUserById(req.params.userId, { includeInactive: true });
+  if (!user) {
+    res.status(404).json({ success: false, error: 'User not found' });
+    return null;
+  }
+
+  if (!coversAll(req.permissions, await permissionsFor(user.role))) {
+    res.status(403).json({
+      success: false,
+      error: 'You cannot manage a user with permissions you do not have',
+    });
+    return null;
+  }
+
+  return user;
+}
+
+/**
+ * PUT /api/users/:userId/role
+ * Staff: moves a user to another role and signs them out, so their next
+ * tokens carry the new permissions
+ */
+export async function changeUserRole(req, res) {
+  try {
+    const { role } = req.body || {};
+    if (typeof role !== 'string' || !role) {
+      return res.status(400).json({ success: false, error: 'role is required' });
+    }
+
+    const target = await findRole(role);
+    if (!target) {
+      return res.status(400).json({ success: false, error: `Unknown role "${role}"` });
+    }
+
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    if (!coversAll(req.permissions, target.permissions)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot grant a role with permissions you do not have',
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await save(user);
+    const revokedSessions = await revokeUserSessions(user.userId, 'role_changed');
+
+    await recordSecurityEvent({
+      type: 'role_changed',
+      userId: user.userId,
+      email: user.email,
+      ip: req.ip,
+      details: `${previousRole} -> ${role} by ${req.user.userId}`,
+    });
+
+    res.json({ success: true, user: toPublicUser(user), revokedSessions });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /api/users/:userId/deactivate
+ * Staff: disables the account and signs it out everywhere
+ */
+export async function deactivateUser(req, res) {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    let revokedSessions = 0;
+    if (user.isActive) {
+      user.isActive = false;
+      await save(user);
+      revokedSessions = await revokeUserSessions(user.userId, 'account_deactivated');
+
+      await recordSecurityEvent({
+        type: 'user_deactivated',
+        userId: user.userId,
+        email: user.email,
+        ip: req.ip,
+        details: `by ${req.user.userId}`,
+      });
+    }
+
+    res.json({ success: true, user: toPublicUser(user), revokedSessions });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /api/users/:userId/reactivate
+ * Staff: re-enables a deactivated account (by the user or by staff)
+ */
+export async function reactivateUser(req, res) {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    if (!user.isActive) {
+      user.isActive = true;
+      await save(user);
+
+      await recordSecurityEvent({
+        type: 'user_reactivated',
+        userId: user.userId,
+        email: user.email,
+        ip: req.ip,
+        details: `by ${req.user.userId}`,
+      });
+    }
+
+    res.json({ success: true, user: toPublicUser(user) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * GET /api/users/roles
+ * Roles with their permissions, and every permission that can be granted
+ */
+export async function getRoles(req, res) {
+  try {
+    res.json({
+      success: true,
+      roles: await listRoles(),
+      permissions: PERMISSIONS,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * PUT /api/users/roles/:role
+ * Creates a role or replaces its permissions, e.g.
+ *   { "description": "Warehouse staff", "permissions": ["inventory:write"] }
+ * Access tokens pick up changed permissions when next refreshed.
+ */
+export async function putRole(req, res) {
+  try {
+    const { role } = req.params;
+    const { description, permissions } = req.body || {};
+
+    if (!ROLE_NAME.test(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role names are 2-32 lowercase letters, digits, "-" or "_"',
+      });
+    }
+    if (
+      !Array.isArray(permissions) ||
+      !permissions.every((permission) => typeof permission === 'string')
+    ) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'permissions must be an array of strings' });
+    }
+    const unknown = permissions.filter((permission) => !isKnownPermission(permission));
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown permissions: ${unknown.join(', ')}`,
+      });
+    }
+    if (description !== undefined && typeof description !== 'string') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'description must be a string' });
+    }
+
+    if (role === req.user.role) {
+      return res
+        .status(409)
+        .json({ success: false, error: 'You cannot change your own role' });
+    }
+
+    const existing = await findRole(role);
+    if (!coversAll(req.permissions, [...permissions, ...(existing?.permissions || [])])) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot manage permissions you do not have',
+      });
+    }
+
+    const saved = await saveRole({
+      role,
+      description: description ?? existing?.description ?? null,
+      permissions: [...new Set(permissions)],
+    });
+
+    await recordSecurityEvent({
+      type: existing ? 'role_updated' : 'role_created',
+      userId: req.user.userId,
+      ip: req.ip,
+      details: `${role}: ${saved.permissions.join(', ') || 'no permissions'}`,
+    });
+
+    res.status(existing ? 200 : 201).json({ success: true, role: saved });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * DELETE /api/users/roles/:role
+ * Only roles nobody holds can be deleted
+ */
+export async function removeRole(req, res) {
+  try {
+    const { role } = req.params;
+
+    if (BUILT_IN_ROLES.includes(role)) {
+      return res
+        .status(409)
+        .json({ success: false, error: `The ${role} role cannot be deleted` });
+    }
+
+    const existing = await findRole(role);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Role not found' });
+    }
+    if (!coversAll(req.permissions, existing.permissions)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot manage permissions you do not have',
+      });
+    }
+
+    const users = await countUsersWithRole(role);
+    if (users > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `${users} user(s) still have this role`,
+      });
+    }
+
+    await deleteRole(role);
+    await recordSecurityEvent({
+      type: 'role_deleted',
+      userId: req.user.userId,
+      ip: req.ip,
+      details: role,
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
@@ -0,0 +1,309 @@
+// src/controllers/twoFactorController.js
+import { env } from '../config/env.js';
+import { findUserById, listUsers, save } from '../models/userModels.js';
+import { revokeUserSessions } from '../models/sessionModels.js';
+import {
+  completeChallenge,
+  countRecoveryCodes,
+  replaceRecoveryCodes,
+  setSetting,
+} from '../models/twoFactorModels.js';
+import { recordSecurityEvent } from '../models/securityModels.js';
+import { issueTokens } from '../utils/tokens.js';
+import { encrypt } from '../utils/encryption.js';
+import { generateTotpSecret, provisioningUri } from '../utils/totp.js';
+import {
+  REQUIRED_ROLES_SETTING,
+  attemptLoginChallenge,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  isTwoFactorRequired,
+  requiredRoles,
+  verifySecondFactor,
+} from '../utils/twoFactor.js';
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from '../utils/loginProtection.js';
+
+// Issues fresh recovery codes; only their hashes are kept
+async function newRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes();
+  await replaceRecoveryCodes(userId, codes.map(hashRecoveryCode));
+  return codes;
+}
+
+/**
+ * POST /api/users/login/2fa
+ * Exchanges a login challenge token and a TOTP or recovery code for tokens.
+ * The challenge works once and takes a few codes, then login starts over.
+ */
+export async function completeTwoFactorLogin(req, res) {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+
+    const challenge =
+      typeof challengeToken === 'string' && (await attemptLoginChallenge(challengeToken));
+    const userId = challenge?.userId;
+    const user = userId && (await findUserById(userId));
+    if (!user || !user.totpEnabledAt) {
+      return res
+        .status(401)
+        .json({ success: false, error: 'Invalid or expired challenge' });
+    }
+
+    const ip = req.ip;
+    const allowed = await checkLoginAllowed(user.email, ip);
+    if (allowed.lockedUntil) {
+      await recordSecurityEvent({ type: 'login_blocked', userId, email: user.email, ip });
+      return res
+        .status(429)
+        .json({ success: false, error: 'Too many failed login attempts, try again later' });
+    }
+
+    const factor = await verifySecondFactor(user, { code, recoveryCode });
+    if (!factor) {
+      await recordLoginFailure({ email: user.email, ip, userId, reason: 'bad_2fa_code' });
+      return res.status(401).json({ success: false, error: 'Invalid code' });
+    }
+
+    if (!(await completeChallenge(challenge.challengeId))) {
+      return res
+        .status(401)
+        .json({ success: false, error: 'Invalid or expired challenge' });
+    }
+
+    if (factor === 'recovery') {
+      await recordSecurityEvent({
+        type: 'recovery_code_used',
+        userId,
+        email: user.email,
+        ip,
+        details: `${await countRecoveryCodes(userId)} left`,
+      });
+    }
+
+    await recordLoginSuccess(user.email);
+    const tokens = await issueTokens(user);
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: {
+        userId: user.userId,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        emailVerified: Boolean(user.emailVerifiedAt),
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * GET /api/users/2fa
+ */
+export async function getTwoFactorStatus(req, res) {
+  try {
+    res.json({
+      success: true,
+      enabled: Boolean(req.user.totpEnabledAt),
+      required: await isTwoFactorRequired(req.user),
+      recoveryCodesRemaining: req.user.totpEnabledAt
+        ? await countRecoveryCodes(req.user.userId)
+        : 0,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /api/users/2fa/setup
+ * Starts enrollment with a new seed. It is not enforced until confirmed
+ * with a code at /2fa/enable.
+ */
+export async function setupTwoFactor(req, res) {
+  try {
+    const user = req.user;
+    if (user.totpEnabledAt) {
+      return res
+        .status(409)
+        .json({ success: false, error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    user.totpSecret = encrypt(secret);
+    await save(user);
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl: provisioningUri(secret, user.email, env.twoFactor.issuer),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /api/users/2fa/enable
+ * Confirms enrollment with a code from the authenticator and returns the
+ * recovery codes (shown once). Completes the login when enrolling with a
+ * setup challenge.
+ */
+export async function enableTwoFactor(req, res) {
+  try {
+    const user = req.user;
+    if (user.totpEnabledAt) {
+      return res
+        .status(409)
+        .json({ success: false, error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.totpSecret) {
+      return res
+        .status(409)
+        .json({ success: false, error: 'Start with /2fa/setup' });
+    }
+
+    if ((await verifySecondFactor(user, { code: req.body?.code })) !== 'totp') {
+      return res.status(400).json({ success: false, error: 'Invalid code' });
+    }
+
+    user.totpEnabledAt = new Date().toISOString();
+    await save(user);
+    const recoveryCodes = await newRecoveryCodes(user.userId);
+
+    await recordSecurityEvent({ type: 'two_factor_enabled', userId: user.userId, email: user.email, ip: req.ip });
+
+    res.json({
+      success: true,
+      recoveryCodes,
+      ...(req.viaChallenge && (await issueTokens(user))),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /api/users/2fa/disable
+ * Needs a current TOTP or recovery code; not allowed when the role requires 2FA
+ */
+export async function disableTwoFactor(req, res) {
+  try {
+    const user = req.user;
+    if (!user.totpEnabledAt) {
+      return res
+        .status(409)
+        .json({ success: false, error: 'Two-factor authentication is not enabled' });
+    }
+    if (await isTwoFactorRequired(user)) {
+      return res
+        .status(409)
+        .json({ success: false, error: `Two-factor authentication is required for ${user.role} accounts` });
+    }
+
+    const { code, recoveryCode } = req.body || {};
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({ success: false, error: 'Invalid code' });
+    }
+
+    user.totpSecret = null;
+    user.totpEnabledAt = null;
+    await save(user);
+    await replaceRecoveryCodes(user.userId, []);
+
+    await recordSecurityEvent({ type: 'two_factor_disabled', userId: user.userId, email: user.email, ip: req.ip });
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /api/users/2fa/recovery-codes
+ * Replaces all recovery codes; needs a current TOTP code
+ */
+export async function regenerateRecoveryCodes(req, res) {
+  try {
+    const user = req.user;
+    if (!user.totpEnabledAt) {
+      return res
+        .status(409)
+        .json({ success: false, error: 'Two-factor authentication is not enabled' });
+    }
+
+    if ((await verifySecondFactor(user, { code: req.body?.code })) !== 'totp') {
+      return res.status(400).json({ success: false, error: 'Invalid code' });
+    }
+
+    const recoveryCodes = await newRecoveryCodes(user.userId);
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * GET /api/users/security/two-factor-policy
+ */
+export async function getTwoFactorPolicy(req, res) {
+  try {
+    res.json({ success: true, requiredRoles: await requiredRoles() });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * PUT /api/users/security/two-factor-policy
+ * Admin: sets the roles that must use 2FA. Sessions of users in those roles
+ * without 2FA are revoked; they enroll at their next login.
+ */
+export async function updateTwoFactorPolicy(req, res) {
+  try {
+    const { requiredRoles: roles } = req.body || {};
+    if (
+      !Array.isArray(roles) ||
+      !roles.every((role) => typeof role === 'string' && role)
+    ) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'requiredRoles must be an array of roles' });
+    }
+
+    // Do not let an admin lock themselves out
+    if (roles.includes(req.user.role) && !req.user.totpEnabledAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Enable two-factor authentication on your own account first',
+      });
+    }
+
+    await setSetting(REQUIRED_ROLES_SETTING, [...new Set(roles)]);
+
+    let revokedSessions = 0;
+    for (const user of await listUsers()) {
+      if (roles.includes(user.role) && !user.totpEnabledAt) {
+        revokedSessions += await revokeUserSessions(user.userId, 'two_factor_required');
+      }
+    }
+
+    await recordSecurityEvent({
+      type: 'two_factor_policy_changed',
+      userId: req.user.userId,
+      ip: req.ip,
+      details: `required for: ${roles.join(', ') || 'none'}`,
+    });
+
+    res.json({ success: true, requiredRoles: roles, revokedSessions });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
@@ -1,16 +1,88 @@
 // src/controllers/user.controller.js
-import jwt from 'jsonwebtoken';
 import {
   createUser,
   findUserByEmail,
   findUserById,
-  listUsers,
+  save,
+  searchUsers,
+  toPublicUser,
+  USER_SORT_KEYS,
 } from '../models/userModels.js';
+import {
+  findRefreshToken,
+  findSession,
+  markRefreshTokenUsed,
+  revokeSession,
+  revokeUserSessions,
+  touchSession,
+} from '../models/sessionModels.js';
+import { createUserToken, consumeUserToken } from '../models/userTokenModels.js';
+import { issueTokens, hashToken } from '../utils/tokens.js';
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockLogin,
+} from '../utils/loginProtection.js';
+import { listSecurityEvents, recordSecurityEvent } from '../models/securityModels.js';
+import { loginChallenge } from '../utils/twoFactor.js';
+import { sendMail } from '../mailer/index.js';
+import {
+  emailVerificationMessage,
+  passwordResetMessage,
+} from '../mailer/messages.js';
 import { env } from '../config/env.js';
+import { verifyAccessToken } from '../middleware/authMiddleware.js';
+import { saveAddress } from '../models/addressModels.js';
+import { validateAddress } from '../utils/addresses.js';
+import { hasPermission, permissionsFor } from '../utils/permissions.js';
 import bcrypt from 'bcrypt';
 import crypto from 'crypto';
 import { error } from 'console';
 
+const MIN_PASSWORD_LENGTH = 8;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function tooManyAttempts(res, lockedUntil) {
+  const retryAfter = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: 'Too many failed login attempts, try again later',
+    retryAfter,
+  });
+}
+
+// Emails a fresh verification link; a mail failure is logged, not fatal
+async function sendVerificationEmail(user) {
+  try {
+    const token = await createUserToken(
+      user.userId,
+      'email_verification',
+      env.emailVerificationTtlHours * 60 * 60 * 1000
+    );
+    await sendMail(emailVerificationMessage(user, token));
+  } catch (err) {
+    console.error(`❌ Verification email to ${user.email} failed:`, err.message);
+  }
+}
+
+// Emails a password reset link; a mail failure is logged, not reported,
+// as the answer must not differ from that for an unknown email
+async function sendPasswordResetEmail(user) {
+  try {
+    const token = await createUserToken(
+      user.userId,
+      'password_reset',
+      env.passwordResetTtlMinutes * 60 * 1000
+    );
+    await sendMail(passwordResetMessage(user, token));
+  } catch (err) {
+    console.error(`❌ Password reset email to ${user.email} failed:`, err.message);
+  }
+}
+
 /**
  * POST /api/users/register
  */
@@ -22,6 +94,23 @@ export async function register(req, res) {
       return res.status(400).json({ success: false, error: 'Missing fields' });
     }
 
+    // An address given at sign-up starts the address book
+    const initialAddress =
+      address &&
+      Object.keys(address).length > 0 &&
+      validateAddress({
+        recipientName: `${firstName} ${lastName}`,
+        phone: phone || undefined,
+        ...address,
+      });
+    if (initialAddress?.errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid address',
+        fields: initialAddress.errors,
+      });
+    }
+
     if (await findUserByEmail(email)) {
       return res.status(409).json({ success: false, error: 'Email exists' });
     }
@@ -34,12 +123,21 @@ export async function register(req, res) {
       firstName,
       lastName,
       phone: phone || null,
-      address: address || {},  // Don't stringify here, createUser will do it
       role: 'customer',
     };
 
-    // createUser will hash the password and stringify the address
+    // createUser will hash the password
     const newUser = await createUser(userData);
+    if (initialAddress) {
+      await saveAddress({
+        addressId: `ADDR-${crypto.randomUUID()}`,
+        userId: newUser.userId,
+        ...initialAddress.address,
+        isDefaultShipping: true,
+        isDefaultBilling: true,
+      });
+    }
+    await sendVerificationEmail(newUser);
 
     res.status(201).json({
       success: true,
@@ -48,6 +146,7 @@ export async function register(req, res) {
         email: newUser.email,
         firstName: newUser.firstName,
         lastName: newUser.lastName,
+        emailVerified: false,
       },
     });
   } catch (err) {
@@ -66,31 +165,48 @@ export async function login(req, res) {
       return res.status(400).json({ success: false });
     }
 
-    const user = await findUserByEmail(email);
-    if (!user || !user.isActive) {
-      return res.status(401).json({ success: false });
+    const ip = req.ip;
+    const allowed = await checkLoginAllowed(email, ip);
+    if (allowed.lockedUntil) {
+      await recordSecurityEvent({ type: 'login_blocked', email, ip });
+      return tooManyAttempts(res, allowed.lockedUntil);
     }
+    await sleep(allowed.delayMs);
 
-    const valid = await bcrypt.compare(password, user.password);
+    const user = await findUserByEmail(email);
+    const valid = user?.isActive && (await bcrypt.compare(password, user.password));
     if (!valid) {
-      return res.status(401).json({ success: false });
+      const { lockedUntil } = await recordLoginFailure({
+        email,
+        ip,
+        userId: user?.userId,
+        reason: user ? 'bad_password' : 'unknown_email',
+      });
+      return lockedUntil
+        ? tooManyAttempts(res, lockedUntil)
+        : res.status(401).json({ success: false });
     }
 
-    const token = jwt.sign(
-      { userId: user.userId, role: user.role },
-      env.jwtSecret,
-      { expiresIn: '24h' }
-    );
+    // Password is right; a second factor may still be due
+    const challenge = await loginChallenge(user);
+    if (challenge) {
+      return res.json({ success: true, ...challenge });
+    }
+
+    await recordLoginSuccess(email);
+
+    const tokens = await issueTokens(user);
 
     res.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         userId: user.userId,
         email: user.email,
         firstName: user.firstName,
         lastName: user.lastName,
         role: user.role,
+        emailVerified: Boolean(user.emailVerifiedAt),
       },
     });
   } catch (err) {
@@ -98,13 +214,280 @@ export async function login(req, res) {
   }
 }
 
+/**
+ * POST /api/users/verify-email/request
+ * Always 202, so the response does not reveal which emails have accounts
+ */
+export async function requestEmailVerification(req, res) {
+  try {
+    const { email } = req.body || {};
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ success: false, error: 'Missing email' });
+    }
+
+    const user = await findUserByEmail(email);
+    if (user && !user.emailVerifiedAt) {
+      await sendVerificationEmail(user);
+    }
+
+    res.status(202).json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /api/users/verify-email/confirm
+ */
+export async function confirmEmailVerification(req, res) {
+  try {
+    const { token } = req.body || {};
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ success: false, error: 'Missing token' });
+    }
+
+    const record = await consumeUserToken(token, 'email_verification');
+    const user = record && (await findUserById(record.userId));
+    if (!user) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid or expired token' });
+    }
+
+    user.emailVerifiedAt ||= new Date().toISOString();
+    await save(user);
+
+    res.json({ success: true, emailVerified: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /api/users/password-reset/request
+ * Always 202, so the response does not reveal which emails have accounts
+ */
+export async function requestPasswordReset(req, res) {
+  try {
+    const { email } = req.body || {};
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ success: false, error: 'Missing email' });
+    }
+
+    const user = await findUserByEmail(email);
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.status(202).json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /api/users/password-reset/confirm
+ * Sets the new password and signs the user out everywhere
+ */
+export async function confirmPasswordReset(req, res) {
+  try {
+    const { token, newPassword } = req.body || {};
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ success: false, error: 'Missing token' });
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const record = await consumeUserToken(token, 'password_reset');
+    const user = record && (await findUserById(record.userId));
+    if (!user) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid or expired token' });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    // Following the emailed link proves the address too
+    user.emailVerifiedAt ||= new Date().toISOString();
+    await save(user);
+    await revokeUserSessions(user.userId, 'password_reset');
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /api/users/token/refresh
+ * Rotates the refresh token: the one presented is spent and a new pair is
+ * issued. Presenting a spent token means it was stolen (or replayed), so
+ * the whole session is revoked.
+ */
+export async function refreshToken(req, res) {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Missing refreshToken' });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const stored = await findRefreshToken(tokenHash);
+    if (!stored) {
+      return res
+        .status(401)
+        .json({ success: false, error: 'Invalid refresh token' });
+    }
+
+    const session = await findSession(stored.sessionId);
+    if (!session || session.revokedAt) {
+      return res
+        .status(401)
+        .json({ success: false, error: 'Session revoked' });
+    }
+
+    if (new Date(stored.expiresAt) <= new Date()) {
+      return res
+        .status(401)
+        .json({ success: false, error: 'Refresh token expired' });
+    }
+
+    if (!(await markRefreshTokenUsed(tokenHash))) {
+      await revokeSession(session.sessionId, 'refresh_token_reuse');
+      console.warn(
+        `⚠️ Refresh token reuse for user ${stored.userId}, session ${session.sessionId} revoked`
+      );
+      return res
+        .status(401)
+        .json({ success: false, error: 'Refresh token reuse detected' });
+    }
+
+    const user = await findUserById(stored.userId);
+    if (!user || !user.isActive) {
+      await revokeSession(session.sessionId, 'user_inactive');
+      return res.status(401).json({ success: false, error: 'Invalid user' });
+    }
+
+    await touchSession(session.sessionId);
+    const tokens = await issueTokens(user, session.sessionId);
+
+    res.json({ success: true, ...tokens });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /api/users/logout
+ * Ends the session of the refresh token in the body or, without one, of
+ * the bearer access token.
+ */
+export async function logout(req, res) {
+  try {
+    let sessionId;
+
+    const { refreshToken } = req.body || {};
+    if (typeof refreshToken === 'string' && refreshToken) {
+      sessionId = (await findRefreshToken(hashToken(refreshToken)))?.sessionId;
+    } else if (req.headers.authorization?.startsWith('Bearer ')) {
+      const verified = await verifyAccessToken(
+        req.headers.authorization.replace('Bearer ', '')
+      );
+      sessionId = verified?.sessionId;
+    }
+
+    if (!sessionId) {
+      return res.status(401).json({ success: false, error: 'No session' });
+    }
+
+    await revokeSession(sessionId, 'logout');
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * DELETE /api/users/:userId/sessions
+ * Admin: signs the user out everywhere
+ */
+export async function revokeSessions(req, res) {
+  try {
+    const revoked = await revokeUserSessions(req.params.userId, 'admin_revoked');
+    console.log(
+      `🔒 ${req.user.userId} revoked ${revoked} session(s) of user ${req.params.userId}`
+    );
+    res.json({ success: true, revoked });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /api/users/security/unlock
+ * Admin: lifts a login lockout for an account (userId or email) and/or an IP
+ */
+export async function unlockLogins(req, res) {
+  try {
+    const { userId, ip } = req.body || {};
+    let { email } = req.body || {};
+
+    if (userId) {
+      const user = await findUserById(userId);
+      if (!user) {
+        return res.status(404).json({ success: false, error: 'User not found' });
+      }
+      email = user.email;
+    }
+    if (!email && !ip) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Provide userId, email or ip' });
+    }
+
+    const unlocked = await unlockLogin({ email, ip });
+    await recordSecurityEvent({
+      type: 'login_unlocked',
+      userId,
+      email,
+      ip,
+      details: `by ${req.user.userId}`,
+    });
+
+    res.json({ success: true, unlocked });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * GET /api/users/security/events
+ * Admin: security event log, filtered by type, userId, email or ip
+ */
+export async function getSecurityEvents(req, res) {
+  try {
+    const { type, userId, email, ip } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+    const events = await listSecurityEvents({ type, userId, email, ip }, limit);
+    res.json({ success: true, events });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
 /**
  * GET /api/users/profile
  */
 export async function getProfile(req, res) {
   const user = await findUserById(req.user.userId);
-  delete user.password;
-  res.json({ success: true, user });
+  res.json({ success: true, user: toPublicUser(user) });
 }
 
 /**
@@ -115,10 +498,17 @@ export async function updateProfile(req, res) {
 
   const { firstName, lastName, phone, address } = req.body;
 
+  // Addresses live in the address book, one at a time
+  if (address != null) {
+    return res.status(400).json({
+      success: false,
+      error: 'Manage addresses at /api/users/addresses',
+    });
+  }
+
   if (firstName) user.firstName = firstName;
   if (lastName) user.lastName = lastName;
   if (phone) user.phone = phone;
-  if (address) user.address = JSON.stringify(address);
 
   user.updatedAt = new Date().toISOString();
 await save(user);
@@ -130,17 +520,21 @@ await save(user);
  * GET /api/users/:userId
  */
 export async function getUserById(req, res) {
+  const isSelf = req.user.userId === req.params.userId;
   if (
-    req.user.userId !== req.params.userId &&
-    req.user.role !== 'admin'
+    !isSelf &&
+    !hasPermission(await permissionsFor(req.user.role), 'users:read:any')
   ) {
     return res.status(403).json({ 
       success: false, 
-      error: 'Forbidden: You can only access your own profile unless you are an admin' 
+      error: 'Forbidden: You can only access your own profile' 
     });
   }
 
-  const user = await findUserById(req.params.userId);
+  // Staff can look up deactivated accounts too
+  const user = await findUserById(req.params.userId, {
+    includeInactive: !isSelf,
+  });
   if (!user) {
     return res.status(404).json({ 
       success: false, 
@@ -148,40 +542,94 @@ export async function getUserById(req, res) {
     });
   }
 
-  delete user.password;
   res.json({ 
     success: true, 
-    user 
+    user: toPublicUser(user)
   });
 }
 
 /**
- * GET /api/users
+ * GET /api/users?q=&role=&isActive=&sort=&order=&page=&limit=
+ * Staff: searches users by email or name, filtered by role and status and
+ * sorted by email, name, role or createdAt
  */
 export async function getAllUsers(req, res) {
-  const users = await listUsers();
-  users.forEach(u => delete u.password);
-  res.json({ success: true, users });
+  try {
+    const { q, role, isActive, sort = 'createdAt', order = 'desc' } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    if (!USER_SORT_KEYS.includes(sort) || !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({
+        success: false,
+        error: `sort must be one of ${USER_SORT_KEYS.join(', ')} and order asc or desc`,
+      });
+    }
+    if (isActive !== undefined && !['true', 'false'].includes(isActive)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'isActive must be true or false' });
+    }
+
+    const { users, total } = await searchUsers({
+      q: typeof q === 'string' ? q.trim() : undefined,
+      role,
+      isActive: isActive === undefined ? undefined : isActive === 'true',
+      sort,
+      order,
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      users: users.map(toPublicUser),
+      page,
+      limit,
+      total,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
 }
 
 /**
  * PUT /api/users/change-password
+ * Signs the user out everywhere but the session making the change
  */
 export async function changePassword(req, res) {
-  const { currentPassword, newPassword } = req.body;
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword || typeof currentPassword !== 'string') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Missing currentPassword' });
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
 
-  const user = await findUserById(req.user.userId);
-  const ok = await bcrypt.compare(currentPassword, user.password);
+    const user = await findUserById(req.user.userId);
+    const ok = await bcrypt.compare(currentPassword, user.password);
 
-  if (!ok) {
-    return res.status(401).json({ success: false });
-  }
+    if (!ok) {
+      return res.status(401).json({ success: false });
+    }
 
-  user.password = await bcrypt.hash(newPassword, 10);
-  user.updatedAt = new Date().toISOString();
-  await save(user);
+    user.password = await bcrypt.hash(newPassword, 10);
+    user.updatedAt = new Date().toISOString();
+    await save(user);
+    await revokeUserSessions(user.userId, 'password_changed', {
+      except: req.sessionId,
+    });
 
-  res.json({ success: true });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
 }
 
 /**
@@ -192,6 +640,7 @@ export async function deactivateAccount(req, res) {
   user.isActive = 0;
   user.updatedAt = new Date().toISOString();
   await save(user);
+  await revokeUserSessions(user.userId, 'account_deactivated');
 
   res.json({ success: true });
 }
@@ -201,13 +650,13 @@ export async function deactivateAccount(req, res) {
  */
 export async function verifyToken(req, res) {
   try {
-    const decoded = jwt.verify(req.body.token, env.jwtSecret);
-    const user = await findUserById(decoded.userId);
-
-    if (!user || !user.isActive) {
-      return res.status(404).json({ success: false });
+    const verified = await verifyAccessToken(req.body.token);
+    if (!verified) {
+      return res.status(401).json({ success: false, valid: false });
     }
 
+    const { user } = verified;
+
     res.json({
       success: true,
       valid: true,
@@ -215,6 +664,8 @@ export async function verifyToken(req, res) {
         userId: user.userId,
         email: user.email,
         role: user.role,
+        permissions: await permissionsFor(user.role),
+        emailVerified: Boolean(user.emailVerifiedAt),
       },
     });
   } catch {
@@ -1,3 +1,34 @@
 export const memoryDb = {
   users: new Map(),
+  // sessionId -> session
+  sessions: new Map(),
+  // tokenHash -> refresh token
+  refreshTokens: new Map(),
+  // tokenHash -> email verification / password reset token
+  userTokens: new Map(),
+  // "account:<email>" / "ip:<address>" -> failed login counter
+  loginFailures: new Map(),
+  securityEvents: [],
+  // codeHash -> 2FA recovery code
+  recoveryCodes: new Map(),
+  // challengeId -> attempts at a login 2FA challenge
+  twoFactorChallenges: new Map(),
+  // key -> JSON value
+  settings: new Map(),
+  // addressId -> address book entry
+  addresses: new Map(),
+  // role -> { role, description, permissions }; seeded like migration 006
+  roles: new Map(
+    [
+      { role: 'admin', description: 'Full access', permissions: ['*'] },
+      {
+        role: 'customer',
+        description: 'Shopper; own account and orders only',
+        permissions: [],
+      },
+    ].map((role) => [
+      role.role,
+      { ...role, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() },
+    ])
+  ),
 };
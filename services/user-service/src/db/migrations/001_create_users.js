@@ -0,0 +1,25 @@
+// services/user-service/src/db/migrations/001_create_users.js
+// The original users table. IF NOT EXISTS lets databases created before
+// migrations adopt the history.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      userId TEXT PRIMARY KEY,
+      email TEXT UNIQUE,
+      password TEXT,
+      firstName TEXT,
+      lastName TEXT,
+      phone TEXT,
+      address TEXT,
+      role TEXT,
+      isActive INTEGER,
+      createdAt TEXT,
+      updatedAt TEXT
+    )
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS users');
+}
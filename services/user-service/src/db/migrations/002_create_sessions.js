@@ -0,0 +1,36 @@
+// services/user-service/src/db/migrations/002_create_sessions.js
+// Login sessions (refresh token families) and their refresh tokens, which
+// are stored as SHA-256 hashes only.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      sessionId TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      lastUsedAt TEXT,
+      revokedAt TEXT,
+      revokedReason TEXT
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS sessions_user_idx ON sessions (userId)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      tokenHash TEXT PRIMARY KEY,
+      sessionId TEXT NOT NULL REFERENCES sessions (sessionId),
+      userId TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      expiresAt TEXT NOT NULL,
+      usedAt TEXT
+    )
+  `);
+  db.exec(
+    'CREATE INDEX IF NOT EXISTS refresh_tokens_session_idx ON refresh_tokens (sessionId)'
+  );
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS refresh_tokens');
+  db.exec('DROP TABLE IF EXISTS sessions');
+}
@@ -0,0 +1,28 @@
+// services/user-service/src/db/migrations/003_email_verification_and_reset.js
+// Email verification state, and the single-use tokens (stored hashed) sent
+// by email to verify an address or reset a password. Accounts from before
+// verification existed count as verified.
+
+export function up(db) {
+  db.exec('ALTER TABLE users ADD COLUMN emailVerifiedAt TEXT');
+  db.exec('UPDATE users SET emailVerifiedAt = createdAt');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_tokens (
+      tokenHash TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      purpose TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      expiresAt TEXT NOT NULL,
+      usedAt TEXT
+    )
+  `);
+  db.exec(
+    'CREATE INDEX IF NOT EXISTS user_tokens_user_idx ON user_tokens (userId, purpose)'
+  );
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS user_tokens');
+  db.exec('ALTER TABLE users DROP COLUMN emailVerifiedAt');
+}
@@ -0,0 +1,35 @@
+// services/user-service/src/db/migrations/004_login_protection.js
+// Failed login counters per account and per client IP, and the security
+// event log.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS login_failures (
+      key TEXT PRIMARY KEY,
+      failures INTEGER NOT NULL,
+      firstFailedAt TEXT NOT NULL,
+      lastFailedAt TEXT NOT NULL,
+      lockedUntil TEXT
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS security_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      userId TEXT,
+      email TEXT,
+      ip TEXT,
+      details TEXT,
+      createdAt TEXT NOT NULL
+    )
+  `);
+  db.exec(
+    'CREATE INDEX IF NOT EXISTS security_events_created_idx ON security_events (createdAt)'
+  );
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS security_events');
+  db.exec('DROP TABLE IF EXISTS login_failures');
+}
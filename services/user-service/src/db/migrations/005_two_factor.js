@@ -0,0 +1,38 @@
+// services/user-service/src/db/migrations/005_two_factor.js
+// TOTP two-factor authentication: the encrypted seed and last used time
+// step per user, hashed one-time recovery codes, and service settings
+// (which roles must use 2FA).
+
+export function up(db) {
+  db.exec('ALTER TABLE users ADD COLUMN totpSecret TEXT');
+  db.exec('ALTER TABLE users ADD COLUMN totpEnabledAt TEXT');
+  db.exec('ALTER TABLE users ADD COLUMN totpLastStep INTEGER');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      codeHash TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      usedAt TEXT
+    )
+  `);
+  db.exec(
+    'CREATE INDEX IF NOT EXISTS recovery_codes_user_idx ON recovery_codes (userId)'
+  );
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updatedAt TEXT NOT NULL
+    )
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS settings');
+  db.exec('DROP TABLE IF EXISTS recovery_codes');
+  db.exec('ALTER TABLE users DROP COLUMN totpLastStep');
+  db.exec('ALTER TABLE users DROP COLUMN totpEnabledAt');
+  db.exec('ALTER TABLE users DROP COLUMN totpSecret');
+}
@@ -0,0 +1,33 @@
+// services/user-service/src/db/migrations/006_roles_and_permissions.js
+// Roles as data: each role maps to a JSON array of permissions, so staff
+// roles can be added without code changes. Seeds the two original roles,
+// plus indexes for the admin user search.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS roles (
+      role TEXT PRIMARY KEY,
+      description TEXT,
+      permissions TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT NOT NULL
+    )
+  `);
+
+  const now = new Date().toISOString();
+  const seed = db.prepare(`
+    INSERT OR IGNORE INTO roles (role, description, permissions, createdAt, updatedAt)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  seed.run('admin', 'Full access', JSON.stringify(['*']), now, now);
+  seed.run('customer', 'Shopper; own account and orders only', '[]', now, now);
+
+  db.exec('CREATE INDEX IF NOT EXISTS users_role_idx ON users (role)');
+  db.exec('CREATE INDEX IF NOT EXISTS users_created_idx ON users (createdAt)');
+}
+
+export function down(db) {
+  db.exec('DROP INDEX IF EXISTS users_created_idx');
+  db.exec('DROP INDEX IF EXISTS users_role_idx');
+  db.exec('DROP TABLE IF EXISTS roles');
+}
@@ -0,0 +1,86 @@
+// services/user-service/src/db/migrations/007_address_book.js
+// Address book: many addresses per user, at most one default shipping and
+// one default billing address. Legacy `users.address` blobs that hold a
+// usable address become the user's default for both; the column stays for
+// older readers but is no longer written.
+
+import crypto from 'crypto';
+
+// Parses a legacy blob, which may have been JSON-encoded twice
+function parseLegacyAddress(text) {
+  let value = text;
+  for (let i = 0; i < 2 && typeof value === 'string'; i++) {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  return value && typeof value === 'object' ? value : null;
+}
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS addresses (
+      addressId TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      label TEXT,
+      recipientName TEXT NOT NULL,
+      line1 TEXT NOT NULL,
+      line2 TEXT,
+      city TEXT NOT NULL,
+      region TEXT,
+      postalCode TEXT,
+      country TEXT NOT NULL,
+      phone TEXT,
+      isDefaultShipping INTEGER NOT NULL DEFAULT 0,
+      isDefaultBilling INTEGER NOT NULL DEFAULT 0,
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT NOT NULL
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS addresses_user_idx ON addresses (userId)');
+
+  const insert = db.prepare(`
+    INSERT INTO addresses (
+      addressId, userId, recipientName, line1, line2, city, region,
+      postalCode, country, phone, isDefaultShipping, isDefaultBilling,
+      createdAt, updatedAt
+    ) VALUES (
+      @addressId, @userId, @recipientName, @line1, @line2, @city, @region,
+      @postalCode, @country, @phone, 1, 1, @createdAt, @createdAt
+    )
+  `);
+
+  const users = db
+    .prepare(`SELECT userId, firstName, lastName, phone, address FROM users WHERE address IS NOT NULL`)
+    .all();
+
+  for (const user of users) {
+    const legacy = parseLegacyAddress(user.address);
+    if (!legacy) continue;
+
+    const line1 = legacy.line1 || legacy.street || legacy.address1;
+    const country = String(legacy.country || '').trim().toUpperCase();
+    if (!line1 || !legacy.city || !/^[A-Z]{2}$/.test(country)) continue;
+
+    insert.run({
+      addressId: `ADDR-${crypto.randomUUID()}`,
+      userId: user.userId,
+      recipientName:
+        [user.firstName, user.lastName].filter(Boolean).join(' ') || String(line1),
+      line1: String(line1),
+      line2: legacy.line2 || legacy.address2 || null,
+      city: String(legacy.city),
+      region: legacy.region || legacy.state || legacy.province || null,
+      postalCode: legacy.postalCode || legacy.zip || legacy.zipCode || null,
+      country,
+      phone: user.phone || null,
+      createdAt: new Date().toISOString(),
+    });
+  }
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS addresses');
+}
@@ -0,0 +1,23 @@
+// services/user-service/src/db/migrations/008_two_factor_challenges.js
+// Login 2FA challenges handed out since they became single-use: how many
+// codes were tried against each and when it was exchanged for a session.
+// Rows are dropped once the challenge token has expired.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS two_factor_challenges (
+      challengeId TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      expiresAt TEXT NOT NULL,
+      usedAt TEXT
+    )
+  `);
+  db.exec(
+    'CREATE INDEX IF NOT EXISTS two_factor_challenges_expires_idx ON two_factor_challenges (expiresAt)'
+  );
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS two_factor_challenges');
+}
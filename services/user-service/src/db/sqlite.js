@@ -1,28 +1,39 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
 import Database from 'better-sqlite3';
 import { env } from '../config/env.js';
+import {
+  loadMigrations,
+  createMigrator,
+  createSqliteMigrationDriver,
+} from '../../../shared/migrations.js';
+
+const MIGRATIONS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'migrations'
+);
 
 let db;
 
-export function connectDb() {
+/**
+ * Migrator for the users database (see ./migrations)
+ */
+export async function createUserMigrator(database) {
+  return createMigrator({
+    driver: createSqliteMigrationDriver(database),
+    migrations: await loadMigrations(MIGRATIONS_DIR),
+  });
+}
+
+export async function connectDb() {
   try {
-    db = new Database(env.sqlitePath);
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS users (
-        userId TEXT PRIMARY KEY,
-        email TEXT UNIQUE,
-        password TEXT,
-        firstName TEXT,
-        lastName TEXT,
-        phone TEXT,
-        address TEXT,
-        role TEXT,
-        isActive INTEGER,
-        createdAt TEXT,
-        updatedAt TEXT
-      )
-    `);
+    const database = new Database(env.sqlitePath);
+    const migrator = await createUserMigrator(database);
+    await migrator.up();
+    db = database;
     return true;
-  } catch {
+  } catch (error) {
+    console.error('SQLite unavailable:', error.message);
     return false;
   }
 }
@@ -1,15 +1,23 @@
-import express from 'express';
-import userRoutes from './routes/userRoutes.js';
+import { createApp } from './app.js';
 import { connectDb } from './db/sqlite.js';
+import { env } from './config/env.js';
+import { refreshKeys } from './utils/keys.js';
 
-connectDb()
+(await connectDb())
   ? console.log('✅ SQLite connected')
   : console.log('⚠️ Using memory DB');
 
-const app = express();
-app.use(express.json());
-app.use('/api/users', userRoutes);
+// Signing keys: create the first one, then pick up rotations and prune
+// retired keys
+refreshKeys();
+setInterval(() => {
+  try {
+    refreshKeys();
+  } catch (error) {
+    console.error('JWT key refresh failed:', error.message);
+  }
+}, 5 * 60 * 1000).unref();
 
-app.listen( process.env.PORT, () =>
-  console.log(`🚀 user-service running `)
+createApp().listen(env.port, () =>
+  console.log(`🚀 user-service running on port ${env.port}`)
 );
@@ -0,0 +1,61 @@
+// services/user-service/src/mailer/index.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { env } from '../config/env.js';
+
+/**
+ * Pluggable mailer. A transport is an object with
+ *   send({ from, to, subject, text }) -> Promise<{ messageId }>
+ * chosen by MAIL_TRANSPORT. The built-in ones work offline:
+ *
+ *   console  prints the message
+ *   file     writes each message as JSON into MAIL_DIR
+ *
+ * Register a real one (SMTP, an email API) with registerTransport.
+ */
+const transports = {
+  console: () => ({
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      console.log(
+        `📧 Mail ${messageId} to ${message.to}: ${message.subject}\n${message.text}`
+      );
+      return { messageId };
+    },
+  }),
+
+  file: ({ dir }) => ({
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(
+        path.join(dir, `${Date.now()}-${messageId}.json`),
+        JSON.stringify({ messageId, ...message, sentAt: new Date() }, null, 2)
+      );
+      return { messageId };
+    },
+  }),
+};
+
+export function registerTransport(name, factory) {
+  transports[name] = factory;
+  mailer = null;
+}
+
+let mailer;
+
+function getMailer() {
+  if (mailer) return mailer;
+
+  const factory = transports[env.mail.transport];
+  if (!factory) {
+    throw new Error(`Unknown mail transport "${env.mail.transport}"`);
+  }
+  mailer = factory(env.mail);
+  return mailer;
+}
+
+export function sendMail({ to, subject, text }) {
+  return getMailer().send({ from: env.mail.from, to, subject, text });
+}
@@ -0,0 +1,40 @@
+// services/user-service/src/mailer/messages.js
+import { env } from '../config/env.js';
+
+function link(pathname, token) {
+  const url = new URL(pathname, env.appBaseUrl);
+  url.searchParams.set('token', token);
+  return url.toString();
+}
+
+export function emailVerificationMessage(user, token) {
+  return {
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Confirm your email address by opening this link:',
+      link('/verify-email', token),
+      '',
+      `The link expires in ${env.emailVerificationTtlHours} hours.`,
+    ].join('\n'),
+  };
+}
+
+export function passwordResetMessage(user, token) {
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Someone asked to reset the password for your account. If it was you,',
+      'choose a new password here:',
+      link('/reset-password', token),
+      '',
+      `The link expires in ${env.passwordResetTtlMinutes} minutes and works once.`,
+      'If you did not ask for this, ignore this email.',
+    ].join('\n'),
+  };
+}
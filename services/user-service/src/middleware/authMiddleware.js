@@ -1,6 +1,40 @@
-import jwt from 'jsonwebtoken';
-import { env } from '../config/env.js';
 import { findUserById } from '../models/userModels.js';
+import { findSession } from '../models/sessionModels.js';
+import { verifyChallenge } from '../utils/twoFactor.js';
+import { ACCESS_AUDIENCE, verifyJwt } from '../utils/jwt.js';
+import { hasPermission, permissionsFor } from '../utils/permissions.js';
+import { env } from '../config/env.js';
+import {
+  SERVICE_TOKEN_HEADER,
+  verifyServiceToken,
+} from '../../../shared/serviceAuth.js';
+
+/**
+ * Verifies an access JWT and that its session has not been revoked (by
+ * logout, refresh token reuse, an admin or account deactivation). Returns
+ * { user, sessionId }, or null if the token is not valid.
+ */
+export async function verifyAccessToken(token) {
+  let decoded;
+  try {
+    decoded = verifyJwt(token, { audience: ACCESS_AUDIENCE });
+  } catch {
+    return null;
+  }
+
+  // Tokens from before sessions existed cannot be revoked, so are refused
+  const session = decoded.sid && (await findSession(decoded.sid));
+  if (!session || session.revokedAt || session.userId !== decoded.userId) {
+    return null;
+  }
+
+  const user = await findUserById(decoded.userId);
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  return { user, sessionId: session.sessionId };
+}
 
 /**
  * Authenticates user via Bearer JWT
@@ -13,14 +47,13 @@ export async function authenticate(req, res, next) {
     }
 
     const token = header.replace('Bearer ', '');
-    const decoded = jwt.verify(token, env.jwtSecret);
-
-    const user = await findUserById(decoded.userId);
-    if (!user || !user.isActive) {
+    const verified = await verifyAccessToken(token);
+    if (!verified) {
       return res.status(401).json({ success: false, error: 'Invalid token' });
     }
 
-    req.user = user;
+    req.user = verified.user;
+    req.sessionId = verified.sessionId;
     next();
   } catch {
     res.status(401).json({ success: false, error: 'Authentication failed' });
@@ -28,15 +61,78 @@ export async function authenticate(req, res, next) {
 }
 
 /**
- * Role-based authorization
+ * For 2FA enrollment: accepts a `challengeToken` for `purpose` in the body
+ * (setting req.viaChallenge) or, without one, a bearer token as usual
  */
-export function authorize(...roles) {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res
-        .status(403)
-        .json({ success: false, error: 'Forbidden' });
+export function authenticateOrChallenge(purpose) {
+  return async (req, res, next) => {
+    const challengeToken = req.body?.challengeToken;
+    if (!challengeToken) {
+      return authenticate(req, res, next);
+    }
+
+    try {
+      const userId = verifyChallenge(challengeToken, purpose);
+      const user = userId && (await findUserById(userId));
+      if (!user) {
+        return res
+          .status(401)
+          .json({ success: false, error: 'Invalid or expired challenge' });
+      }
+
+      req.user = user;
+      req.viaChallenge = true;
+      next();
+    } catch {
+      res.status(401).json({ success: false, error: 'Authentication failed' });
+    }
+  };
+}
+
+/**
+ * For reads under /:userId: accepts an X-Service-Token acting for that very
+ * user (setting req.user to { userId } and req.viaService to the calling
+ * service) or, without one, a bearer token as usual. Tokens for services
+ * acting on their own behalf or for another user are refused.
+ */
+export function authenticateOrService(req, res, next) {
+  const serviceToken = req.headers[SERVICE_TOKEN_HEADER];
+  if (!serviceToken) {
+    return authenticate(req, res, next);
+  }
+
+  let claims;
+  try {
+    claims = verifyServiceToken(env.serviceSecret, serviceToken);
+  } catch {
+    return res.status(401).json({ success: false, error: 'Invalid token' });
+  }
+
+  if (!claims.user || claims.user.userId !== req.params.userId) {
+    return res.status(403).json({ success: false, error: 'Forbidden' });
+  }
+
+  req.user = { userId: claims.user.userId };
+  req.viaService = claims.iss;
+  next();
+}
+
+/**
+ * Permission-based authorization; the role's permissions are read fresh,
+ * so role edits apply at once. Sets req.permissions.
+ */
+export function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      req.permissions = await permissionsFor(req.user.role);
+      if (!hasPermission(req.permissions, permission)) {
+        return res
+          .status(403)
+          .json({ success: false, error: 'Forbidden' });
+      }
+      next();
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
     }
-    next();
   };
 }
@@ -0,0 +1,125 @@
+import { getDb } from '../db/sqlite.js';
+import { memoryDb } from '../db/memory.js';
+
+function now() {
+  return new Date().toISOString();
+}
+
+function rowToAddress(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    isDefaultShipping: Boolean(row.isDefaultShipping),
+    isDefaultBilling: Boolean(row.isDefaultBilling),
+  };
+}
+
+// Oldest first, so the list stays stable as addresses are added
+export async function listAddresses(userId) {
+  const db = getDb();
+  if (db) {
+    return db
+      .prepare(`SELECT * FROM addresses WHERE userId=? ORDER BY createdAt, addressId`)
+      .all(userId)
+      .map(rowToAddress);
+  }
+
+  return [...memoryDb.addresses.values()]
+    .filter((address) => address.userId === userId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map((address) => ({ ...address }));
+}
+
+export async function findAddress(userId, addressId) {
+  const db = getDb();
+  if (db) {
+    return rowToAddress(
+      db
+        .prepare(`SELECT * FROM addresses WHERE addressId=? AND userId=?`)
+        .get(addressId, userId)
+    );
+  }
+
+  const address = memoryDb.addresses.get(addressId);
+  return address?.userId === userId ? { ...address } : null;
+}
+
+/**
+ * Inserts or updates an address. Flagging it as a default clears that flag
+ * on the user's other addresses, in the same transaction.
+ */
+export async function saveAddress(address) {
+  const record = {
+    ...address,
+    createdAt: address.createdAt || now(),
+    updatedAt: now(),
+  };
+
+  const db = getDb();
+  if (db) {
+    db.transaction(() => {
+      for (const flag of ['isDefaultShipping', 'isDefaultBilling']) {
+        if (record[flag]) {
+          db.prepare(
+            `UPDATE addresses SET ${flag}=0 WHERE userId=? AND addressId<>?`
+          ).run(record.userId, record.addressId);
+        }
+      }
+
+      db.prepare(`
+        INSERT INTO addresses (
+          addressId, userId, label, recipientName, line1, line2, city, region,
+          postalCode, country, phone, isDefaultShipping, isDefaultBilling,
+          createdAt, updatedAt
+        ) VALUES (
+          @addressId, @userId, @label, @recipientName, @line1, @line2, @city, @region,
+          @postalCode, @country, @phone, @isDefaultShipping, @isDefaultBilling,
+          @createdAt, @updatedAt
+        )
+        ON CONFLICT (addressId) DO UPDATE SET
+          label=excluded.label,
+          recipientName=excluded.recipientName,
+          line1=excluded.line1,
+          line2=excluded.line2,
+          city=excluded.city,
+          region=excluded.region,
+          postalCode=excluded.postalCode,
+          country=excluded.country,
+          phone=excluded.phone,
+          isDefaultShipping=excluded.isDefaultShipping,
+          isDefaultBilling=excluded.isDefaultBilling,
+          updatedAt=excluded.updatedAt
+      `).run({
+        ...record,
+        isDefaultShipping: record.isDefaultShipping ? 1 : 0,
+        isDefaultBilling: record.isDefaultBilling ? 1 : 0,
+      });
+    })();
+  } else {
+    for (const flag of ['isDefaultShipping', 'isDefaultBilling']) {
+      if (!record[flag]) continue;
+      for (const other of memoryDb.addresses.values()) {
+        if (other.userId === record.userId && other.addressId !== record.addressId) {
+          other[flag] = false;
+        }
+      }
+    }
+    memoryDb.addresses.set(record.addressId, { ...record });
+  }
+
+  return record;
+}
+
+export async function deleteAddress(userId, addressId) {
+  const db = getDb();
+  if (db) {
+    return (
+      db
+        .prepare(`DELETE FROM addresses WHERE addressId=? AND userId=?`)
+        .run(addressId, userId).changes > 0
+    );
+  }
+
+  if (memoryDb.addresses.get(addressId)?.userId !== userId) return false;
+  return memoryDb.addresses.delete(addressId);
+}
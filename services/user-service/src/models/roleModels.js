@@ -0,0 +1,78 @@
+import { getDb } from '../db/sqlite.js';
+import { memoryDb } from '../db/memory.js';
+
+function now() {
+  return new Date().toISOString();
+}
+
+function rowToRole(row) {
+  if (!row) return null;
+  return { ...row, permissions: JSON.parse(row.permissions) };
+}
+
+export async function listRoles() {
+  const db = getDb();
+  if (db) {
+    return db.prepare(`SELECT * FROM roles ORDER BY role`).all().map(rowToRole);
+  }
+
+  return [...memoryDb.roles.values()].sort((a, b) => a.role.localeCompare(b.role));
+}
+
+export async function findRole(role) {
+  const db = getDb();
+  if (db) {
+    return rowToRole(db.prepare(`SELECT * FROM roles WHERE role=?`).get(role));
+  }
+
+  return memoryDb.roles.get(role) || null;
+}
+
+/**
+ * Creates or replaces a role's description and permissions
+ */
+export async function saveRole({ role, description = null, permissions }) {
+  const existing = await findRole(role);
+  const record = {
+    role,
+    description,
+    permissions,
+    createdAt: existing?.createdAt || now(),
+    updatedAt: now(),
+  };
+
+  const db = getDb();
+  if (db) {
+    db.prepare(`
+      INSERT INTO roles (role, description, permissions, createdAt, updatedAt)
+      VALUES (@role, @description, @permissions, @createdAt, @updatedAt)
+      ON CONFLICT (role) DO UPDATE SET
+        description=excluded.description,
+        permissions=excluded.permissions,
+        updatedAt=excluded.updatedAt
+    `).run({ ...record, permissions: JSON.stringify(permissions) });
+  } else {
+    memoryDb.roles.set(role, record);
+  }
+
+  return record;
+}
+
+export async function deleteRole(role) {
+  const db = getDb();
+  if (db) {
+    return db.prepare(`DELETE FROM roles WHERE role=?`).run(role).changes > 0;
+  }
+
+  return memoryDb.roles.delete(role);
+}
+
+// Users holding `role`, active or not
+export async function countUsersWithRole(role) {
+  const db = getDb();
+  if (db) {
+    return db.prepare(`SELECT COUNT(*) AS c FROM users WHERE role=?`).get(role).c;
+  }
+
+  return [...memoryDb.users.values()].filter((user) => user.role === role).length;
+}
@@ -0,0 +1,102 @@
+import { getDb } from '../db/sqlite.js';
+import { memoryDb } from '../db/memory.js';
+
+// The memory store keeps only the most recent events
+const MAX_MEMORY_EVENTS = 10000;
+
+function now() {
+  return new Date().toISOString();
+}
+
+export async function findLoginFailures(key) {
+  const db = getDb();
+  if (db) {
+    return (
+      db.prepare(`SELECT * FROM login_failures WHERE key=?`).get(key) || null
+    );
+  }
+
+  return memoryDb.loginFailures.get(key) || null;
+}
+
+export async function saveLoginFailures(record) {
+  const db = getDb();
+  if (db) {
+    db.prepare(`
+      INSERT INTO login_failures (key, failures, firstFailedAt, lastFailedAt, lockedUntil)
+      VALUES (@key, @failures, @firstFailedAt, @lastFailedAt, @lockedUntil)
+      ON CONFLICT (key) DO UPDATE SET
+        failures=@failures,
+        firstFailedAt=@firstFailedAt,
+        lastFailedAt=@lastFailedAt,
+        lockedUntil=@lockedUntil
+    `).run(record);
+  } else {
+    memoryDb.loginFailures.set(record.key, { ...record });
+  }
+}
+
+/**
+ * Forgets the failures (and any lockout) for `key`; returns whether there
+ * were any
+ */
+export async function clearLoginFailures(key) {
+  const db = getDb();
+  if (db) {
+    return db.prepare(`DELETE FROM login_failures WHERE key=?`).run(key).changes > 0;
+  }
+
+  return memoryDb.loginFailures.delete(key);
+}
+
+export async function recordSecurityEvent({ type, userId, email, ip, details }) {
+  const event = {
+    type,
+    userId: userId || null,
+    email: email || null,
+    ip: ip || null,
+    details: details || null,
+    createdAt: now(),
+  };
+
+  const db = getDb();
+  if (db) {
+    db.prepare(`
+      INSERT INTO security_events (type, userId, email, ip, details, createdAt)
+      VALUES (@type, @userId, @email, @ip, @details, @createdAt)
+    `).run(event);
+  } else {
+    memoryDb.securityEvents.push(event);
+    if (memoryDb.securityEvents.length > MAX_MEMORY_EVENTS) {
+      memoryDb.securityEvents.shift();
+    }
+  }
+
+  return event;
+}
+
+/**
+ * Newest first, filtered by any of type / userId / email / ip
+ */
+export async function listSecurityEvents(filter = {}, limit = 100) {
+  const fields = ['type', 'userId', 'email', 'ip'].filter((f) => filter[f]);
+
+  const db = getDb();
+  if (db) {
+    const params = Object.fromEntries(fields.map((f) => [f, filter[f]]));
+    const where = fields.length
+      ? `WHERE ${fields.map((f) => `${f}=@${f}`).join(' AND ')}`
+      : '';
+    return db
+      .prepare(`
+        SELECT * FROM security_events ${where}
+        ORDER BY id DESC LIMIT @limit
+      `)
+      .all({ ...params, limit });
+  }
+
+  return memoryDb.securityEvents
+    .filter((event) => fields.every((f) => event[f] === filter[f]))
+    .reverse()
+    .slice(0, limit);
+}
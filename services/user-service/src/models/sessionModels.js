@@ -0,0 +1,164 @@
+import { getDb } from '../db/sqlite.js';
+import { memoryDb } from '../db/memory.js';
+
+/**
+ * A session is one login: a family of refresh tokens, each replaced by the
+ * next on use. Revoking the session invalidates every token in the family
+ * and the access tokens that carry its id.
+ */
+
+function now() {
+  return new Date().toISOString();
+}
+
+export async function createSession(sessionId, userId) {
+  const session = {
+    sessionId,
+    userId,
+    createdAt: now(),
+    lastUsedAt: null,
+    revokedAt: null,
+    revokedReason: null,
+  };
+
+  const db = getDb();
+  if (db) {
+    db.prepare(`
+      INSERT INTO sessions (sessionId, userId, createdAt)
+      VALUES (@sessionId, @userId, @createdAt)
+    `).run(session);
+  } else {
+    memoryDb.sessions.set(sessionId, session);
+  }
+
+  return session;
+}
+
+export async function findSession(sessionId) {
+  const db = getDb();
+  if (db) {
+    return (
+      db.prepare(`SELECT * FROM sessions WHERE sessionId=?`).get(sessionId) ||
+      null
+    );
+  }
+
+  return memoryDb.sessions.get(sessionId) || null;
+}
+
+export async function touchSession(sessionId) {
+  const db = getDb();
+  if (db) {
+    db.prepare(`UPDATE sessions SET lastUsedAt=? WHERE sessionId=?`).run(
+      now(),
+      sessionId
+    );
+  } else if (memoryDb.sessions.has(sessionId)) {
+    memoryDb.sessions.get(sessionId).lastUsedAt = now();
+  }
+}
+
+export async function revokeSession(sessionId, reason) {
+  const db = getDb();
+  if (db) {
+    return (
+      db
+        .prepare(`
+          UPDATE sessions SET revokedAt=?, revokedReason=?
+          WHERE sessionId=? AND revokedAt IS NULL
+        `)
+        .run(now(), reason, sessionId).changes > 0
+    );
+  }
+
+  const session = memoryDb.sessions.get(sessionId);
+  if (!session || session.revokedAt) return false;
+  session.revokedAt = now();
+  session.revokedReason = reason;
+  return true;
+}
+
+/**
+ * Revokes every live session of a user but `except`; returns how many there
+ * were
+ */
+export async function revokeUserSessions(userId, reason, { except = null } = {}) {
+  const db = getDb();
+  if (db) {
+    return db
+      .prepare(`
+        UPDATE sessions SET revokedAt=?, revokedReason=?
+        WHERE userId=? AND revokedAt IS NULL AND sessionId IS NOT ?
+      `)
+      .run(now(), reason, userId, except).changes;
+  }
+
+  let count = 0;
+  for (const session of memoryDb.sessions.values()) {
+    if (session.userId === userId && !session.revokedAt && session.sessionId !== except) {
+      session.revokedAt = now();
+      session.revokedReason = reason;
+      count++;
+    }
+  }
+  return count;
+}
+
+export async function storeRefreshToken({ tokenHash, sessionId, userId, expiresAt }) {
+  const token = {
+    tokenHash,
+    sessionId,
+    userId,
+    createdAt: now(),
+    expiresAt,
+    usedAt: null,
+  };
+
+  const db = getDb();
+  if (db) {
+    db.prepare(`
+      INSERT INTO refresh_tokens (tokenHash, sessionId, userId, createdAt, expiresAt)
+      VALUES (@tokenHash, @sessionId, @userId, @createdAt, @expiresAt)
+    `).run(token);
+  } else {
+    memoryDb.refreshTokens.set(tokenHash, token);
+  }
+
+  return token;
+}
+
+export async function findRefreshToken(tokenHash) {
+  const db = getDb();
+  if (db) {
+    return (
+      db
+        .prepare(`SELECT * FROM refresh_tokens WHERE tokenHash=?`)
+        .get(tokenHash) || null
+    );
+  }
+
+  return memoryDb.refreshTokens.get(tokenHash) || null;
+}
+
+/**
+ * Marks a refresh token used. Returns false if it already was, so only one
+ * of two concurrent refreshes with the same token wins.
+ */
+export async function markRefreshTokenUsed(tokenHash) {
+  const db = getDb();
+  if (db) {
+    return (
+      db
+        .prepare(`
+          UPDATE refresh_tokens SET usedAt=?
+          WHERE tokenHash=? AND usedAt IS NULL
+        `)
+        .run(now(), tokenHash).changes > 0
+    );
+  }
+
+  const token = memoryDb.refreshTokens.get(tokenHash);
+  if (!token || token.usedAt) return false;
+  token.usedAt = now();
+  return true;
+}
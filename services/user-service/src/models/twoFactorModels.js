@@ -0,0 +1,183 @@
+import { getDb } from '../db/sqlite.js';
+import { memoryDb } from '../db/memory.js';
+
+function now() {
+  return new Date().toISOString();
+}
+
+/**
+ * Records `step` as the user's last used TOTP time step. Returns false if
+ * that step (or a later one) was already used, so each code works once.
+ */
+export async function claimTotpStep(userId, step) {
+  const db = getDb();
+  if (db) {
+    return (
+      db
+        .prepare(`
+          UPDATE users SET totpLastStep=?
+          WHERE userId=? AND (totpLastStep IS NULL OR totpLastStep < ?)
+        `)
+        .run(step, userId, step).changes > 0
+    );
+  }
+
+  const user = memoryDb.users.get(userId);
+  if (!user || (user.totpLastStep != null && user.totpLastStep >= step)) {
+    return false;
+  }
+  user.totpLastStep = step;
+  return true;
+}
+
+// Replaces the user's recovery codes with `codeHashes`
+export async function replaceRecoveryCodes(userId, codeHashes) {
+  const createdAt = now();
+
+  const db = getDb();
+  if (db) {
+    db.transaction(() => {
+      db.prepare(`DELETE FROM recovery_codes WHERE userId=?`).run(userId);
+      const insert = db.prepare(`
+        INSERT INTO recovery_codes (codeHash, userId, createdAt)
+        VALUES (?, ?, ?)
+      `);
+      for (const codeHash of codeHashes) insert.run(codeHash, userId, createdAt);
+    })();
+    return;
+  }
+
+  for (const [codeHash, code] of memoryDb.recoveryCodes) {
+    if (code.userId === userId) memoryDb.recoveryCodes.delete(codeHash);
+  }
+  for (const codeHash of codeHashes) {
+    memoryDb.recoveryCodes.set(codeHash, {
+      codeHash,
+      userId,
+      createdAt,
+      usedAt: null,
+    });
+  }
+}
+
+// Spends a recovery code; false if it is not the user's or already used
+export async function consumeRecoveryCode(userId, codeHash) {
+  const db = getDb();
+  if (db) {
+    return (
+      db
+        .prepare(`
+          UPDATE recovery_codes SET usedAt=?
+          WHERE codeHash=? AND userId=? AND usedAt IS NULL
+        `)
+        .run(now(), codeHash, userId).changes > 0
+    );
+  }
+
+  const code = memoryDb.recoveryCodes.get(codeHash);
+  if (!code || code.userId !== userId || code.usedAt) return false;
+  code.usedAt = now();
+  return true;
+}
+
+export async function countRecoveryCodes(userId) {
+  const db = getDb();
+  if (db) {
+    return db
+      .prepare(`SELECT COUNT(*) AS c FROM recovery_codes WHERE userId=? AND usedAt IS NULL`)
+      .get(userId).c;
+  }
+
+  return [...memoryDb.recoveryCodes.values()].filter(
+    (code) => code.userId === userId && !code.usedAt
+  ).length;
+}
+
+/**
+ * Counts an attempt at the login challenge `challengeId` (a token of
+ * `userId`'s valid until `expiresAt`). Returns false once the challenge has
+ * been completed or has had `maxAttempts` attempts.
+ */
+export async function claimChallengeAttempt(challengeId, { userId, expiresAt, maxAttempts }) {
+  const db = getDb();
+  if (db) {
+    return db.transaction(() => {
+      db.prepare(`DELETE FROM two_factor_challenges WHERE expiresAt < ?`).run(now());
+      db.prepare(`
+        INSERT INTO two_factor_challenges (challengeId, userId, expiresAt)
+        VALUES (?, ?, ?)
+        ON CONFLICT (challengeId) DO NOTHING
+      `).run(challengeId, userId, expiresAt);
+      return (
+        db
+          .prepare(`
+            UPDATE two_factor_challenges SET attempts = attempts + 1
+            WHERE challengeId=? AND usedAt IS NULL AND attempts < ?
+          `)
+          .run(challengeId, maxAttempts).changes > 0
+      );
+    })();
+  }
+
+  for (const [id, challenge] of memoryDb.twoFactorChallenges) {
+    if (challenge.expiresAt < now()) memoryDb.twoFactorChallenges.delete(id);
+  }
+  if (!memoryDb.twoFactorChallenges.has(challengeId)) {
+    memoryDb.twoFactorChallenges.set(challengeId, {
+      challengeId,
+      userId,
+      attempts: 0,
+      expiresAt,
+      usedAt: null,
+    });
+  }
+  const challenge = memoryDb.twoFactorChallenges.get(challengeId);
+  if (challenge.usedAt || challenge.attempts >= maxAttempts) return false;
+  challenge.attempts++;
+  return true;
+}
+
+/**
+ * Marks a login challenge as exchanged for a session. Returns false if it
+ * already was, so only one of two concurrent completions wins.
+ */
+export async function completeChallenge(challengeId) {
+  const db = getDb();
+  if (db) {
+    return (
+      db
+        .prepare(`
+          UPDATE two_factor_challenges SET usedAt=?
+          WHERE challengeId=? AND usedAt IS NULL
+        `)
+        .run(now(), challengeId).changes > 0
+    );
+  }
+
+  const challenge = memoryDb.twoFactorChallenges.get(challengeId);
+  if (!challenge || challenge.usedAt) return false;
+  challenge.usedAt = now();
+  return true;
+}
+
+export async function getSetting(key, fallback) {
+  const db = getDb();
+  if (db) {
+    const row = db.prepare(`SELECT value FROM settings WHERE key=?`).get(key);
+    return row ? JSON.parse(row.value) : fallback;
+  }
+
+  return memoryDb.settings.has(key) ? memoryDb.settings.get(key) : fallback;
+}
+
+export async function setSetting(key, value) {
+  const db = getDb();
+  if (db) {
+    db.prepare(`
+      INSERT INTO settings (key, value, updatedAt) VALUES (?, ?, ?)
+      ON CONFLICT (key) DO UPDATE SET value=excluded.value, updatedAt=excluded.updatedAt
+    `).run(key, JSON.stringify(value), now());
+  } else {
+    memoryDb.settings.set(key, value);
+  }
+}
@@ -18,24 +18,35 @@ function now() {
   return new Date().toISOString();
 }
 
+/**
+ * The user without credentials (or the legacy address blob, superseded by
+ * the address book), safe to return from the API
+ */
+export function toPublicUser(user) {
+  const { password, totpSecret, totpLastStep, address, ...rest } = user;
+  return { ...rest, twoFactorEnabled: Boolean(user.totpEnabledAt) };
+}
+
 /**
  * MODEL API (mirrors Mongoose behavior)
  */
 
-export async function findUserById(userId) {
+/**
+ * Deactivated users are hidden unless `includeInactive` (admin lookups)
+ */
+export async function findUserById(userId, { includeInactive = false } = {}) {
   const db = getDb();
 
   if (db) {
-    return rowToUser(
-      db
-        .prepare(`SELECT * FROM users WHERE userId=? AND isActive=1`)
-        .get(userId)
+    const user = rowToUser(
+      db.prepare(`SELECT * FROM users WHERE userId=?`).get(userId)
     );
+    return user && (user.isActive || includeInactive) ? user : null;
   }
 
   for (const user of memoryDb.users.values()) {
     if (user.userId === userId) {
-      return user.isActive ? user : null;
+      return user.isActive || includeInactive ? user : null;
     }
   }
 
@@ -75,6 +86,96 @@ export async function listUsers(query = {}) {
   return [...memoryDb.users.values()];
 }
 
+// Sort keys accepted by searchUsers -> columns
+const SORT_COLUMNS = {
+  email: ['email'],
+  name: ['lastName', 'firstName'],
+  role: ['role'],
+  createdAt: ['createdAt'],
+};
+
+export const USER_SORT_KEYS = Object.keys(SORT_COLUMNS);
+
+/**
+ * Admin search. `q` matches email, first or last name (case-insensitive
+ * substring); `role` and `isActive` filter exactly. Returns one page of
+ * users and the total number of matches.
+ */
+export async function searchUsers({
+  q,
+  role,
+  isActive,
+  sort = 'createdAt',
+  order = 'desc',
+  page = 1,
+  limit = 50,
+} = {}) {
+  const columns = SORT_COLUMNS[sort];
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const db = getDb();
+
+  if (db) {
+    const where = [];
+    const params = {};
+    if (q) {
+      where.push(
+        `(email LIKE @q ESCAPE '\\' OR firstName LIKE @q ESCAPE '\\' OR lastName LIKE @q ESCAPE '\\')`
+      );
+      params.q = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+    }
+    if (role) {
+      where.push('role=@role');
+      params.role = role;
+    }
+    if (isActive !== undefined) {
+      where.push('isActive=@isActive');
+      params.isActive = isActive ? 1 : 0;
+    }
+    const filter = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const total = db
+      .prepare(`SELECT COUNT(*) AS c FROM users ${filter}`)
+      .get(params).c;
+    const users = db
+      .prepare(`
+        SELECT * FROM users ${filter}
+        ORDER BY ${columns.map((column) => `${column} COLLATE NOCASE ${direction}`).join(', ')}, userId
+        LIMIT @limit OFFSET @offset
+      `)
+      .all({ ...params, limit, offset: (page - 1) * limit })
+      .map(rowToUser);
+
+    return { users, total };
+  }
+
+  const needle = q?.toLowerCase();
+  const matches = [...memoryDb.users.values()].filter(
+    (user) =>
+      (!needle ||
+        [user.email, user.firstName, user.lastName].some((value) =>
+          value?.toLowerCase().includes(needle)
+        )) &&
+      (!role || user.role === role) &&
+      (isActive === undefined || Boolean(user.isActive) === isActive)
+  );
+
+  const key = (user) =>
+    columns.map((column) => String(user[column] ?? '').toLowerCase());
+  matches.sort((a, b) => {
+    const [ka, kb] = [key(a), key(b)];
+    for (let i = 0; i < ka.length; i++) {
+      const diff = ka[i].localeCompare(kb[i]);
+      if (diff) return direction === 'ASC' ? diff : -diff;
+    }
+    return a.userId.localeCompare(b.userId);
+  });
+
+  return {
+    users: matches.slice((page - 1) * limit, page * limit),
+    total: matches.length,
+  };
+}
+
 export async function countDocuments() {
   const db = getDb();
   return db
@@ -88,6 +189,7 @@ export async function createUser(data) {
     password: await bcrypt.hash(data.password, 10),
     role: data.role || 'customer',
     isActive: true,
+    emailVerifiedAt: data.emailVerifiedAt || null,
     address: JSON.stringify(data.address || {}),
     createdAt: now(),
     updatedAt: now(),
@@ -96,9 +198,12 @@ export async function createUser(data) {
   const db = getDb();
   if (db) {
     db.prepare(`
-      INSERT INTO users VALUES (
+      INSERT INTO users (
+        userId,email,password,firstName,lastName,
+        phone,address,role,isActive,emailVerifiedAt,createdAt,updatedAt
+      ) VALUES (
         @userId,@email,@password,@firstName,@lastName,
-        @phone,@address,@role,1,@createdAt,@updatedAt
+        @phone,@address,@role,1,@emailVerifiedAt,@createdAt,@updatedAt
       )
     `).run(user);
   } else {
@@ -123,12 +228,18 @@ export async function save(user) {
         address=@address,
         role=@role,
         isActive=@isActive,
+        emailVerifiedAt=@emailVerifiedAt,
+        totpSecret=@totpSecret,
+        totpEnabledAt=@totpEnabledAt,
         updatedAt=@updatedAt
       WHERE userId=@userId
     `).run({
       ...user,
       address: JSON.stringify(user.address),
       isActive: user.isActive ? 1 : 0,
+      emailVerifiedAt: user.emailVerifiedAt || null,
+      totpSecret: user.totpSecret || null,
+      totpEnabledAt: user.totpEnabledAt || null,
     });
   } else {
     memoryDb.users.set(user.userId, user);
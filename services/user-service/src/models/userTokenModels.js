@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import { getDb } from '../db/sqlite.js';
+import { memoryDb } from '../db/memory.js';
+import { hashToken } from '../utils/tokens.js';
+
+/**
+ * Single-use tokens sent by email. Only the hash is stored; the raw token
+ * exists in the email alone.
+ */
+export const TOKEN_PURPOSES = ['email_verification', 'password_reset'];
+
+function now() {
+  return new Date().toISOString();
+}
+
+/**
+ * Creates a token for `purpose`, spending any earlier unused one so only
+ * the latest email works. Returns the raw token.
+ */
+export async function createUserToken(userId, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const record = {
+    tokenHash: hashToken(token),
+    userId,
+    purpose,
+    createdAt: now(),
+    expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+    usedAt: null,
+  };
+
+  const db = getDb();
+  if (db) {
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE user_tokens SET usedAt=?
+        WHERE userId=? AND purpose=? AND usedAt IS NULL
+      `).run(record.createdAt, userId, purpose);
+      db.prepare(`
+        INSERT INTO user_tokens (tokenHash, userId, purpose, createdAt, expiresAt)
+        VALUES (@tokenHash, @userId, @purpose, @createdAt, @expiresAt)
+      `).run(record);
+    })();
+  } else {
+    for (const existing of memoryDb.userTokens.values()) {
+      if (existing.userId === userId && existing.purpose === purpose) {
+        existing.usedAt ||= record.createdAt;
+      }
+    }
+    memoryDb.userTokens.set(record.tokenHash, record);
+  }
+
+  return token;
+}
+
+/**
+ * Spends a token. Returns its record if it was unused, unexpired and for
+ * `purpose`; null otherwise.
+ */
+export async function consumeUserToken(token, purpose) {
+  const tokenHash = hashToken(token);
+  const usedAt = now();
+
+  const db = getDb();
+  if (db) {
+    const claimed = db
+      .prepare(`
+        UPDATE user_tokens SET usedAt=?
+        WHERE tokenHash=? AND purpose=? AND usedAt IS NULL AND expiresAt > ?
+      `)
+      .run(usedAt, tokenHash, purpose, usedAt);
+
+    return claimed.changes > 0
+      ? db.prepare(`SELECT * FROM user_tokens WHERE tokenHash=?`).get(tokenHash)
+      : null;
+  }
+
+  const record = memoryDb.userTokens.get(tokenHash);
+  if (
+    !record ||
+    record.purpose !== purpose ||
+    record.usedAt ||
+    record.expiresAt <= usedAt
+  ) {
+    return null;
+  }
+  record.usedAt = usedAt;
+  return record;
+}
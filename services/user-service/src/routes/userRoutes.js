@@ -9,11 +9,50 @@ import {
   changePassword,
   deactivateAccount,
   verifyToken,
+  refreshToken,
+  logout,
+  revokeSessions,
+  requestEmailVerification,
+  confirmEmailVerification,
+  requestPasswordReset,
+  confirmPasswordReset,
+  unlockLogins,
+  getSecurityEvents,
 } from '../controllers/userController.js';
 
+import {
+  completeTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+} from '../controllers/twoFactorController.js';
+
+import {
+  changeUserRole,
+  deactivateUser,
+  reactivateUser,
+  getRoles,
+  putRole,
+  removeRole,
+} from '../controllers/adminController.js';
+
+import {
+  getAddresses,
+  getAddress,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+} from '../controllers/addressController.js';
+
 import {
   authenticate,
-  authorize,
+  authenticateOrChallenge,
+  authenticateOrService,
+  requirePermission,
 } from '../middleware/authMiddleware.js';
 
 const router = Router();
@@ -23,7 +62,15 @@ const router = Router();
  */
 router.post('/register', register);
 router.post('/login', login);
+router.post('/login/2fa', completeTwoFactorLogin);
 router.post('/verify-token', verifyToken);
+router.post('/token/refresh', refreshToken);
+// Identified by the refresh token or the bearer token, either will do
+router.post('/logout', logout);
+router.post('/verify-email/request', requestEmailVerification);
+router.post('/verify-email/confirm', confirmEmailVerification);
+router.post('/password-reset/request', requestPasswordReset);
+router.post('/password-reset/confirm', confirmPasswordReset);
 
 /**
  * Authenticated
@@ -34,13 +81,56 @@ router.put('/change-password', authenticate, changePassword);
 router.delete('/account', authenticate, deactivateAccount);
 
 /**
- * Admin / Self
+ * Address book (own)
+ */
+router.get('/addresses', authenticate, getAddresses);
+router.post('/addresses', authenticate, createAddress);
+router.get('/addresses/:addressId', authenticate, getAddress);
+router.put('/addresses/:addressId', authenticate, updateAddress);
+router.delete('/addresses/:addressId', authenticate, deleteAddress);
+
+/**
+ * Two-factor authentication. Setup and enable also take a setup challenge
+ * from login, for accounts that must enroll before they can sign in.
+ */
+router.get('/2fa', authenticate, getTwoFactorStatus);
+router.post('/2fa/setup', authenticateOrChallenge('2fa_setup'), setupTwoFactor);
+router.post('/2fa/enable', authenticateOrChallenge('2fa_setup'), enableTwoFactor);
+router.post('/2fa/disable', authenticate, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, regenerateRecoveryCodes);
+
+/**
+ * Staff: login lockouts, the security event log and the 2FA policy
+ */
+const manageSecurity = [authenticate, requirePermission('security:manage')];
+router.post('/security/unlock', manageSecurity, unlockLogins);
+router.get('/security/events', manageSecurity, getSecurityEvents);
+router.get('/security/two-factor-policy', manageSecurity, getTwoFactorPolicy);
+router.put('/security/two-factor-policy', manageSecurity, updateTwoFactorPolicy);
+
+/**
+ * Staff: roles and their permissions
+ */
+const manageRoles = [authenticate, requirePermission('roles:manage')];
+router.get('/roles', manageRoles, getRoles);
+router.put('/roles/:role', manageRoles, putRole);
+router.delete('/roles/:role', manageRoles, removeRole);
+
+/**
+ * Staff / Self
  */
 router.get('/:userId', authenticate, getUserById);
+router.get('/:userId/addresses', authenticateOrService, getAddresses);
+router.get('/:userId/addresses/:addressId', authenticateOrService, getAddress);
 
 /**
- * Admin only
+ * Staff: user management
  */
-router.get('/', authenticate, authorize('admin'), getAllUsers);
+const manageUsers = [authenticate, requirePermission('users:write:any')];
+router.get('/', authenticate, requirePermission('users:read:any'), getAllUsers);
+router.put('/:userId/role', manageUsers, changeUserRole);
+router.post('/:userId/deactivate', manageUsers, deactivateUser);
+router.post('/:userId/reactivate', manageUsers, reactivateUser);
+router.delete('/:userId/sessions', manageUsers, revokeSessions);
 
 export default router;
@@ -0,0 +1,65 @@
+/**
+ * Address book field rules. Text is trimmed and blank optional fields are
+ * stored as null; `country` is an ISO 3166-1 alpha-2 code.
+ */
+const FIELDS = {
+  label: { max: 40 },
+  recipientName: { required: true, max: 100 },
+  line1: { required: true, max: 200 },
+  line2: { max: 200 },
+  city: { required: true, max: 100 },
+  region: { max: 100 },
+  postalCode: { max: 20, pattern: /^[A-Za-z0-9][A-Za-z0-9 -]*$/ },
+  country: { required: true, pattern: /^[A-Z]{2}$/, upperCase: true },
+  phone: { max: 30, pattern: /^\+?[0-9][0-9 ().-]{4,}$/ },
+};
+
+const FLAGS = ['isDefaultShipping', 'isDefaultBilling'];
+
+export const MAX_ADDRESSES = 20;
+
+/**
+ * Validates `input` merged over `existing` (for partial updates). Returns
+ * { address, errors } where errors maps field -> message and is null when
+ * the address is valid.
+ */
+export function validateAddress(input, existing = {}) {
+  const address = {};
+  const errors = {};
+
+  for (const [field, rule] of Object.entries(FIELDS)) {
+    let value = field in input ? input[field] : existing[field];
+
+    if (value === undefined || value === null) {
+      value = null;
+    } else if (typeof value !== 'string') {
+      errors[field] = 'must be a string';
+      continue;
+    } else {
+      value = value.trim() || null;
+    }
+
+    if (value && rule.upperCase) value = value.toUpperCase();
+
+    if (!value) {
+      if (rule.required) errors[field] = 'is required';
+    } else if (rule.max && value.length > rule.max) {
+      errors[field] = `must be at most ${rule.max} characters`;
+    } else if (rule.pattern && !rule.pattern.test(value)) {
+      errors[field] =
+        field === 'country' ? 'must be a two-letter ISO country code' : 'is not valid';
+    }
+
+    address[field] = value;
+  }
+
+  for (const flag of FLAGS) {
+    const value = flag in input ? input[flag] : existing[flag];
+    if (value !== undefined && typeof value !== 'boolean') {
+      errors[flag] = 'must be true or false';
+    }
+    address[flag] = Boolean(value);
+  }
+
+  return { address, errors: Object.keys(errors).length ? errors : null };
+}
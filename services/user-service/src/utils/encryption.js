@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+import { env } from '../config/env.js';
+
+/**
+ * AES-256-GCM for secrets we must read back (TOTP seeds), as
+ * "<iv>.<tag>.<ciphertext>" in base64url.
+ */
+if (!env.encryptionKey) {
+  // A well-known default would make every stored seed readable
+  throw new Error('ENCRYPTION_KEY must be set');
+}
+
+const key = crypto.createHash('sha256').update(env.encryptionKey).digest();
+
+export function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString('base64url'))
+    .join('.');
+}
+
+export function decrypt(payload) {
+  const [iv, tag, ciphertext] = payload
+    .split('.')
+    .map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
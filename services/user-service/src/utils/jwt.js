@@ -0,0 +1,48 @@
+import jwt from 'jsonwebtoken';
+import { env } from '../config/env.js';
+import { activeKey, findKey } from './keys.js';
+
+/**
+ * Audiences keep token kinds apart: only ACCESS_AUDIENCE tokens are
+ * accepted as bearer tokens, here and by services verifying with the JWKS.
+ */
+export const ACCESS_AUDIENCE = env.jwt.audience;
+export const CHALLENGE_AUDIENCE = 'user-service:2fa';
+
+export function signJwt(payload, { expiresIn, audience }) {
+  const key = activeKey();
+  if (!key) {
+    throw new Error('No JWT signing key loaded');
+  }
+
+  return jwt.sign(payload, key.privateKey, {
+    algorithm: key.alg,
+    keyid: key.kid,
+    issuer: env.jwt.issuer,
+    audience,
+    expiresIn,
+  });
+}
+
+/**
+ * Verifies `token` with the key named by its `kid`, restricted to that
+ * key's algorithm. Throws like jwt.verify.
+ */
+export function verifyJwt(token, { audience }) {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && findKey(decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, {
+    algorithms: [key.alg],
+    issuer: env.jwt.issuer,
+    audience,
+  });
+}
+
+// Seconds until `token` expires
+export function expiresIn(token) {
+  return jwt.decode(token).exp - Math.floor(Date.now() / 1000);
+}
@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { env } from '../config/env.js';
+
+/**
+ * Asymmetric JWT signing keys. Each key has a `kid` that goes in the token
+ * header, so verifiers pick the right public key from /.well-known/jwks.json.
+ *
+ * Keys live in env.jwt.keysDir as "<kid>.pem" plus a keys.json manifest.
+ * Rotating adds a new active key and retires the old one; a retired key
+ * still verifies (and is still published) for env.jwt.retiredKeyTtlHours,
+ * which must outlast every token it signed, then is deleted.
+ */
+const ALGORITHMS = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'P-256' }],
+};
+
+const MANIFEST = 'keys.json';
+
+let keys = [];
+
+function manifestPath() {
+  return path.join(env.jwt.keysDir, MANIFEST);
+}
+
+function keyPath(kid) {
+  return path.join(env.jwt.keysDir, `${kid}.pem`);
+}
+
+function writeManifest() {
+  const manifest = keys.map(({ kid, alg, createdAt, retiredAt }) => ({
+    kid,
+    alg,
+    createdAt,
+    retiredAt,
+  }));
+  const tmp = `${manifestPath()}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tmp, manifestPath());
+}
+
+function isExpired(key, now = Date.now()) {
+  return (
+    key.retiredAt &&
+    Date.parse(key.retiredAt) + env.jwt.retiredKeyTtlHours * 60 * 60 * 1000 <= now
+  );
+}
+
+/**
+ * (Re)reads the key set from disk, so keys rotated by another process or
+ * scripts/rotate-keys.js are picked up
+ */
+export function loadKeys() {
+  let manifest = [];
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath(), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  keys = manifest.map((entry) => {
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(keyPath(entry.kid)));
+    return { ...entry, privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  });
+  return keys;
+}
+
+// Deletes retired keys whose tokens have all expired
+function pruneKeys() {
+  const expired = keys.filter((key) => isExpired(key));
+  if (!expired.length) return;
+
+  keys = keys.filter((key) => !expired.includes(key));
+  writeManifest();
+  for (const { kid } of expired) {
+    fs.rmSync(keyPath(kid), { force: true });
+  }
+}
+
+/**
+ * Generates a new signing key and retires the current one. Returns the
+ * new key.
+ */
+export function rotateKeys(alg = env.jwt.algorithm) {
+  if (!ALGORITHMS[alg]) {
+    throw new Error(`Unsupported JWT algorithm: ${alg}`);
+  }
+
+  fs.mkdirSync(env.jwt.keysDir, { recursive: true, mode: 0o700 });
+  loadKeys();
+
+  const now = new Date();
+  const kid = `${now.toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString('hex')}`;
+  const { privateKey } = crypto.generateKeyPairSync(...ALGORITHMS[alg]);
+  fs.writeFileSync(
+    keyPath(kid),
+    privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    { mode: 0o600 }
+  );
+
+  for (const key of keys) {
+    key.retiredAt ??= now.toISOString();
+  }
+  const key = {
+    kid,
+    alg,
+    createdAt: now.toISOString(),
+    retiredAt: null,
+    privateKey,
+    publicKey: crypto.createPublicKey(privateKey),
+  };
+  keys.push(key);
+  writeManifest();
+  pruneKeys();
+
+  return key;
+}
+
+/**
+ * Loads the key set, creating the first key, rotating when the active key
+ * is older than env.jwt.rotationDays (0 disables) or was made for another
+ * algorithm, and pruning expired keys. Safe to call periodically.
+ */
+export function refreshKeys() {
+  loadKeys();
+
+  const active = activeKey();
+  const maxAgeMs = env.jwt.rotationDays * 24 * 60 * 60 * 1000;
+  if (
+    !active ||
+    active.alg !== env.jwt.algorithm ||
+    (maxAgeMs && Date.parse(active.createdAt) + maxAgeMs <= Date.now())
+  ) {
+    const key = rotateKeys();
+    console.log(`🔑 New JWT signing key ${key.kid} (${key.alg})`);
+    return;
+  }
+
+  pruneKeys();
+}
+
+export function activeKey() {
+  return keys.find((key) => !key.retiredAt) || null;
+}
+
+// A key that may still verify tokens, or null
+export function findKey(kid) {
+  return keys.find((key) => key.kid === kid && !isExpired(key)) || null;
+}
+
+/**
+ * Public half of every usable key as a JWK Set
+ */
+export function publicJwks() {
+  return {
+    keys: keys
+      .filter((key) => !isExpired(key))
+      .map((key) => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig',
+      })),
+  };
+}
@@ -0,0 +1,114 @@
+import { env } from '../config/env.js';
+import {
+  findLoginFailures,
+  saveLoginFailures,
+  clearLoginFailures,
+  recordSecurityEvent,
+} from '../models/securityModels.js';
+
+/**
+ * Brute-force protection for login. Failures are counted per account
+ * (by email, whether or not it exists) and per client IP. Each failure
+ * makes the next attempt wait longer, and reaching the limit locks the
+ * account or IP out for a while. Counts reset after a quiet window.
+ */
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+function recentFailures(record, at) {
+  if (!record) return 0;
+  const age = at - new Date(record.lastFailedAt);
+  return age < env.loginProtection.windowMinutes * 60 * 1000
+    ? record.failures
+    : 0;
+}
+
+function lockedUntil(record, at) {
+  return record?.lockedUntil && new Date(record.lockedUntil) > at
+    ? new Date(record.lockedUntil)
+    : null;
+}
+
+/**
+ * Returns { lockedUntil } when the account or IP is locked out, otherwise
+ * { delayMs } to wait before checking the password.
+ */
+export async function checkLoginAllowed(email, ip) {
+  const at = new Date();
+  const records = await Promise.all([
+    findLoginFailures(accountKey(email)),
+    findLoginFailures(ipKey(ip)),
+  ]);
+
+  const locks = records.map((record) => lockedUntil(record, at)).filter(Boolean);
+  if (locks.length > 0) {
+    return { lockedUntil: new Date(Math.max(...locks)) };
+  }
+
+  const failures = Math.max(...records.map((record) => recentFailures(record, at)));
+  const { delayBaseMs, maxDelayMs } = env.loginProtection;
+  return {
+    delayMs: failures > 0 ? Math.min(delayBaseMs * 2 ** (failures - 1), maxDelayMs) : 0,
+  };
+}
+
+/**
+ * Counts a failed login against the account and the IP, locking either
+ * out once it reaches its limit. Returns { lockedUntil } if this failure
+ * caused a lockout.
+ */
+export async function recordLoginFailure({ email, ip, userId, reason }) {
+  const at = new Date();
+  const { maxAccountFailures, maxIpFailures, lockoutMinutes } = env.loginProtection;
+  let locked = null;
+
+  for (const [key, limit, type] of [
+    [accountKey(email), maxAccountFailures, 'account_locked'],
+    [ipKey(ip), maxIpFailures, 'ip_locked'],
+  ]) {
+    const record = await findLoginFailures(key);
+    const failures = recentFailures(record, at) + 1;
+    const lockUntil =
+      failures >= limit ? new Date(at.getTime() + lockoutMinutes * 60 * 1000) : null;
+
+    await saveLoginFailures({
+      key,
+      failures,
+      firstFailedAt:
+        failures === 1 ? at.toISOString() : record.firstFailedAt,
+      lastFailedAt: at.toISOString(),
+      lockedUntil: lockUntil ? lockUntil.toISOString() : null,
+    });
+
+    if (lockUntil) {
+      locked = lockUntil;
+      await recordSecurityEvent({
+        type,
+        userId,
+        email,
+        ip,
+        details: `${failures} failed logins, locked until ${lockUntil.toISOString()}`,
+      });
+      console.warn(`🔒 Login ${type.replace('_', ' ')}: ${key}`);
+    }
+  }
+
+  await recordSecurityEvent({ type: 'login_failed', userId, email, ip, details: reason });
+  return { lockedUntil: locked };
+}
+
+// A successful login clears the account's failures (not the IP's)
+export async function recordLoginSuccess(email) {
+  await clearLoginFailures(accountKey(email));
+}
+
+/**
+ * Lifts the lockout and failure counts of an account and/or an IP.
+ * Returns which of them had any.
+ */
+export async function unlockLogin({ email, ip }) {
+  return {
+    account: email ? await clearLoginFailures(accountKey(email)) : false,
+    ip: ip ? await clearLoginFailures(ipKey(ip)) : false,
+  };
+}
@@ -0,0 +1,47 @@
+import { hasPermission } from '../../../shared/permissions.js';
+import { findRole } from '../models/roleModels.js';
+
+export { hasPermission };
+
+/**
+ * Every permission the services check. Roles may grant these, "*" (all)
+ * or "<resource>:*" (all on one resource).
+ */
+export const PERMISSIONS = {
+  'users:read:any': 'View any user account',
+  'users:write:any': 'Change roles, deactivate and reactivate users, sign them out',
+  'roles:manage': 'Create, edit and delete roles',
+  'security:manage': 'Login lockouts, security events and the 2FA policy',
+  'orders:read:any': "View any customer's orders",
+  'orders:write:any': 'Place and cancel orders on behalf of customers',
+  'orders:admin': 'Order outbox, dead letters and order exports',
+  'payments:read:any': "View any customer's payments and refunds",
+  'payments:write': 'Capture and void payments',
+  'payments:refund': 'Refund payments',
+  'payments:admin': 'Ledger, reconciliation, outbox and dead letters',
+  'inventory:write': 'Create and restock products, manage reservations',
+  'inventory:admin': 'Inventory outbox and dead letters',
+};
+
+export function isKnownPermission(permission) {
+  if (permission === '*' || PERMISSIONS[permission]) return true;
+  return (
+    permission.endsWith(':*') &&
+    Object.keys(PERMISSIONS).some((known) =>
+      known.startsWith(permission.slice(0, -1))
+    )
+  );
+}
+
+// Permissions of `role`; none for a role that no longer exists
+export async function permissionsFor(role) {
+  return (await findRole(role))?.permissions || [];
+}
+
+/**
+ * Whether `granted` covers everything in `permissions`, so a caller cannot
+ * hand out (or take away from others) more than they hold themselves
+ */
+export function coversAll(granted, permissions) {
+  return permissions.every((permission) => hasPermission(granted, permission));
+}
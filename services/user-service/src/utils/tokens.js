@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import { env } from '../config/env.js';
+import { ACCESS_AUDIENCE, expiresIn, signJwt } from './jwt.js';
+import { permissionsFor } from './permissions.js';
+import { createSession, storeRefreshToken } from '../models/sessionModels.js';
+
+/**
+ * Refresh tokens are random and only their SHA-256 is stored, so a leaked
+ * database does not leak usable tokens.
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Permissions are copied in for services that verify tokens locally; they
+ * catch up with role edits when the token is refreshed.
+ */
+export async function signAccessToken(user, sessionId) {
+  return signJwt(
+    {
+      userId: user.userId,
+      role: user.role,
+      permissions: await permissionsFor(user.role),
+      emailVerified: Boolean(user.emailVerifiedAt),
+      sid: sessionId,
+    },
+    { expiresIn: env.accessTokenTtl, audience: ACCESS_AUDIENCE }
+  );
+}
+
+/**
+ * Issues an access token and a new refresh token in `sessionId`'s family,
+ * starting a new session when none is given.
+ */
+export async function issueTokens(user, sessionId) {
+  if (!sessionId) {
+    sessionId = `SES-${crypto.randomUUID()}`;
+    await createSession(sessionId, user.userId);
+  }
+
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  await storeRefreshToken({
+    tokenHash: hashToken(refreshToken),
+    sessionId,
+    userId: user.userId,
+    expiresAt: new Date(
+      Date.now() + env.refreshTokenTtlDays * 24 * 60 * 60 * 1000
+    ).toISOString(),
+  });
+
+  const token = await signAccessToken(user, sessionId);
+
+  return { token, refreshToken, expiresIn: expiresIn(token) };
+}
@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import { env } from '../config/env.js';
+import { hashToken } from './tokens.js';
+import { CHALLENGE_AUDIENCE, expiresIn, signJwt, verifyJwt } from './jwt.js';
+import { decrypt } from './encryption.js';
+import { base32Encode, verifyTotp } from './totp.js';
+import {
+  claimChallengeAttempt,
+  claimTotpStep,
+  consumeRecoveryCode,
+  getSetting,
+} from '../models/twoFactorModels.js';
+
+/**
+ * Two-step login. When the password is right but a second factor is due,
+ * login hands out a short-lived challenge token instead of a session:
+ *
+ *   login_2fa  exchanged with a TOTP or recovery code at /login/2fa
+ *   2fa_setup  the role requires 2FA and the user has none yet; lets them
+ *              enroll at /2fa/setup and /2fa/enable, which then logs them in
+ *
+ * Challenge tokens have their own audience and carry no session, so they
+ * never pass as access tokens. Each has an id (jti); a login_2fa challenge
+ * takes a limited number of codes and is spent once exchanged for tokens.
+ */
+export const REQUIRED_ROLES_SETTING = 'twoFactorRequiredRoles';
+
+export function signChallenge(user, purpose) {
+  const challengeToken = signJwt(
+    { userId: user.userId, purpose, jti: crypto.randomUUID() },
+    { expiresIn: env.twoFactor.challengeTtl, audience: CHALLENGE_AUDIENCE }
+  );
+  return { challengeToken, expiresIn: expiresIn(challengeToken) };
+}
+
+// The claims of a valid challenge token for `purpose`, or null
+function decodeChallenge(token, purpose) {
+  try {
+    const decoded = verifyJwt(token, { audience: CHALLENGE_AUDIENCE });
+    return decoded.purpose === purpose && !decoded.sid ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+// The userId of a valid challenge token for `purpose`, or null
+export function verifyChallenge(token, purpose) {
+  return decodeChallenge(token, purpose)?.userId ?? null;
+}
+
+/**
+ * Counts a code attempt against a login_2fa challenge token. Returns
+ * { userId, challengeId }, or null when the token is not valid, has been
+ * exchanged already or has no attempts left. Complete it with
+ * completeChallenge(challengeId) before issuing tokens.
+ */
+export async function attemptLoginChallenge(token) {
+  const decoded = decodeChallenge(token, 'login_2fa');
+  if (!decoded?.jti) return null;
+
+  const allowed = await claimChallengeAttempt(decoded.jti, {
+    userId: decoded.userId,
+    expiresAt: new Date(decoded.exp * 1000).toISOString(),
+    maxAttempts: env.twoFactor.maxChallengeAttempts,
+  });
+  return allowed ? { userId: decoded.userId, challengeId: decoded.jti } : null;
+}
+
+export async function requiredRoles() {
+  return getSetting(REQUIRED_ROLES_SETTING, []);
+}
+
+export async function isTwoFactorRequired(user) {
+  return (await requiredRoles()).includes(user.role);
+}
+
+/**
+ * What login should answer instead of tokens when a second factor is due,
+ * or null when the password is enough
+ */
+export async function loginChallenge(user) {
+  if (user.totpEnabledAt) {
+    return { twoFactorRequired: true, ...signChallenge(user, 'login_2fa') };
+  }
+  if (await isTwoFactorRequired(user)) {
+    return { twoFactorSetupRequired: true, ...signChallenge(user, '2fa_setup') };
+  }
+  return null;
+}
+
+// Recovery codes look like "k3j9-x2mq"; case and dashes are ignored
+function normalizeRecoveryCode(code) {
+  return code.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+export function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < env.twoFactor.recoveryCodeCount; i++) {
+    const code = base32Encode(crypto.randomBytes(5)).toLowerCase();
+    codes.push(`${code.slice(0, 4)}-${code.slice(4)}`);
+  }
+  return codes;
+}
+
+export function hashRecoveryCode(code) {
+  return hashToken(normalizeRecoveryCode(code));
+}
+
+/**
+ * Checks a TOTP `code` against the user's (enabled or pending) seed, or
+ * spends a `recoveryCode`. Returns "totp", "recovery" or null.
+ */
+export async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (typeof code === 'string' && user.totpSecret) {
+    const step = verifyTotp(decrypt(user.totpSecret), code);
+    if (step !== null && (await claimTotpStep(user.userId, step))) {
+      return 'totp';
+    }
+    return null;
+  }
+
+  if (typeof recoveryCode === 'string' && user.totpEnabledAt) {
+    const used = await consumeRecoveryCode(
+      user.userId,
+      hashRecoveryCode(recoveryCode)
+    );
+    return used ? 'recovery' : null;
+  }
+
+  return null;
+}
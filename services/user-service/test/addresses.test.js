@@ -0,0 +1,101 @@
+// services/user-service/test/addresses.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PASSWORD, createTestUser, quiet, startService } from './helpers.js';
+import { serviceAuthHeaders } from '../../shared/serviceAuth.js';
+
+const service = await startService();
+const { request } = service;
+test.after(() => service.close());
+test.beforeEach((t) => quiet(t));
+
+const SECRET = process.env.SERVICE_SECRET;
+
+async function login(user) {
+  const { body } = await request('POST', '/api/users/login', {
+    body: { email: user.email, password: PASSWORD },
+  });
+  return body.token;
+}
+
+// A user with one address in their book
+async function userWithAddress() {
+  const user = await createTestUser();
+  const token = await login(user);
+  const { status, body } = await request('POST', '/api/users/addresses', {
+    token,
+    body: {
+      recipientName: 'Test User',
+      line1: '1 Main Street',
+      city: 'Springfield',
+      postalCode: '12345',
+      country: 'US',
+    },
+  });
+  assert.equal(status, 201);
+  return { user, token, address: body.address };
+}
+
+const readAs = (userId, headers) =>
+  request('GET', `/api/users/${userId}/addresses`, { headers });
+
+test('a service acting for the user reads their address book', async () => {
+  const { user, address } = await userWithAddress();
+
+  const { status, body } = await readAs(
+    user.userId,
+    serviceAuthHeaders(SECRET, 'order-service', { userId: user.userId })
+  );
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.addresses.map(({ addressId }) => addressId),
+    [address.addressId]
+  );
+
+  const single = await request('GET', `/api/users/${user.userId}/addresses/${address.addressId}`, {
+    headers: serviceAuthHeaders(SECRET, 'order-service', { userId: user.userId }),
+  });
+  assert.equal(single.status, 200);
+});
+
+test('a service acting for another user is refused', async () => {
+  const { user } = await userWithAddress();
+  const other = await createTestUser({ role: 'admin' });
+
+  const { status } = await readAs(
+    user.userId,
+    serviceAuthHeaders(SECRET, 'order-service', { userId: other.userId })
+  );
+  assert.equal(status, 403);
+});
+
+test('a service acting on its own behalf is refused', async () => {
+  const { user } = await userWithAddress();
+
+  assert.equal((await readAs(user.userId, serviceAuthHeaders(SECRET, 'order-service'))).status, 403);
+});
+
+test('service tokens signed with another secret are refused', async () => {
+  const { user } = await userWithAddress();
+
+  const forged = serviceAuthHeaders('another-secret-that-is-32-chars-long', 'order-service', {
+    userId: user.userId,
+  });
+  assert.equal((await readAs(user.userId, forged)).status, 401);
+});
+
+test('users read only their own book without users:read:any', async () => {
+  const { user, token } = await userWithAddress();
+  const stranger = await createTestUser();
+
+  assert.equal((await request('GET', `/api/users/${user.userId}/addresses`, { token })).status, 200);
+  assert.equal(
+    (
+      await request('GET', `/api/users/${user.userId}/addresses`, {
+        token: await login(stranger),
+      })
+    ).status,
+    403
+  );
+  assert.equal((await readAs(user.userId, {})).status, 401);
+});
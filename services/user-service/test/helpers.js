@@ -0,0 +1,87 @@
+// services/user-service/test/helpers.js
+//
+// Runs the service in-process on a fresh in-memory SQLite database and a
+// throwaway key directory. Import this before anything from src/: the
+// environment is read when src/config/env.js loads.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+process.env.SQLITE_PATH = ':memory:';
+process.env.JWT_KEYS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'user-service-keys-'));
+process.env.ENCRYPTION_KEY ??= 'test-encryption-key';
+process.env.SERVICE_SECRET ??= 'test-service-secret-at-least-32-chars';
+// Keep the brute-force delays out of the way
+process.env.LOGIN_DELAY_BASE_MS = '1';
+process.env.LOGIN_MAX_DELAY_MS = '1';
+
+export const PASSWORD = 'correct horse battery';
+
+/**
+ * Connects the database, creates a signing key and listens on a free port.
+ * Returns { url, request, close }; request(method, path, { body, token,
+ * headers }) resolves to { status, headers, body }.
+ */
+export async function startService() {
+  const { connectDb } = await import('../src/db/sqlite.js');
+  const { refreshKeys } = await import('../src/utils/keys.js');
+  const { createApp } = await import('../src/app.js');
+
+  await connectDb();
+  refreshKeys();
+
+  const server = createApp().listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, urlPath, { body, token, headers = {} } = {}) {
+    const response = await fetch(`${url}${urlPath}`, {
+      method,
+      headers: {
+        ...(body && { 'content-type': 'application/json' }),
+        ...(token && { authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body && JSON.stringify(body),
+    });
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: await response.json(),
+    };
+  }
+
+  return {
+    url,
+    request,
+    close: () => {
+      server.closeAllConnections();
+      server.close();
+      fs.rmSync(process.env.JWT_KEYS_DIR, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * A user with PASSWORD, created directly in the database
+ */
+export async function createTestUser({ role = 'customer', email } = {}) {
+  const { createUser } = await import('../src/models/userModels.js');
+  return createUser({
+    userId: `USER-${crypto.randomUUID()}`,
+    email: email || `${crypto.randomUUID()}@example.com`,
+    password: PASSWORD,
+    firstName: 'Test',
+    lastName: 'User',
+    phone: null,
+    role,
+  });
+}
+
+// Keeps the service's logging out of the test report
+export function quiet(t) {
+  for (const level of ['log', 'warn', 'error']) {
+    t.mock.method(console, level, () => {});
+  }
+}
@@ -0,0 +1,148 @@
+// services/user-service/test/jwks.test.js
+//
+// Tokens from user-service checked the way the gateway and the other
+// services check them: with the shared JWKS verifier, against the
+// published keys.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { PASSWORD, createTestUser, quiet, startService } from './helpers.js';
+import { env } from '../src/config/env.js';
+import { refreshKeys, rotateKeys } from '../src/utils/keys.js';
+import { hotp, totpStep } from '../src/utils/totp.js';
+import { createJwksVerifier, TokenError } from '../../shared/jwks.js';
+
+const service = await startService();
+const { request } = service;
+test.after(() => service.close());
+test.beforeEach((t) => quiet(t));
+
+const newVerifier = () =>
+  createJwksVerifier({
+    jwksUrl: `${service.url}/.well-known/jwks.json`,
+    issuer: env.jwt.issuer,
+    audience: env.jwt.audience,
+    minRefreshMs: 0,
+  });
+
+const kidOf = (token) =>
+  JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString()).kid;
+
+async function login(user) {
+  const { body } = await request('POST', '/api/users/login', {
+    body: { email: user.email, password: PASSWORD },
+  });
+  return body.token;
+}
+
+test('the JWKS publishes only public keys', async () => {
+  const response = await fetch(`${service.url}/.well-known/jwks.json`);
+  assert.match(response.headers.get('cache-control'), /max-age=300/);
+
+  const { keys } = await response.json();
+  assert.ok(keys.length >= 1);
+  for (const jwk of keys) {
+    assert.equal(jwk.use, 'sig');
+    assert.ok(jwk.kid);
+    assert.ok(['RS256', 'ES256'].includes(jwk.alg));
+    for (const privatePart of ['d', 'p', 'q', 'dp', 'dq', 'qi']) {
+      assert.equal(jwk[privatePart], undefined);
+    }
+  }
+});
+
+test('access tokens verify against the JWKS with their claims', async () => {
+  const user = await createTestUser({ role: 'admin' });
+  const claims = await newVerifier().verify(await login(user));
+
+  assert.equal(claims.userId, user.userId);
+  assert.equal(claims.role, 'admin');
+  assert.deepEqual(claims.permissions, ['*']);
+  assert.match(claims.sid, /^SES-/);
+});
+
+test('tampered tokens are refused', async () => {
+  const token = await login(await createTestUser());
+  const [header, payload, signature] = token.split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  const forged = Buffer.from(JSON.stringify({ ...claims, role: 'admin' })).toString('base64url');
+
+  await assert.rejects(
+    newVerifier().verify(`${header}.${forged}.${signature}`),
+    (error) => error instanceof TokenError && error.message === 'Invalid signature'
+  );
+
+  // The key decides the algorithm, not the token
+  const hs256 = Buffer.from(JSON.stringify({ alg: 'HS256', kid: kidOf(token) })).toString(
+    'base64url'
+  );
+  await assert.rejects(newVerifier().verify(`${hs256}.${payload}.${signature}`), TokenError);
+});
+
+test('2FA challenge tokens are refused as access tokens', async () => {
+  const user = await createTestUser();
+  const token = await login(user);
+  const { secret } = (await request('POST', '/api/users/2fa/setup', { token })).body;
+  await request('POST', '/api/users/2fa/enable', {
+    token,
+    body: { code: hotp(secret, totpStep()) },
+  });
+
+  const { body } = await request('POST', '/api/users/login', {
+    body: { email: user.email, password: PASSWORD },
+  });
+  await assert.rejects(
+    newVerifier().verify(body.challengeToken),
+    (error) => error instanceof TokenError && error.message === 'Unexpected audience'
+  );
+});
+
+test('after a rotation old and new tokens both verify', async () => {
+  const user = await createTestUser();
+  const verifier = newVerifier();
+  const before = await login(user);
+  await verifier.verify(before);
+
+  const key = rotateKeys();
+  const after = await login(user);
+  assert.equal(kidOf(after), key.kid);
+  assert.notEqual(kidOf(before), key.kid);
+
+  // The verifier refetches for the unknown kid
+  await verifier.verify(after);
+  await verifier.verify(before);
+  assert.equal((await request('GET', '/api/users/profile', { token: before })).status, 200);
+});
+
+test('ES256 keys verify too', async () => {
+  const user = await createTestUser();
+  const key = rotateKeys('ES256');
+  const token = await login(user);
+
+  assert.equal(kidOf(token), key.kid);
+  const claims = await newVerifier().verify(token);
+  assert.equal(claims.userId, user.userId);
+});
+
+test('a retired key is dropped once its tokens have expired', async () => {
+  const user = await createTestUser();
+  const old = await login(user);
+  rotateKeys();
+
+  // Pretend the key was retired longer ago than any token lives
+  const manifestPath = path.join(env.jwt.keysDir, 'keys.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  for (const entry of manifest) {
+    if (entry.kid === kidOf(old)) entry.retiredAt = new Date(0).toISOString();
+  }
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+  refreshKeys();
+
+  const { keys } = await (await fetch(`${service.url}/.well-known/jwks.json`)).json();
+  assert.ok(!keys.some((jwk) => jwk.kid === kidOf(old)));
+  assert.ok(!fs.existsSync(path.join(env.jwt.keysDir, `${kidOf(old)}.pem`)));
+
+  await assert.rejects(newVerifier().verify(old), TokenError);
+  assert.equal((await request('GET', '/api/users/profile', { token: old })).status, 401);
+});
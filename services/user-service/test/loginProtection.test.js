@@ -0,0 +1,114 @@
+// services/user-service/test/loginProtection.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PASSWORD, createTestUser, quiet, startService } from './helpers.js';
+
+const service = await startService();
+const { request } = service;
+test.after(() => service.close());
+test.beforeEach((t) => quiet(t));
+
+// Each test logs in from its own address, as the gateway reports it
+let nextHost = 1;
+const newIp = () => `198.51.100.${nextHost++}`;
+
+const login = (email, password, ip, forwardedFor = ip) =>
+  request('POST', '/api/users/login', {
+    body: { email, password },
+    headers: { 'x-forwarded-for': forwardedFor },
+  });
+
+async function adminToken() {
+  const admin = await createTestUser({ role: 'admin' });
+  const { body } = await login(admin.email, PASSWORD, newIp());
+  return body.token;
+}
+
+test('an account locks after five failed logins, even for the right password', async () => {
+  const user = await createTestUser();
+  const ip = newIp();
+
+  for (let i = 0; i < 4; i++) {
+    assert.equal((await login(user.email, 'wrong', ip)).status, 401);
+  }
+  const locked = await login(user.email, 'wrong', ip);
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+
+  assert.equal((await login(user.email, PASSWORD, newIp())).status, 429);
+});
+
+test('a successful login forgets the failures', async () => {
+  const user = await createTestUser();
+  const ip = newIp();
+
+  for (let i = 0; i < 4; i++) await login(user.email, 'wrong', ip);
+  assert.equal((await login(user.email, PASSWORD, ip)).status, 200);
+
+  for (let i = 0; i < 4; i++) {
+    assert.equal((await login(user.email, 'wrong', ip)).status, 401);
+  }
+});
+
+test('unknown emails lock the same way as real ones', async () => {
+  const ip = newIp();
+
+  for (let i = 0; i < 4; i++) {
+    assert.equal((await login('nobody@example.com', 'wrong', ip)).status, 401);
+  }
+  assert.equal((await login('nobody@example.com', 'wrong', ip)).status, 429);
+});
+
+test('an address locks after twenty failures across accounts', async () => {
+  const ip = newIp();
+
+  for (let i = 0; i < 19; i++) {
+    assert.equal((await login(`victim-${i}@example.com`, 'wrong', ip)).status, 401);
+  }
+  assert.equal((await login('victim-19@example.com', 'wrong', ip)).status, 429);
+
+  const user = await createTestUser();
+  assert.equal((await login(user.email, PASSWORD, ip)).status, 429);
+  assert.equal((await login(user.email, PASSWORD, newIp())).status, 200);
+});
+
+test('addresses a client adds to X-Forwarded-For do not dodge the lockout', async () => {
+  // The gateway saw a private address, which must not be mistaken for a proxy
+  const ip = '10.0.0.7';
+
+  for (let i = 0; i < 19; i++) {
+    const spoofed = `203.0.113.${i}, ${ip}`;
+    assert.equal((await login(`spoof-${i}@example.com`, 'wrong', ip, spoofed)).status, 401);
+  }
+  const locked = await login('spoof-19@example.com', 'wrong', ip, `203.0.113.250, ${ip}`);
+  assert.equal(locked.status, 429);
+});
+
+test('staff can lift a lockout', async () => {
+  const user = await createTestUser();
+  const ip = newIp();
+  for (let i = 0; i < 5; i++) await login(user.email, 'wrong', ip);
+
+  const unlocked = await request('POST', '/api/users/security/unlock', {
+    token: await adminToken(),
+    body: { userId: user.userId },
+  });
+  assert.equal(unlocked.status, 200);
+  assert.equal(unlocked.body.unlocked.account, true);
+
+  assert.equal((await login(user.email, PASSWORD, ip)).status, 200);
+});
+
+test('lockouts are recorded in the security event log', async () => {
+  const user = await createTestUser();
+  const ip = newIp();
+  for (let i = 0; i < 5; i++) await login(user.email, 'wrong', ip);
+
+  const { body } = await request(
+    'GET',
+    `/api/users/security/events?type=account_locked&email=${encodeURIComponent(user.email)}`,
+    { token: await adminToken() }
+  );
+  assert.equal(body.events.length, 1);
+  assert.equal(body.events[0].ip, ip);
+});
@@ -0,0 +1,49 @@
+// services/user-service/test/passwordReset.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestUser, quiet, startService } from './helpers.js';
+import { env } from '../src/config/env.js';
+import { registerTransport } from '../src/mailer/index.js';
+
+const service = await startService();
+const { request } = service;
+test.after(() => service.close());
+test.beforeEach((t) => quiet(t));
+
+// Captures sent mail, or fails every send while `down` is set
+const sent = [];
+let down = false;
+registerTransport('test', () => ({
+  async send(message) {
+    if (down) throw new Error('SMTP connection refused');
+    sent.push(message);
+    return { messageId: String(sent.length) };
+  },
+}));
+env.mail.transport = 'test';
+
+const requestReset = (email) =>
+  request('POST', '/api/users/password-reset/request', { body: { email } });
+
+test('known and unknown emails get the same answer', async () => {
+  const user = await createTestUser();
+
+  const known = await requestReset(user.email);
+  const unknown = await requestReset('nobody@example.com');
+  assert.equal(known.status, 202);
+  assert.equal(unknown.status, 202);
+  assert.deepEqual(unknown.body, known.body);
+  assert.deepEqual(
+    sent.map(({ to }) => to),
+    [user.email]
+  );
+});
+
+test('a mail outage does not reveal which emails have accounts', async (t) => {
+  const user = await createTestUser();
+  down = true;
+  t.after(() => (down = false));
+
+  assert.equal((await requestReset(user.email)).status, 202);
+  assert.equal((await requestReset('nobody@example.com')).status, 202);
+});
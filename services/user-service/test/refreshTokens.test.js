@@ -0,0 +1,155 @@
+// services/user-service/test/refreshTokens.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PASSWORD, createTestUser, quiet, startService } from './helpers.js';
+import { getDb } from '../src/db/sqlite.js';
+import { hashToken } from '../src/utils/tokens.js';
+
+const service = await startService();
+const { request } = service;
+test.after(() => service.close());
+test.beforeEach((t) => quiet(t));
+
+async function login() {
+  const user = await createTestUser();
+  const { status, body } = await request('POST', '/api/users/login', {
+    body: { email: user.email, password: PASSWORD },
+  });
+  assert.equal(status, 200);
+  return { user, ...body };
+}
+
+const refresh = (refreshToken) =>
+  request('POST', '/api/users/token/refresh', { body: { refreshToken } });
+
+const profile = (token) => request('GET', '/api/users/profile', { token });
+
+test('a refresh spends the token and issues a new pair in the same session', async () => {
+  const session = await login();
+
+  const refreshed = await refresh(session.refreshToken);
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.refreshToken, session.refreshToken);
+  assert.ok(refreshed.body.expiresIn > 0);
+
+  assert.equal((await profile(refreshed.body.token)).status, 200);
+  assert.equal((await refresh(refreshed.body.refreshToken)).status, 200);
+});
+
+test('reusing a spent refresh token revokes the whole session', async () => {
+  const session = await login();
+  const refreshed = await refresh(session.refreshToken);
+
+  const replay = await refresh(session.refreshToken);
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.error, 'Refresh token reuse detected');
+
+  // The thief's and the owner's tokens die together
+  const next = await refresh(refreshed.body.refreshToken);
+  assert.equal(next.status, 401);
+  assert.equal(next.body.error, 'Session revoked');
+  assert.equal((await profile(refreshed.body.token)).status, 401);
+  assert.equal((await profile(session.token)).status, 401);
+});
+
+test('only one of two concurrent refreshes with the same token wins', async () => {
+  const session = await login();
+
+  const results = await Promise.all([refresh(session.refreshToken), refresh(session.refreshToken)]);
+  assert.deepEqual(results.map(({ status }) => status).sort(), [200, 401]);
+});
+
+test('logout with the refresh token ends the session', async () => {
+  const session = await login();
+
+  const out = await request('POST', '/api/users/logout', {
+    body: { refreshToken: session.refreshToken },
+  });
+  assert.equal(out.status, 200);
+
+  assert.equal((await profile(session.token)).status, 401);
+  assert.equal((await refresh(session.refreshToken)).status, 401);
+});
+
+test('logout with the access token ends only that session', async () => {
+  const user = await createTestUser();
+  const credentials = { email: user.email, password: PASSWORD };
+  const phone = (await request('POST', '/api/users/login', { body: credentials })).body;
+  const laptop = (await request('POST', '/api/users/login', { body: credentials })).body;
+
+  assert.equal((await request('POST', '/api/users/logout', { token: phone.token })).status, 200);
+
+  assert.equal((await profile(phone.token)).status, 401);
+  assert.equal((await profile(laptop.token)).status, 200);
+  assert.equal((await request('POST', '/api/users/logout', {})).status, 401);
+});
+
+test('an expired refresh token is refused', async () => {
+  const session = await login();
+  getDb()
+    .prepare('UPDATE refresh_tokens SET expiresAt=? WHERE tokenHash=?')
+    .run(new Date(Date.now() - 1000).toISOString(), hashToken(session.refreshToken));
+
+  const expired = await refresh(session.refreshToken);
+  assert.equal(expired.status, 401);
+  assert.equal(expired.body.error, 'Refresh token expired');
+});
+
+test('unknown refresh tokens are refused', async () => {
+  assert.equal((await refresh('not-a-token')).status, 401);
+  assert.equal((await request('POST', '/api/users/token/refresh', { body: {} })).status, 400);
+});
+
+test('an admin can sign a user out everywhere', async () => {
+  const session = await login();
+  const admin = await createTestUser({ role: 'admin' });
+  const adminLogin = await request('POST', '/api/users/login', {
+    body: { email: admin.email, password: PASSWORD },
+  });
+
+  const revoked = await request('DELETE', `/api/users/${session.user.userId}/sessions`, {
+    token: adminLogin.body.token,
+  });
+  assert.equal(revoked.status, 200);
+  assert.equal(revoked.body.revoked, 1);
+  assert.equal((await refresh(session.refreshToken)).status, 401);
+});
+
+test('deactivating the account revokes its sessions', async () => {
+  const session = await login();
+
+  assert.equal((await request('DELETE', '/api/users/account', { token: session.token })).status, 200);
+  assert.equal((await refresh(session.refreshToken)).status, 401);
+});
+
+test('changing the password signs out every other session', async () => {
+  const user = await createTestUser();
+  const credentials = { email: user.email, password: PASSWORD };
+  const phone = (await request('POST', '/api/users/login', { body: credentials })).body;
+  const laptop = (await request('POST', '/api/users/login', { body: credentials })).body;
+
+  const changed = await request('PUT', '/api/users/change-password', {
+    token: phone.token,
+    body: { currentPassword: PASSWORD, newPassword: 'a new long password' },
+  });
+  assert.equal(changed.status, 200);
+
+  assert.equal((await profile(laptop.token)).status, 401);
+  assert.equal((await refresh(laptop.refreshToken)).status, 401);
+  assert.equal((await profile(phone.token)).status, 200);
+  assert.equal((await refresh(phone.refreshToken)).status, 200);
+});
+
+test('a password change needs the current password and a valid new one', async () => {
+  const { token } = await login();
+  const change = (body) => request('PUT', '/api/users/change-password', { token, body });
+
+  assert.equal((await change({ currentPassword: PASSWORD })).status, 400);
+  assert.equal((await change({ currentPassword: PASSWORD, newPassword: 'short' })).status, 400);
+  assert.equal((await change({ newPassword: 'a new long password' })).status, 400);
+  assert.equal(
+    (await change({ currentPassword: 'wrong', newPassword: 'a new long password' })).status,
+    401
+  );
+  assert.equal((await profile(token)).status, 200);
+});
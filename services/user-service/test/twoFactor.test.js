@@ -0,0 +1,148 @@
+// services/user-service/test/twoFactor.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PASSWORD, createTestUser, quiet, startService } from './helpers.js';
+import { getDb } from '../src/db/sqlite.js';
+import { hotp, totpStep } from '../src/utils/totp.js';
+
+const service = await startService();
+const { request } = service;
+test.after(() => service.close());
+test.beforeEach((t) => quiet(t));
+
+const login = (user) =>
+  request('POST', '/api/users/login', { body: { email: user.email, password: PASSWORD } });
+
+const completeLogin = (challengeToken, factor) =>
+  request('POST', '/api/users/login/2fa', { body: { challengeToken, ...factor } });
+
+// Each code works once, so hand out codes for successive time steps
+// (within the allowed drift of the current one)
+function authenticator(secret) {
+  let step = -Infinity;
+  return () => {
+    step = Math.max(step + 1, totpStep() - 1);
+    return hotp(secret, step);
+  };
+}
+
+// A user with 2FA enabled: { user, nextCode, recoveryCodes }
+async function enrolledUser() {
+  const user = await createTestUser();
+  const { token } = (await login(user)).body;
+
+  const setup = await request('POST', '/api/users/2fa/setup', { token });
+  assert.equal(setup.status, 200);
+  const nextCode = authenticator(setup.body.secret);
+
+  const enabled = await request('POST', '/api/users/2fa/enable', {
+    token,
+    body: { code: nextCode() },
+  });
+  assert.equal(enabled.status, 200);
+
+  return { user, nextCode, recoveryCodes: enabled.body.recoveryCodes };
+}
+
+async function challengeFor(user) {
+  const { status, body } = await login(user);
+  assert.equal(status, 200);
+  assert.equal(body.twoFactorRequired, true);
+  assert.equal(body.token, undefined);
+  return body.challengeToken;
+}
+
+test('the seed is stored encrypted', async () => {
+  const user = await createTestUser();
+  const { token } = (await login(user)).body;
+  const { secret } = (await request('POST', '/api/users/2fa/setup', { token })).body;
+
+  const stored = getDb().prepare('SELECT totpSecret FROM users WHERE userId=?').get(user.userId);
+  assert.ok(stored.totpSecret);
+  assert.ok(!stored.totpSecret.includes(secret));
+});
+
+test('a password alone gets a challenge, which a code exchanges for tokens', async () => {
+  const { user, nextCode } = await enrolledUser();
+
+  const done = await completeLogin(await challengeFor(user), { code: nextCode() });
+  assert.equal(done.status, 200);
+  assert.equal((await request('GET', '/api/users/profile', { token: done.body.token })).status, 200);
+});
+
+test('a challenge cannot be exchanged twice', async () => {
+  const { user, nextCode } = await enrolledUser();
+  const challengeToken = await challengeFor(user);
+
+  assert.equal((await completeLogin(challengeToken, { code: nextCode() })).status, 200);
+
+  const again = await completeLogin(challengeToken, { code: nextCode() });
+  assert.equal(again.status, 401);
+  assert.equal(again.body.error, 'Invalid or expired challenge');
+});
+
+test('a challenge takes five codes, then login starts over', async () => {
+  const { user, nextCode } = await enrolledUser();
+  const challengeToken = await challengeFor(user);
+
+  for (let i = 0; i < 5; i++) {
+    const wrong = await completeLogin(challengeToken, { code: '000000' });
+    assert.equal(wrong.body.error, 'Invalid code');
+  }
+
+  // Even with the account's failure count cleared, this challenge is spent
+  const admin = await createTestUser({ role: 'admin' });
+  await request('POST', '/api/users/security/unlock', {
+    token: (await login(admin)).body.token,
+    body: { userId: user.userId },
+  });
+  const exhausted = await completeLogin(challengeToken, { code: nextCode() });
+  assert.equal(exhausted.status, 401);
+  assert.equal(exhausted.body.error, 'Invalid or expired challenge');
+
+  assert.equal((await completeLogin(await challengeFor(user), { code: nextCode() })).status, 200);
+});
+
+test('two concurrent completions of one challenge issue one session', async () => {
+  const { user, recoveryCodes } = await enrolledUser();
+  const challengeToken = await challengeFor(user);
+
+  const results = await Promise.all([
+    completeLogin(challengeToken, { recoveryCode: recoveryCodes[0] }),
+    completeLogin(challengeToken, { recoveryCode: recoveryCodes[1] }),
+  ]);
+  assert.deepEqual(results.map(({ status }) => status).sort(), [200, 401]);
+});
+
+test('a recovery code works once', async () => {
+  const { user, recoveryCodes } = await enrolledUser();
+
+  const used = await completeLogin(await challengeFor(user), {
+    recoveryCode: recoveryCodes[0].toUpperCase(),
+  });
+  assert.equal(used.status, 200);
+
+  const reused = await completeLogin(await challengeFor(user), {
+    recoveryCode: recoveryCodes[0],
+  });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.error, 'Invalid code');
+});
+
+test('a TOTP code works once', async () => {
+  const { user, nextCode } = await enrolledUser();
+  const code = nextCode();
+
+  assert.equal((await completeLogin(await challengeFor(user), { code })).status, 200);
+  assert.equal((await completeLogin(await challengeFor(user), { code })).status, 401);
+});
+
+test('challenge tokens are not access tokens', async () => {
+  const { user } = await enrolledUser();
+  const challengeToken = await challengeFor(user);
+
+  assert.equal(
+    (await request('GET', '/api/users/profile', { token: challengeToken })).status,
+    401
+  );
+});